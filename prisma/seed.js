@@ -1,5 +1,6 @@
 const { PrismaClient } = require('@prisma/client');
 const bcrypt = require('bcryptjs');
+const permissionService = require('../src/services/permissionService');
 
 const prisma = new PrismaClient();
 
@@ -280,6 +281,11 @@ async function main() {
       value: '0.7',
       description: 'Minimum OCR confidence threshold for text extraction',
     },
+    {
+      key: 'TWO_FACTOR_REQUIRED_ROLES',
+      value: '',
+      description: 'Comma-separated roles that must use two-factor authentication (SUPER_ADMIN, UNIVERSITY_ADMIN, VERIFIER)',
+    },
   ];
 
   for (const config of configs) {
@@ -290,6 +296,21 @@ async function main() {
     });
   }
 
+  // Built-in roles; editing their permissions changes every user with that base role
+  for (const [name, permissions] of Object.entries(permissionService.defaultBundles)) {
+    const existing = await prisma.role.findFirst({ where: { name, institutionId: null } });
+    if (!existing) {
+      await prisma.role.create({
+        data: {
+          name,
+          description: `Permissions of every ${name} user`,
+          permissions,
+          isSystem: true,
+        },
+      });
+    }
+  }
+
   console.log('✅ Database seeding completed successfully!');
   console.log('\n📊 Seeded data summary:');
   console.log('\n🔐 ADMIN CREDENTIALS:');
@@ -29,36 +29,19 @@ function generateEthereumWallet() {
 }
 
 /**
- * Generate RSA key pair for digital signatures
+ * Generate the key that encrypts institution signing keys at rest.
+ * Signing keys themselves are created per institution by the API.
  */
-function generateRSAKeys() {
-  console.log('\n🔐 Generating RSA key pair for digital signatures...\n');
+function generateDataEncryptionKey() {
+  console.log('\n🔐 Generating data encryption key for signing keys...\n');
   
-  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
-    modulusLength: 2048,
-    publicKeyEncoding: {
-      type: 'spki',
-      format: 'pem'
-    },
-    privateKeyEncoding: {
-      type: 'pkcs8',
-      format: 'pem'
-    }
-  });
+  const dataEncryptionKey = crypto.randomBytes(32).toString('hex');
   
-  console.log('📋 RSA Keys Generated:');
-  console.log('=====================');
-  console.log('Private Key (for signing):');
-  console.log(privateKey);
-  console.log('\nPublic Key (for verification):');
-  console.log(publicKey);
-  
-  console.log('\n🔧 Environment Variables:');
+  console.log('🔧 Environment Variables:');
   console.log('========================');
-  console.log(`PRIVATE_SIGNING_KEY="${privateKey.replace(/\n/g, '\\n')}"`);
-  console.log(`PUBLIC_SIGNING_KEY="${publicKey.replace(/\n/g, '\\n')}"`);
+  console.log(`DATA_ENCRYPTION_KEY="${dataEncryptionKey}"`);
   
-  return { publicKey, privateKey };
+  return dataEncryptionKey;
 }
 
 /**
@@ -72,17 +55,18 @@ async function main() {
     // Generate Ethereum wallet
     const ethWallet = generateEthereumWallet();
     
-    // Generate RSA keys
-    const rsaKeys = generateRSAKeys();
+    // Generate data encryption key
+    const dataEncryptionKey = generateDataEncryptionKey();
     
     console.log('\n✅ Key generation completed successfully!');
     console.log('\n⚠️  IMPORTANT SECURITY NOTES:');
     console.log('============================');
     console.log('1. Store these keys securely and never share them publicly');
     console.log('2. Add the private keys to your .env file');
-    console.log('3. The Ethereum address needs to be funded for mainnet transactions');
-    console.log('4. For testing, you can use testnets like Sepolia or Goerli');
-    console.log('5. Consider using hardware wallets for production');
+    console.log('3. Losing DATA_ENCRYPTION_KEY makes stored signing keys unusable');
+    console.log('4. The Ethereum address needs to be funded for mainnet transactions');
+    console.log('5. For testing, you can use testnets like Sepolia or Goerli');
+    console.log('6. Consider using hardware wallets for production');
     
     console.log('\n📝 Next Steps:');
     console.log('==============');
@@ -102,4 +86,4 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { generateEthereumWallet, generateRSAKeys };
+module.exports = { generateEthereumWallet, generateDataEncryptionKey };
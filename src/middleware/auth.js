@@ -1,7 +1,37 @@
 const jwt = require('jsonwebtoken');
 const { getPrismaClient } = require('../config/database');
+const apiKeyService = require('../services/apiKeyService');
+const sessionService = require('../services/sessionService');
+const permissionService = require('../services/permissionService');
 const { logger } = require('../utils/logger');
 
+/**
+ * Resolve a bearer token to its user and session. Tokens must name a
+ * session that is still active, so logout and revocation take effect on
+ * the next request. Resolves to null when the token is not usable.
+ */
+const resolveToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  const session = await sessionService.getActiveSession(decoded.sessionId);
+  if (!session || session.userId !== decoded.userId) {
+    return null;
+  }
+
+  const prisma = getPrismaClient();
+  const user = await prisma.user.findUnique({
+    where: { id: decoded.userId },
+    include: { institution: true }
+  });
+
+  if (!user || !user.isActive) {
+    return null;
+  }
+
+  sessionService.touch(session);
+  return { user, session };
+};
+
 /**
  * Authenticate JWT token
  */
@@ -16,22 +46,17 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const prisma = getPrismaClient();
-    
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      include: { institution: true }
-    });
+    const resolved = await resolveToken(token);
 
-    if (!user || !user.isActive) {
+    if (!resolved) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid token or user not active.'
+        message: 'Invalid token, session ended or user not active.'
       });
     }
 
-    req.user = user;
+    req.user = resolved.user;
+    req.authSession = resolved.session;
     next();
   } catch (error) {
     logger.error('Authentication error:', error);
@@ -65,6 +90,45 @@ const authorize = (...roles) => {
   };
 };
 
+/**
+ * Require a named permission. With `institution`, a function reading the
+ * target institution id from the request, the permission must be held for
+ * that institution; otherwise holding it anywhere is enough and the handler
+ * checks the resources it touches with req.permissions.
+ */
+const requirePermission = (permission, { institution } = {}) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required.'
+      });
+    }
+
+    try {
+      const permissions = await permissionService.forRequest(req);
+      const allowed = institution
+        ? permissions.can(permission, institution(req))
+        : permissions.has(permission);
+
+      if (!allowed) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. Missing permission: ${permission}`
+        });
+      }
+
+      next();
+    } catch (error) {
+      logger.error('Permission check error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to check permissions.'
+      });
+    }
+  };
+};
+
 /**
  * Optional authentication - doesn't fail if no token
  */
@@ -73,16 +137,11 @@ const optionalAuth = async (req, res, next) => {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const prisma = getPrismaClient();
-      
-      const user = await prisma.user.findUnique({
-        where: { id: decoded.userId },
-        include: { institution: true }
-      });
+      const resolved = await resolveToken(token);
 
-      if (user && user.isActive) {
-        req.user = user;
+      if (resolved) {
+        req.user = resolved.user;
+        req.authSession = resolved.session;
       }
     }
     
@@ -93,8 +152,97 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * API key from the X-API-Key header or an "Authorization: ApiKey <key>" header
+ */
+const getApiKey = (req) => {
+  const authorization = req.header('Authorization');
+  if (authorization?.startsWith('ApiKey ')) {
+    return authorization.slice('ApiKey '.length).trim();
+  }
+  return req.header('X-API-Key') || null;
+};
+
+/**
+ * Authenticate an institution API key holding all of the given scopes.
+ * The key acts as an admin of its own institution, so the usual
+ * institution checks apply; req.apiKey identifies the key.
+ */
+const authenticateApiKey = (...scopes) => {
+  return async (req, res, next) => {
+    try {
+      const key = getApiKey(req);
+
+      if (!key) {
+        return res.status(401).json({
+          success: false,
+          message: 'Access denied. No API key provided.'
+        });
+      }
+
+      const { apiKey, error } = await apiKeyService.authenticate(key);
+      if (!apiKey) {
+        return res.status(401).json({
+          success: false,
+          message: error
+        });
+      }
+
+      const missing = scopes.filter(scope => !apiKey.scopes.includes(scope));
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `API key is missing required scope: ${missing.join(', ')}`
+        });
+      }
+
+      apiKeyService.touch(apiKey, req.ip);
+
+      req.apiKey = apiKey;
+      req.user = {
+        id: null,
+        role: 'UNIVERSITY_ADMIN',
+        isActive: true,
+        institutionId: apiKey.institutionId,
+        institution: apiKey.institution,
+        apiKeyId: apiKey.id
+      };
+      next();
+    } catch (error) {
+      logger.error('API key authentication error:', error);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid API key.'
+      });
+    }
+  };
+};
+
+/**
+ * Accept either a user JWT or an API key with the given scopes
+ */
+const authenticateUserOrApiKey = (...scopes) => {
+  const apiKeyAuth = authenticateApiKey(...scopes);
+
+  return (req, res, next) => (getApiKey(req) ? apiKeyAuth(req, res, next) : authenticate(req, res, next));
+};
+
+/**
+ * Optional authentication that also accepts an API key with the given
+ * scopes. A presented key must be valid.
+ */
+const optionalAuthOrApiKey = (...scopes) => {
+  const apiKeyAuth = authenticateApiKey(...scopes);
+
+  return (req, res, next) => (getApiKey(req) ? apiKeyAuth(req, res, next) : optionalAuth(req, res, next));
+};
+
 module.exports = {
   authenticate,
   authorize,
-  optionalAuth
+  requirePermission,
+  optionalAuth,
+  authenticateApiKey,
+  authenticateUserOrApiKey,
+  optionalAuthOrApiKey
 };
\ No newline at end of file
@@ -0,0 +1,30 @@
+const blacklistService = require('../services/blacklistService');
+const { logger, auditLogger } = require('../utils/logger');
+
+/**
+ * Reject requests from IP addresses on the blacklist
+ */
+const rejectBlacklistedIps = async (req, res, next) => {
+  try {
+    if (await blacklistService.isIpBlacklisted(req.ip)) {
+      auditLogger.warn('Request from blacklisted IP rejected', {
+        ip: req.ip,
+        method: req.method,
+        path: req.originalUrl
+      });
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied.'
+      });
+    }
+  } catch (error) {
+    // Keep serving if the blacklist cannot be read
+    logger.error('Blacklist check error:', error);
+  }
+
+  next();
+};
+
+module.exports = {
+  rejectBlacklistedIps
+};
@@ -42,6 +42,16 @@ const validateCertificateUpload = [
     .isLength({ min: 3, max: 50 })
     .withMessage('Certificate number must be between 3 and 50 characters'),
   
+  body('studentEmail')
+    .optional({ checkFalsy: true })
+    .isEmail()
+    .withMessage('Student email must be a valid email address'),
+  
+  body('studentPhone')
+    .optional({ checkFalsy: true })
+    .isMobilePhone('en-IN')
+    .withMessage('Valid Indian phone number is required for the student'),
+  
   handleValidationErrors
 ];
 
@@ -73,6 +83,15 @@ const validatePagination = [
   handleValidationErrors
 ];
 
+/**
+ * Password strength rules shared by registration, change and reset
+ */
+const strongPassword = (field) => body(field)
+  .isLength({ min: 8 })
+  .withMessage('Password must be at least 8 characters long')
+  .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
+  .withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character');
+
 /**
  * Validate user registration
  */
@@ -82,11 +101,7 @@ const validateUserRegistration = [
     .withMessage('Valid email is required')
     .normalizeEmail(),
   
-  body('password')
-    .isLength({ min: 8 })
-    .withMessage('Password must be at least 8 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character'),
+  strongPassword('password'),
   
   body('firstName')
     .notEmpty()
@@ -105,6 +120,11 @@ const validateUserRegistration = [
     .isMobilePhone('en-IN')
     .withMessage('Valid Indian phone number is required'),
   
+  body('role')
+    .optional()
+    .isIn(['PUBLIC', 'STUDENT'])
+    .withMessage('Registration is limited to PUBLIC and STUDENT accounts; other roles require an invitation'),
+  
   handleValidationErrors
 ];
 
@@ -212,6 +232,580 @@ const validateInstitution = [
   handleValidationErrors
 ];
 
+/**
+ * Validate certificate revocation
+ */
+const validateCertificateRevocation = [
+  body('reason')
+    .notEmpty()
+    .withMessage('Revocation reason is required')
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Revocation reason must be between 5 and 500 characters'),
+  
+  body('effectiveDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Effective date must be a valid date')
+    .custom(value => new Date(value) <= new Date())
+    .withMessage('Effective date cannot be in the future'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validate bulk upload column mapping profile
+ */
+const validateColumnMappingProfile = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Profile name is required')
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Profile name must be between 2 and 100 characters'),
+  
+  body('headers')
+    .isObject()
+    .withMessage('Headers must map source column names to certificate fields'),
+  
+  body('transforms')
+    .optional()
+    .isObject()
+    .withMessage('Transforms must be an object keyed by certificate field'),
+  
+  body('defaults')
+    .optional()
+    .isObject()
+    .withMessage('Defaults must be an object keyed by certificate field'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validate institution API key creation
+ */
+const validateApiKeyCreation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Key name is required')
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Key name must be between 2 and 100 characters'),
+  
+  body('scopes')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Scopes must be a non-empty array')
+    .custom(scopes => scopes.every(scope => ['issue', 'verify', 'read'].includes(scope)))
+    .withMessage('Scopes must be issue, verify or read'),
+  
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 3650 })
+    .withMessage('Expiry must be between 1 and 3650 days')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validate refresh token exchange
+ */
+const validateRefreshToken = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validate profile updates
+ */
+const validateProfileUpdate = [
+  body('email')
+    .optional()
+    .isEmail()
+    .withMessage('Valid email is required')
+    .normalizeEmail(),
+  
+  body('firstName')
+    .optional()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('First name must be between 2 and 50 characters'),
+  
+  body('lastName')
+    .optional()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Last name must be between 2 and 50 characters'),
+  
+  body('phone')
+    .optional({ values: 'null' })
+    .isMobilePhone('en-IN')
+    .withMessage('Valid Indian phone number is required'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validate password change
+ */
+const validatePasswordChange = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  
+  strongPassword('newPassword'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validate forgotten password request
+ */
+const validatePasswordResetRequest = [
+  body('email')
+    .isEmail()
+    .withMessage('Valid email is required')
+    .normalizeEmail(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validate password reset with a reset token
+ */
+const validatePasswordReset = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  
+  strongPassword('newPassword'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validate email verification token
+ */
+const validateEmailVerification = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validate phone verification code
+ */
+const validatePhoneVerification = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Verification code must be 6 digits'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validate invitation creation
+ */
+const validateInvitation = [
+  body('email')
+    .isEmail()
+    .withMessage('Valid email is required')
+    .normalizeEmail(),
+  
+  body('role')
+    .isIn(['SUPER_ADMIN', 'UNIVERSITY_ADMIN', 'VERIFIER'])
+    .withMessage('Role must be SUPER_ADMIN, UNIVERSITY_ADMIN or VERIFIER'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validate invitation acceptance. Profile fields are needed only when the
+ * invitation creates a new account.
+ */
+const validateInvitationAcceptance = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Invitation token is required'),
+  
+  strongPassword('password')
+    .optional(),
+  
+  body('firstName')
+    .if(body('password').exists())
+    .notEmpty()
+    .withMessage('First name is required')
+    .isLength({ min: 2, max: 50 })
+    .withMessage('First name must be between 2 and 50 characters'),
+  
+  body('lastName')
+    .if(body('password').exists())
+    .notEmpty()
+    .withMessage('Last name is required')
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Last name must be between 2 and 50 characters'),
+  
+  body('phone')
+    .optional()
+    .isMobilePhone('en-IN')
+    .withMessage('Valid Indian phone number is required'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Either an authenticator code or a recovery code
+ */
+const twoFactorCodeOrRecovery = [
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits'),
+  
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .isLength({ min: 8, max: 20 })
+    .withMessage('Invalid recovery code format'),
+  
+  body()
+    .custom(value => Boolean(value.code) !== Boolean(value.recoveryCode))
+    .withMessage('Provide either an authentication code or a recovery code')
+];
+
+/**
+ * Validate an authenticator code (2FA enrolment and recovery code renewal)
+ */
+const validateTwoFactorCode = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validate the second login step
+ */
+const validateTwoFactorLogin = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Login challenge token is required'),
+  
+  ...twoFactorCodeOrRecovery,
+  
+  handleValidationErrors
+];
+
+/**
+ * Validate turning two-factor authentication off
+ */
+const validateTwoFactorDisable = [
+  body('password')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  
+  ...twoFactorCodeOrRecovery,
+  
+  handleValidationErrors
+];
+
+/**
+ * Validate a role definition. Names and institution are fixed once created,
+ * so updates only check the fields they send.
+ */
+const validateRoleDefinition = [
+  body('name')
+    .if((value, { req }) => req.method === 'POST')
+    .trim()
+    .matches(/^[A-Za-z][A-Za-z0-9_ -]{1,49}$/)
+    .withMessage('Role name must be 2-50 letters, digits, spaces, hyphens or underscores'),
+  
+  body('description')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Description must be at most 500 characters'),
+  
+  body('permissions')
+    .if((value, { req }) => req.method === 'POST' || value !== undefined)
+    .isArray({ min: 1 })
+    .withMessage('Permissions must be a non-empty array'),
+  
+  body('permissions.*')
+    .isString()
+    .withMessage('Permissions must be names'),
+  
+  body('institutionId')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Institution ID must be a string'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validate assigning a role to a user
+ */
+const validateRoleAssignment = [
+  body('roleId')
+    .isString()
+    .notEmpty()
+    .withMessage('Role ID is required'),
+  
+  body('institutionId')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Institution ID must be a string'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validate taking an anomaly under review
+ */
+const validateAnomalyReview = [
+  body('notes')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Notes must be at most 2000 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validate the outcome of an anomaly review
+ */
+const validateAnomalyResolution = [
+  body('outcome')
+    .isIn(['CONFIRMED_FRAUD', 'DISMISSED'])
+    .withMessage('Outcome must be CONFIRMED_FRAUD or DISMISSED'),
+  
+  body('notes')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Reviewer notes are required (at most 2000 characters)'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validate security incident list filters
+ */
+const validateIncidentFilters = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be an ISO 8601 date'),
+  
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be an ISO 8601 date'),
+  
+  query('overdue')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('overdue must be true or false'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validate assigning a security incident; a null assignee unassigns it
+ */
+const validateIncidentAssignment = [
+  body('assigneeId')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Assignee ID must be a string'),
+  
+  body('comment')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Comment must be at most 2000 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validate a security incident status change
+ */
+const validateIncidentStatusChange = [
+  body('status')
+    .isIn(['OPEN', 'INVESTIGATING', 'RESOLVED', 'FALSE_POSITIVE'])
+    .withMessage('Status must be OPEN, INVESTIGATING, RESOLVED or FALSE_POSITIVE'),
+  
+  body('comment')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Comment must be at most 2000 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validate a comment on a security incident
+ */
+const validateIncidentComment = [
+  body('comment')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Comment must be 1-2000 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validate a student's answer to a consent request
+ */
+const validateConsentResponse = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Consent token is required'),
+  
+  body('decision')
+    .isIn(['APPROVE', 'DENY'])
+    .withMessage('Decision must be APPROVE or DENY'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validate institution consent settings
+ */
+const validateConsentSettings = [
+  body('consentRequired')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('consentRequired must be true or false'),
+  
+  body('consentResponseHours')
+    .optional()
+    .isInt({ min: 1, max: 720 })
+    .withMessage('Response window must be between 1 and 720 hours')
+    .toInt(),
+  
+  body('consentValidityDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Consent validity must be between 1 and 365 days')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validate a request for a certificate claim code
+ */
+const validateClaimCodeRequest = [
+  body('institutionCode')
+    .trim()
+    .notEmpty()
+    .withMessage('Institution code is required'),
+  
+  body('rollNumber')
+    .trim()
+    .notEmpty()
+    .withMessage('Roll number is required'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validate claiming certificates with a one-time code
+ */
+const validateCertificateClaim = [
+  body('institutionCode')
+    .trim()
+    .notEmpty()
+    .withMessage('Institution code is required'),
+  
+  body('rollNumber')
+    .trim()
+    .notEmpty()
+    .withMessage('Roll number is required'),
+  
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Claim code must be 6 digits'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validate claiming a certificate with an institution-issued claim code
+ */
+const validateClaimCodeRedemption = [
+  body('rollNumber')
+    .trim()
+    .notEmpty()
+    .withMessage('Roll number is required'),
+  
+  body('claimCode')
+    .isString()
+    .notEmpty()
+    .withMessage('Claim code is required'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validate share link creation
+ */
+const validateShareLinkCreation = [
+  body('fields')
+    .isArray({ min: 1 })
+    .withMessage('Choose at least one field to share'),
+  
+  body('fields.*')
+    .isString()
+    .withMessage('Fields must be names'),
+  
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Expiry must be between 1 and 365 days')
+    .toInt(),
+  
+  body('label')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Label must not exceed 100 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validate opening a share link
+ */
+const validateShareView = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Share token is required'),
+  
+  ...validateVerificationRequest
+];
+
 module.exports = {
   validateCertificateUpload,
   validateId,
@@ -220,5 +814,35 @@ module.exports = {
   validateUserLogin,
   validateVerificationRequest,
   validateInstitution,
+  validateCertificateRevocation,
+  validateColumnMappingProfile,
+  validateApiKeyCreation,
+  validateRefreshToken,
+  validateProfileUpdate,
+  validatePasswordChange,
+  validatePasswordResetRequest,
+  validatePasswordReset,
+  validateEmailVerification,
+  validatePhoneVerification,
+  validateInvitation,
+  validateInvitationAcceptance,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable,
+  validateRoleDefinition,
+  validateRoleAssignment,
+  validateAnomalyReview,
+  validateAnomalyResolution,
+  validateIncidentFilters,
+  validateIncidentAssignment,
+  validateIncidentStatusChange,
+  validateIncidentComment,
+  validateConsentResponse,
+  validateConsentSettings,
+  validateClaimCodeRequest,
+  validateCertificateClaim,
+  validateClaimCodeRedemption,
+  validateShareLinkCreation,
+  validateShareView,
   handleValidationErrors
 };
\ No newline at end of file
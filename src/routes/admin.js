@@ -1,19 +1,40 @@
 const express = require('express');
 const { getPrismaClient } = require('../config/database');
-const { authenticate, authorize } = require('../middleware/auth');
-const { validatePagination } = require('../middleware/validation');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const {
+  validatePagination,
+  validateInvitation,
+  validateRoleDefinition,
+  validateRoleAssignment,
+  validateAnomalyReview,
+  validateAnomalyResolution,
+  validateIncidentFilters,
+  validateIncidentAssignment,
+  validateIncidentStatusChange,
+  validateIncidentComment
+} = require('../middleware/validation');
 const blockchainService = require('../services/blockchainService');
+const anchoringService = require('../services/anchoringService');
 const anomalyDetectionService = require('../services/anomalyDetectionService');
+const anomalyReviewService = require('../services/anomalyReviewService');
+const sessionService = require('../services/sessionService');
+const invitationService = require('../services/invitationService');
+const twoFactorService = require('../services/twoFactorService');
+const permissionService = require('../services/permissionService');
+const loginProtectionService = require('../services/loginProtectionService');
+const blacklistService = require('../services/blacklistService');
+const incidentService = require('../services/incidentService');
+const verificationPipeline = require('../services/verificationPipeline');
 const { logger, auditLogger } = require('../utils/logger');
 
 const router = express.Router();
 
 // @route   GET /api/admin/dashboard
 // @desc    Get admin dashboard with forgery analytics
-// @access  Private (Admin roles only)
+// @access  Private (analytics:read)
 router.get('/dashboard',
   authenticate,
-  authorize('SUPER_ADMIN', 'UNIVERSITY_ADMIN'),
+  requirePermission('analytics:read'),
   async (req, res) => {
     try {
       const prisma = getPrismaClient();
@@ -29,8 +50,9 @@ router.get('/dashboard',
       }
 
       let whereClause = {};
-      if (req.user.role === 'UNIVERSITY_ADMIN') {
-        whereClause.institutionId = req.user.institutionId;
+      const institutionFilter = req.permissions.institutionFilter('analytics:read');
+      if (institutionFilter) {
+        whereClause.institutionId = institutionFilter;
       }
 
       const [
@@ -78,141 +100,1036 @@ router.get('/dashboard',
         }
       });
     } catch (error) {
-      logger.error('Admin dashboard error:', error);
-      res.status(500).json({ success: false, error: 'Failed to fetch dashboard data' });
+      logger.error('Admin dashboard error:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch dashboard data' });
+    }
+  }
+);
+
+// @route   GET /api/admin/anomalies
+// @desc    Get anomalies with filtering by severity, type, status and detector
+// @access  Private (anomaly:read)
+router.get('/anomalies',
+  authenticate,
+  requirePermission('anomaly:read'),
+  validatePagination,
+  async (req, res) => {
+    try {
+      const prisma = getPrismaClient();
+      const { page = 1, limit = 10, severity, type, status, detector } = req.query;
+      
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const take = parseInt(limit);
+
+      let where = {};
+      const institutionFilter = req.permissions.institutionFilter('anomaly:read');
+      if (institutionFilter) {
+        where.certificate = { institutionId: institutionFilter };
+      }
+      if (severity) where.severity = severity;
+      if (type) where.type = type;
+      if (status) where.status = { in: status.split(',') };
+      if (detector) where.detector = detector;
+
+      const [anomalies, total] = await Promise.all([
+        prisma.anomaly.findMany({
+          where,
+          skip,
+          take,
+          include: {
+            certificate: {
+              select: {
+                certificateNumber: true,
+                studentName: true,
+                status: true,
+                institution: { select: { name: true } }
+              }
+            },
+            reviewedBy: { select: { id: true, firstName: true, lastName: true } }
+          },
+          orderBy: { createdAt: 'desc' }
+        }),
+        prisma.anomaly.count({ where })
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          anomalies,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / parseInt(limit))
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Get anomalies error:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch anomalies' });
+    }
+  }
+);
+
+// @route   GET /api/admin/anomalies/detector-stats
+// @desc    Review outcomes and precision of each anomaly detector, to spot
+//          checks that raise false positives. Optional: days (look-back)
+// @access  Private (anomaly:read)
+router.get('/anomalies/detector-stats',
+  authenticate,
+  requirePermission('anomaly:read'),
+  async (req, res) => {
+    try {
+      const days = parseInt(req.query.days);
+      const detectors = await anomalyReviewService.getDetectorStats({
+        institutionFilter: req.permissions.institutionFilter('anomaly:read'),
+        since: days > 0 ? new Date(Date.now() - days * 24 * 60 * 60 * 1000) : null
+      });
+
+      res.json({ success: true, data: { detectors } });
+    } catch (error) {
+      logger.error('Get anomaly detector stats error:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch detector statistics' });
+    }
+  }
+);
+
+// @route   PATCH /api/admin/anomalies/:anomalyId/review
+// @desc    Take a new anomaly under review
+// @access  Private (anomaly:resolve)
+router.patch('/anomalies/:anomalyId/review',
+  authenticate,
+  requirePermission('anomaly:resolve'),
+  validateAnomalyReview,
+  async (req, res) => {
+    try {
+      const found = await anomalyReviewService.find(req.params.anomalyId);
+      if (!found) {
+        return res.status(404).json({ success: false, error: 'Anomaly not found' });
+      }
+      if (!req.permissions.can('anomaly:resolve', found.certificate.institutionId)) {
+        return res.status(403).json({ success: false, error: 'Access denied' });
+      }
+
+      const { anomaly, error, status } = await anomalyReviewService.startReview(req.user, found, {
+        notes: req.body.notes || null,
+        ipAddress: req.ip
+      });
+
+      if (!anomaly) {
+        return res.status(status).json({ success: false, error });
+      }
+
+      res.json({ success: true, data: { anomaly } });
+    } catch (error) {
+      logger.error('Start anomaly review error:', error);
+      res.status(500).json({ success: false, error: 'Failed to start review' });
+    }
+  }
+);
+
+// @route   POST /api/admin/anomalies/:anomalyId/resolve
+// @desc    Resolve an anomaly as CONFIRMED_FRAUD or DISMISSED, updating the
+//          certificate status accordingly
+// @access  Private (anomaly:resolve)
+router.post('/anomalies/:anomalyId/resolve',
+  authenticate,
+  requirePermission('anomaly:resolve'),
+  validateAnomalyResolution,
+  async (req, res) => {
+    try {
+      const found = await anomalyReviewService.find(req.params.anomalyId);
+      if (!found) {
+        return res.status(404).json({ success: false, error: 'Anomaly not found' });
+      }
+      if (!req.permissions.can('anomaly:resolve', found.certificate.institutionId)) {
+        return res.status(403).json({ success: false, error: 'Access denied' });
+      }
+
+      const { anomaly, certificateStatus, error, status } = await anomalyReviewService.resolve(req.user, found, {
+        outcome: req.body.outcome,
+        notes: req.body.notes,
+        ipAddress: req.ip
+      });
+
+      if (!anomaly) {
+        return res.status(status).json({ success: false, error });
+      }
+
+      res.json({ success: true, data: { anomaly, certificateStatus } });
+    } catch (error) {
+      logger.error('Resolve anomaly error:', error);
+      res.status(500).json({ success: false, error: 'Failed to resolve anomaly' });
+    }
+  }
+);
+
+// @route   GET /api/admin/users
+// @desc    Get users with pagination
+// @access  Private (user:read)
+router.get('/users',
+  authenticate,
+  requirePermission('user:read'),
+  validatePagination,
+  async (req, res) => {
+    try {
+      const prisma = getPrismaClient();
+      const { page = 1, limit = 10, role, search } = req.query;
+      
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const take = parseInt(limit);
+
+      let where = {};
+      if (role) where.role = role;
+      if (search) {
+        where.OR = [
+          { email: { contains: search, mode: 'insensitive' } },
+          { firstName: { contains: search, mode: 'insensitive' } }
+        ];
+      }
+
+      const [users, total] = await Promise.all([
+        prisma.user.findMany({
+          where,
+          skip,
+          take,
+          select: {
+            id: true,
+            email: true,
+            firstName: true,
+            lastName: true,
+            role: true,
+            isActive: true,
+            twoFactorEnabled: true,
+            createdAt: true,
+            institution: { select: { name: true } }
+          },
+          orderBy: { createdAt: 'desc' }
+        }),
+        prisma.user.count({ where })
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          users,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / parseInt(limit))
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Get users error:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch users' });
+    }
+  }
+);
+
+// @route   PATCH /api/admin/users/:id/status
+// @desc    Activate or deactivate a user; deactivation ends all their sessions
+// @access  Private (user:manage)
+router.patch('/users/:id/status',
+  authenticate,
+  requirePermission('user:manage'),
+  async (req, res) => {
+    try {
+      const prisma = getPrismaClient();
+      const { isActive } = req.body;
+
+      if (typeof isActive !== 'boolean') {
+        return res.status(400).json({ success: false, error: 'isActive must be true or false' });
+      }
+      if (req.params.id === req.user.id && !isActive) {
+        return res.status(400).json({ success: false, error: 'You cannot deactivate your own account' });
+      }
+
+      const user = await prisma.user.findUnique({ where: { id: req.params.id } });
+      if (!user) {
+        return res.status(404).json({ success: false, error: 'User not found' });
+      }
+
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { isActive }
+      });
+
+      const sessionsRevoked = isActive ? 0 : await sessionService.revokeAllForUser(user.id, 'USER_DEACTIVATED');
+
+      auditLogger.info(isActive ? 'User activated' : 'User deactivated', {
+        userId: user.id,
+        sessionsRevoked,
+        changedBy: req.user.id
+      });
+
+      res.json({
+        success: true,
+        message: isActive ? 'User activated' : 'User deactivated',
+        data: { id: user.id, isActive, sessionsRevoked }
+      });
+    } catch (error) {
+      logger.error('Update user status error:', error);
+      res.status(500).json({ success: false, error: 'Failed to update user status' });
+    }
+  }
+);
+
+// @route   GET /api/admin/users/:id/sessions
+// @desc    List a user's sessions
+// @access  Private (user:manage)
+router.get('/users/:id/sessions',
+  authenticate,
+  requirePermission('user:manage'),
+  async (req, res) => {
+    try {
+      const sessions = await sessionService.listSessions(req.params.id, {
+        includeRevoked: req.query.includeRevoked === 'true'
+      });
+
+      res.json({ success: true, data: { sessions } });
+    } catch (error) {
+      logger.error('Get user sessions error:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch sessions' });
+    }
+  }
+);
+
+// @route   DELETE /api/admin/users/:id/sessions/:sessionId
+// @desc    Kill one of a user's sessions
+// @access  Private (user:manage)
+router.delete('/users/:id/sessions/:sessionId',
+  authenticate,
+  requirePermission('user:manage'),
+  async (req, res) => {
+    try {
+      const revoked = await sessionService.revokeSession(req.params.sessionId, 'ADMIN', req.params.id);
+
+      if (!revoked) {
+        return res.status(404).json({ success: false, error: 'Active session not found' });
+      }
+
+      auditLogger.info('User session killed by admin', {
+        userId: req.params.id,
+        sessionId: req.params.sessionId,
+        revokedBy: req.user.id
+      });
+
+      res.json({ success: true, message: 'Session ended' });
+    } catch (error) {
+      logger.error('Kill user session error:', error);
+      res.status(500).json({ success: false, error: 'Failed to end session' });
+    }
+  }
+);
+
+// @route   DELETE /api/admin/users/:id/sessions
+// @desc    Kill all of a user's sessions
+// @access  Private (user:manage)
+router.delete('/users/:id/sessions',
+  authenticate,
+  requirePermission('user:manage'),
+  async (req, res) => {
+    try {
+      const count = await sessionService.revokeAllForUser(req.params.id, 'ADMIN');
+
+      auditLogger.info('All user sessions killed by admin', {
+        userId: req.params.id,
+        sessionCount: count,
+        revokedBy: req.user.id
+      });
+
+      res.json({ success: true, message: `Ended ${count} session(s)`, data: { count } });
+    } catch (error) {
+      logger.error('Kill user sessions error:', error);
+      res.status(500).json({ success: false, error: 'Failed to end sessions' });
+    }
+  }
+);
+
+// @route   DELETE /api/admin/users/:id/two-factor
+// @desc    Reset a user's two-factor authentication (lost device); ends their sessions
+// @access  Private (user:manage)
+router.delete('/users/:id/two-factor',
+  authenticate,
+  requirePermission('user:manage'),
+  async (req, res) => {
+    try {
+      const prisma = getPrismaClient();
+
+      const user = await prisma.user.findUnique({ where: { id: req.params.id } });
+      if (!user) {
+        return res.status(404).json({ success: false, error: 'User not found' });
+      }
+      if (!user.twoFactorEnabled && !user.twoFactorSecret) {
+        return res.status(400).json({ success: false, error: 'Two-factor authentication is not set up for this user' });
+      }
+
+      await twoFactorService.disable(user.id);
+      const sessionsRevoked = await sessionService.revokeAllForUser(user.id, 'TWO_FACTOR_RESET');
+
+      auditLogger.warn('User two-factor authentication reset by admin', {
+        userId: user.id,
+        sessionsRevoked,
+        resetBy: req.user.id
+      });
+
+      res.json({ success: true, message: 'Two-factor authentication reset', data: { sessionsRevoked } });
+    } catch (error) {
+      logger.error('Reset two-factor error:', error);
+      res.status(500).json({ success: false, error: 'Failed to reset two-factor authentication' });
+    }
+  }
+);
+
+// @route   GET /api/admin/users/:id/login-status
+// @desc    Whether a user's login is locked out, with their recent login attempts
+// @access  Private (user:read)
+router.get('/users/:id/login-status',
+  authenticate,
+  requirePermission('user:read'),
+  async (req, res) => {
+    try {
+      const user = await getPrismaClient().user.findUnique({ where: { id: req.params.id } });
+      if (!user) {
+        return res.status(404).json({ success: false, error: 'User not found' });
+      }
+
+      const status = await loginProtectionService.getStatus(user.email);
+
+      res.json({ success: true, data: status });
+    } catch (error) {
+      logger.error('Get login status error:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch login status' });
+    }
+  }
+);
+
+// @route   DELETE /api/admin/users/:id/lockout
+// @desc    Lift a login lockout and clear the user's failed attempts
+// @access  Private (user:manage)
+router.delete('/users/:id/lockout',
+  authenticate,
+  requirePermission('user:manage'),
+  async (req, res) => {
+    try {
+      const user = await getPrismaClient().user.findUnique({ where: { id: req.params.id } });
+      if (!user) {
+        return res.status(404).json({ success: false, error: 'User not found' });
+      }
+
+      await loginProtectionService.reset({
+        email: user.email,
+        userId: user.id,
+        reason: 'ADMIN_UNLOCK',
+        ipAddress: req.ip
+      });
+
+      auditLogger.warn('User login lockout lifted', {
+        userId: user.id,
+        unlockedBy: req.user.id
+      });
+
+      res.json({ success: true, message: 'Login lockout lifted' });
+    } catch (error) {
+      logger.error('Unlock user error:', error);
+      res.status(500).json({ success: false, error: 'Failed to lift lockout' });
+    }
+  }
+);
+
+// @route   GET /api/admin/security/two-factor-policy
+// @desc    Roles that must use two-factor authentication
+// @access  Private (security:manage)
+router.get('/security/two-factor-policy',
+  authenticate,
+  requirePermission('security:manage'),
+  async (req, res) => {
+    try {
+      const requiredRoles = await twoFactorService.getRequiredRoles();
+
+      res.json({
+        success: true,
+        data: { requiredRoles, availableRoles: twoFactorService.roles }
+      });
+    } catch (error) {
+      logger.error('Get two-factor policy error:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch two-factor policy' });
+    }
+  }
+);
+
+// @route   PUT /api/admin/security/two-factor-policy
+// @desc    Set the roles that must use two-factor authentication
+// @access  Private (security:manage)
+router.put('/security/two-factor-policy',
+  authenticate,
+  requirePermission('security:manage'),
+  async (req, res) => {
+    try {
+      const { requiredRoles } = req.body;
+
+      if (!Array.isArray(requiredRoles) || !requiredRoles.every(role => twoFactorService.roles.includes(role))) {
+        return res.status(400).json({
+          success: false,
+          error: `requiredRoles must be an array of: ${twoFactorService.roles.join(', ')}`
+        });
+      }
+
+      const roles = await twoFactorService.setRequiredRoles([...new Set(requiredRoles)]);
+
+      auditLogger.warn('Two-factor policy updated', {
+        requiredRoles: roles,
+        updatedBy: req.user.id
+      });
+
+      res.json({ success: true, message: 'Two-factor policy updated', data: { requiredRoles: roles } });
+    } catch (error) {
+      logger.error('Update two-factor policy error:', error);
+      res.status(500).json({ success: false, error: 'Failed to update two-factor policy' });
+    }
+  }
+);
+
+const CERTIFICATE_TYPES = ['DEGREE', 'DIPLOMA', 'CERTIFICATE', 'MARKSHEET', 'TRANSCRIPT', 'OTHER'];
+
+/**
+ * Handler storing verification pipeline settings for a scope; target(req)
+ * names the institution or certificate type
+ */
+const savePipelineConfig = (scope, target = () => null) => async (req, res) => {
+  try {
+    const error = verificationPipeline.validateConfig(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const { validityThreshold, checks } = req.body;
+    const config = { ...(validityThreshold !== undefined && { validityThreshold }), checks: checks || {} };
+    await verificationPipeline.saveConfig(scope, target(req), config);
+
+    auditLogger.warn('Verification pipeline settings updated', {
+      scope,
+      target: target(req),
+      config,
+      updatedBy: req.user.id
+    });
+
+    res.json({ success: true, message: 'Verification settings updated', data: { scope, target: target(req), config } });
+  } catch (error) {
+    logger.error('Update verification pipeline error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update verification settings' });
+  }
+};
+
+/**
+ * Handler removing the verification pipeline override of a scope
+ */
+const deletePipelineConfig = (scope, target) => async (req, res) => {
+  try {
+    const deleted = await verificationPipeline.deleteConfig(scope, target(req));
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'No override for this target' });
+    }
+
+    auditLogger.warn('Verification pipeline override removed', {
+      scope,
+      target: target(req),
+      removedBy: req.user.id
+    });
+
+    res.json({ success: true, message: 'Override removed' });
+  } catch (error) {
+    logger.error('Delete verification pipeline override error:', error);
+    res.status(500).json({ success: false, error: 'Failed to remove override' });
+  }
+};
+
+// @route   GET /api/admin/verification-pipeline
+// @desc    Registered verification checks, global settings and overrides
+// @access  Private (verification:configure)
+router.get('/verification-pipeline',
+  authenticate,
+  requirePermission('verification:configure'),
+  async (req, res) => {
+    try {
+      const entries = await getPrismaClient().systemConfig.findMany({
+        where: { key: { startsWith: 'VERIFICATION_PIPELINE' } },
+        orderBy: { key: 'asc' }
+      });
+
+      const parse = value => {
+        try {
+          return JSON.parse(value);
+        } catch (error) {
+          return null;
+        }
+      };
+
+      res.json({
+        success: true,
+        data: {
+          checks: verificationPipeline.listChecks(),
+          settings: entries.map(entry => ({
+            key: entry.key,
+            config: parse(entry.value),
+            isActive: entry.isActive,
+            updatedAt: entry.updatedAt
+          }))
+        }
+      });
+    } catch (error) {
+      logger.error('Get verification pipeline error:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch verification settings' });
+    }
+  }
+);
+
+// @route   GET /api/admin/verification-pipeline/effective
+// @desc    Settings and pipeline version in force for an institution and/or
+//          certificate type (query: institutionId, certificateType)
+// @access  Private (verification:configure)
+router.get('/verification-pipeline/effective',
+  authenticate,
+  requirePermission('verification:configure'),
+  async (req, res) => {
+    try {
+      const { institutionId, certificateType } = req.query;
+      const settings = await verificationPipeline.resolveSettings({ institutionId, type: certificateType });
+
+      res.json({
+        success: true,
+        data: { pipelineVersion: verificationPipeline.versionOf(settings), settings }
+      });
+    } catch (error) {
+      logger.error('Get effective verification pipeline error:', error);
+      res.status(500).json({ success: false, error: 'Failed to resolve verification settings' });
+    }
+  }
+);
+
+// @route   PUT /api/admin/verification-pipeline
+// @desc    Set global check weights, thresholds and the validity threshold
+// @access  Private (verification:configure)
+router.put('/verification-pipeline',
+  authenticate,
+  requirePermission('verification:configure'),
+  savePipelineConfig('global')
+);
+
+// @route   PUT /api/admin/verification-pipeline/institutions/:institutionId
+// @desc    Override verification settings for one institution
+// @access  Private (verification:configure)
+router.put('/verification-pipeline/institutions/:institutionId',
+  authenticate,
+  requirePermission('verification:configure'),
+  async (req, res, next) => {
+    try {
+      const institution = await getPrismaClient().institution.findUnique({ where: { id: req.params.institutionId } });
+      if (!institution) {
+        return res.status(404).json({ success: false, error: 'Institution not found' });
+      }
+      next();
+    } catch (error) {
+      logger.error('Find institution error:', error);
+      res.status(500).json({ success: false, error: 'Failed to update verification settings' });
+    }
+  },
+  savePipelineConfig('institution', req => req.params.institutionId)
+);
+
+// @route   DELETE /api/admin/verification-pipeline/institutions/:institutionId
+// @desc    Remove an institution's verification settings override
+// @access  Private (verification:configure)
+router.delete('/verification-pipeline/institutions/:institutionId',
+  authenticate,
+  requirePermission('verification:configure'),
+  deletePipelineConfig('institution', req => req.params.institutionId)
+);
+
+// @route   PUT /api/admin/verification-pipeline/certificate-types/:certificateType
+// @desc    Override verification settings for one certificate type
+// @access  Private (verification:configure)
+router.put('/verification-pipeline/certificate-types/:certificateType',
+  authenticate,
+  requirePermission('verification:configure'),
+  (req, res, next) => {
+    if (!CERTIFICATE_TYPES.includes(req.params.certificateType)) {
+      return res.status(400).json({
+        success: false,
+        error: `Certificate type must be one of: ${CERTIFICATE_TYPES.join(', ')}`
+      });
+    }
+    next();
+  },
+  savePipelineConfig('certificateType', req => req.params.certificateType)
+);
+
+// @route   DELETE /api/admin/verification-pipeline/certificate-types/:certificateType
+// @desc    Remove a certificate type's verification settings override
+// @access  Private (verification:configure)
+router.delete('/verification-pipeline/certificate-types/:certificateType',
+  authenticate,
+  requirePermission('verification:configure'),
+  deletePipelineConfig('certificateType', req => req.params.certificateType)
+);
+
+// @route   GET /api/admin/invitations
+// @desc    List invitations across institutions
+// @access  Private (invitation:manage, all institutions)
+router.get('/invitations',
+  authenticate,
+  requirePermission('invitation:manage', { institution: () => null }),
+  async (req, res) => {
+    try {
+      const { role, institutionId, pending } = req.query;
+
+      const where = {};
+      if (role) where.role = role;
+      if (institutionId) where.institutionId = institutionId;
+      if (pending === 'true') {
+        where.acceptedAt = null;
+        where.revokedAt = null;
+        where.expiresAt = { gt: new Date() };
+      }
+
+      const invitations = await invitationService.listInvitations(where);
+
+      res.json({ success: true, data: { invitations } });
+    } catch (error) {
+      logger.error('Get invitations error:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch invitations' });
+    }
+  }
+);
+
+// @route   POST /api/admin/invitations
+// @desc    Invite a user to any privileged role, including SUPER_ADMIN
+// @access  Private (invitation:manage, all institutions)
+router.post('/invitations',
+  authenticate,
+  requirePermission('invitation:manage', { institution: () => null }),
+  validateInvitation,
+  async (req, res) => {
+    try {
+      const { email, role, institutionId = null } = req.body;
+
+      const { invitation, emailSent, error, status } = await invitationService.invite(req.user, req.permissions, {
+        email,
+        role,
+        institutionId
+      });
+
+      if (!invitation) {
+        return res.status(status).json({ success: false, error });
+      }
+
+      auditLogger.info('Invitation created', {
+        invitationId: invitation.id,
+        email,
+        role,
+        institutionId,
+        invitedBy: req.user.id,
+        emailSent
+      });
+
+      res.status(201).json({
+        success: true,
+        message: emailSent
+          ? 'Invitation sent'
+          : 'Invitation created but the email could not be sent; invite again once email is available',
+        data: { invitation, emailSent }
+      });
+    } catch (error) {
+      logger.error('Create invitation error:', error);
+      res.status(500).json({ success: false, error: 'Failed to create invitation' });
+    }
+  }
+);
+
+// @route   DELETE /api/admin/invitations/:invitationId
+// @desc    Revoke a pending invitation
+// @access  Private (invitation:manage, all institutions)
+router.delete('/invitations/:invitationId',
+  authenticate,
+  requirePermission('invitation:manage', { institution: () => null }),
+  async (req, res) => {
+    try {
+      const revoked = await invitationService.revokeInvitation(req.params.invitationId);
+
+      if (!revoked) {
+        return res.status(404).json({ success: false, error: 'Pending invitation not found' });
+      }
+
+      auditLogger.info('Invitation revoked', {
+        invitationId: req.params.invitationId,
+        revokedBy: req.user.id
+      });
+
+      res.json({ success: true, message: 'Invitation revoked' });
+    } catch (error) {
+      logger.error('Revoke invitation error:', error);
+      res.status(500).json({ success: false, error: 'Failed to revoke invitation' });
+    }
+  }
+);
+
+// @route   GET /api/admin/permissions
+// @desc    Catalogue of permissions that roles can bundle
+// @access  Private (role:manage)
+router.get('/permissions',
+  authenticate,
+  requirePermission('role:manage'),
+  (req, res) => {
+    res.json({ success: true, data: { permissions: permissionService.listPermissions() } });
+  }
+);
+
+// @route   GET /api/admin/roles
+// @desc    Roles usable everywhere plus those of institutions where the user manages roles
+// @access  Private (role:manage)
+router.get('/roles',
+  authenticate,
+  requirePermission('role:manage'),
+  async (req, res) => {
+    try {
+      const roles = await permissionService.listRoles(req.permissions);
+
+      res.json({ success: true, data: { roles } });
+    } catch (error) {
+      logger.error('Get roles error:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch roles' });
+    }
+  }
+);
+
+// @route   POST /api/admin/roles
+// @desc    Define a role. Without institutionId the role can be assigned for any institution
+// @access  Private (role:manage)
+router.post('/roles',
+  authenticate,
+  requirePermission('role:manage'),
+  validateRoleDefinition,
+  async (req, res) => {
+    try {
+      const { name, description, permissions, institutionId = null } = req.body;
+
+      const { role, error, status } = await permissionService.createRole(req.permissions, {
+        name,
+        description,
+        permissions,
+        institutionId,
+        createdById: req.user.id
+      });
+
+      if (!role) {
+        return res.status(status).json({ success: false, error });
+      }
+
+      auditLogger.info('Role created', {
+        roleId: role.id,
+        name,
+        permissions: role.permissions,
+        institutionId,
+        createdBy: req.user.id
+      });
+
+      res.status(201).json({ success: true, data: { role } });
+    } catch (error) {
+      logger.error('Create role error:', error);
+      res.status(500).json({ success: false, error: 'Failed to create role' });
+    }
+  }
+);
+
+// @route   PUT /api/admin/roles/:roleId
+// @desc    Change a role's description or permissions. Editing a built-in
+//          role changes what every user with that base role can do
+// @access  Private (role:manage)
+router.put('/roles/:roleId',
+  authenticate,
+  requirePermission('role:manage'),
+  validateRoleDefinition,
+  async (req, res) => {
+    try {
+      const { description, permissions } = req.body;
+
+      const { role, error, status } = await permissionService.updateRole(req.permissions, req.params.roleId, {
+        description,
+        permissions
+      });
+
+      if (!role) {
+        return res.status(status).json({ success: false, error });
+      }
+
+      auditLogger.warn('Role updated', {
+        roleId: role.id,
+        name: role.name,
+        permissions: role.permissions,
+        updatedBy: req.user.id
+      });
+
+      res.json({ success: true, data: { role } });
+    } catch (error) {
+      logger.error('Update role error:', error);
+      res.status(500).json({ success: false, error: 'Failed to update role' });
+    }
+  }
+);
+
+// @route   DELETE /api/admin/roles/:roleId
+// @desc    Delete a custom role and every assignment of it
+// @access  Private (role:manage)
+router.delete('/roles/:roleId',
+  authenticate,
+  requirePermission('role:manage'),
+  async (req, res) => {
+    try {
+      const { role, error, status } = await permissionService.deleteRole(req.permissions, req.params.roleId);
+
+      if (!role) {
+        return res.status(status).json({ success: false, error });
+      }
+
+      auditLogger.warn('Role deleted', {
+        roleId: role.id,
+        name: role.name,
+        deletedBy: req.user.id
+      });
+
+      res.json({ success: true, message: 'Role deleted' });
+    } catch (error) {
+      logger.error('Delete role error:', error);
+      res.status(500).json({ success: false, error: 'Failed to delete role' });
+    }
+  }
+);
+
+// @route   GET /api/admin/users/:id/permissions
+// @desc    Effective permissions of a user, from their base role and role assignments
+// @access  Private (user:read)
+router.get('/users/:id/permissions',
+  authenticate,
+  requirePermission('user:read'),
+  async (req, res) => {
+    try {
+      const user = await getPrismaClient().user.findUnique({
+        where: { id: req.params.id },
+        select: { id: true, role: true, institutionId: true }
+      });
+      if (!user) {
+        return res.status(404).json({ success: false, error: 'User not found' });
+      }
+
+      const permissions = await permissionService.getPermissions(user);
+
+      res.json({ success: true, data: { userId: user.id, role: user.role, permissions } });
+    } catch (error) {
+      logger.error('Get user permissions error:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch permissions' });
     }
   }
 );
 
-// @route   GET /api/admin/anomalies
-// @desc    Get anomalies with filtering
-// @access  Private (Admin roles only)
-router.get('/anomalies',
+// @route   GET /api/admin/users/:id/role-assignments
+// @desc    Roles assigned to a user, for institutions where the caller manages roles
+// @access  Private (role:manage)
+router.get('/users/:id/role-assignments',
   authenticate,
-  authorize('SUPER_ADMIN', 'UNIVERSITY_ADMIN'),
-  validatePagination,
+  requirePermission('role:manage'),
   async (req, res) => {
     try {
-      const prisma = getPrismaClient();
-      const { page = 1, limit = 10, severity, type } = req.query;
-      
-      const skip = (parseInt(page) - 1) * parseInt(limit);
-      const take = parseInt(limit);
+      const assignments = (await permissionService.listAssignments(req.params.id))
+        .filter(assignment => req.permissions.can('role:manage', assignment.institutionId));
 
-      let where = {};
-      if (req.user.role === 'UNIVERSITY_ADMIN') {
-        where.certificate = { institutionId: req.user.institutionId };
-      }
-      if (severity) where.severity = severity;
-      if (type) where.type = type;
+      res.json({ success: true, data: { assignments } });
+    } catch (error) {
+      logger.error('Get role assignments error:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch role assignments' });
+    }
+  }
+);
 
-      const [anomalies, total] = await Promise.all([
-        prisma.anomaly.findMany({
-          where,
-          skip,
-          take,
-          include: {
-            certificate: {
-              select: {
-                certificateNumber: true,
-                studentName: true,
-                institution: { select: { name: true } }
-              }
-            }
-          },
-          orderBy: { createdAt: 'desc' }
-        }),
-        prisma.anomaly.count({ where })
-      ]);
+// @route   POST /api/admin/users/:id/role-assignments
+// @desc    Assign a role to a user for one institution, or for all of them without institutionId
+// @access  Private (role:manage)
+router.post('/users/:id/role-assignments',
+  authenticate,
+  requirePermission('role:manage'),
+  validateRoleAssignment,
+  async (req, res) => {
+    try {
+      const { roleId, institutionId = null } = req.body;
 
-      res.json({
-        success: true,
-        data: {
-          anomalies,
-          pagination: {
-            page: parseInt(page),
-            limit: parseInt(limit),
-            total,
-            pages: Math.ceil(total / parseInt(limit))
-          }
-        }
+      const { assignment, error, status } = await permissionService.assignRole(req.permissions, {
+        userId: req.params.id,
+        roleId,
+        institutionId,
+        grantedById: req.user.id
+      });
+
+      if (!assignment) {
+        return res.status(status).json({ success: false, error });
+      }
+
+      auditLogger.warn('Role assigned', {
+        assignmentId: assignment.id,
+        userId: req.params.id,
+        roleId,
+        institutionId,
+        grantedBy: req.user.id
       });
+
+      res.status(201).json({ success: true, data: { assignment } });
     } catch (error) {
-      logger.error('Get anomalies error:', error);
-      res.status(500).json({ success: false, error: 'Failed to fetch anomalies' });
+      logger.error('Assign role error:', error);
+      res.status(500).json({ success: false, error: 'Failed to assign role' });
     }
   }
 );
 
-// @route   GET /api/admin/users
-// @desc    Get users with pagination
-// @access  Private (Super Admin only)
-router.get('/users',
+// @route   DELETE /api/admin/users/:id/role-assignments/:assignmentId
+// @desc    Remove a role from a user
+// @access  Private (role:manage)
+router.delete('/users/:id/role-assignments/:assignmentId',
   authenticate,
-  authorize('SUPER_ADMIN'),
-  validatePagination,
+  requirePermission('role:manage'),
   async (req, res) => {
     try {
-      const prisma = getPrismaClient();
-      const { page = 1, limit = 10, role, search } = req.query;
-      
-      const skip = (parseInt(page) - 1) * parseInt(limit);
-      const take = parseInt(limit);
+      const { assignment, error, status } = await permissionService.revokeAssignment(
+        req.permissions,
+        req.params.id,
+        req.params.assignmentId
+      );
 
-      let where = {};
-      if (role) where.role = role;
-      if (search) {
-        where.OR = [
-          { email: { contains: search, mode: 'insensitive' } },
-          { firstName: { contains: search, mode: 'insensitive' } }
-        ];
+      if (!assignment) {
+        return res.status(status).json({ success: false, error });
       }
 
-      const [users, total] = await Promise.all([
-        prisma.user.findMany({
-          where,
-          skip,
-          take,
-          select: {
-            id: true,
-            email: true,
-            firstName: true,
-            lastName: true,
-            role: true,
-            isActive: true,
-            createdAt: true,
-            institution: { select: { name: true } }
-          },
-          orderBy: { createdAt: 'desc' }
-        }),
-        prisma.user.count({ where })
-      ]);
-
-      res.json({
-        success: true,
-        data: {
-          users,
-          pagination: {
-            page: parseInt(page),
-            limit: parseInt(limit),
-            total,
-            pages: Math.ceil(total / parseInt(limit))
-          }
-        }
+      auditLogger.warn('Role assignment removed', {
+        assignmentId: assignment.id,
+        userId: req.params.id,
+        roleId: assignment.roleId,
+        institutionId: assignment.institutionId,
+        removedBy: req.user.id
       });
+
+      res.json({ success: true, message: 'Role assignment removed' });
     } catch (error) {
-      logger.error('Get users error:', error);
-      res.status(500).json({ success: false, error: 'Failed to fetch users' });
+      logger.error('Remove role assignment error:', error);
+      res.status(500).json({ success: false, error: 'Failed to remove role assignment' });
     }
   }
 );
 
 // @route   GET /api/admin/blockchain/status
 // @desc    Get blockchain network status and statistics
-// @access  Private (Admin roles only)
+// @access  Private (blockchain:read)
 router.get('/blockchain/status',
   authenticate,
-  authorize('SUPER_ADMIN', 'UNIVERSITY_ADMIN'),
+  requirePermission('blockchain:read'),
   async (req, res) => {
     try {
       const prisma = getPrismaClient();
@@ -221,7 +1138,7 @@ router.get('/blockchain/status',
       const networkStatus = await blockchainService.getNetworkStatus();
       
       // Get blockchain statistics
-      const [totalBlockchainCerts, recentBlockchainActivity] = await Promise.all([
+      const [totalBlockchainCerts, recentBlockchainActivity, anchoring] = await Promise.all([
         prisma.certificate.count({ where: { blockchainHash: { not: null } } }),
         prisma.certificate.findMany({
           where: { 
@@ -231,7 +1148,8 @@ router.get('/blockchain/status',
           select: { id: true, certificateNumber: true, createdAt: true },
           orderBy: { createdAt: 'desc' },
           take: 10
-        })
+        }),
+        anchoringService.getStats()
       ]);
 
       res.json({
@@ -242,7 +1160,8 @@ router.get('/blockchain/status',
             totalBlockchainCertificates: totalBlockchainCerts,
             recentActivity: recentBlockchainActivity.length,
             recentCertificates: recentBlockchainActivity
-          }
+          },
+          anchoring
         }
       });
     } catch (error) {
@@ -252,12 +1171,105 @@ router.get('/blockchain/status',
   }
 );
 
+// @route   GET /api/admin/blockchain/integrity
+// @desc    Audit the ledger hash chain (local ledger only)
+// @access  Private (blockchain:manage)
+router.get('/blockchain/integrity',
+  authenticate,
+  requirePermission('blockchain:manage'),
+  async (req, res) => {
+    try {
+      const integrity = await blockchainService.verifyLedgerIntegrity();
+
+      res.json({
+        success: true,
+        data: integrity
+      });
+    } catch (error) {
+      logger.error('Ledger integrity check error:', error);
+      res.status(500).json({ success: false, error: 'Failed to verify ledger integrity' });
+    }
+  }
+);
+
+// @route   GET /api/admin/blockchain/batches
+// @desc    List Merkle anchoring batches
+// @access  Private (blockchain:read)
+router.get('/blockchain/batches',
+  authenticate,
+  requirePermission('blockchain:read'),
+  validatePagination,
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 10, status } = req.query;
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const prisma = getPrismaClient();
+
+      const where = {};
+      if (status) where.status = status;
+
+      const [batches, total] = await Promise.all([
+        prisma.anchorBatch.findMany({
+          where,
+          skip,
+          take: parseInt(limit),
+          orderBy: { createdAt: 'desc' }
+        }),
+        prisma.anchorBatch.count({ where })
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          batches,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / parseInt(limit))
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Anchor batches fetch error:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch anchor batches' });
+    }
+  }
+);
+
+// @route   POST /api/admin/blockchain/batches/flush
+// @desc    Anchor all queued certificates now instead of waiting for the schedule
+// @access  Private (blockchain:manage)
+router.post('/blockchain/batches/flush',
+  authenticate,
+  requirePermission('blockchain:manage'),
+  async (req, res) => {
+    try {
+      const batches = await anchoringService.flush();
+
+      auditLogger.info('Anchoring batches flushed', {
+        userId: req.user.id,
+        batchCount: batches.length,
+        ip: req.ip
+      });
+
+      res.json({
+        success: true,
+        data: { batches }
+      });
+    } catch (error) {
+      logger.error('Anchor batch flush error:', error);
+      res.status(500).json({ success: false, error: 'Failed to anchor queued certificates' });
+    }
+  }
+);
+
 // @route   POST /api/admin/blockchain/verify-batch
 // @desc    Batch verify certificates using blockchain
-// @access  Private (Admin roles only)
+// @access  Private (blockchain:read)
 router.post('/blockchain/verify-batch',
   authenticate,
-  authorize('SUPER_ADMIN', 'UNIVERSITY_ADMIN'),
+  requirePermission('blockchain:read'),
   async (req, res) => {
     try {
       const { certificateIds } = req.body;
@@ -279,11 +1291,14 @@ router.post('/blockchain/verify-batch',
           });
 
           if (certificate && certificate.blockchainHash) {
-            const validation = await blockchainService.validateCertificate(certificate.blockchainHash);
+            const validation = await anchoringService.verifyCertificateAnchor(certificate);
             results.push({
               certificateId: certId,
               certificateNumber: certificate.certificateNumber,
-              isValid: validation.isValid,
+              isValid: validation.isValid && certificate.status !== 'REVOKED',
+              revoked: Boolean(validation.revoked) || certificate.status === 'REVOKED',
+              pending: Boolean(validation.pending),
+              method: validation.method,
               blockchainHash: certificate.blockchainHash
             });
           } else {
@@ -316,10 +1331,10 @@ router.post('/blockchain/verify-batch',
 
 // @route   GET /api/admin/forgery-trends
 // @desc    Get comprehensive forgery trend analysis
-// @access  Private (Admin roles only)
+// @access  Private (analytics:read)
 router.get('/forgery-trends',
   authenticate,
-  authorize('SUPER_ADMIN', 'UNIVERSITY_ADMIN'),
+  requirePermission('analytics:read'),
   async (req, res) => {
     try {
       const prisma = getPrismaClient();
@@ -335,11 +1350,16 @@ router.get('/forgery-trends',
         default: startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
       }
 
+      if (institutionId && !req.permissions.can('analytics:read', institutionId)) {
+        return res.status(403).json({ success: false, error: 'Access denied' });
+      }
+
       let whereClause = { createdAt: { gte: startDate } };
-      if (req.user.role === 'UNIVERSITY_ADMIN') {
-        whereClause.certificate = { institutionId: req.user.institutionId };
-      } else if (institutionId) {
+      const institutionFilter = req.permissions.institutionFilter('analytics:read');
+      if (institutionId) {
         whereClause.certificate = { institutionId };
+      } else if (institutionFilter) {
+        whereClause.certificate = { institutionId: institutionFilter };
       }
 
       // Get anomaly trends by type
@@ -414,26 +1434,31 @@ router.get('/forgery-trends',
 
 // @route   GET /api/admin/blacklist
 // @desc    Get blacklisted entities
-// @access  Private (Admin roles only)
+// @access  Private (blacklist:read)
 router.get('/blacklist',
   authenticate,
-  authorize('SUPER_ADMIN', 'UNIVERSITY_ADMIN'),
+  requirePermission('blacklist:read'),
   validatePagination,
   async (req, res) => {
     try {
       const prisma = getPrismaClient();
-      const { page = 1, limit = 10, type, search } = req.query;
+      const { page = 1, limit = 10, type, search, includeExpired } = req.query;
       
       const skip = (parseInt(page) - 1) * parseInt(limit);
       const take = parseInt(limit);
 
-      let where = { isActive: true };
+      let where = { isActive: true, AND: [] };
       if (type) where.type = type;
       if (search) {
-        where.OR = [
-          { identifier: { contains: search, mode: 'insensitive' } },
-          { reason: { contains: search, mode: 'insensitive' } }
-        ];
+        where.AND.push({
+          OR: [
+            { identifier: { contains: search, mode: 'insensitive' } },
+            { reason: { contains: search, mode: 'insensitive' } }
+          ]
+        });
+      }
+      if (includeExpired !== 'true') {
+        where.AND.push({ OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }] });
       }
 
       const [blacklistedEntities, total] = await Promise.all([
@@ -467,34 +1492,55 @@ router.get('/blacklist',
 
 // @route   POST /api/admin/blacklist
 // @desc    Add entity to blacklist
-// @access  Private (Super Admin only)
+// @access  Private (blacklist:write)
 router.post('/blacklist',
   authenticate,
-  authorize('SUPER_ADMIN'),
+  requirePermission('blacklist:write'),
   async (req, res) => {
     try {
-      const { type, identifier, reason } = req.body;
+      const { type, reason, expiresAt } = req.body;
 
-      if (!type || !identifier || !reason) {
+      if (!type || !req.body.identifier || !reason) {
         return res.status(400).json({
           success: false,
           error: 'Type, identifier, and reason are required'
         });
       }
 
-      const validTypes = ['INSTITUTION', 'CERTIFICATE', 'USER', 'IP'];
-      if (!validTypes.includes(type)) {
+      if (!blacklistService.types.includes(type)) {
         return res.status(400).json({
           success: false,
-          error: `Invalid type. Must be one of: ${validTypes.join(', ')}`
+          error: `Invalid type. Must be one of: ${blacklistService.types.join(', ')}`
         });
       }
 
+      // IPs may be single addresses or CIDR ranges
+      const { identifier, error } = blacklistService.normalizeIdentifier(type, req.body.identifier);
+      if (error) {
+        return res.status(400).json({ success: false, error });
+      }
+
+      let expiry = null;
+      if (expiresAt) {
+        expiry = new Date(expiresAt);
+        if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+          return res.status(400).json({
+            success: false,
+            error: 'expiresAt must be a date in the future'
+          });
+        }
+      }
+
       const prisma = getPrismaClient();
 
       // Check if already blacklisted
       const existing = await prisma.blacklistedEntity.findFirst({
-        where: { type, identifier, isActive: true }
+        where: {
+          type,
+          identifier: { equals: identifier, mode: 'insensitive' },
+          isActive: true,
+          OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }]
+        }
       });
 
       if (existing) {
@@ -505,8 +1551,20 @@ router.post('/blacklist',
       }
 
       const blacklistedEntity = await prisma.blacklistedEntity.create({
-        data: { type, identifier, reason }
+        data: { type, identifier, reason, expiresAt: expiry }
       });
+      blacklistService.invalidate();
+
+      // A blacklisted user is logged out everywhere
+      let sessionsRevoked = 0;
+      if (type === 'USER') {
+        const user = await prisma.user.findFirst({
+          where: { OR: [{ id: identifier }, { email: identifier }] }
+        });
+        if (user) {
+          sessionsRevoked = await sessionService.revokeAllForUser(user.id, 'BLACKLISTED');
+        }
+      }
 
       // Log blacklist action
       auditLogger.info('Entity blacklisted', {
@@ -514,6 +1572,8 @@ router.post('/blacklist',
         type,
         identifier,
         reason,
+        expiresAt: expiry,
+        sessionsRevoked,
         userId: req.user.id,
         ip: req.ip
       });
@@ -531,10 +1591,10 @@ router.post('/blacklist',
 
 // @route   DELETE /api/admin/blacklist/:id
 // @desc    Remove entity from blacklist
-// @access  Private (Super Admin only)
+// @access  Private (blacklist:write)
 router.delete('/blacklist/:id',
   authenticate,
-  authorize('SUPER_ADMIN'),
+  requirePermission('blacklist:write'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -555,6 +1615,7 @@ router.delete('/blacklist/:id',
         where: { id },
         data: { isActive: false }
       });
+      blacklistService.invalidate();
 
       // Log removal action
       auditLogger.info('Entity removed from blacklist', {
@@ -576,12 +1637,157 @@ router.delete('/blacklist/:id',
   }
 );
 
+// @route   GET /api/admin/incidents
+// @desc    List security incidents with their SLA timers. Filters: status and
+//          severity (comma-separated), type, assignedTo (user id, 'me' or
+//          'unassigned'), userId, certificateId, ipAddress, from, to,
+//          overdue, search
+// @access  Private (incident:read)
+router.get('/incidents',
+  authenticate,
+  requirePermission('incident:read'),
+  validatePagination,
+  validateIncidentFilters,
+  async (req, res) => {
+    try {
+      const { incidents, pagination } = await incidentService.list(req.query, req.user.id);
+
+      res.json({ success: true, data: { incidents, pagination } });
+    } catch (error) {
+      logger.error('Get incidents error:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch incidents' });
+    }
+  }
+);
+
+// @route   GET /api/admin/incidents/summary
+// @desc    Incident counts by status and severity, and how many are overdue
+// @access  Private (incident:read)
+router.get('/incidents/summary',
+  authenticate,
+  requirePermission('incident:read'),
+  async (req, res) => {
+    try {
+      const summary = await incidentService.getSummary();
+
+      res.json({ success: true, data: { ...summary, slaHours: incidentService.slaHours } });
+    } catch (error) {
+      logger.error('Get incident summary error:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch incident summary' });
+    }
+  }
+);
+
+// @route   GET /api/admin/incidents/:incidentId
+// @desc    Get an incident with its activity and related user and certificate
+// @access  Private (incident:read)
+router.get('/incidents/:incidentId',
+  authenticate,
+  requirePermission('incident:read'),
+  async (req, res) => {
+    try {
+      const incident = await incidentService.get(req.params.incidentId);
+      if (!incident) {
+        return res.status(404).json({ success: false, error: 'Incident not found' });
+      }
+
+      res.json({ success: true, data: { incident } });
+    } catch (error) {
+      logger.error('Get incident error:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch incident' });
+    }
+  }
+);
+
+// @route   PATCH /api/admin/incidents/:incidentId/assignment
+// @desc    Assign an incident to an administrator, or unassign it (assigneeId null)
+// @access  Private (incident:manage)
+router.patch('/incidents/:incidentId/assignment',
+  authenticate,
+  requirePermission('incident:manage'),
+  validateIncidentAssignment,
+  async (req, res) => {
+    try {
+      const { assigneeId = null, comment = null } = req.body;
+
+      const { incident, error, status } = await incidentService.assign(req.user, req.params.incidentId, assigneeId, {
+        comment,
+        ipAddress: req.ip
+      });
+
+      if (!incident) {
+        return res.status(status).json({ success: false, error });
+      }
+
+      res.json({ success: true, data: { incident } });
+    } catch (error) {
+      logger.error('Assign incident error:', error);
+      res.status(500).json({ success: false, error: 'Failed to assign incident' });
+    }
+  }
+);
+
+// @route   PATCH /api/admin/incidents/:incidentId/status
+// @desc    Move an incident along OPEN -> INVESTIGATING -> RESOLVED/FALSE_POSITIVE
+// @access  Private (incident:manage)
+router.patch('/incidents/:incidentId/status',
+  authenticate,
+  requirePermission('incident:manage'),
+  validateIncidentStatusChange,
+  async (req, res) => {
+    try {
+      const { status: toStatus, comment = null } = req.body;
+
+      const { incident, error, status } = await incidentService.changeStatus(req.user, req.params.incidentId, toStatus, {
+        comment,
+        ipAddress: req.ip
+      });
+
+      if (!incident) {
+        return res.status(status).json({ success: false, error });
+      }
+
+      res.json({ success: true, data: { incident } });
+    } catch (error) {
+      logger.error('Change incident status error:', error);
+      res.status(500).json({ success: false, error: 'Failed to change incident status' });
+    }
+  }
+);
+
+// @route   POST /api/admin/incidents/:incidentId/comments
+// @desc    Comment on an incident
+// @access  Private (incident:manage)
+router.post('/incidents/:incidentId/comments',
+  authenticate,
+  requirePermission('incident:manage'),
+  validateIncidentComment,
+  async (req, res) => {
+    try {
+      const { activity, error, status } = await incidentService.addComment(
+        req.user,
+        req.params.incidentId,
+        req.body.comment
+      );
+
+      if (!activity) {
+        return res.status(status).json({ success: false, error });
+      }
+
+      res.status(201).json({ success: true, data: { comment: activity } });
+    } catch (error) {
+      logger.error('Comment on incident error:', error);
+      res.status(500).json({ success: false, error: 'Failed to add comment' });
+    }
+  }
+);
+
 // @route   GET /api/admin/analytics/summary
 // @desc    Get comprehensive analytics summary
-// @access  Private (Admin roles only)
+// @access  Private (analytics:read)
 router.get('/analytics/summary',
   authenticate,
-  authorize('SUPER_ADMIN', 'UNIVERSITY_ADMIN'),
+  requirePermission('analytics:read'),
   async (req, res) => {
     try {
       const prisma = getPrismaClient();
@@ -597,8 +1803,9 @@ router.get('/analytics/summary',
       }
 
       let whereClause = {};
-      if (req.user.role === 'UNIVERSITY_ADMIN') {
-        whereClause.institutionId = req.user.institutionId;
+      const institutionFilter = req.permissions.institutionFilter('analytics:read');
+      if (institutionFilter) {
+        whereClause.institutionId = institutionFilter;
       }
 
       const [certificateStats, verificationStats, anomalyStats] = await Promise.all([
@@ -1,12 +1,194 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { getPrismaClient } = require('../config/database');
-const { validateUserLogin, validateUserRegistration } = require('../middleware/validation');
+const { authenticate, optionalAuth } = require('../middleware/auth');
+const {
+  validateUserLogin,
+  validateUserRegistration,
+  validateRefreshToken,
+  validateProfileUpdate,
+  validatePasswordChange,
+  validatePasswordResetRequest,
+  validatePasswordReset,
+  validateEmailVerification,
+  validatePhoneVerification,
+  validateInvitationAcceptance,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable
+} = require('../middleware/validation');
+const sessionService = require('../services/sessionService');
+const accountTokenService = require('../services/accountTokenService');
+const notificationService = require('../services/notificationService');
+const invitationService = require('../services/invitationService');
+const twoFactorService = require('../services/twoFactorService');
+const loginProtectionService = require('../services/loginProtectionService');
+const blacklistService = require('../services/blacklistService');
+const auditService = require('../utils/auditLogger');
 const { logger, auditLogger } = require('../utils/logger');
 
 const router = express.Router();
 
+/**
+ * Send a verification link to the user's current email address.
+ * Resolves to false if the email could not be sent.
+ */
+const sendEmailVerification = async (user) => {
+  const { token, expiresInMinutes } = await accountTokenService.issueLinkToken(user, 'EMAIL_VERIFICATION');
+  return notificationService.sendEmailVerification(user, token, expiresInMinutes);
+};
+
+/**
+ * User fields safe to return to clients
+ */
+const withoutPassword = (user) => {
+  const {
+    password: _,
+    twoFactorSecret: __,
+    twoFactorLastStep: ___,
+    twoFactorRecoveryCodes: ____,
+    ...rest
+  } = user;
+  return rest;
+};
+
+/**
+ * Start a session for a user who has passed every login step and send the
+ * login response
+ */
+const completeLogin = async (user, req, res, extra = {}) => {
+  const prisma = getPrismaClient();
+
+  // Start a session with a short-lived access token and a refresh token
+  const { session, accessToken, refreshToken, expiresIn } = await sessionService.createSession(user, req);
+
+  await loginProtectionService.recordSuccess({
+    email: user.email,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    userId: user.id
+  });
+
+  // Update last login
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { lastLogin: new Date() }
+  });
+
+  // Log successful login
+  auditLogger.info('User login successful', {
+    userId: user.id,
+    email: user.email,
+    role: user.role,
+    sessionId: session.id,
+    twoFactor: user.twoFactorEnabled,
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: withoutPassword(user),
+      token: accessToken,
+      refreshToken,
+      expiresIn,
+      ...extra
+    }
+  });
+};
+
+/**
+ * Refuse a login that is locked out or throttled
+ */
+const sendLoginRefusal = (res, refusal) => {
+  res.set('Retry-After', String(refusal.retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: refusal.message
+  });
+};
+
+/**
+ * Refuse the login of a blacklisted user. Resolves to true when refused.
+ */
+const refuseBlacklistedUser = async (user, req, res) => {
+  const entry = await blacklistService.findForUser(user);
+  if (!entry) {
+    return false;
+  }
+
+  await loginProtectionService.record({
+    email: user.email,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    userId: user.id,
+    outcome: 'BLOCKED',
+    reason: 'BLACKLISTED'
+  });
+  auditLogger.warn('Login refused for blacklisted user', {
+    userId: user.id,
+    blacklistEntryId: entry.id,
+    ip: req.ip
+  });
+
+  res.status(403).json({
+    success: false,
+    message: 'Account is blocked'
+  });
+  return true;
+};
+
+/**
+ * Active, non-blacklisted user named by a login challenge token, or null
+ */
+const findChallengeUser = async (challengeToken, purpose) => {
+  const userId = twoFactorService.readChallenge(challengeToken, purpose);
+  if (!userId) {
+    return null;
+  }
+
+  const user = await getPrismaClient().user.findUnique({
+    where: { id: userId },
+    include: { institution: true }
+  });
+  if (!user || !user.isActive || await blacklistService.findForUser(user)) {
+    return null;
+  }
+  return user;
+};
+
+/**
+ * Authenticate either with an access token or, for users who must enrol in
+ * 2FA before they can log in, with the setup challenge from /login
+ */
+const authenticateForTwoFactorSetup = async (req, res, next) => {
+  if (!req.body.challengeToken) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    const user = await findChallengeUser(req.body.challengeToken, 'setup');
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired login challenge. Please log in again.'
+      });
+    }
+
+    req.user = user;
+    req.twoFactorSetupLogin = true;
+    next();
+  } catch (error) {
+    logger.error('Two-factor setup challenge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
@@ -14,6 +196,12 @@ router.post('/login', validateUserLogin, async (req, res) => {
   try {
     const { email, password } = req.body;
     const prisma = getPrismaClient();
+    const attempt = { email, ipAddress: req.ip, userAgent: req.get('User-Agent') };
+
+    const refusal = await loginProtectionService.check(attempt);
+    if (refusal) {
+      return sendLoginRefusal(res, refusal);
+    }
 
     // Find user by email
     const user = await prisma.user.findUnique({
@@ -22,6 +210,7 @@ router.post('/login', validateUserLogin, async (req, res) => {
     });
 
     if (!user) {
+      await loginProtectionService.recordFailure({ ...attempt, reason: 'UNKNOWN_USER' });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -39,47 +228,91 @@ router.post('/login', validateUserLogin, async (req, res) => {
     // Verify password
     const isPasswordValid = await bcrypt.compare(password, user.password);
     if (!isPasswordValid) {
+      await loginProtectionService.recordFailure({ ...attempt, userId: user.id, reason: 'INVALID_PASSWORD' });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    if (await refuseBlacklistedUser(user, req, res)) {
+      return;
+    }
+
+    // Administrative roles may need a second step
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: twoFactorService.createChallenge(user, 'verify')
+        }
+      });
+    }
 
-    // Update last login
-    await prisma.user.update({
-      where: { id: user.id },
-      data: { lastLogin: new Date() }
-    });
+    if (twoFactorService.isAvailable(user) && await twoFactorService.isRequired(user)) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication is required for your role. Set it up to continue.',
+        data: {
+          twoFactorSetupRequired: true,
+          challengeToken: twoFactorService.createChallenge(user, 'setup')
+        }
+      });
+    }
 
-    // Log successful login
-    auditLogger.info('User login successful', {
-      userId: user.id,
-      email: user.email,
-      role: user.role,
-      ip: req.ip,
-      userAgent: req.get('User-Agent')
+    await completeLogin(user, req, res);
+  } catch (error) {
+    logger.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
     });
+  }
+});
 
-    // Remove password from response
-    const { password: _, ...userWithoutPassword } = user;
+// @route   POST /api/auth/login/2fa
+// @desc    Second login step: authenticator code or recovery code
+// @access  Public (requires the challenge token from /login)
+router.post('/login/2fa', validateTwoFactorLogin, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
 
-    res.json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        user: userWithoutPassword,
-        token
-      }
-    });
+    const user = await findChallengeUser(challengeToken, 'verify');
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired login challenge. Please log in again.'
+      });
+    }
+
+    // Codes are guessed like passwords, so the same limits apply
+    const attempt = { email: user.email, ipAddress: req.ip, userAgent: req.get('User-Agent'), userId: user.id };
+    const refusal = await loginProtectionService.check(attempt);
+    if (refusal) {
+      return sendLoginRefusal(res, refusal);
+    }
+
+    const result = await twoFactorService.verify(user, { code, recoveryCode });
+    if (!result.verified) {
+      await loginProtectionService.recordFailure({ ...attempt, reason: 'INVALID_2FA' });
+      auditLogger.warn('Two-factor login failed', {
+        userId: user.id,
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+      return res.status(401).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    await completeLogin(user, req, res, result.usedRecoveryCode
+      ? { remainingRecoveryCodes: result.remainingRecoveryCodes }
+      : {});
   } catch (error) {
-    logger.error('Login error:', error);
+    logger.error('Two-factor login error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
@@ -88,7 +321,7 @@ router.post('/login', validateUserLogin, async (req, res) => {
 });
 
 // @route   POST /api/auth/register
-// @desc    Register new user
+// @desc    Register new PUBLIC or STUDENT user; other roles require an invitation
 // @access  Public
 router.post('/register', validateUserRegistration, async (req, res) => {
   try {
@@ -123,31 +356,30 @@ router.post('/register', validateUserRegistration, async (req, res) => {
       }
     });
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // Start a session with a short-lived access token and a refresh token
+    const { session, accessToken, refreshToken, expiresIn } = await sessionService.createSession(user, req);
+
+    // A failed email should not fail registration; the user can ask again
+    sendEmailVerification(user).catch(error => logger.error('Failed to send verification email:', error));
 
     // Log successful registration
     auditLogger.info('User registration successful', {
       userId: user.id,
       email: user.email,
       role: user.role,
+      sessionId: session.id,
       ip: req.ip,
       userAgent: req.get('User-Agent')
     });
 
-    // Remove password from response
-    const { password: _, ...userWithoutPassword } = user;
-
     res.status(201).json({
       success: true,
       message: 'Registration successful',
       data: {
-        user: userWithoutPassword,
-        token
+        user: withoutPassword(user),
+        token: accessToken,
+        refreshToken,
+        expiresIn
       }
     });
   } catch (error) {
@@ -181,14 +413,792 @@ router.post('/register', validateUserRegistration, async (req, res) => {
   }
 });
 
-// @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
+// @route   POST /api/auth/invitations/lookup
+// @desc    Show who an invitation is for before accepting it
+// @access  Public
+router.post('/invitations/lookup', async (req, res) => {
+  try {
+    const { invitation, error } = await invitationService.findPending(req.body.token);
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const existingUser = await getPrismaClient().user.findUnique({
+      where: { email: invitation.email },
+      select: { id: true }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        email: invitation.email,
+        role: invitation.role,
+        institution: invitation.institution
+          ? { id: invitation.institution.id, name: invitation.institution.name, code: invitation.institution.code }
+          : null,
+        expiresAt: invitation.expiresAt,
+        accountExists: Boolean(existingUser)
+      }
+    });
+  } catch (error) {
+    logger.error('Invitation lookup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/invitations/accept
+// @desc    Accept an invitation, creating an account or granting the role to the logged-in user
+// @access  Public (existing accounts must be logged in as the invited user)
+router.post('/invitations/accept', optionalAuth, validateInvitationAcceptance, async (req, res) => {
+  try {
+    const { token, password, firstName, lastName, phone } = req.body;
+
+    const { user, invitation, created, error, status } = await invitationService.accept(token, {
+      currentUser: req.user || null,
+      profile: { password, firstName, lastName, phone }
+    });
+
+    if (!user) {
+      return res.status(status).json({
+        success: false,
+        message: error
+      });
+    }
+
+    await auditService.logInvitationAccepted(invitation, user, req.ip, req.get('User-Agent'));
+
+    // New accounts are logged in straight away, like registration
+    const data = { user: withoutPassword(user) };
+    if (created) {
+      const { accessToken, refreshToken, expiresIn } = await sessionService.createSession(user, req);
+      Object.assign(data, { token: accessToken, refreshToken, expiresIn });
+    }
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: `Invitation accepted. You are now ${invitation.role}${invitation.institution ? ` at ${invitation.institution.name}` : ''}.`,
+      data
+    });
+  } catch (error) {
+    logger.error('Invitation acceptance error:', error);
+
+    if (error.code === 'P2002') {
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/auth/me
+// @desc    Get the current user
 // @access  Private
-router.post('/logout', (req, res) => {
+router.get('/me', authenticate, (req, res) => {
   res.json({
     success: true,
-    message: 'Logout successful'
+    data: withoutPassword(req.user)
   });
 });
 
+// @route   PUT /api/auth/profile
+// @desc    Update the current user's profile
+// @access  Private
+router.put('/profile', authenticate, validateProfileUpdate, async (req, res) => {
+  try {
+    const prisma = getPrismaClient();
+    const { firstName, lastName, phone, email } = req.body;
+
+    const data = {};
+    if (firstName !== undefined) data.firstName = firstName;
+    if (lastName !== undefined) data.lastName = lastName;
+
+    // Changed contact details must be verified again
+    if (phone !== undefined && phone !== req.user.phone) {
+      data.phone = phone;
+      data.phoneVerified = false;
+    }
+    if (email !== undefined && email !== req.user.email) {
+      const existingUser = await prisma.user.findUnique({ where: { email } });
+      if (existingUser) {
+        return res.status(400).json({
+          success: false,
+          message: 'User with this email already exists'
+        });
+      }
+      data.email = email;
+      data.emailVerified = false;
+    }
+
+    const user = await prisma.user.update({
+      where: { id: req.user.id },
+      data,
+      include: { institution: true }
+    });
+
+    if (data.email) {
+      sendEmailVerification(user).catch(error => logger.error('Failed to send verification email:', error));
+    }
+
+    auditLogger.info('User profile updated', {
+      userId: user.id,
+      fields: Object.keys(data),
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Profile updated',
+      data: withoutPassword(user)
+    });
+  } catch (error) {
+    logger.error('Profile update error:', error);
+
+    if (error.code === 'P2002') {
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/change-password
+// @desc    Change password; other sessions are logged out
+// @access  Private
+router.post('/change-password', authenticate, validatePasswordChange, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const prisma = getPrismaClient();
+
+    const isPasswordValid = await bcrypt.compare(currentPassword, req.user.password);
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (await bcrypt.compare(newPassword, req.user.password)) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be different from the current password'
+      });
+    }
+
+    const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { password: await bcrypt.hash(newPassword, saltRounds) }
+    });
+
+    const sessionsRevoked = await sessionService.revokeAllForUser(req.user.id, 'PASSWORD_CHANGED', {
+      exceptSessionId: req.authSession.id
+    });
+
+    auditLogger.info('User password changed', {
+      userId: req.user.id,
+      sessionsRevoked,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully'
+    });
+  } catch (error) {
+    logger.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email/request
+// @desc    Send a new email verification link
+// @access  Private
+router.post('/verify-email/request', authenticate, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const sent = await sendEmailVerification(req.user);
+    if (!sent) {
+      return res.status(503).json({
+        success: false,
+        message: 'Email service is unavailable. Please try again later.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    logger.error('Email verification request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify email address with the token from the verification link
+// @access  Public
+router.post('/verify-email', validateEmailVerification, async (req, res) => {
+  try {
+    const { user, error } = await accountTokenService.consumeLinkToken(req.body.token, 'EMAIL_VERIFICATION');
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    await getPrismaClient().user.update({
+      where: { id: user.id },
+      data: { emailVerified: true }
+    });
+
+    auditLogger.info('User email verified', {
+      userId: user.id,
+      email: user.email,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    logger.error('Email verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-phone/request
+// @desc    Send a verification code to the user's phone
+// @access  Private
+router.post('/verify-phone/request', authenticate, async (req, res) => {
+  try {
+    if (!req.user.phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Add a phone number to your profile first'
+      });
+    }
+    if (req.user.phoneVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone number is already verified'
+      });
+    }
+
+    const { code, expiresInMinutes } = await accountTokenService.issuePhoneCode(req.user);
+    const sent = await notificationService.sendPhoneVerificationCode(req.user.phone, code, expiresInMinutes);
+    if (!sent) {
+      return res.status(503).json({
+        success: false,
+        message: 'SMS service is unavailable. Please try again later.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification code sent'
+    });
+  } catch (error) {
+    logger.error('Phone verification request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-phone
+// @desc    Verify phone number with the code sent by SMS
+// @access  Private
+router.post('/verify-phone', authenticate, validatePhoneVerification, async (req, res) => {
+  try {
+    const { verified, error } = await accountTokenService.verifyPhoneCode(req.user, req.body.code);
+    if (!verified) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    await getPrismaClient().user.update({
+      where: { id: req.user.id },
+      data: { phoneVerified: true }
+    });
+
+    auditLogger.info('User phone verified', {
+      userId: req.user.id,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Phone number verified successfully'
+    });
+  } catch (error) {
+    logger.error('Phone verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', validatePasswordResetRequest, async (req, res) => {
+  try {
+    const prisma = getPrismaClient();
+    const user = await prisma.user.findUnique({ where: { email: req.body.email } });
+
+    if (user && user.isActive) {
+      const { token, expiresInMinutes } = await accountTokenService.issueLinkToken(user, 'PASSWORD_RESET');
+      await notificationService.sendPasswordReset(user, token, expiresInMinutes);
+
+      auditLogger.info('Password reset requested', {
+        userId: user.id,
+        ip: req.ip
+      });
+    }
+
+    // Same response whether or not the account exists
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    logger.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with the token from the reset link; all sessions are logged out
+// @access  Public
+router.post('/reset-password', validatePasswordReset, async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    const { user, error } = await accountTokenService.consumeLinkToken(token, 'PASSWORD_RESET');
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+    await getPrismaClient().user.update({
+      where: { id: user.id },
+      // Following the emailed link also proves the address
+      data: { password: await bcrypt.hash(newPassword, saltRounds), emailVerified: true }
+    });
+
+    const sessionsRevoked = await sessionService.revokeAllForUser(user.id, 'PASSWORD_RESET');
+    await loginProtectionService.reset({
+      email: user.email,
+      userId: user.id,
+      reason: 'PASSWORD_RESET',
+      ipAddress: req.ip
+    });
+
+    auditLogger.info('User password reset', {
+      userId: user.id,
+      sessionsRevoked,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+  } catch (error) {
+    logger.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/auth/2fa
+// @desc    Two-factor status for the current user
+// @access  Private
+router.get('/2fa', authenticate, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        available: twoFactorService.isAvailable(req.user),
+        enabled: req.user.twoFactorEnabled,
+        required: await twoFactorService.isRequired(req.user),
+        enabledAt: req.user.twoFactorEnabledAt,
+        remainingRecoveryCodes: req.user.twoFactorRecoveryCodes.length
+      }
+    });
+  } catch (error) {
+    logger.error('Two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start enrolment: new TOTP secret with a QR code for authenticator apps
+// @access  Private (or the setup challenge token from /login)
+router.post('/2fa/setup', authenticateForTwoFactorSetup, async (req, res) => {
+  try {
+    if (!twoFactorService.isAvailable(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is only available for administrative roles'
+      });
+    }
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const { secret, otpauthUrl, qrCode } = await twoFactorService.beginSetup(req.user);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code, then confirm with a code from your authenticator app',
+      data: { secret, otpauthUrl, qrCode }
+    });
+  } catch (error) {
+    logger.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrolment with an authenticator code and receive recovery codes
+// @access  Private (or the setup challenge token from /login, which then completes the login)
+router.post('/2fa/enable', authenticateForTwoFactorSetup, validateTwoFactorCode, async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const { recoveryCodes, error } = await twoFactorService.enable(req.user, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    auditLogger.info('Two-factor authentication enabled', {
+      userId: req.user.id,
+      ip: req.ip
+    });
+
+    if (req.twoFactorSetupLogin) {
+      const user = await getPrismaClient().user.findUnique({
+        where: { id: req.user.id },
+        include: { institution: true }
+      });
+      return completeLogin(user, req, res, { recoveryCodes });
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    logger.error('Two-factor enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace recovery codes; the old ones stop working
+// @access  Private
+router.post('/2fa/recovery-codes', authenticate, validateTwoFactorCode, async (req, res) => {
+  try {
+    if (!req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const result = await twoFactorService.verify(req.user, { code: req.body.code });
+    if (!result.verified) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user);
+
+    auditLogger.info('Two-factor recovery codes regenerated', {
+      userId: req.user.id,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. Store them somewhere safe.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    logger.error('Recovery code regeneration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication (not allowed where policy requires it)
+// @access  Private
+router.post('/2fa/disable', authenticate, validateTwoFactorDisable, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+    if (await twoFactorService.isRequired(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role'
+      });
+    }
+
+    if (!(await bcrypt.compare(password, req.user.password))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    const result = await twoFactorService.verify(req.user, { code, recoveryCode });
+    if (!result.verified) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    await twoFactorService.disable(req.user.id);
+
+    auditLogger.warn('Two-factor authentication disabled', {
+      userId: req.user.id,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    logger.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public
+router.post('/refresh', validateRefreshToken, async (req, res) => {
+  try {
+    const result = await sessionService.refresh(req.body.refreshToken, req);
+
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      data: {
+        token: result.accessToken,
+        refreshToken: result.refreshToken,
+        expiresIn: result.expiresIn
+      }
+    });
+  } catch (error) {
+    logger.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Logout user, ending the current session
+// @access  Private
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.authSession.id, 'LOGOUT');
+
+    auditLogger.info('User logout', {
+      userId: req.user.id,
+      sessionId: req.authSession.id,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Logout successful'
+    });
+  } catch (error) {
+    logger.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    End all of the user's sessions, including the current one
+// @access  Private
+router.post('/logout-all', authenticate, async (req, res) => {
+  try {
+    const count = await sessionService.revokeAllForUser(req.user.id, 'LOGOUT_ALL');
+
+    auditLogger.info('User logged out of all sessions', {
+      userId: req.user.id,
+      sessionCount: count,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: `Logged out of ${count} session(s)`
+    });
+  } catch (error) {
+    logger.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the user's active sessions
+// @access  Private
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session,
+          current: session.id === req.authSession.id
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    End one of the user's sessions
+// @access  Private
+router.delete('/sessions/:sessionId', authenticate, async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeSession(req.params.sessionId, 'LOGOUT', req.user.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    auditLogger.info('User session ended', {
+      userId: req.user.id,
+      sessionId: req.params.sessionId,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Session ended'
+    });
+  } catch (error) {
+    logger.error('End session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -3,11 +3,18 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
 const { getPrismaClient } = require('../config/database');
-const { authenticate, authorize } = require('../middleware/auth');
-const { validateCertificateUpload, validateId, validatePagination } = require('../middleware/validation');
+const { authenticate, requirePermission, authenticateUserOrApiKey } = require('../middleware/auth');
+const { validateCertificateUpload, validateId, validatePagination, validateCertificateRevocation } = require('../middleware/validation');
 const ocrService = require('../services/ocrService');
 const verificationService = require('../services/verificationService');
 const blockchainService = require('../services/blockchainService');
+const anchoringService = require('../services/anchoringService');
+const revocationService = require('../services/revocationService');
+const credentialService = require('../services/credentialService');
+const bulkUploadJobService = require('../services/bulkUploadJobService');
+const columnMappingService = require('../services/columnMappingService');
+const permissionService = require('../services/permissionService');
+const certificateClaimService = require('../services/certificateClaimService');
 const { logger, auditLogger } = require('../utils/logger');
 
 const router = express.Router();
@@ -46,12 +53,46 @@ const upload = multer({
   }
 });
 
+// Spreadsheets for bulk upload are stored separately from certificate scans
+const bulkUpload = multer({
+  storage: multer.diskStorage({
+    destination: async (req, file, cb) => {
+      const uploadDir = path.join(process.cwd(), 'uploads', 'bulk');
+      try {
+        await fs.mkdir(uploadDir, { recursive: true });
+        cb(null, uploadDir);
+      } catch (error) {
+        cb(error);
+      }
+    },
+    filename: (req, file, cb) => {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      cb(null, `bulk-${uniqueSuffix}${path.extname(file.originalname)}`);
+    }
+  }),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB
+  }
+});
+
+// Institution an upload is for: the one named in the request, else the
+// user's own, else the only one they hold the permission for
+const resolveTargetInstitution = (req, permission) => (
+  req.body.institutionId || req.user.institutionId || req.permissions.soleInstitution(permission)
+);
+
+// Whether the request's user may see a certificate
+const canReadCertificate = (permissions, certificate) => (
+  permissions.can('certificate:read', certificate.institutionId) ||
+  (certificate.status === 'VERIFIED' && permissions.has('certificate:read-verified'))
+);
+
 // @route   POST /api/certificates/upload
 // @desc    Upload and process a certificate
-// @access  Private (Institution Admin, Super Admin)
-router.post('/upload', 
-  authenticate, 
-  authorize('UNIVERSITY_ADMIN', 'SUPER_ADMIN'),
+// @access  Private (certificate:create) or API key (issue scope)
+router.post('/upload',
+  authenticateUserOrApiKey('issue'),
+  requirePermission('certificate:create'),
   upload.single('certificate'),
   validateCertificateUpload,
   async (req, res) => {
@@ -63,6 +104,22 @@ router.post('/upload',
         });
       }
 
+      const institutionId = resolveTargetInstitution(req, 'certificate:create');
+      if (!institutionId) {
+        await fs.unlink(req.file.path).catch(() => {});
+        return res.status(400).json({
+          success: false,
+          error: 'Institution ID is required'
+        });
+      }
+      if (!req.permissions.can('certificate:create', institutionId)) {
+        await fs.unlink(req.file.path).catch(() => {});
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
       const prisma = getPrismaClient();
       const certificateData = req.body;
       
@@ -86,6 +143,8 @@ router.post('/upload',
           motherName: certificateData.motherName,
           rollNumber: certificateData.rollNumber,
           registrationNumber: certificateData.registrationNumber,
+          studentEmail: certificateData.studentEmail,
+          studentPhone: certificateData.studentPhone,
           course: certificateData.course,
           branch: certificateData.branch,
           passingYear: parseInt(certificateData.passingYear),
@@ -102,32 +161,36 @@ router.post('/upload',
           ocrConfidence: ocrResult.confidence,
           extractedData: extractedData,
           isLegacy: certificateData.isLegacy === 'true',
-          institutionId: req.user.institutionId || certificateData.institutionId,
+          institutionId,
         },
         include: {
           institution: true
         }
       });
 
-      // Generate blockchain hash and QR code for new certificates
+      // Generate blockchain hash and QR code for new certificates;
+      // the hash is anchored with the next Merkle batch
       let blockchainResult = null;
       let qrCode = null;
       
       if (!certificate.isLegacy) {
         try {
-          blockchainResult = await blockchainService.storeCertificateOnBlockchain(certificate);
+          blockchainResult = anchoringService.queueCertificate(certificate);
           qrCode = await blockchainService.generateQRCode({
             ...certificate,
             blockchainHash: blockchainResult.blockchainHash
           });
 
+          const { signature, keyId } = await blockchainService.createDigitalSignature(certificate);
+
           // Update certificate with blockchain data
           await prisma.certificate.update({
             where: { id: certificate.id },
             data: {
-              blockchainHash: blockchainResult.blockchainHash,
+              ...blockchainResult,
               qrCode,
-              digitalSignature: blockchainService.createDigitalSignature(certificate)
+              digitalSignature: signature,
+              signatureKeyId: keyId
             }
           });
         } catch (blockchainError) {
@@ -157,6 +220,7 @@ router.post('/upload',
             status: certificate.status,
             ocrConfidence: certificate.ocrConfidence,
             blockchainHash: blockchainResult?.blockchainHash,
+            anchorStatus: blockchainResult?.anchorStatus,
             qrCode: qrCode
           },
           ocrValidation,
@@ -185,40 +249,47 @@ router.post('/upload',
 
 // @route   GET /api/certificates
 // @desc    Get certificates with pagination and filters
-// @access  Private
-router.get('/', 
-  authenticate,
+// @access  Private or API key (read scope). Lists certificates of institutions
+//          where the user has certificate:read, or verified certificates for
+//          users with only certificate:read-verified
+router.get('/',
+  authenticateUserOrApiKey('read'),
   validatePagination,
   async (req, res) => {
     try {
       const prisma = getPrismaClient();
+      const permissions = await permissionService.forRequest(req);
       const { page = 1, limit = 10, status, type, institutionId, search } = req.query;
       
       const skip = (parseInt(page) - 1) * parseInt(limit);
       const take = parseInt(limit);
 
-      // Build where clause based on user role and filters
-      let where = {};
-      
-      // Role-based filtering
-      if (req.user.role === 'UNIVERSITY_ADMIN') {
-        where.institutionId = req.user.institutionId;
-      } else if (req.user.role === 'VERIFIER' || req.user.role === 'PUBLIC') {
-        where.status = 'VERIFIED'; // Only show verified certificates to verifiers and public
+      // Build where clause from the user's permissions and filters
+      const conditions = [];
+
+      if (!permissions.has('certificate:read')) {
+        conditions.push({ status: permissions.has('certificate:read-verified') ? 'VERIFIED' : { in: [] } });
+      } else {
+        const readable = permissions.institutionFilter('certificate:read');
+        if (readable) conditions.push({ institutionId: readable });
       }
 
       // Apply filters
-      if (status) where.status = status;
-      if (type) where.type = type;
-      if (institutionId && req.user.role === 'SUPER_ADMIN') where.institutionId = institutionId;
+      if (status) conditions.push({ status });
+      if (type) conditions.push({ type });
+      if (institutionId) conditions.push({ institutionId });
       if (search) {
-        where.OR = [
-          { studentName: { contains: search, mode: 'insensitive' } },
-          { certificateNumber: { contains: search, mode: 'insensitive' } },
-          { course: { contains: search, mode: 'insensitive' } }
-        ];
+        conditions.push({
+          OR: [
+            { studentName: { contains: search, mode: 'insensitive' } },
+            { certificateNumber: { contains: search, mode: 'insensitive' } },
+            { course: { contains: search, mode: 'insensitive' } }
+          ]
+        });
       }
 
+      const where = { AND: conditions };
+
       const [certificates, total] = await Promise.all([
         prisma.certificate.findMany({
           where,
@@ -261,9 +332,9 @@ router.get('/',
 
 // @route   GET /api/certificates/:id
 // @desc    Get certificate by ID
-// @access  Private
+// @access  Private or API key (read scope)
 router.get('/:id', 
-  authenticate,
+  authenticateUserOrApiKey('read'),
   validateId,
   async (req, res) => {
     try {
@@ -292,7 +363,7 @@ router.get('/:id',
       }
 
       // Check access permissions
-      if (req.user.role === 'UNIVERSITY_ADMIN' && certificate.institutionId !== req.user.institutionId) {
+      if (!canReadCertificate(await permissionService.forRequest(req), certificate)) {
         return res.status(403).json({
           success: false,
           error: 'Access denied'
@@ -313,12 +384,133 @@ router.get('/:id',
   }
 );
 
+// @route   GET /api/certificates/:id/credential
+// @desc    Export certificate as a signed W3C Verifiable Credential (VC-JWT)
+// @access  Private (certificate:read, or certificate:read-verified)
+router.get('/:id/credential',
+  authenticate,
+  validateId,
+  async (req, res) => {
+    try {
+      const prisma = getPrismaClient();
+      const { id } = req.params;
+
+      const certificate = await prisma.certificate.findUnique({
+        where: { id },
+        include: { institution: true }
+      });
+
+      if (!certificate) {
+        return res.status(404).json({
+          success: false,
+          error: 'Certificate not found'
+        });
+      }
+
+      // Check access permissions
+      if (!canReadCertificate(await permissionService.forRequest(req), certificate)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      if (certificate.status !== 'VERIFIED') {
+        return res.status(400).json({
+          success: false,
+          error: 'Only verified certificates can be issued as credentials'
+        });
+      }
+
+      const { jwt, credential } = await credentialService.issueCredential(certificate);
+
+      auditLogger.info('Verifiable credential issued', {
+        certificateId: id,
+        issuer: credential.issuer.id,
+        userId: req.user.id,
+        ip: req.ip
+      });
+
+      res.json({
+        success: true,
+        data: {
+          format: 'jwt_vc',
+          credential: jwt,
+          decoded: credential
+        }
+      });
+    } catch (error) {
+      logger.error('Credential export error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to issue credential'
+      });
+    }
+  }
+);
+
+// @route   GET /api/certificates/:id/changes
+// @desc    Field-level change history of a certificate
+// @access  Private (certificate:read)
+router.get('/:id/changes',
+  authenticate,
+  requirePermission('certificate:read'),
+  validateId,
+  async (req, res) => {
+    try {
+      const prisma = getPrismaClient();
+      const { id } = req.params;
+
+      const certificate = await prisma.certificate.findUnique({
+        where: { id },
+        select: { id: true, institutionId: true }
+      });
+
+      if (!certificate) {
+        return res.status(404).json({
+          success: false,
+          error: 'Certificate not found'
+        });
+      }
+
+      // Check permissions
+      if (!req.permissions.can('certificate:read', certificate.institutionId)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const changes = await prisma.certificateChange.findMany({
+        where: { certificateId: id },
+        include: {
+          changedBy: {
+            select: { id: true, firstName: true, lastName: true, email: true }
+          }
+        },
+        orderBy: { createdAt: 'desc' }
+      });
+
+      res.json({
+        success: true,
+        data: { changes }
+      });
+    } catch (error) {
+      logger.error('Get certificate changes error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch certificate changes'
+      });
+    }
+  }
+);
+
 // @route   PUT /api/certificates/:id/status
 // @desc    Update certificate status
-// @access  Private (University Admin, Super Admin)
+// @access  Private (certificate:update-status)
 router.put('/:id/status',
   authenticate,
-  authorize('UNIVERSITY_ADMIN', 'SUPER_ADMIN'),
+  requirePermission('certificate:update-status'),
   validateId,
   async (req, res) => {
     try {
@@ -338,13 +530,21 @@ router.put('/:id/status',
       }
 
       // Check permissions
-      if (req.user.role === 'UNIVERSITY_ADMIN' && certificate.institutionId !== req.user.institutionId) {
+      if (!req.permissions.can('certificate:update-status', certificate.institutionId)) {
         return res.status(403).json({
           success: false,
           error: 'Access denied'
         });
       }
 
+      // Revocation carries a reason and is propagated to the ledger
+      if (status === 'REVOKED' || certificate.status === 'REVOKED') {
+        return res.status(400).json({
+          success: false,
+          error: 'Use POST /api/certificates/:id/revoke to revoke a certificate; revoked certificates cannot change status'
+        });
+      }
+
       const updatedCertificate = await prisma.certificate.update({
         where: { id },
         data: { status },
@@ -377,12 +577,159 @@ router.put('/:id/status',
   }
 );
 
+// @route   POST /api/certificates/:id/revoke
+// @desc    Revoke a certificate and record the revocation on the ledger
+// @access  Private (certificate:revoke)
+router.post('/:id/revoke',
+  authenticate,
+  requirePermission('certificate:revoke'),
+  validateId,
+  validateCertificateRevocation,
+  async (req, res) => {
+    try {
+      const prisma = getPrismaClient();
+      const { id } = req.params;
+      const { reason, effectiveDate } = req.body;
+
+      const certificate = await prisma.certificate.findUnique({
+        where: { id },
+        include: { institution: true }
+      });
+
+      if (!certificate) {
+        return res.status(404).json({
+          success: false,
+          error: 'Certificate not found'
+        });
+      }
+
+      // Check permissions
+      if (!req.permissions.can('certificate:revoke', certificate.institutionId)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      let result;
+      if (certificate.status === 'REVOKED') {
+        // Only retry a ledger propagation that failed earlier
+        if (!certificate.blockchainHash || certificate.revocationTxHash) {
+          return res.status(400).json({
+            success: false,
+            error: 'Certificate is already revoked'
+          });
+        }
+        result = await revocationService.propagateRevocation(certificate);
+      } else {
+        result = await revocationService.revokeCertificate(certificate, {
+          reason,
+          effectiveAt: effectiveDate,
+          revokedById: req.user.id
+        });
+      }
+
+      auditLogger.info('Certificate revoked', {
+        certificateId: id,
+        certificateNumber: certificate.certificateNumber,
+        oldStatus: certificate.status,
+        reason: result.certificate.revocationReason,
+        effectiveAt: result.certificate.revocationEffectiveAt,
+        ledgerTransaction: result.certificate.revocationTxHash,
+        ledgerError: result.ledgerError,
+        userId: req.user.id,
+        ip: req.ip
+      });
+
+      res.json({
+        success: true,
+        data: {
+          certificate: result.certificate,
+          revocation: revocationService.getRevocationDetails(result.certificate),
+          ledger: {
+            recorded: Boolean(result.certificate.revocationTxHash),
+            error: result.ledgerError
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Certificate revocation error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to revoke certificate'
+      });
+    }
+  }
+);
+
+// @route   POST /api/certificates/:id/claim-code
+// @desc    Issue a code the student claims the certificate with, replacing
+//          any earlier one. The code is shown only once.
+// @access  Private (certificate:issue-claim-code)
+router.post('/:id/claim-code',
+  authenticate,
+  requirePermission('certificate:issue-claim-code'),
+  validateId,
+  async (req, res) => {
+    try {
+      const prisma = getPrismaClient();
+      const { id } = req.params;
+
+      const certificate = await prisma.certificate.findUnique({
+        where: { id }
+      });
+
+      if (!certificate) {
+        return res.status(404).json({
+          success: false,
+          error: 'Certificate not found'
+        });
+      }
+
+      if (!req.permissions.can('certificate:issue-claim-code', certificate.institutionId)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const { code, expiresAt, error, status } = await certificateClaimService.issueClaimCode(certificate, req.user, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+      if (error) {
+        return res.status(status).json({
+          success: false,
+          error
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Claim code issued. Hand it to the student; it will not be shown again.',
+        data: {
+          certificateNumber: certificate.certificateNumber,
+          rollNumber: certificate.rollNumber,
+          claimCode: code,
+          expiresAt
+        }
+      });
+    } catch (error) {
+      logger.error('Claim code issue error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to issue claim code'
+      });
+    }
+  }
+);
+
 // @route   DELETE /api/certificates/:id
 // @desc    Delete certificate
-// @access  Private (Super Admin only)
+// @access  Private (certificate:delete)
 router.delete('/:id',
   authenticate,
-  authorize('SUPER_ADMIN'),
+  requirePermission('certificate:delete'),
   validateId,
   async (req, res) => {
     try {
@@ -400,6 +747,13 @@ router.delete('/:id',
         });
       }
 
+      if (!req.permissions.can('certificate:delete', certificate.institutionId)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
       // Delete associated file
       if (certificate.filePath) {
         try {
@@ -437,12 +791,13 @@ router.delete('/:id',
 );
 
 // @route   POST /api/certificates/bulk-upload
-// @desc    Bulk upload certificates from CSV/Excel
-// @access  Private (University Admin, Super Admin)
+// @desc    Queue a CSV/Excel file of certificates for background processing.
+//          mode: create (default), update, upsert or revoke
+// @access  Private (certificate:bulk-upload) or API key (issue scope)
 router.post('/bulk-upload',
-  authenticate,
-  authorize('UNIVERSITY_ADMIN', 'SUPER_ADMIN'),
-  upload.single('file'),
+  authenticateUserOrApiKey('issue'),
+  requirePermission('certificate:bulk-upload'),
+  bulkUpload.single('file'),
   async (req, res) => {
     try {
       if (!req.file) {
@@ -462,13 +817,48 @@ router.post('/bulk-upload',
         });
       }
 
-      // Process bulk upload based on file format
-      const bulkUploadService = require('../services/bulkUploadService');
-      const result = await bulkUploadService.processBulkUpload(
+      const mode = (req.body.mode || 'CREATE').toUpperCase();
+      if (!bulkUploadJobService.modes.includes(mode)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid mode. Allowed modes: ${bulkUploadJobService.modes.join(', ').toLowerCase()}`
+        });
+      }
+
+      const institutionId = resolveTargetInstitution(req, 'certificate:bulk-upload');
+      if (!institutionId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Institution ID is required'
+        });
+      }
+      // Revoking in bulk also needs the revoke permission
+      if (!req.permissions.can('certificate:bulk-upload', institutionId) ||
+        (mode === 'REVOKE' && !req.permissions.can('certificate:revoke', institutionId))) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      let mappingProfile = null;
+      if (req.body.mappingProfileId) {
+        mappingProfile = await columnMappingService.getProfile(institutionId, req.body.mappingProfileId);
+        if (!mappingProfile) {
+          return res.status(400).json({
+            success: false,
+            error: 'Column mapping profile not found'
+          });
+        }
+      }
+
+      // Rows are parsed now and stored with the job, so the file is not needed afterwards
+      const job = await bulkUploadJobService.enqueue(
         req.file.path,
         req.file.originalname,
-        req.user.institutionId || req.body.institutionId,
-        req.user.id
+        institutionId,
+        req.user.id,
+        { profile: mappingProfile, mode, apiKeyId: req.apiKey?.id }
       );
 
       // Clean up uploaded file
@@ -479,20 +869,25 @@ router.post('/bulk-upload',
       }
 
       // Log bulk upload
-      auditLogger.info('Bulk certificate upload', {
+      auditLogger.info('Bulk certificate upload queued', {
+        jobId: job.id,
+        mode,
         fileName: req.file.originalname,
         userId: req.user.id,
-        institutionId: req.user.institutionId,
-        totalRecords: result.totalRecords,
-        successfulUploads: result.successfulUploads,
-        failedUploads: result.failedUploads,
+        institutionId,
+        totalRecords: job.totalRecords,
         ip: req.ip
       });
 
-      res.json({
+      res.status(202).json({
         success: true,
-        message: 'Bulk upload completed',
-        data: result
+        message: 'Bulk upload queued for processing',
+        data: {
+          jobId: job.id,
+          status: job.status,
+          mode: job.mode,
+          totalRecords: job.totalRecords
+        }
       });
     } catch (error) {
       logger.error('Bulk upload error:', error);
@@ -514,4 +909,305 @@ router.post('/bulk-upload',
   }
 );
 
+// @route   POST /api/certificates/bulk-upload/preview
+// @desc    Dry-run a CSV/Excel file without writing any certificates
+// @access  Private (certificate:bulk-upload) or API key (issue scope)
+router.post('/bulk-upload/preview',
+  authenticateUserOrApiKey('issue'),
+  requirePermission('certificate:bulk-upload'),
+  bulkUpload.single('file'),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          error: 'No file uploaded'
+        });
+      }
+
+      const allowedFormats = ['.csv', '.xlsx', '.xls'];
+      const fileExt = path.extname(req.file.originalname).toLowerCase();
+
+      if (!allowedFormats.includes(fileExt)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid file format. Allowed formats: ${allowedFormats.join(', ')}`
+        });
+      }
+
+      const institutionId = resolveTargetInstitution(req, 'certificate:bulk-upload');
+      if (!institutionId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Institution ID is required'
+        });
+      }
+      if (!req.permissions.can('certificate:bulk-upload', institutionId)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      let mappingProfile = null;
+      if (req.body.mappingProfileId) {
+        mappingProfile = await columnMappingService.getProfile(institutionId, req.body.mappingProfileId);
+        if (!mappingProfile) {
+          return res.status(400).json({
+            success: false,
+            error: 'Column mapping profile not found'
+          });
+        }
+      }
+
+      const { job, report } = await bulkUploadJobService.preview(
+        req.file.path,
+        req.file.originalname,
+        institutionId,
+        req.user.id,
+        { profile: mappingProfile, apiKeyId: req.apiKey?.id }
+      );
+
+      auditLogger.info('Bulk certificate upload previewed', {
+        jobId: job.id,
+        fileName: req.file.originalname,
+        userId: req.user.id,
+        institutionId,
+        ...report.summary,
+        ip: req.ip
+      });
+
+      res.json({
+        success: true,
+        message: 'Preview generated. Confirm the job to import the rows listed under create.',
+        data: {
+          jobId: job.id,
+          expiresAt: new Date(job.createdAt.getTime() + bulkUploadJobService.previewTtlMs),
+          report
+        }
+      });
+    } catch (error) {
+      logger.error('Bulk upload preview error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Bulk upload preview failed'
+      });
+    } finally {
+      // The parsed rows are stored with the job
+      if (req.file) {
+        try {
+          await fs.unlink(req.file.path);
+        } catch (cleanupError) {
+          logger.warn('File cleanup error:', cleanupError);
+        }
+      }
+    }
+  }
+);
+
+// Load a bulk upload job the current user may access
+const findAccessibleJob = async (req, res) => {
+  const job = await bulkUploadJobService.getJob(req.params.jobId);
+
+  if (!job) {
+    res.status(404).json({
+      success: false,
+      error: 'Bulk upload job not found'
+    });
+    return null;
+  }
+
+  if (!req.permissions.can('certificate:bulk-upload', job.institutionId)) {
+    res.status(403).json({
+      success: false,
+      error: 'Access denied'
+    });
+    return null;
+  }
+
+  return job;
+};
+
+// @route   GET /api/certificates/bulk-upload/jobs
+// @desc    List bulk upload jobs
+// @access  Private (certificate:bulk-upload) or API key (read scope)
+router.get('/bulk-upload/jobs',
+  authenticateUserOrApiKey('read'),
+  requirePermission('certificate:bulk-upload'),
+  validatePagination,
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 20, status } = req.query;
+
+      const where = { AND: [] };
+      const accessible = req.permissions.institutionFilter('certificate:bulk-upload');
+      if (accessible) where.AND.push({ institutionId: accessible });
+      if (req.query.institutionId) where.AND.push({ institutionId: req.query.institutionId });
+      if (status) where.AND.push({ status });
+
+      const { jobs, total } = await bulkUploadJobService.listJobs(where, {
+        skip: (parseInt(page) - 1) * parseInt(limit),
+        take: parseInt(limit)
+      });
+
+      res.json({
+        success: true,
+        data: {
+          jobs,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / parseInt(limit))
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Get bulk upload jobs error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch bulk upload jobs'
+      });
+    }
+  }
+);
+
+// @route   GET /api/certificates/bulk-upload/jobs/:jobId
+// @desc    Get bulk upload job progress, errors, duplicates and warnings
+// @access  Private (certificate:bulk-upload) or API key (read scope)
+router.get('/bulk-upload/jobs/:jobId',
+  authenticateUserOrApiKey('read'),
+  requirePermission('certificate:bulk-upload'),
+  async (req, res) => {
+    try {
+      const job = await findAccessibleJob(req, res);
+      if (!job) return;
+
+      res.json({
+        success: true,
+        data: job
+      });
+    } catch (error) {
+      logger.error('Get bulk upload job error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch bulk upload job'
+      });
+    }
+  }
+);
+
+// @route   POST /api/certificates/bulk-upload/jobs/:jobId/cancel
+// @desc    Cancel a queued or running bulk upload job, or discard a preview
+// @access  Private (certificate:bulk-upload) or API key (issue scope)
+router.post('/bulk-upload/jobs/:jobId/cancel',
+  authenticateUserOrApiKey('issue'),
+  requirePermission('certificate:bulk-upload'),
+  async (req, res) => {
+    try {
+      const job = await findAccessibleJob(req, res);
+      if (!job) return;
+
+      const cancelled = await bulkUploadJobService.cancel(job.id);
+      if (!cancelled) {
+        return res.status(400).json({
+          success: false,
+          error: `Job is already ${job.status.toLowerCase()}`
+        });
+      }
+
+      auditLogger.info('Bulk upload job cancelled', {
+        jobId: job.id,
+        processedRecords: job.processedRecords,
+        userId: req.user.id,
+        ip: req.ip
+      });
+
+      res.json({
+        success: true,
+        message: 'Bulk upload job cancelled',
+        data: await bulkUploadJobService.getJob(job.id)
+      });
+    } catch (error) {
+      logger.error('Cancel bulk upload job error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to cancel bulk upload job'
+      });
+    }
+  }
+);
+
+// @route   POST /api/certificates/bulk-upload/jobs/:jobId/confirm
+// @desc    Import the rows a preview would create
+// @access  Private (certificate:bulk-upload) or API key (issue scope)
+router.post('/bulk-upload/jobs/:jobId/confirm',
+  authenticateUserOrApiKey('issue'),
+  requirePermission('certificate:bulk-upload'),
+  async (req, res) => {
+    try {
+      const job = await findAccessibleJob(req, res);
+      if (!job) return;
+
+      const result = await bulkUploadJobService.confirm(job.id);
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          error: result.error
+        });
+      }
+
+      auditLogger.info('Bulk upload preview confirmed', {
+        jobId: job.id,
+        selectedRows: result.job.selectedRows.length,
+        userId: req.user.id,
+        ip: req.ip
+      });
+
+      res.status(202).json({
+        success: true,
+        message: 'Bulk upload queued for processing',
+        data: {
+          jobId: job.id,
+          status: result.job.status,
+          selectedRows: result.job.selectedRows.length
+        }
+      });
+    } catch (error) {
+      logger.error('Confirm bulk upload error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to confirm bulk upload'
+      });
+    }
+  }
+);
+
+// @route   GET /api/certificates/bulk-upload/jobs/:jobId/report
+// @desc    Download the per-row result report as CSV
+// @access  Private (certificate:bulk-upload) or API key (read scope)
+router.get('/bulk-upload/jobs/:jobId/report',
+  authenticateUserOrApiKey('read'),
+  requirePermission('certificate:bulk-upload'),
+  async (req, res) => {
+    try {
+      const job = await findAccessibleJob(req, res);
+      if (!job) return;
+
+      const report = await bulkUploadJobService.buildReport(job.id);
+      const baseName = path.basename(job.fileName, path.extname(job.fileName)).replace(/[^\w.-]/g, '_');
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${baseName}-report.csv"`);
+      res.send(report);
+    } catch (error) {
+      logger.error('Bulk upload report error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to generate bulk upload report'
+      });
+    }
+  }
+);
+
 module.exports = router;
@@ -1,17 +1,31 @@
 const express = require('express');
+const multer = require('multer');
+const path = require('path');
 const { getPrismaClient } = require('../config/database');
-const { authenticate, authorize } = require('../middleware/auth');
-const { validateInstitution, validateId, validatePagination } = require('../middleware/validation');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validateInstitution, validateId, validatePagination, validateColumnMappingProfile, validateApiKeyCreation, validateInvitation, validateConsentSettings } = require('../middleware/validation');
+const keyManagementService = require('../services/keyManagementService');
+const apiKeyService = require('../services/apiKeyService');
+const columnMappingService = require('../services/columnMappingService');
+const invitationService = require('../services/invitationService');
 const { logger, auditLogger } = require('../utils/logger');
 
 const router = express.Router();
 
+// Header rows for mapping suggestions are read in memory and never stored
+const headerUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB
+  }
+});
+
 // @route   POST /api/institutions
 // @desc    Create a new institution
-// @access  Private (Super Admin only)
+// @access  Private (institution:create)
 router.post('/', 
   authenticate,
-  authorize('SUPER_ADMIN'),
+  requirePermission('institution:create'),
   validateInstitution,
   async (req, res) => {
     try {
@@ -30,15 +44,14 @@ router.post('/',
         });
       }
 
-      // Generate API key for institution
-      const crypto = require('crypto');
-      const apiKey = crypto.randomBytes(32).toString('hex');
-
       const institution = await prisma.institution.create({
-        data: {
-          ...institutionData,
-          apiKey
-        }
+        data: institutionData
+      });
+
+      // Initial API key; only its hash is stored, so it is returned once here
+      const { key } = await apiKeyService.createKey(institution.id, {
+        name: 'Default',
+        createdById: req.user.id
       });
 
       // Log institution creation
@@ -51,7 +64,10 @@ router.post('/',
 
       res.status(201).json({
         success: true,
-        data: institution
+        data: {
+          ...institution,
+          apiKey: key
+        }
       });
     } catch (error) {
       logger.error('Create institution error:', error);
@@ -65,9 +81,10 @@ router.post('/',
 
 // @route   GET /api/institutions
 // @desc    Get institutions with pagination
-// @access  Private
+// @access  Private (institution:read)
 router.get('/', 
   authenticate,
+  requirePermission('institution:read'),
   validatePagination,
   async (req, res) => {
     try {
@@ -78,11 +95,6 @@ router.get('/',
       const take = parseInt(limit);
 
       let where = {};
-      
-      // Role-based filtering
-      if (req.user.role === 'UNIVERSITY_ADMIN') {
-        where.id = req.user.institutionId;
-      }
 
       // Apply filters
       if (type) where.type = type;
@@ -137,23 +149,16 @@ router.get('/',
 
 // @route   GET /api/institutions/:id
 // @desc    Get institution by ID
-// @access  Private
+// @access  Private (institution:read)
 router.get('/:id', 
   authenticate,
+  requirePermission('institution:read'),
   validateId,
   async (req, res) => {
     try {
       const prisma = getPrismaClient();
       const { id } = req.params;
 
-      // Check access permissions
-      if (req.user.role === 'UNIVERSITY_ADMIN' && req.user.institutionId !== id) {
-        return res.status(403).json({
-          success: false,
-          error: 'Access denied'
-        });
-      }
-
       const institution = await prisma.institution.findUnique({
         where: { id },
         include: {
@@ -190,24 +195,16 @@ router.get('/:id',
 
 // @route   PUT /api/institutions/:id
 // @desc    Update institution
-// @access  Private (Super Admin, University Admin for own institution)
+// @access  Private (institution:update)
 router.put('/:id',
   authenticate,
-  authorize('SUPER_ADMIN', 'UNIVERSITY_ADMIN'),
+  requirePermission('institution:update', { institution: req => req.params.id }),
   validateId,
   async (req, res) => {
     try {
       const prisma = getPrismaClient();
       const { id } = req.params;
-      const updateData = req.body;
-
-      // Check permissions
-      if (req.user.role === 'UNIVERSITY_ADMIN' && req.user.institutionId !== id) {
-        return res.status(403).json({
-          success: false,
-          error: 'Access denied'
-        });
-      }
+      let updateData = req.body;
 
       const institution = await prisma.institution.findUnique({
         where: { id }
@@ -220,8 +217,8 @@ router.put('/:id',
         });
       }
 
-      // University admins can only update certain fields
-      if (req.user.role === 'UNIVERSITY_ADMIN') {
+      // Only those who can update every institution change all fields
+      if (!req.permissions.hasGlobal('institution:update')) {
         const allowedFields = ['name', 'address', 'city', 'phone', 'email', 'website'];
         updateData = Object.keys(updateData)
           .filter(key => allowedFields.includes(key))
@@ -258,17 +255,19 @@ router.put('/:id',
   }
 );
 
-// @route   POST /api/institutions/:id/regenerate-api-key
-// @desc    Regenerate API key for institution
-// @access  Private (Super Admin only)
-router.post('/:id/regenerate-api-key',
+// @route   PUT /api/institutions/:id/consent-settings
+// @desc    Require student consent before public verifiers see certificate details
+// @access  Private (institution:update)
+router.put('/:id/consent-settings',
   authenticate,
-  authorize('SUPER_ADMIN'),
+  requirePermission('institution:update', { institution: req => req.params.id }),
   validateId,
+  validateConsentSettings,
   async (req, res) => {
     try {
       const prisma = getPrismaClient();
       const { id } = req.params;
+      const { consentRequired, consentResponseHours, consentValidityDays } = req.body;
 
       const institution = await prisma.institution.findUnique({
         where: { id }
@@ -281,25 +280,86 @@ router.post('/:id/regenerate-api-key',
         });
       }
 
-      // Generate new API key
-      const crypto = require('crypto');
-      const newApiKey = crypto.randomBytes(32).toString('hex');
+      const settings = {
+        ...(consentRequired !== undefined && { consentRequired }),
+        ...(consentResponseHours !== undefined && { consentResponseHours }),
+        ...(consentValidityDays !== undefined && { consentValidityDays })
+      };
 
-      await prisma.institution.update({
+      const updated = await prisma.institution.update({
         where: { id },
-        data: { apiKey: newApiKey }
+        data: settings,
+        select: { id: true, consentRequired: true, consentResponseHours: true, consentValidityDays: true }
+      });
+
+      auditLogger.info('Institution consent settings updated', {
+        institutionId: id,
+        previous: {
+          consentRequired: institution.consentRequired,
+          consentResponseHours: institution.consentResponseHours,
+          consentValidityDays: institution.consentValidityDays
+        },
+        changes: settings,
+        updatedBy: req.user.id,
+        ip: req.ip
+      });
+
+      res.json({
+        success: true,
+        data: updated
+      });
+    } catch (error) {
+      logger.error('Update consent settings error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update consent settings'
+      });
+    }
+  }
+);
+
+// @route   POST /api/institutions/:id/regenerate-api-key
+// @desc    Regenerate API key for institution.
+//          Revokes every active API key and issues a new full-scope key
+// @access  Private (institution:manage-api-keys)
+router.post('/:id/regenerate-api-key',
+  authenticate,
+  requirePermission('institution:manage-api-keys', { institution: req => req.params.id }),
+  validateId,
+  async (req, res) => {
+    try {
+      const prisma = getPrismaClient();
+      const { id } = req.params;
+
+      const institution = await prisma.institution.findUnique({
+        where: { id }
+      });
+
+      if (!institution) {
+        return res.status(404).json({
+          success: false,
+          error: 'Institution not found'
+        });
+      }
+
+      const revokedKeys = await apiKeyService.revokeAll(id);
+      const { apiKey, key } = await apiKeyService.createKey(id, {
+        name: 'Default',
+        createdById: req.user.id
       });
 
       // Log API key regeneration
       auditLogger.info('Institution API key regenerated', {
         institutionId: id,
+        apiKeyId: apiKey.id,
+        revokedKeys,
         regeneratedBy: req.user.id,
         ip: req.ip
       });
 
       res.json({
         success: true,
-        data: { apiKey: newApiKey }
+        data: { apiKey: key, key: apiKey }
       });
     } catch (error) {
       logger.error('Regenerate API key error:', error);
@@ -311,4 +371,622 @@ router.post('/:id/regenerate-api-key',
   }
 );
 
+// @route   GET /api/institutions/:id/api-keys
+// @desc    List the institution's API keys (never the keys themselves)
+// @access  Private (institution:manage-api-keys)
+router.get('/:id/api-keys',
+  authenticate,
+  requirePermission('institution:manage-api-keys', { institution: req => req.params.id }),
+  validateId,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const keys = await apiKeyService.listKeys(id);
+
+      res.json({
+        success: true,
+        data: { keys }
+      });
+    } catch (error) {
+      logger.error('List API keys error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch API keys'
+      });
+    }
+  }
+);
+
+// @route   POST /api/institutions/:id/api-keys
+// @desc    Create a named API key with scopes and optional expiry
+// @access  Private (institution:manage-api-keys)
+router.post('/:id/api-keys',
+  authenticate,
+  requirePermission('institution:manage-api-keys', { institution: req => req.params.id }),
+  validateId,
+  validateApiKeyCreation,
+  async (req, res) => {
+    try {
+      const prisma = getPrismaClient();
+      const { id } = req.params;
+      const { name, scopes, expiresInDays } = req.body;
+
+      const institution = await prisma.institution.findUnique({
+        where: { id }
+      });
+
+      if (!institution) {
+        return res.status(404).json({
+          success: false,
+          error: 'Institution not found'
+        });
+      }
+
+      const { apiKey, key } = await apiKeyService.createKey(id, {
+        name,
+        scopes,
+        expiresInDays,
+        createdById: req.user.id
+      });
+
+      auditLogger.info('Institution API key created', {
+        institutionId: id,
+        apiKeyId: apiKey.id,
+        name,
+        scopes: apiKey.scopes,
+        expiresAt: apiKey.expiresAt,
+        createdBy: req.user.id,
+        ip: req.ip
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Store this key now; it cannot be shown again',
+        data: { apiKey: key, key: apiKey }
+      });
+    } catch (error) {
+      logger.error('Create API key error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create API key'
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/institutions/:id/api-keys/:keyId
+// @desc    Revoke an API key
+// @access  Private (institution:manage-api-keys)
+router.delete('/:id/api-keys/:keyId',
+  authenticate,
+  requirePermission('institution:manage-api-keys', { institution: req => req.params.id }),
+  validateId,
+  async (req, res) => {
+    try {
+      const { id, keyId } = req.params;
+
+      const revoked = await apiKeyService.revokeKey(id, keyId);
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          error: 'Active API key not found'
+        });
+      }
+
+      auditLogger.info('Institution API key revoked', {
+        institutionId: id,
+        apiKeyId: keyId,
+        revokedBy: req.user.id,
+        ip: req.ip
+      });
+
+      res.json({
+        success: true,
+        message: 'API key revoked'
+      });
+    } catch (error) {
+      logger.error('Revoke API key error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to revoke API key'
+      });
+    }
+  }
+);
+
+// @route   GET /api/institutions/:id/invitations
+// @desc    List invitations to the institution
+// @access  Private (invitation:manage)
+router.get('/:id/invitations',
+  authenticate,
+  requirePermission('invitation:manage', { institution: req => req.params.id }),
+  validateId,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const invitations = await invitationService.listInvitations({ institutionId: id });
+
+      res.json({
+        success: true,
+        data: { invitations }
+      });
+    } catch (error) {
+      logger.error('List invitations error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch invitations'
+      });
+    }
+  }
+);
+
+// @route   POST /api/institutions/:id/invitations
+// @desc    Invite a user to the institution as UNIVERSITY_ADMIN or VERIFIER
+// @access  Private (invitation:manage)
+router.post('/:id/invitations',
+  authenticate,
+  requirePermission('invitation:manage', { institution: req => req.params.id }),
+  validateId,
+  validateInvitation,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { email, role } = req.body;
+
+      const { invitation, emailSent, error, status } = await invitationService.invite(req.user, req.permissions, {
+        email,
+        role,
+        institutionId: id
+      });
+
+      if (!invitation) {
+        return res.status(status).json({
+          success: false,
+          error
+        });
+      }
+
+      auditLogger.info('Invitation created', {
+        invitationId: invitation.id,
+        email,
+        role,
+        institutionId: id,
+        invitedBy: req.user.id,
+        emailSent,
+        ip: req.ip
+      });
+
+      res.status(201).json({
+        success: true,
+        message: emailSent
+          ? 'Invitation sent'
+          : 'Invitation created but the email could not be sent; invite again once email is available',
+        data: { invitation, emailSent }
+      });
+    } catch (error) {
+      logger.error('Create invitation error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create invitation'
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/institutions/:id/invitations/:invitationId
+// @desc    Revoke a pending invitation
+// @access  Private (invitation:manage)
+router.delete('/:id/invitations/:invitationId',
+  authenticate,
+  requirePermission('invitation:manage', { institution: req => req.params.id }),
+  validateId,
+  async (req, res) => {
+    try {
+      const { id, invitationId } = req.params;
+
+      const revoked = await invitationService.revokeInvitation(invitationId, id);
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          error: 'Pending invitation not found'
+        });
+      }
+
+      auditLogger.info('Invitation revoked', {
+        invitationId,
+        institutionId: id,
+        revokedBy: req.user.id,
+        ip: req.ip
+      });
+
+      res.json({
+        success: true,
+        message: 'Invitation revoked'
+      });
+    } catch (error) {
+      logger.error('Revoke invitation error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to revoke invitation'
+      });
+    }
+  }
+);
+
+// @route   GET /api/institutions/:id/keys
+// @desc    List the institution's signing keys (public metadata only)
+// @access  Private (institution:manage-signing-keys)
+router.get('/:id/keys',
+  authenticate,
+  requirePermission('institution:manage-signing-keys', { institution: req => req.params.id }),
+  validateId,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const keys = await keyManagementService.listKeys(id);
+
+      res.json({
+        success: true,
+        data: { keys }
+      });
+    } catch (error) {
+      logger.error('List signing keys error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch signing keys'
+      });
+    }
+  }
+);
+
+// @route   POST /api/institutions/:id/keys/rotate
+// @desc    Generate a new signing key and retire the current one
+// @access  Private (institution:manage-signing-keys)
+router.post('/:id/keys/rotate',
+  authenticate,
+  requirePermission('institution:manage-signing-keys', { institution: req => req.params.id }),
+  validateId,
+  async (req, res) => {
+    try {
+      const prisma = getPrismaClient();
+      const { id } = req.params;
+      const { algorithm, validityDays } = req.body;
+
+      if (algorithm && !['ed25519', 'rsa'].includes(algorithm)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Algorithm must be ed25519 or rsa'
+        });
+      }
+
+      if (validityDays !== undefined && (!Number.isInteger(validityDays) || validityDays < 1 || validityDays > 1825)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validity must be between 1 and 1825 days'
+        });
+      }
+
+      const institution = await prisma.institution.findUnique({
+        where: { id }
+      });
+
+      if (!institution) {
+        return res.status(404).json({
+          success: false,
+          error: 'Institution not found'
+        });
+      }
+
+      const key = await keyManagementService.rotateKey(id, { algorithm, validityDays });
+
+      auditLogger.info('Institution signing key rotated', {
+        institutionId: id,
+        kid: key.kid,
+        algorithm: key.algorithm,
+        validUntil: key.validUntil,
+        rotatedBy: req.user.id,
+        ip: req.ip
+      });
+
+      res.status(201).json({
+        success: true,
+        data: {
+          kid: key.kid,
+          algorithm: key.algorithm,
+          status: key.status,
+          validFrom: key.validFrom,
+          validUntil: key.validUntil
+        }
+      });
+    } catch (error) {
+      logger.error('Rotate signing key error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to rotate signing key'
+      });
+    }
+  }
+);
+
+// @route   POST /api/institutions/:id/keys/:kid/revoke
+// @desc    Revoke a signing key, e.g. after its private key was exposed.
+//          Signatures made with it no longer verify.
+// @access  Private (institution:manage-signing-keys)
+router.post('/:id/keys/:kid/revoke',
+  authenticate,
+  requirePermission('institution:manage-signing-keys', { institution: req => req.params.id }),
+  validateId,
+  async (req, res) => {
+    try {
+      const { id, kid } = req.params;
+      const { reason } = req.body;
+
+      if (typeof reason !== 'string' || reason.trim().length < 5 || reason.length > 500) {
+        return res.status(400).json({
+          success: false,
+          error: 'Revocation reason must be between 5 and 500 characters'
+        });
+      }
+
+      const key = await keyManagementService.revokeKey(id, kid, reason.trim());
+
+      if (!key) {
+        return res.status(404).json({
+          success: false,
+          error: 'Signing key not found or already revoked'
+        });
+      }
+
+      auditLogger.warn('Institution signing key revoked', {
+        institutionId: id,
+        kid: key.kid,
+        reason: key.revocationReason,
+        revokedBy: req.user.id,
+        ip: req.ip
+      });
+
+      res.json({
+        success: true,
+        data: {
+          kid: key.kid,
+          algorithm: key.algorithm,
+          status: key.status,
+          revokedAt: key.revokedAt,
+          revocationReason: key.revocationReason
+        }
+      });
+    } catch (error) {
+      logger.error('Revoke signing key error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to revoke signing key'
+      });
+    }
+  }
+);
+
+// @route   GET /api/institutions/:id/column-mappings
+// @desc    List bulk upload column mapping profiles
+// @access  Private (institution:manage-column-mappings)
+router.get('/:id/column-mappings',
+  authenticate,
+  requirePermission('institution:manage-column-mappings', { institution: req => req.params.id }),
+  validateId,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const profiles = await columnMappingService.listProfiles(id);
+
+      res.json({
+        success: true,
+        data: { profiles }
+      });
+    } catch (error) {
+      logger.error('List column mappings error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch column mapping profiles'
+      });
+    }
+  }
+);
+
+// @route   POST /api/institutions/:id/column-mappings
+// @desc    Save a new column mapping profile
+// @access  Private (institution:manage-column-mappings)
+router.post('/:id/column-mappings',
+  authenticate,
+  requirePermission('institution:manage-column-mappings', { institution: req => req.params.id }),
+  validateId,
+  validateColumnMappingProfile,
+  async (req, res) => {
+    try {
+      const prisma = getPrismaClient();
+      const { id } = req.params;
+
+      const institution = await prisma.institution.findUnique({
+        where: { id }
+      });
+
+      if (!institution) {
+        return res.status(404).json({
+          success: false,
+          error: 'Institution not found'
+        });
+      }
+
+      const errors = columnMappingService.validateProfile(req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid column mapping profile',
+          details: errors
+        });
+      }
+
+      const profile = await columnMappingService.saveProfile(id, req.body);
+
+      auditLogger.info('Column mapping profile created', {
+        institutionId: id,
+        profileId: profile.id,
+        name: profile.name,
+        createdBy: req.user.id,
+        ip: req.ip
+      });
+
+      res.status(201).json({
+        success: true,
+        data: profile
+      });
+    } catch (error) {
+      logger.error('Create column mapping error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to save column mapping profile'
+      });
+    }
+  }
+);
+
+// @route   PUT /api/institutions/:id/column-mappings/:profileId
+// @desc    Replace a column mapping profile
+// @access  Private (institution:manage-column-mappings)
+router.put('/:id/column-mappings/:profileId',
+  authenticate,
+  requirePermission('institution:manage-column-mappings', { institution: req => req.params.id }),
+  validateId,
+  validateColumnMappingProfile,
+  async (req, res) => {
+    try {
+      const { id, profileId } = req.params;
+
+      const errors = columnMappingService.validateProfile(req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid column mapping profile',
+          details: errors
+        });
+      }
+
+      const profile = await columnMappingService.saveProfile(id, req.body, profileId);
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          error: 'Column mapping profile not found'
+        });
+      }
+
+      auditLogger.info('Column mapping profile updated', {
+        institutionId: id,
+        profileId,
+        updatedBy: req.user.id,
+        ip: req.ip
+      });
+
+      res.json({
+        success: true,
+        data: profile
+      });
+    } catch (error) {
+      logger.error('Update column mapping error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update column mapping profile'
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/institutions/:id/column-mappings/:profileId
+// @desc    Delete a column mapping profile
+// @access  Private (institution:manage-column-mappings)
+router.delete('/:id/column-mappings/:profileId',
+  authenticate,
+  requirePermission('institution:manage-column-mappings', { institution: req => req.params.id }),
+  validateId,
+  async (req, res) => {
+    try {
+      const { id, profileId } = req.params;
+
+      const deleted = await columnMappingService.deleteProfile(id, profileId);
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Column mapping profile not found'
+        });
+      }
+
+      auditLogger.info('Column mapping profile deleted', {
+        institutionId: id,
+        profileId,
+        deletedBy: req.user.id,
+        ip: req.ip
+      });
+
+      res.json({
+        success: true,
+        message: 'Column mapping profile deleted'
+      });
+    } catch (error) {
+      logger.error('Delete column mapping error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete column mapping profile'
+      });
+    }
+  }
+);
+
+// @route   POST /api/institutions/:id/column-mappings/suggest
+// @desc    Suggest a column mapping from a header row (file upload or headers array)
+// @access  Private (institution:manage-column-mappings)
+router.post('/:id/column-mappings/suggest',
+  authenticate,
+  requirePermission('institution:manage-column-mappings', { institution: req => req.params.id }),
+  validateId,
+  headerUpload.single('file'),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      let headers = req.body.headers;
+      if (req.file) {
+        const fileExt = path.extname(req.file.originalname).toLowerCase();
+        if (!['.csv', '.xlsx', '.xls'].includes(fileExt)) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid file format. Allowed formats: .csv, .xlsx, .xls'
+          });
+        }
+        headers = columnMappingService.readHeaders(req.file.buffer, req.file.originalname);
+      }
+
+      if (!Array.isArray(headers) || headers.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Upload a file or provide a non-empty headers array'
+        });
+      }
+
+      const suggestion = await columnMappingService.suggestMapping(headers.map(String), id);
+
+      res.json({
+        success: true,
+        data: suggestion
+      });
+    } catch (error) {
+      logger.error('Suggest column mapping error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to suggest column mapping'
+      });
+    }
+  }
+);
+
 module.exports = router;
@@ -1,15 +1,26 @@
 const express = require('express');
 const { getPrismaClient } = require('../config/database');
-const { validateVerificationRequest } = require('../middleware/validation');
+const { validateVerificationRequest, validateConsentResponse, validateShareView } = require('../middleware/validation');
 const verificationService = require('../services/verificationService');
+const revocationService = require('../services/revocationService');
+const credentialService = require('../services/credentialService');
+const keyManagementService = require('../services/keyManagementService');
+const qrPayloadService = require('../services/qrPayloadService');
 const ocrService = require('../services/ocrService');
+const fieldComparisonService = require('../services/fieldComparisonService');
+const nameSearchService = require('../services/nameSearchService');
+const consentService = require('../services/consentService');
+const shareLinkService = require('../services/shareLinkService');
 const { logger } = require('../utils/logger');
+const auditService = require('../utils/auditLogger');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
 
 const router = express.Router();
 
+const CONSENT_REQUESTED = 'The student has been asked to consent to sharing these certificate details. Check the verification code for the outcome.';
+
 // Configure multer for public file uploads
 const storage = multer.diskStorage({
   destination: async (req, file, cb) => {
@@ -51,17 +62,12 @@ router.post('/verify',
   async (req, res) => {
     try {
       const { certificateNumber, studentName, requestedBy, requestorEmail, purpose } = req.body;
-      const prisma = getPrismaClient();
 
       // Find certificate
-      const certificate = await prisma.certificate.findFirst({
-        where: {
-          certificateNumber,
-          studentName: { contains: studentName, mode: 'insensitive' },
-          status: 'VERIFIED'
-        },
-        include: { institution: true }
-      });
+      const certificate = await nameSearchService.findCertificate({
+        certificateNumber,
+        status: { in: ['VERIFIED', 'REVOKED'] }
+      }, studentName, { narrow: false, include: { institution: true } });
 
       if (!certificate) {
         return res.status(404).json({
@@ -80,6 +86,23 @@ router.post('/verify',
         institutionId: certificate.institutionId
       };
 
+      // Details are held back until the student approves
+      if (consentService.isRequired(certificate)) {
+        const { verification, consent, error, status } = await consentService.request(certificate, verificationRequest);
+        if (error) {
+          return res.status(status).json({
+            success: false,
+            error
+          });
+        }
+
+        return res.status(202).json({
+          success: true,
+          message: CONSENT_REQUESTED,
+          data: consentService.describeRequest(verification, consent)
+        });
+      }
+
       const result = await verificationService.verifyCertificate(certificate, verificationRequest);
 
       res.json({
@@ -94,6 +117,8 @@ router.post('/verify',
             grade: certificate.grade,
             institution: certificate.institution.name
           },
+          verdict: result.verdict,
+          revocation: result.revocation,
           isValid: result.isValid,
           confidenceScore: result.confidenceScore,
           verificationDate: new Date().toISOString()
@@ -126,17 +151,14 @@ router.post('/verify-file',
       const { requestedBy, requestorEmail, purpose } = req.body;
       
       // Extract text from uploaded certificate using OCR
-      const ocrResult = await ocrService.extractText(req.file.path);
-      
-      if (!ocrResult.success) {
-        return res.status(400).json({
-          success: false,
-          error: 'Failed to extract text from certificate'
-        });
+      let ocrResult;
+      if (req.file.mimetype === 'application/pdf') {
+        ocrResult = await ocrService.extractTextFromPDF(req.file.path);
+      } else {
+        ocrResult = await ocrService.extractTextFromImage(req.file.path);
       }
 
-      // Parse extracted data
-      const extractedData = ocrService.parseCertificateData(ocrResult.text);
+      const extractedData = ocrService.extractCertificateData(ocrResult);
       
       if (!extractedData.certificateNumber || !extractedData.studentName) {
         return res.status(400).json({
@@ -145,17 +167,11 @@ router.post('/verify-file',
         });
       }
 
-      const prisma = getPrismaClient();
-
       // Find certificate in database
-      const certificate = await prisma.certificate.findFirst({
-        where: {
-          certificateNumber: extractedData.certificateNumber,
-          studentName: { contains: extractedData.studentName, mode: 'insensitive' },
-          status: 'VERIFIED'
-        },
-        include: { institution: true }
-      });
+      const certificate = await nameSearchService.findCertificate({
+        certificateNumber: extractedData.certificateNumber,
+        status: { in: ['VERIFIED', 'REVOKED'] }
+      }, extractedData.studentName, { narrow: false, include: { institution: true } });
 
       if (!certificate) {
         return res.status(404).json({
@@ -164,8 +180,42 @@ router.post('/verify-file',
         });
       }
 
-      // Perform additional forgery detection
-      const forgeryAnalysis = await verificationService.detectForgery(req.file.path, certificate);
+      // Details, the field comparison included, are held back until the
+      // student approves
+      if (consentService.isRequired(certificate)) {
+        const { verification, consent, error, status } = await consentService.request(certificate, {
+          requestedBy,
+          requestorEmail,
+          purpose,
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent')
+        });
+
+        try {
+          await fs.unlink(req.file.path);
+        } catch (cleanupError) {
+          logger.warn('Failed to cleanup uploaded file:', cleanupError);
+        }
+
+        if (error) {
+          return res.status(status).json({
+            success: false,
+            error
+          });
+        }
+
+        return res.status(202).json({
+          success: true,
+          message: CONSENT_REQUESTED,
+          data: consentService.describeRequest(verification, consent)
+        });
+      }
+
+      // Image forensics do not apply to PDF text
+      const forgeryAnalysis = req.file.mimetype === 'application/pdf' ?
+        [] :
+        await ocrService.detectImageTampering(req.file.path);
+      const fieldComparison = fieldComparisonService.compare(extractedData, certificate, ocrResult);
 
       // Create verification request
       const verificationRequest = {
@@ -200,10 +250,13 @@ router.post('/verify-file',
             grade: certificate.grade,
             institution: certificate.institution.name
           },
+          verdict: result.verdict,
+          revocation: result.revocation,
           isValid: result.isValid,
           confidenceScore: result.confidenceScore,
           forgeryAnalysis,
           extractedData,
+          fieldComparison,
           verificationDate: new Date().toISOString()
         }
       });
@@ -241,42 +294,33 @@ router.post('/verify-qr', async (req, res) => {
       });
     }
 
-    // Parse QR code data (should contain certificate number and verification hash)
+    // Parse QR code data (signed payload, or legacy JSON)
     let qrInfo;
     try {
-      qrInfo = JSON.parse(qrData);
+      qrInfo = await qrPayloadService.parse(qrData);
     } catch (parseError) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid QR code format'
+        error: parseError.message
       });
     }
 
-    const { certificateNumber, verificationHash } = qrInfo;
-    
-    if (!certificateNumber || !verificationHash) {
-      return res.status(400).json({
+    // Find certificate and check the QR code against it
+    const certificate = await qrPayloadService.findCertificate(qrInfo);
+
+    if (!certificate || !['VERIFIED', 'REVOKED'].includes(certificate.status)) {
+      return res.status(404).json({
         success: false,
-        error: 'QR code missing required data'
+        error: 'Certificate not found or QR code invalid'
       });
     }
 
-    const prisma = getPrismaClient();
-
-    // Find certificate and verify hash
-    const certificate = await prisma.certificate.findFirst({
-      where: {
-        certificateNumber,
-        verificationHash,
-        status: 'VERIFIED'
-      },
-      include: { institution: true }
-    });
-
-    if (!certificate) {
-      return res.status(404).json({
+    const qrCheck = qrPayloadService.checkAgainstCertificate(qrInfo, certificate);
+    if (!qrCheck.isValid) {
+      return res.status(400).json({
         success: false,
-        error: 'Certificate not found or QR code invalid'
+        error: 'QR code could not be verified',
+        details: qrCheck.errors
       });
     }
 
@@ -291,6 +335,23 @@ router.post('/verify-qr', async (req, res) => {
       verificationMethod: 'QR_CODE'
     };
 
+    // Details are held back until the student approves
+    if (consentService.isRequired(certificate)) {
+      const { verification, consent, error, status } = await consentService.request(certificate, verificationRequest);
+      if (error) {
+        return res.status(status).json({
+          success: false,
+          error
+        });
+      }
+
+      return res.status(202).json({
+        success: true,
+        message: CONSENT_REQUESTED,
+        data: consentService.describeRequest(verification, consent)
+      });
+    }
+
     const result = await verificationService.verifyCertificate(certificate, verificationRequest);
 
     res.json({
@@ -305,9 +366,12 @@ router.post('/verify-qr', async (req, res) => {
           grade: certificate.grade,
           institution: certificate.institution.name
         },
+        verdict: result.verdict,
+        revocation: result.revocation,
         isValid: result.isValid,
         confidenceScore: result.confidenceScore,
         verificationMethod: 'QR_CODE',
+        qrFormat: qrInfo.format,
         verificationDate: new Date().toISOString()
       }
     });
@@ -320,6 +384,159 @@ router.post('/verify-qr', async (req, res) => {
   }
 });
 
+// @route   POST /api/public/verify-credential
+// @desc    Verify a presented W3C Verifiable Credential (VC-JWT)
+// @access  Public
+router.post('/verify-credential',
+  validateVerificationRequest,
+  async (req, res) => {
+    try {
+      const { credential, requestedBy, requestorEmail, purpose } = req.body;
+
+      if (!credential || typeof credential !== 'string') {
+        return res.status(400).json({
+          success: false,
+          error: 'Credential (VC-JWT) is required'
+        });
+      }
+
+      const credentialResult = await credentialService.verifyCredential(credential);
+
+      if (!credentialResult.isValid) {
+        const prisma = getPrismaClient();
+        const verification = await prisma.verification.create({
+          data: {
+            requestedBy,
+            requestorEmail,
+            purpose,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent'),
+            certificateId: credentialResult.certificate?.id,
+            institutionId: credentialResult.certificate?.institutionId,
+            status: 'FAILED',
+            isValid: false,
+            confidenceScore: 0,
+            verificationNotes: credentialResult.errors.join('\n'),
+            flaggedReasons: credentialResult.errors,
+            verifiedAt: new Date(),
+            expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
+          }
+        });
+
+        return res.json({
+          success: true,
+          data: {
+            verificationCode: verification.verificationCode,
+            verdict: 'INVALID',
+            isValid: false,
+            confidenceScore: 0,
+            errors: credentialResult.errors,
+            verificationMethod: 'VERIFIABLE_CREDENTIAL',
+            verificationDate: new Date().toISOString()
+          }
+        });
+      }
+
+      const { certificate } = credentialResult;
+
+      // Create verification request
+      const verificationRequest = {
+        requestedBy,
+        requestorEmail,
+        purpose,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        institutionId: certificate.institutionId,
+        verificationMethod: 'VERIFIABLE_CREDENTIAL'
+      };
+
+      // Details are held back until the student approves
+      if (consentService.isRequired(certificate)) {
+        const { verification, consent, error, status } = await consentService.request(certificate, verificationRequest);
+        if (error) {
+          return res.status(status).json({
+            success: false,
+            error
+          });
+        }
+
+        return res.status(202).json({
+          success: true,
+          message: CONSENT_REQUESTED,
+          data: consentService.describeRequest(verification, consent)
+        });
+      }
+
+      const result = await verificationService.verifyCertificate(certificate, verificationRequest);
+
+      res.json({
+        success: true,
+        data: {
+          verificationCode: result.verificationCode,
+          certificate: {
+            certificateNumber: certificate.certificateNumber,
+            studentName: certificate.studentName,
+            course: certificate.course,
+            passingYear: certificate.passingYear,
+            grade: certificate.grade,
+            institution: certificate.institution.name
+          },
+          verdict: result.verdict,
+          revocation: result.revocation,
+          isValid: result.isValid,
+          confidenceScore: result.confidenceScore,
+          issuer: credentialResult.credential.issuer,
+          verificationMethod: 'VERIFIABLE_CREDENTIAL',
+          verificationDate: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Credential verification error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Credential verification failed'
+      });
+    }
+  }
+);
+
+// @route   GET /api/public/jwks.json
+// @desc    Institution signing keys as a JWK Set, for offline signature checks
+// @access  Public
+router.get('/jwks.json', async (req, res) => {
+  try {
+    const { institution } = req.query;
+    let institutionId = null;
+
+    if (institution) {
+      const prisma = getPrismaClient();
+      const match = await prisma.institution.findUnique({
+        where: { code: institution },
+        select: { id: true }
+      });
+
+      if (!match) {
+        return res.status(404).json({
+          success: false,
+          error: 'Institution not found'
+        });
+      }
+      institutionId = match.id;
+    }
+
+    const jwks = await keyManagementService.getJwks(institutionId);
+
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(jwks);
+  } catch (error) {
+    logger.error('JWKS fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch signing keys'
+    });
+  }
+});
+
 // @route   GET /api/public/institutions
 // @desc    Get list of verified institutions
 // @access  Public
@@ -373,7 +590,8 @@ router.get('/verification/:code', async (req, res) => {
       include: {
         certificate: {
           include: { institution: true }
-        }
+        },
+        share: true
       }
     });
 
@@ -384,6 +602,49 @@ router.get('/verification/:code', async (req, res) => {
       });
     }
 
+    // A certificate revoked since the verification ran shows as REVOKED
+    const { verdict, isValid, revocation } = revocationService.getCurrentOutcome(verification, verification.certificate);
+
+    // Opened through a student's share link: only the shared fields, and
+    // nothing once the link has expired or been revoked
+    if (verification.share) {
+      if (!shareLinkService.isActive(verification.share, verification.certificate)) {
+        return res.status(410).json({
+          success: false,
+          error: shareLinkService.inactiveMessage
+        });
+      }
+
+      return res.json({
+        success: true,
+        data: {
+          verificationCode: verification.verificationCode,
+          certificate: shareLinkService.disclose(verification.certificate, verification.share.fields),
+          verdict,
+          revocation,
+          isValid,
+          confidenceScore: verification.confidenceScore,
+          verificationDate: verification.createdAt,
+          expiresAt: verification.expiresAt,
+          requestedBy: verification.requestedBy
+        }
+      });
+    }
+
+    const { release, consent } = await consentService.checkRelease(verification);
+    if (!release) {
+      return res.json({
+        success: true,
+        data: consentService.describeWithheld(verification, consent)
+      });
+    }
+
+    if (consent) {
+      await auditService.logVerification(null, verification.id, verification.certificateId, 'CONSENTED_DETAILS_RELEASED', {
+        requestorEmail: verification.requestorEmail
+      }, req.ip, req.get('User-Agent'));
+    }
+
     res.json({
       success: true,
       data: {
@@ -396,11 +657,14 @@ router.get('/verification/:code', async (req, res) => {
           grade: verification.certificate.grade,
           institution: verification.certificate.institution.name
         },
-        isValid: verification.isValid,
+        verdict,
+        revocation,
+        isValid,
         confidenceScore: verification.confidenceScore,
         verificationDate: verification.createdAt,
         expiresAt: verification.expiresAt,
-        requestedBy: verification.requestedBy
+        requestedBy: verification.requestedBy,
+        consent
       }
     });
   } catch (error) {
@@ -412,6 +676,170 @@ router.get('/verification/:code', async (req, res) => {
   }
 });
 
+// @route   POST /api/public/consents/lookup
+// @desc    Show a student what a consent request is for
+// @access  Public (consent token)
+router.post('/consents/lookup', async (req, res) => {
+  try {
+    const { consent, error } = await consentService.findByToken(req.body.token);
+    if (!consent) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...consentService.describe(consent),
+        certificate: {
+          certificateNumber: consent.certificate.certificateNumber,
+          course: consent.certificate.course,
+          institution: consent.certificate.institution.name
+        },
+        requestedBy: consent.verification.requestedBy,
+        requestorEmail: consent.verification.requestorEmail,
+        purpose: consent.verification.purpose,
+        requestedAt: consent.createdAt
+      }
+    });
+  } catch (error) {
+    logger.error('Consent lookup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch consent request'
+    });
+  }
+});
+
+// @route   POST /api/public/consents/respond
+// @desc    Approve or deny the release of certificate details
+// @access  Public (consent token)
+router.post('/consents/respond', validateConsentResponse, async (req, res) => {
+  try {
+    const { token, decision } = req.body;
+    const { consent, error, status } = await consentService.respond(token, decision, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: decision === 'APPROVE' ?
+        'Thank you. The verifier can now see your certificate details.' :
+        'The request has been declined. No details were shared.',
+      data: consentService.describe(consent)
+    });
+  } catch (error) {
+    logger.error('Consent response error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record your answer'
+    });
+  }
+});
+
+// @route   POST /api/public/consents/revoke
+// @desc    Withdraw an approval so the details are no longer shown
+// @access  Public (consent token)
+router.post('/consents/revoke', async (req, res) => {
+  try {
+    const { consent, error, status } = await consentService.revoke(req.body.token, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Consent revoked. The verifier can no longer see your certificate details.',
+      data: consentService.describe(consent)
+    });
+  } catch (error) {
+    logger.error('Consent revocation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke consent'
+    });
+  }
+});
+
+// @route   POST /api/public/shares/view
+// @desc    Open a student's share link: verify the certificate and show the
+//          fields the student chose to share. The viewer is recorded in the
+//          student's viewer log.
+// @access  Public (share token)
+router.post('/shares/view', validateShareView, async (req, res) => {
+  try {
+    const { token, requestedBy, requestorEmail, purpose } = req.body;
+    const { share, certificate, result, verdict, revocation, error, status } = await shareLinkService.view(token, {
+      requestedBy,
+      requestorEmail,
+      purpose,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    // Revoked since it was shared: say so, without the shared details
+    if (verdict === 'REVOKED') {
+      return res.json({
+        success: true,
+        message: 'This certificate has been revoked by its institution',
+        data: {
+          status: 'REVOKED',
+          certificate: shareLinkService.disclose(certificate, []),
+          verdict,
+          revocation,
+          isValid: false,
+          verificationDate: new Date().toISOString(),
+          shareExpiresAt: share.expiresAt
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        verificationCode: result.verificationCode,
+        certificate: shareLinkService.disclose(certificate, share.fields),
+        verdict: result.verdict,
+        revocation: result.revocation,
+        isValid: result.isValid,
+        confidenceScore: result.confidenceScore,
+        verificationDate: new Date().toISOString(),
+        shareExpiresAt: share.expiresAt
+      }
+    });
+  } catch (error) {
+    logger.error('Share link view error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to open share link'
+    });
+  }
+});
+
 // @route   GET /api/public/stats
 // @desc    Get public statistics
 // @access  Public
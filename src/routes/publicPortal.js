@@ -5,7 +5,12 @@ const fs = require('fs').promises;
 const { getPrismaClient } = require('../config/database');
 const ocrService = require('../services/ocrService');
 const verificationService = require('../services/verificationService');
-const blockchainService = require('../services/blockchainService');
+const fieldComparisonService = require('../services/fieldComparisonService');
+const nameSearchService = require('../services/nameSearchService');
+const anchoringService = require('../services/anchoringService');
+const revocationService = require('../services/revocationService');
+const blacklistService = require('../services/blacklistService');
+const qrPayloadService = require('../services/qrPayloadService');
 const digitalWatermarkService = require('../services/digitalWatermarkService');
 const { logger } = require('../utils/logger');
 const rateLimit = require('express-rate-limit');
@@ -161,15 +166,26 @@ router.post('/verify-upload',
           }
         );
 
+        const revoked = verificationResult.verdict === 'REVOKED';
+        const blacklisted = verificationResult.verdict === 'BLACKLISTED';
+
         result.verification = {
           isValid: verificationResult.isValid,
           confidenceScore: verificationResult.confidenceScore,
           verificationCode: verificationResult.verificationCode,
-          status: verificationResult.isValid ? 'AUTHENTIC' : 'INVALID',
-          message: verificationResult.isValid ? 
-            'Certificate is authentic and verified' : 
-            'Certificate could not be verified'
+          verdict: verificationResult.verdict,
+          revocation: verificationResult.revocation,
+          blacklisting: verificationResult.blacklisting,
+          status: blacklisted ? 'BLACKLISTED' : (revoked ? 'REVOKED' : (verificationResult.isValid ? 'AUTHENTIC' : 'INVALID')),
+          message: blacklisted ?
+            verificationResult.notes :
+            (revoked ?
+              'Certificate has been revoked by the issuing institution' :
+              (verificationResult.isValid ?
+                'Certificate is authentic and verified' :
+                'Certificate could not be verified'))
         };
+        result.fieldComparison = fieldComparisonService.compare(extractedData, matchingCertificate, ocrResult);
 
         if (verificationResult.isValid) {
           result.certificate = {
@@ -245,36 +261,18 @@ router.post('/verify-qr',
 
       let qrInfo;
       try {
-        qrInfo = JSON.parse(qrData);
+        qrInfo = await qrPayloadService.parse(qrData);
       } catch (parseError) {
         return res.status(400).json({
           success: false,
-          error: 'Invalid QR code format'
-        });
-      }
-
-      if (qrInfo.type !== 'CERTIFICATE_VERIFICATION') {
-        return res.status(400).json({
-          success: false,
-          error: 'This is not a valid certificate QR code'
+          error: parseError.message
         });
       }
 
       const prisma = getPrismaClient();
 
       // Find certificate
-      let certificate;
-      if (qrInfo.certificateId) {
-        certificate = await prisma.certificate.findUnique({
-          where: { id: qrInfo.certificateId },
-          include: { institution: true }
-        });
-      } else if (qrInfo.blockchainHash) {
-        certificate = await prisma.certificate.findUnique({
-          where: { blockchainHash: qrInfo.blockchainHash },
-          include: { institution: true }
-        });
-      }
+      const certificate = await qrPayloadService.findCertificate(qrInfo);
 
       if (!certificate) {
         return res.status(404).json({
@@ -283,13 +281,21 @@ router.post('/verify-qr',
         });
       }
 
+      // Signature (signed QR) and field/hash checks against the record
+      const qrCheck = qrPayloadService.checkAgainstCertificate(qrInfo, certificate);
+
       // Verify blockchain hash
       let blockchainValid = true;
-      if (qrInfo.blockchainHash) {
-        const blockchainResult = await blockchainService.validateCertificate(qrInfo.blockchainHash);
-        blockchainValid = blockchainResult.isValid;
+      let revocation = revocationService.getRevocationDetails(certificate);
+      if (qrInfo.claims.blockchainHash) {
+        const blockchainResult = await anchoringService.verifyCertificateAnchor(certificate);
+        blockchainValid = qrInfo.claims.blockchainHash === certificate.blockchainHash && blockchainResult.isValid;
+        revocation = revocation || (blockchainResult.revoked ? blockchainResult.revocation : null);
       }
 
+      const blacklistEntry = await blacklistService.findForCertificate(certificate);
+      const isValid = !blacklistEntry && !revocation && qrCheck.isValid && blockchainValid && certificate.status === 'VERIFIED';
+
       // Create verification record
       const verification = await prisma.verification.create({
         data: {
@@ -300,26 +306,34 @@ router.post('/verify-qr',
           userAgent: req.get('User-Agent'),
           certificateId: certificate.id,
           institutionId: certificate.institutionId,
-          status: blockchainValid && certificate.status === 'VERIFIED' ? 'COMPLETED' : 'FAILED',
-          isValid: blockchainValid && certificate.status === 'VERIFIED',
-          confidenceScore: blockchainValid ? 100 : 0,
+          status: isValid ? 'COMPLETED' : 'FAILED',
+          isValid,
+          confidenceScore: blockchainValid && qrCheck.isValid ? 100 : 0,
+          flaggedReasons: blacklistEntry ?
+            [`blacklist: ${blacklistService.explain(blacklistEntry)}`] :
+            (revocation ? ['revocation: Certificate has been revoked'] : qrCheck.errors),
           verifiedAt: new Date(),
           expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
         }
       });
 
-      const isValid = blockchainValid && certificate.status === 'VERIFIED';
-
       res.json({
         success: true,
         data: {
           verificationId: verification.id,
           verificationCode: verification.verificationCode,
           isValid,
-          status: isValid ? 'AUTHENTIC' : 'INVALID',
-          message: isValid ? 
-            'Certificate is authentic and verified via QR code' : 
-            'Certificate verification failed',
+          verdict: blacklistEntry ? 'BLACKLISTED' : (revocation ? 'REVOKED' : (isValid ? 'VALID' : 'INVALID')),
+          revocation,
+          blacklisting: blacklistEntry ? blacklistService.describe(blacklistEntry) : null,
+          status: blacklistEntry ? 'BLACKLISTED' : (revocation ? 'REVOKED' : (isValid ? 'AUTHENTIC' : 'INVALID')),
+          message: blacklistEntry ?
+            blacklistService.explain(blacklistEntry) :
+            (revocation ?
+              'Certificate has been revoked by the issuing institution' :
+              (isValid ?
+                'Certificate is authentic and verified via QR code' :
+                'Certificate verification failed')),
           certificate: isValid ? {
             certificateNumber: certificate.certificateNumber,
             studentName: certificate.studentName,
@@ -331,7 +345,12 @@ router.post('/verify-qr',
           } : null,
           blockchain: {
             validated: blockchainValid,
-            hash: qrInfo.blockchainHash
+            hash: qrInfo.claims.blockchainHash
+          },
+          qr: {
+            format: qrInfo.format,
+            signatureValid: qrInfo.signatureValid,
+            errors: qrCheck.errors
           },
           timestamp: new Date().toISOString()
         }
@@ -385,12 +404,6 @@ router.post('/verify-details',
         whereClause.AND.push({ certificateNumber });
       }
 
-      if (studentName) {
-        whereClause.AND.push({ 
-          studentName: { contains: studentName, mode: 'insensitive' } 
-        });
-      }
-
       if (institutionName) {
         whereClause.AND.push({
           institution: { 
@@ -403,13 +416,22 @@ router.post('/verify-details',
         whereClause.AND.push({ passingYear: parseInt(passingYear) });
       }
 
-      // Only search verified certificates
-      whereClause.AND.push({ status: 'VERIFIED' });
+      // Only search verified certificates; revoked ones are reported as such
+      whereClause.AND.push({ status: { in: ['VERIFIED', 'REVOKED'] } });
 
-      const certificate = await prisma.certificate.findFirst({
-        where: whereClause,
-        include: { institution: true }
-      });
+      const certificate = studentName ?
+        await nameSearchService.findCertificate(whereClause, studentName, {
+          narrow: !certificateNumber,
+          include: { institution: true }
+        }) :
+        await prisma.certificate.findFirst({
+          where: whereClause,
+          include: { institution: true }
+        });
+
+      const revocation = certificate ? revocationService.getRevocationDetails(certificate) : null;
+      const blacklistEntry = certificate ? await blacklistService.findForCertificate(certificate) : null;
+      const isValid = !!certificate && !revocation && !blacklistEntry;
 
       // Create verification record
       const verification = await prisma.verification.create({
@@ -421,9 +443,12 @@ router.post('/verify-details',
           userAgent: req.get('User-Agent'),
           certificateId: certificate?.id,
           institutionId: certificate?.institutionId,
-          status: certificate ? 'COMPLETED' : 'FAILED',
-          isValid: !!certificate,
-          confidenceScore: certificate ? 95 : 0,
+          status: isValid ? 'COMPLETED' : 'FAILED',
+          isValid,
+          confidenceScore: isValid ? 95 : 0,
+          flaggedReasons: blacklistEntry ?
+            [`blacklist: ${blacklistService.explain(blacklistEntry)}`] :
+            (revocation ? ['revocation: Certificate has been revoked'] : []),
           verifiedAt: new Date(),
           expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
         }
@@ -434,12 +459,19 @@ router.post('/verify-details',
         data: {
           verificationId: verification.id,
           verificationCode: verification.verificationCode,
-          isValid: !!certificate,
-          status: certificate ? 'AUTHENTIC' : 'NOT_FOUND',
-          message: certificate ? 
-            'Certificate found and verified' : 
-            'Certificate not found with the provided details',
-          certificate: certificate ? {
+          isValid,
+          verdict: blacklistEntry ? 'BLACKLISTED' : (revocation ? 'REVOKED' : (isValid ? 'VALID' : 'NOT_FOUND')),
+          revocation,
+          blacklisting: blacklistEntry ? blacklistService.describe(blacklistEntry) : null,
+          status: blacklistEntry ? 'BLACKLISTED' : (revocation ? 'REVOKED' : (isValid ? 'AUTHENTIC' : 'NOT_FOUND')),
+          message: blacklistEntry ?
+            blacklistService.explain(blacklistEntry) :
+            (revocation ?
+              'Certificate has been revoked by the issuing institution' :
+              (isValid ?
+                'Certificate found and verified' :
+                'Certificate not found with the provided details')),
+          certificate: isValid ? {
             certificateNumber: certificate.certificateNumber,
             studentName: certificate.studentName,
             course: certificate.course,
@@ -581,18 +613,27 @@ async function findMatchingCertificate(extractedData) {
     return null;
   }
 
-  const whereConditions = [];
+  // Revoked certificates get a REVOKED verdict
+  const status = { in: ['VERIFIED', 'REVOKED'] };
 
-  if (extractedData.certificateNumber) {
-    whereConditions.push({
-      certificateNumber: extractedData.certificateNumber
-    });
-  }
+  try {
+    // Search by certificate number (highest priority)
+    if (extractedData.certificateNumber) {
+      const certificate = await prisma.certificate.findFirst({
+        where: { certificateNumber: extractedData.certificateNumber, status },
+        include: { institution: true }
+      });
+      if (certificate) {
+        return certificate;
+      }
+    }
+
+    // Search by student details (fallback)
+    if (!extractedData.studentName) {
+      return null;
+    }
 
-  if (extractedData.studentName) {
-    const studentCondition = {
-      studentName: { contains: extractedData.studentName, mode: 'insensitive' }
-    };
+    const studentCondition = { status };
 
     if (extractedData.rollNumber) {
       studentCondition.rollNumber = extractedData.rollNumber;
@@ -606,19 +647,10 @@ async function findMatchingCertificate(extractedData) {
       studentCondition.passingYear = extractedData.passingYear;
     }
 
-    whereConditions.push(studentCondition);
-  }
-
-  try {
-    const certificate = await prisma.certificate.findFirst({
-      where: {
-        OR: whereConditions,
-        status: 'VERIFIED'
-      },
+    return await nameSearchService.findCertificate(studentCondition, extractedData.studentName, {
+      narrow: !extractedData.rollNumber,
       include: { institution: true }
     });
-
-    return certificate;
   } catch (error) {
     logger.error('Error finding matching certificate:', error);
     return null;
@@ -0,0 +1,319 @@
+const express = require('express');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const {
+  validateId,
+  validatePagination,
+  validateClaimCodeRequest,
+  validateCertificateClaim,
+  validateClaimCodeRedemption,
+  validateShareLinkCreation
+} = require('../middleware/validation');
+const certificateClaimService = require('../services/certificateClaimService');
+const shareLinkService = require('../services/shareLinkService');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Claimed certificate as listed to its student
+ */
+const describeCertificate = (certificate) => ({
+  id: certificate.id,
+  certificateNumber: certificate.certificateNumber,
+  studentName: certificate.studentName,
+  rollNumber: certificate.rollNumber,
+  course: certificate.course,
+  type: certificate.type,
+  passingYear: certificate.passingYear,
+  status: certificate.status,
+  institution: certificate.institution && {
+    name: certificate.institution.name,
+    code: certificate.institution.code
+  },
+  claimedAt: certificate.claimedAt,
+  shareCount: certificate._count?.shares
+});
+
+// @route   GET /api/students/certificates
+// @desc    Certificates the student has claimed
+// @access  Private (certificate:share)
+router.get('/certificates',
+  authenticate,
+  requirePermission('certificate:share'),
+  async (req, res) => {
+    try {
+      const certificates = await certificateClaimService.listClaimed(req.user);
+
+      res.json({
+        success: true,
+        data: certificates.map(describeCertificate)
+      });
+    } catch (error) {
+      logger.error('Get claimed certificates error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch certificates'
+      });
+    }
+  }
+);
+
+// @route   POST /api/students/claims/request-code
+// @desc    Send a one-time code to the contacts recorded on the
+//          certificates of a roll number
+// @access  Private (certificate:share)
+router.post('/claims/request-code',
+  authenticate,
+  requirePermission('certificate:share'),
+  validateClaimCodeRequest,
+  async (req, res) => {
+    try {
+      const { sentTo, expiresInMinutes, error, status } = await certificateClaimService.requestCode(req.user, req.body);
+      if (error) {
+        return res.status(status).json({
+          success: false,
+          error
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'A claim code has been sent to the contact details on your certificate',
+        data: { sentTo, expiresInMinutes }
+      });
+    } catch (error) {
+      logger.error('Certificate claim code request error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to send claim code'
+      });
+    }
+  }
+);
+
+// @route   POST /api/students/claims
+// @desc    Claim the certificates of a roll number with the one-time code
+// @access  Private (certificate:share)
+router.post('/claims',
+  authenticate,
+  requirePermission('certificate:share'),
+  validateCertificateClaim,
+  async (req, res) => {
+    try {
+      const { certificates, error, status } = await certificateClaimService.claimWithCode(req.user, req.body, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+      if (error) {
+        return res.status(status).json({
+          success: false,
+          error
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: `${certificates.length} certificate(s) claimed`,
+        data: certificates.map(describeCertificate)
+      });
+    } catch (error) {
+      logger.error('Certificate claim error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to claim certificates'
+      });
+    }
+  }
+);
+
+// @route   POST /api/students/claims/redeem
+// @desc    Claim a certificate with a claim code issued by its institution
+// @access  Private (certificate:share)
+router.post('/claims/redeem',
+  authenticate,
+  requirePermission('certificate:share'),
+  validateClaimCodeRedemption,
+  async (req, res) => {
+    try {
+      const { certificates, error, status } = await certificateClaimService.claimWithClaimCode(req.user, req.body, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+      if (error) {
+        return res.status(status).json({
+          success: false,
+          error
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Certificate claimed',
+        data: certificates.map(describeCertificate)
+      });
+    } catch (error) {
+      logger.error('Claim code redemption error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to claim certificate'
+      });
+    }
+  }
+);
+
+// @route   POST /api/students/certificates/:id/shares
+// @desc    Create a share link disclosing selected fields of a claimed
+//          certificate. The token and link are shown only once.
+// @access  Private (certificate:share)
+router.post('/certificates/:id/shares',
+  authenticate,
+  requirePermission('certificate:share'),
+  validateId,
+  validateShareLinkCreation,
+  async (req, res) => {
+    try {
+      const { fields, expiresInDays = 30, label } = req.body;
+      const { share, token, link, error, status } = await shareLinkService.create(req.user, req.params.id, {
+        fields,
+        expiresInDays,
+        label
+      }, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+      if (error) {
+        return res.status(status).json({
+          success: false,
+          error
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Share link created. Copy it now; it will not be shown again.',
+        data: {
+          ...shareLinkService.describe(share),
+          token,
+          link
+        }
+      });
+    } catch (error) {
+      logger.error('Share link creation error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create share link'
+      });
+    }
+  }
+);
+
+// @route   GET /api/students/certificates/:id/shares
+// @desc    Share links of a claimed certificate
+// @access  Private (certificate:share)
+router.get('/certificates/:id/shares',
+  authenticate,
+  requirePermission('certificate:share'),
+  validateId,
+  async (req, res) => {
+    try {
+      const { shares, error, status } = await shareLinkService.list(req.user, req.params.id);
+      if (error) {
+        return res.status(status).json({
+          success: false,
+          error
+        });
+      }
+
+      res.json({
+        success: true,
+        data: shares.map(share => shareLinkService.describe(share))
+      });
+    } catch (error) {
+      logger.error('Get share links error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch share links'
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/students/shares/:shareId
+// @desc    Revoke a share link
+// @access  Private (certificate:share)
+router.delete('/shares/:shareId',
+  authenticate,
+  requirePermission('certificate:share'),
+  async (req, res) => {
+    try {
+      const { share, error, status } = await shareLinkService.revoke(req.user, req.params.shareId, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+      if (error) {
+        return res.status(status).json({
+          success: false,
+          error
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Share link revoked',
+        data: shareLinkService.describe(share)
+      });
+    } catch (error) {
+      logger.error('Share link revocation error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to revoke share link'
+      });
+    }
+  }
+);
+
+// @route   GET /api/students/shares/:shareId/views
+// @desc    Viewer log of a share link
+// @access  Private (certificate:share)
+router.get('/shares/:shareId/views',
+  authenticate,
+  requirePermission('certificate:share'),
+  validatePagination,
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+      const { share, views, total, error, status } = await shareLinkService.listViews(req.user, req.params.shareId, {
+        skip: (parseInt(page) - 1) * parseInt(limit),
+        take: parseInt(limit)
+      });
+      if (error) {
+        return res.status(status).json({
+          success: false,
+          error
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          share: shareLinkService.describe(share),
+          views,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / parseInt(limit))
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Get share link views error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch viewer log'
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -6,7 +6,10 @@ const { getPrismaClient } = require('../config/database');
 const { validateVerificationRequest, validateId } = require('../middleware/validation');
 const ocrService = require('../services/ocrService');
 const verificationService = require('../services/verificationService');
-const blockchainService = require('../services/blockchainService');
+const fieldComparisonService = require('../services/fieldComparisonService');
+const nameSearchService = require('../services/nameSearchService');
+const anchoringService = require('../services/anchoringService');
+const qrPayloadService = require('../services/qrPayloadService');
 const { logger, auditLogger } = require('../utils/logger');
 const rateLimit = require('express-rate-limit');
 
@@ -92,7 +95,10 @@ router.post('/upload',
       const matchingCertificate = await findMatchingCertificate(extractedData);
 
       let verificationResult = null;
+      let fieldComparison = null;
       if (matchingCertificate) {
+        fieldComparison = fieldComparisonService.compare(extractedData, matchingCertificate, ocrResult);
+
         // Perform comprehensive verification
         verificationResult = await verificationService.verifyCertificate(
           matchingCertificate,
@@ -129,6 +135,8 @@ router.post('/upload',
         verificationResult = {
           verificationId: verification.id,
           verificationCode: verification.verificationCode,
+          verdict: 'NOT_FOUND',
+          revocation: null,
           isValid: false,
           confidenceScore: 0,
           checks: {
@@ -168,12 +176,20 @@ router.post('/upload',
           verificationCode: verificationResult.verificationCode,
           isValid: verificationResult.isValid,
           confidenceScore: verificationResult.confidenceScore,
-          status: verificationResult.isValid ? 'VERIFIED' : 'INVALID',
-          message: verificationResult.isValid ? 
-            'Certificate is authentic and verified' : 
-            'Certificate could not be verified',
+          verdict: verificationResult.verdict,
+          revocation: verificationResult.revocation,
+          blacklisting: verificationResult.blacklisting,
+          status: ['REVOKED', 'BLACKLISTED'].includes(verificationResult.verdict) ?
+            verificationResult.verdict :
+            (verificationResult.isValid ? 'VERIFIED' : 'INVALID'),
+          message: ['REVOKED', 'BLACKLISTED'].includes(verificationResult.verdict) ?
+            verificationResult.notes :
+            (verificationResult.isValid ? 
+              'Certificate is authentic and verified' : 
+              'Certificate could not be verified'),
           extractedData,
           ocrValidation,
+          fieldComparison,
           checks: verificationResult.checks,
           flaggedReasons: verificationResult.flaggedReasons
         }
@@ -235,12 +251,6 @@ router.post('/quick',
         whereClause.AND.push({ certificateNumber });
       }
 
-      if (studentName) {
-        whereClause.AND.push({ 
-          studentName: { contains: studentName, mode: 'insensitive' } 
-        });
-      }
-
       if (rollNumber) {
         whereClause.AND.push({ rollNumber });
       }
@@ -261,19 +271,25 @@ router.post('/quick',
         });
       }
 
-      const certificate = await prisma.certificate.findFirst({
-        where: whereClause,
-        include: {
-          institution: true,
-          verifications: {
-            orderBy: { createdAt: 'desc' },
-            take: 1
-          }
+      const include = {
+        institution: true,
+        verifications: {
+          orderBy: { createdAt: 'desc' },
+          take: 1
         }
-      });
+      };
+
+      // Names are matched allowing for initials, honorifics, spelling
+      // variants and Devanagari
+      const certificate = studentName ?
+        await nameSearchService.findCertificate(whereClause, studentName, {
+          narrow: !certificateNumber && !rollNumber,
+          include
+        }) :
+        await prisma.certificate.findFirst({ where: whereClause, include });
 
       let verificationResult;
-      if (certificate && certificate.status === 'VERIFIED') {
+      if (certificate && ['VERIFIED', 'REVOKED'].includes(certificate.status)) {
         // Perform verification
         verificationResult = await verificationService.verifyCertificate(
           certificate,
@@ -308,6 +324,8 @@ router.post('/quick',
         verificationResult = {
           verificationId: verification.id,
           verificationCode: verification.verificationCode,
+          verdict: certificate ? 'INVALID' : 'NOT_FOUND',
+          revocation: null,
           isValid: false,
           confidenceScore: 0,
           flaggedReasons: certificate ? ['CERTIFICATE_NOT_VERIFIED'] : ['CERTIFICATE_NOT_FOUND'],
@@ -332,7 +350,12 @@ router.post('/quick',
           verificationCode: verificationResult.verificationCode,
           isValid: verificationResult.isValid,
           confidenceScore: verificationResult.confidenceScore,
-          status: verificationResult.isValid ? 'VERIFIED' : 'INVALID',
+          verdict: verificationResult.verdict,
+          revocation: verificationResult.revocation,
+          blacklisting: verificationResult.blacklisting,
+          status: ['REVOKED', 'BLACKLISTED'].includes(verificationResult.verdict) ?
+            verificationResult.verdict :
+            (verificationResult.isValid ? 'VERIFIED' : 'INVALID'),
           message: verificationResult.isValid ? 
             'Certificate is authentic and verified' : 
             verificationResult.notes,
@@ -375,36 +398,16 @@ router.post('/qr',
 
       let qrInfo;
       try {
-        qrInfo = JSON.parse(qrData);
+        qrInfo = await qrPayloadService.parse(qrData);
       } catch (parseError) {
         return res.status(400).json({
           success: false,
-          error: 'Invalid QR code format'
-        });
-      }
-
-      if (qrInfo.type !== 'CERTIFICATE_VERIFICATION') {
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid certificate QR code'
+          error: parseError.message
         });
       }
 
-      const prisma = getPrismaClient();
-
-      // Find certificate by ID or blockchain hash
-      let certificate;
-      if (qrInfo.certificateId) {
-        certificate = await prisma.certificate.findUnique({
-          where: { id: qrInfo.certificateId },
-          include: { institution: true }
-        });
-      } else if (qrInfo.blockchainHash) {
-        certificate = await prisma.certificate.findUnique({
-          where: { blockchainHash: qrInfo.blockchainHash },
-          include: { institution: true }
-        });
-      }
+      // Find certificate by ID, blockchain hash or number
+      const certificate = await qrPayloadService.findCertificate(qrInfo);
 
       if (!certificate) {
         return res.status(404).json({
@@ -413,11 +416,16 @@ router.post('/qr',
         });
       }
 
+      // Signature (signed QR) and field/hash checks against the record
+      const qrCheck = qrPayloadService.checkAgainstCertificate(qrInfo, certificate);
+
       // Verify blockchain hash if present
       let blockchainValid = true;
-      if (qrInfo.blockchainHash) {
-        const blockchainResult = await blockchainService.validateCertificate(qrInfo.blockchainHash);
-        blockchainValid = blockchainResult.isValid;
+      let ledgerRevocation = null;
+      if (qrInfo.claims.blockchainHash) {
+        const blockchainResult = await anchoringService.verifyCertificateAnchor(certificate);
+        blockchainValid = qrInfo.claims.blockchainHash === certificate.blockchainHash && blockchainResult.isValid;
+        ledgerRevocation = blockchainResult.revoked ? blockchainResult.revocation : null;
       }
 
       // Perform verification
@@ -434,13 +442,16 @@ router.post('/qr',
       );
 
       // Additional QR-specific validation
-      const qrValid = blockchainValid && verificationResult.isValid;
+      const qrValid = qrCheck.isValid && blockchainValid && verificationResult.isValid;
+      const revocation = verificationResult.revocation || ledgerRevocation;
+      const blacklisting = verificationResult.blacklisting;
 
       // Log QR verification
       auditLogger.info('QR certificate verification', {
         verificationId: verificationResult.verificationId,
         certificateId: certificate.id,
-        blockchainHash: qrInfo.blockchainHash,
+        blockchainHash: qrInfo.claims.blockchainHash,
+        qrFormat: qrInfo.format,
         requestedBy,
         isValid: qrValid,
         ip: req.ip
@@ -453,10 +464,17 @@ router.post('/qr',
           verificationCode: verificationResult.verificationCode,
           isValid: qrValid,
           confidenceScore: qrValid ? verificationResult.confidenceScore : 0,
-          status: qrValid ? 'VERIFIED' : 'INVALID',
-          message: qrValid ? 
-            'Certificate is authentic and verified via QR code' : 
-            'Certificate verification failed',
+          verdict: blacklisting ? 'BLACKLISTED' : (revocation ? 'REVOKED' : (qrValid ? 'VALID' : 'INVALID')),
+          revocation,
+          blacklisting,
+          status: blacklisting ? 'BLACKLISTED' : (revocation ? 'REVOKED' : (qrValid ? 'VERIFIED' : 'INVALID')),
+          message: blacklisting ?
+            verificationResult.notes :
+            (revocation ?
+              'Certificate has been revoked by the issuing institution' :
+              (qrValid ? 
+                'Certificate is authentic and verified via QR code' :
+                'Certificate verification failed')),
           certificate: qrValid ? {
             certificateNumber: certificate.certificateNumber,
             studentName: certificate.studentName,
@@ -469,7 +487,12 @@ router.post('/qr',
           } : null,
           blockchain: {
             validated: blockchainValid,
-            hash: qrInfo.blockchainHash
+            hash: qrInfo.claims.blockchainHash
+          },
+          qr: {
+            format: qrInfo.format,
+            signatureValid: qrInfo.signatureValid,
+            errors: qrCheck.errors
           }
         }
       });
@@ -612,20 +635,27 @@ async function findMatchingCertificate(extractedData) {
     return null;
   }
 
-  const whereConditions = [];
+  // Revoked certificates get a REVOKED verdict
+  const status = { in: ['VERIFIED', 'REVOKED'] };
 
-  // Search by certificate number (highest priority)
-  if (extractedData.certificateNumber) {
-    whereConditions.push({
-      certificateNumber: extractedData.certificateNumber
-    });
-  }
+  try {
+    // Search by certificate number (highest priority)
+    if (extractedData.certificateNumber) {
+      const certificate = await prisma.certificate.findFirst({
+        where: { certificateNumber: extractedData.certificateNumber, status },
+        include: { institution: true }
+      });
+      if (certificate) {
+        return certificate;
+      }
+    }
 
-  // Search by student details (fallback)
-  if (extractedData.studentName) {
-    const studentCondition = {
-      studentName: { contains: extractedData.studentName, mode: 'insensitive' }
-    };
+    // Search by student details (fallback)
+    if (!extractedData.studentName) {
+      return null;
+    }
+
+    const studentCondition = { status };
 
     if (extractedData.rollNumber) {
       studentCondition.rollNumber = extractedData.rollNumber;
@@ -639,21 +669,10 @@ async function findMatchingCertificate(extractedData) {
       studentCondition.passingYear = extractedData.passingYear;
     }
 
-    whereConditions.push(studentCondition);
-  }
-
-  try {
-    const certificate = await prisma.certificate.findFirst({
-      where: {
-        OR: whereConditions,
-        status: 'VERIFIED' // Only search in verified certificates
-      },
-      include: {
-        institution: true
-      }
+    return await nameSearchService.findCertificate(studentCondition, extractedData.studentName, {
+      narrow: !extractedData.rollNumber,
+      include: { institution: true }
     });
-
-    return certificate;
   } catch (error) {
     logger.error('Error finding matching certificate:', error);
     return null;
@@ -1,17 +1,25 @@
 const express = require('express');
 const { getPrismaClient } = require('../config/database');
-const { authenticate, authorize, optionalAuth } = require('../middleware/auth');
+const { authenticate, authorize, optionalAuthOrApiKey } = require('../middleware/auth');
 const { validateVerificationRequest, validateId, validatePagination } = require('../middleware/validation');
 const verificationService = require('../services/verificationService');
+const revocationService = require('../services/revocationService');
+const blacklistService = require('../services/blacklistService');
+const qrPayloadService = require('../services/qrPayloadService');
+const consentService = require('../services/consentService');
+const shareLinkService = require('../services/shareLinkService');
 const { logger, auditLogger } = require('../utils/logger');
+const auditService = require('../utils/auditLogger');
 
 const router = express.Router();
 
+const CONSENT_REQUESTED = 'The student has been asked to consent to sharing these certificate details. Check the verification code for the outcome.';
+
 // @route   POST /api/verifications/verify
 // @desc    Verify a certificate
-// @access  Public (with optional authentication)
+// @access  Public (with optional authentication or API key with verify scope)
 router.post('/verify', 
-  optionalAuth,
+  optionalAuthOrApiKey('verify'),
   validateVerificationRequest,
   async (req, res) => {
     try {
@@ -51,6 +59,23 @@ router.post('/verify',
         verifiedById: req.user?.id
       };
 
+      // Details are held back until the student approves
+      if (consentService.isRequired(certificate)) {
+        const { verification, consent, error, status } = await consentService.request(certificate, verificationRequest);
+        if (error) {
+          return res.status(status).json({
+            success: false,
+            error
+          });
+        }
+
+        return res.status(202).json({
+          success: true,
+          message: CONSENT_REQUESTED,
+          data: consentService.describeRequest(verification, consent)
+        });
+      }
+
       // Perform verification
       const verificationResult = await verificationService.verifyCertificate(certificate, verificationRequest);
 
@@ -60,8 +85,10 @@ router.post('/verify',
         certificateNumber: certificate.certificateNumber,
         requestedBy,
         requestorEmail,
+        verdict: verificationResult.verdict,
         isValid: verificationResult.isValid,
         confidenceScore: verificationResult.confidenceScore,
+        apiKeyId: req.apiKey?.id,
         ip: req.ip
       });
 
@@ -80,6 +107,9 @@ router.post('/verify',
             dateOfIssue: certificate.dateOfIssue
           },
           verification: {
+            verdict: verificationResult.verdict,
+            revocation: verificationResult.revocation,
+            blacklisting: verificationResult.blacklisting,
             isValid: verificationResult.isValid,
             confidenceScore: verificationResult.confidenceScore,
             flaggedReasons: verificationResult.flaggedReasons,
@@ -111,10 +141,11 @@ router.get('/:verificationCode', async (req, res) => {
         certificate: {
           include: {
             institution: {
-              select: { id: true, name: true, code: true }
+              select: { id: true, name: true, code: true, consentRequired: true }
             }
           }
-        }
+        },
+        share: true
       }
     });
 
@@ -133,12 +164,58 @@ router.get('/:verificationCode', async (req, res) => {
       });
     }
 
+    // A certificate revoked since the verification ran shows as REVOKED
+    const { verdict, isValid, revocation } = revocationService.getCurrentOutcome(verification, verification.certificate);
+
+    // Opened through a student's share link: only the shared fields, and
+    // nothing once the link has expired or been revoked
+    if (verification.share) {
+      if (!shareLinkService.isActive(verification.share, verification.certificate)) {
+        return res.status(410).json({
+          success: false,
+          error: shareLinkService.inactiveMessage
+        });
+      }
+
+      return res.json({
+        success: true,
+        data: {
+          verificationCode: verification.verificationCode,
+          status: verification.status,
+          verdict,
+          revocation,
+          isValid,
+          confidenceScore: verification.confidenceScore,
+          verifiedAt: verification.verifiedAt,
+          expiresAt: verification.expiresAt,
+          certificate: shareLinkService.disclose(verification.certificate, verification.share.fields),
+          requestedBy: verification.requestedBy
+        }
+      });
+    }
+
+    const { release, consent } = await consentService.checkRelease(verification);
+    if (!release) {
+      return res.json({
+        success: true,
+        data: consentService.describeWithheld(verification, consent)
+      });
+    }
+
+    if (consent) {
+      await auditService.logVerification(null, verification.id, verification.certificateId, 'CONSENTED_DETAILS_RELEASED', {
+        requestorEmail: verification.requestorEmail
+      }, req.ip, req.get('User-Agent'));
+    }
+
     res.json({
       success: true,
       data: {
         verificationCode: verification.verificationCode,
         status: verification.status,
-        isValid: verification.isValid,
+        verdict,
+        revocation,
+        isValid,
         confidenceScore: verification.confidenceScore,
         verifiedAt: verification.verifiedAt,
         expiresAt: verification.expiresAt,
@@ -151,7 +228,8 @@ router.get('/:verificationCode', async (req, res) => {
           dateOfIssue: verification.certificate.dateOfIssue
         },
         requestedBy: verification.requestedBy,
-        purpose: verification.purpose
+        purpose: verification.purpose,
+        consent
       }
     });
   } catch (error) {
@@ -236,11 +314,13 @@ router.get('/',
 );
 
 // @route   POST /api/verifications/qr-verify
-// @desc    Verify certificate using QR code data
+// @desc    Verify certificate using QR code data. Where the institution
+//          asks for the student's consent, requestedBy and requestorEmail
+//          are needed to ask for it.
 // @access  Public
 router.post('/qr-verify', async (req, res) => {
   try {
-    const { qrData } = req.body;
+    const { qrData, requestedBy, requestorEmail, purpose } = req.body;
     
     if (!qrData) {
       return res.status(400).json({
@@ -251,26 +331,15 @@ router.post('/qr-verify', async (req, res) => {
 
     let parsedData;
     try {
-      parsedData = JSON.parse(qrData);
+      parsedData = await qrPayloadService.parse(qrData);
     } catch (parseError) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid QR code data format'
+        error: parseError.message
       });
     }
 
-    if (parsedData.type !== 'CERTIFICATE_VERIFICATION') {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid QR code type'
-      });
-    }
-
-    const prisma = getPrismaClient();
-    const certificate = await prisma.certificate.findUnique({
-      where: { id: parsedData.certificateId },
-      include: { institution: true }
-    });
+    const certificate = await qrPayloadService.findCertificate(parsedData);
 
     if (!certificate) {
       return res.status(404).json({
@@ -279,12 +348,47 @@ router.post('/qr-verify', async (req, res) => {
       });
     }
 
-    // Verify blockchain hash if available
-    let blockchainValid = true;
-    if (certificate.blockchainHash && parsedData.blockchainHash) {
-      blockchainValid = certificate.blockchainHash === parsedData.blockchainHash;
+    // Signature (signed QR) and field/hash checks against the record
+    const qrCheck = qrPayloadService.checkAgainstCertificate(parsedData, certificate);
+    const blockchainValid = !parsedData.claims.blockchainHash ||
+      parsedData.claims.blockchainHash === certificate.blockchainHash;
+
+    // Details are held back until the student approves; a QR code that
+    // does not check out does not get the student asked
+    if (consentService.isRequired(certificate)) {
+      if (!qrCheck.isValid || !blockchainValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'QR code could not be verified',
+          details: qrCheck.errors
+        });
+      }
+
+      const { verification, consent, error, status } = await consentService.request(certificate, {
+        requestedBy,
+        requestorEmail,
+        purpose,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+      if (error) {
+        return res.status(status).json({
+          success: false,
+          error
+        });
+      }
+
+      return res.status(202).json({
+        success: true,
+        message: CONSENT_REQUESTED,
+        data: consentService.describeRequest(verification, consent)
+      });
     }
 
+    const revocation = revocationService.getRevocationDetails(certificate);
+    const blacklistEntry = await blacklistService.findForCertificate(certificate);
+    const isValid = !blacklistEntry && qrCheck.isValid && certificate.status === 'VERIFIED';
+
     res.json({
       success: true,
       data: {
@@ -299,9 +403,15 @@ router.post('/qr-verify', async (req, res) => {
           status: certificate.status
         },
         qrVerification: {
-          isValid: blockchainValid && certificate.status === 'VERIFIED',
+          verdict: blacklistEntry ? 'BLACKLISTED' : (revocation ? 'REVOKED' : (isValid ? 'VALID' : 'INVALID')),
+          revocation,
+          blacklisting: blacklistEntry ? blacklistService.describe(blacklistEntry) : null,
+          isValid,
           blockchainValid,
-          qrTimestamp: parsedData.timestamp
+          qrFormat: parsedData.format,
+          signatureValid: parsedData.signatureValid,
+          errors: qrCheck.errors,
+          qrTimestamp: parsedData.claims.issuedAt
         }
       }
     });
@@ -12,14 +12,28 @@ const verificationRoutes = require('./routes/verifications');
 const institutionRoutes = require('./routes/institutions');
 const adminRoutes = require('./routes/admin');
 const publicRoutes = require('./routes/public');
+const studentRoutes = require('./routes/students');
 
 const { errorHandler } = require('./middleware/errorHandler');
+const { rejectBlacklistedIps } = require('./middleware/blacklist');
 const { logger } = require('./utils/logger');
 const { connectDB } = require('./config/database');
+const anchoringService = require('./services/anchoringService');
+const bulkUploadJobService = require('./services/bulkUploadJobService');
 
 const app = express();
 const PORT = process.env.PORT || 10000;
 
+// Behind a reverse proxy, req.ip is only the client address when the
+// proxy is trusted (e.g. TRUST_PROXY=1 for one hop)
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
+// Blacklisted IP addresses are turned away before anything else
+app.use(rejectBlacklistedIps);
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -141,7 +155,8 @@ app.get('/api', (req, res) => {
       verifications: '/api/verifications',
       institutions: '/api/institutions',
       admin: '/api/admin',
-      public: '/api/public'
+      public: '/api/public',
+      students: '/api/students'
     },
     documentation: 'https://github.com/abhay-kr-0705/Degree-Defender-Backend'
   });
@@ -154,6 +169,7 @@ app.use('/api/verifications', verificationRoutes);
 app.use('/api/institutions', institutionRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/public', publicRoutes);
+app.use('/api/students', studentRoutes);
 
 // Serve uploaded files
 app.use('/uploads', express.static('uploads'));
@@ -173,7 +189,8 @@ app.get('/', (req, res) => {
       verifications: '/api/verifications',
       institutions: '/api/institutions',
       admin: '/api/admin',
-      public: '/api/public'
+      public: '/api/public',
+      students: '/api/students'
     },
     documentation: 'https://github.com/abhay-kr-0705/Degree-Defender-Backend'
   });
@@ -213,6 +230,13 @@ const server = app.listen(PORT, async () => {
   try {
     // Initialize database connection
     await connectDB();
+
+    // Anchor queued certificate hashes in periodic Merkle batches
+    anchoringService.start();
+
+    // Process queued bulk uploads, resuming any interrupted by a restart
+    await bulkUploadJobService.start();
+
     logger.info(`🚀 Server running on port ${PORT}`);
     logger.info(`📊 Environment: ${process.env.NODE_ENV}`);
     logger.info(`🔗 API Base URL: http://localhost:${PORT}/api`);
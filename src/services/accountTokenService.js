@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getPrismaClient } = require('../config/database');
+
+const TOKEN_TYPES = {
+  EMAIL_VERIFICATION: { ttlMinutes: parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || 24 * 60 },
+  PASSWORD_RESET: { ttlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30 },
+  PHONE_VERIFICATION: { ttlMinutes: parseInt(process.env.PHONE_VERIFICATION_TTL_MINUTES) || 10 },
+  CERTIFICATE_CLAIM: { ttlMinutes: parseInt(process.env.CERTIFICATE_CLAIM_TTL_MINUTES) || 10 }
+};
+
+const INVALID_TOKEN = 'Invalid or expired token';
+
+/**
+ * One-time tokens for email verification, password reset, phone
+ * verification and certificate claims.
+ *
+ * Email links carry a JWT signed for one purpose whose jti names a database
+ * row; the row makes the token single-use and lets a new request cancel older
+ * links. Codes are six digits, stored as an HMAC and limited in attempts.
+ */
+class AccountTokenService {
+  constructor() {
+    this.types = TOKEN_TYPES;
+    this.maxCodeAttempts = 5;
+  }
+
+  getTtlMinutes(type) {
+    return TOKEN_TYPES[type].ttlMinutes;
+  }
+
+  hashCode(userId, code) {
+    return crypto.createHmac('sha256', process.env.JWT_SECRET).update(`${userId}:${code}`).digest('hex');
+  }
+
+  /**
+   * Start a new token for a user, cancelling any outstanding ones of the
+   * same type
+   */
+  async createRecord(user, type, target, codeHash = null) {
+    const prisma = getPrismaClient();
+
+    await prisma.accountToken.updateMany({
+      where: { userId: user.id, type, usedAt: null },
+      data: { usedAt: new Date() }
+    });
+
+    return prisma.accountToken.create({
+      data: {
+        type,
+        target,
+        codeHash,
+        expiresAt: new Date(Date.now() + this.getTtlMinutes(type) * 60 * 1000),
+        userId: user.id
+      }
+    });
+  }
+
+  /**
+   * Issue a signed link token (EMAIL_VERIFICATION or PASSWORD_RESET) for the
+   * user's current email address
+   */
+  async issueLinkToken(user, type) {
+    const record = await this.createRecord(user, type, user.email);
+
+    const token = jwt.sign(
+      { sub: user.id, jti: record.id },
+      process.env.JWT_SECRET,
+      { audience: `account:${type}`, expiresIn: this.getTtlMinutes(type) * 60 }
+    );
+
+    return { token, expiresInMinutes: this.getTtlMinutes(type) };
+  }
+
+  /**
+   * Use up a link token. Resolves to { user } or { error }.
+   */
+  async consumeLinkToken(token, type) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: `account:${type}` });
+    } catch (error) {
+      return { error: INVALID_TOKEN };
+    }
+
+    const prisma = getPrismaClient();
+    const record = await prisma.accountToken.findUnique({ where: { id: decoded.jti } });
+
+    if (!record || record.type !== type || record.userId !== decoded.sub ||
+      record.usedAt || record.expiresAt <= new Date()) {
+      return { error: INVALID_TOKEN };
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: record.userId } });
+
+    // A link sent to a previous email address is no longer valid
+    if (!user || !user.isActive || user.email !== record.target) {
+      return { error: INVALID_TOKEN };
+    }
+
+    const { count } = await prisma.accountToken.updateMany({
+      where: { id: record.id, usedAt: null },
+      data: { usedAt: new Date() }
+    });
+    if (count === 0) {
+      return { error: INVALID_TOKEN };
+    }
+
+    return { user };
+  }
+
+  /**
+   * Issue a six-digit code of a type for a target such as a phone number
+   */
+  async issueCode(user, type, target) {
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    await this.createRecord(user, type, target, this.hashCode(user.id, code));
+
+    return { code, expiresInMinutes: this.getTtlMinutes(type) };
+  }
+
+  /**
+   * Check a code against the latest one of its type issued to the user,
+   * which must have been for the same target. Resolves to
+   * { verified: true } or { error }.
+   */
+  async verifyCode(user, type, target, code) {
+    const prisma = getPrismaClient();
+
+    const record = await prisma.accountToken.findFirst({
+      where: { userId: user.id, type, usedAt: null },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    if (!record || record.expiresAt <= new Date() || record.target !== target) {
+      return { error: 'No valid verification code. Please request a new one.' };
+    }
+    if (record.attempts >= this.maxCodeAttempts) {
+      return { error: 'Too many incorrect attempts. Please request a new code.' };
+    }
+
+    const expected = Buffer.from(record.codeHash, 'hex');
+    const presented = Buffer.from(this.hashCode(user.id, String(code)), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, presented)) {
+      await prisma.accountToken.update({
+        where: { id: record.id },
+        data: { attempts: { increment: 1 } }
+      });
+      return { error: 'Incorrect verification code' };
+    }
+
+    const { count } = await prisma.accountToken.updateMany({
+      where: { id: record.id, usedAt: null },
+      data: { usedAt: new Date() }
+    });
+    if (count === 0) {
+      return { error: 'No valid verification code. Please request a new one.' };
+    }
+
+    return { verified: true };
+  }
+
+  /**
+   * Issue a six-digit code for the user's current phone number
+   */
+  async issuePhoneCode(user) {
+    return this.issueCode(user, 'PHONE_VERIFICATION', user.phone);
+  }
+
+  /**
+   * Check a phone code against the latest one issued. Resolves to
+   * { verified: true } or { error }.
+   */
+  async verifyPhoneCode(user, code) {
+    return this.verifyCode(user, 'PHONE_VERIFICATION', user.phone, code);
+  }
+}
+
+module.exports = new AccountTokenService();
@@ -0,0 +1,350 @@
+const { getPrismaClient } = require('../config/database');
+const blockchainService = require('./blockchainService');
+const { buildMerkleTree, getMerkleProof, verifyMerkleProof } = require('../utils/merkle');
+const { logger } = require('../utils/logger');
+
+/**
+ * Rolls queued certificate hashes into Merkle trees and anchors only the
+ * root, so a batch of any size costs a single ledger transaction.
+ */
+class AnchoringService {
+  constructor() {
+    this.intervalMs = parseInt(process.env.ANCHOR_BATCH_INTERVAL_MS) || 10 * 60 * 1000; // 10 minutes
+    this.maxBatchSize = parseInt(process.env.ANCHOR_BATCH_MAX_SIZE) || 1000;
+    // A PENDING batch older than this was abandoned by a crashed run
+    this.staleBatchMs = parseInt(process.env.ANCHOR_BATCH_STALE_MS) || 30 * 60 * 1000; // 30 minutes
+    // Time allowed per certificate when recording a batch's proofs
+    this.proofWriteMs = parseInt(process.env.ANCHOR_PROOF_WRITE_MS) || 50;
+    this.timer = null;
+    this.flushing = null;
+  }
+
+  /**
+   * Start the periodic batch job
+   */
+  start() {
+    if (this.timer) return;
+
+    this.recoverStaleBatches().catch(error => logger.error('Recovering stale anchor batches failed:', error));
+
+    this.timer = setInterval(() => {
+      this.flush().catch(error => logger.error('Scheduled anchoring failed:', error));
+    }, this.intervalMs);
+    this.timer.unref();
+
+    logger.info(`⏱️ Certificate anchoring scheduled every ${Math.round(this.intervalMs / 1000)}s`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Anchoring fields that put a certificate into the next batch.
+   * Callers merge these into their own certificate update.
+   */
+  queueCertificate(certificate) {
+    return {
+      blockchainHash: blockchainService.generateCertificateHash(certificate),
+      anchorStatus: 'QUEUED',
+      anchorBatchId: null,
+      merkleProof: null
+    };
+  }
+
+  /**
+   * Anchor everything currently queued, one batch at a time
+   */
+  async flush() {
+    // Calls made while a flush is running share its result
+    if (!this.flushing) {
+      this.flushing = this.flushAll().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  async flushAll() {
+    await this.recoverStaleBatches();
+
+    const batches = [];
+
+    while (true) {
+      const batch = await this.anchorNextBatch();
+      if (!batch) break;
+
+      batches.push(batch);
+      if (batch.status !== 'ANCHORED' || batch.leafCount < this.maxBatchSize) break;
+    }
+
+    return batches;
+  }
+
+  /**
+   * Fail PENDING batches left behind by a run that died between claiming
+   * certificates and recording the outcome, releasing their certificates
+   * to the queue. Resolves to the number of batches recovered.
+   */
+  async recoverStaleBatches() {
+    const prisma = getPrismaClient();
+
+    const stale = await prisma.anchorBatch.findMany({
+      where: {
+        status: 'PENDING',
+        updatedAt: { lt: new Date(Date.now() - this.staleBatchMs) }
+      },
+      select: { id: true }
+    });
+
+    let recovered = 0;
+    for (const { id } of stale) {
+      const released = await prisma.$transaction(async (tx) => {
+        // Skip batches a slow run finished meanwhile
+        const { count } = await tx.anchorBatch.updateMany({
+          where: { id, status: 'PENDING' },
+          data: { status: 'FAILED', error: 'Abandoned before the anchoring result was recorded' }
+        });
+        if (count === 0) return false;
+
+        await tx.certificate.updateMany({
+          where: { anchorBatchId: id, anchorStatus: 'QUEUED' },
+          data: { anchorBatchId: null }
+        });
+        return true;
+      });
+
+      if (released) {
+        recovered++;
+        logger.warn(`Recovered stale anchor batch ${id}; its certificates are queued again`);
+      }
+    }
+
+    return recovered;
+  }
+
+  /**
+   * Claim up to maxBatchSize queued certificates, anchor their Merkle root
+   * and store each certificate's inclusion proof
+   */
+  async anchorNextBatch() {
+    const prisma = getPrismaClient();
+
+    // Create the batch and claim rows together, so a second instance
+    // flushing concurrently skips them and no batch exists without its rows
+    const batch = await prisma.$transaction(async (tx) => {
+      const queued = await tx.certificate.findMany({
+        where: { anchorStatus: 'QUEUED', anchorBatchId: null },
+        select: { id: true },
+        orderBy: { createdAt: 'asc' },
+        take: this.maxBatchSize
+      });
+
+      if (queued.length === 0) {
+        return null;
+      }
+
+      const created = await tx.anchorBatch.create({ data: {} });
+      await tx.certificate.updateMany({
+        where: { id: { in: queued.map(c => c.id) }, anchorStatus: 'QUEUED', anchorBatchId: null },
+        data: { anchorBatchId: created.id }
+      });
+      return created;
+    });
+
+    if (!batch) {
+      return null;
+    }
+
+    const certificates = await prisma.certificate.findMany({
+      where: { anchorBatchId: batch.id },
+      select: { id: true, blockchainHash: true },
+      orderBy: { id: 'asc' }
+    });
+
+    if (certificates.length === 0) {
+      await prisma.anchorBatch.delete({ where: { id: batch.id } });
+      return null;
+    }
+
+    const tree = buildMerkleTree(certificates.map(c => c.blockchainHash));
+
+    try {
+      const receipt = await blockchainService.anchorMerkleRoot(tree.root, {
+        batchId: batch.id,
+        leafCount: certificates.length
+      });
+
+      const proofUpdates = certificates.map((certificate, index) => ({
+        where: { id: certificate.id },
+        data: {
+          anchorStatus: 'ANCHORED',
+          merkleProof: {
+            root: tree.root,
+            index,
+            siblings: getMerkleProof(tree, index)
+          }
+        }
+      }));
+
+      const anchoredBatch = await prisma.$transaction(async (tx) => {
+        // A batch recovered as stale meanwhile has had its certificates
+        // released; leave them to the batch that claims them next
+        const { count } = await tx.anchorBatch.updateMany({
+          where: { id: batch.id, status: 'PENDING' },
+          data: {
+            merkleRoot: tree.root,
+            leafCount: certificates.length,
+            status: 'ANCHORED',
+            ledger: receipt.ledger,
+            transactionHash: receipt.transactionHash,
+            blockNumber: receipt.blockNumber,
+            anchoredAt: new Date()
+          }
+        });
+        if (count === 0) {
+          throw new Error('Batch was recovered as stale before its result was recorded');
+        }
+
+        for (const update of proofUpdates) {
+          await tx.certificate.update(update);
+        }
+        return tx.anchorBatch.findUnique({ where: { id: batch.id } });
+      }, this.recordTransactionOptions(certificates.length));
+
+      logger.info(`Anchored batch ${batch.id}: ${certificates.length} certificates, root ${tree.root}`);
+      return anchoredBatch;
+    } catch (error) {
+      logger.error(`Anchoring batch ${batch.id} failed:`, error);
+
+      // Release the certificates so the next run picks them up again
+      await prisma.$transaction([
+        prisma.anchorBatch.updateMany({
+          where: { id: batch.id, status: 'PENDING' },
+          data: {
+            merkleRoot: tree.root,
+            leafCount: certificates.length,
+            status: 'FAILED',
+            error: error.message
+          }
+        }),
+        prisma.certificate.updateMany({
+          where: { anchorBatchId: batch.id },
+          data: { anchorBatchId: null }
+        })
+      ]);
+
+      return prisma.anchorBatch.findUnique({ where: { id: batch.id } });
+    }
+  }
+
+  /**
+   * Interactive transaction limits for recording a batch of the given
+   * size. Prisma's 5s default is too short for a full batch, and a
+   * timeout here would fail a batch whose root is already on the ledger.
+   */
+  recordTransactionOptions(leafCount) {
+    return {
+      maxWait: 10 * 1000,
+      timeout: 5 * 1000 + leafCount * this.proofWriteMs
+    };
+  }
+
+  /**
+   * Check a certificate's hash against the ledger, whichever way it was
+   * anchored (queued, Merkle batch or individual transaction).
+   * A revocation recorded on the ledger fails the check with revoked: true.
+   */
+  async verifyCertificateAnchor(certificate) {
+    const revocation = await blockchainService.checkRevocation(certificate.blockchainHash);
+    if (revocation.revoked) {
+      return {
+        isValid: false,
+        revoked: true,
+        method: 'REVOCATION',
+        revocation,
+        message: 'Certificate has been revoked on the ledger'
+      };
+    }
+
+    if (certificate.anchorStatus === 'QUEUED' || certificate.anchorStatus === 'ANCHORED') {
+      const recomputedHash = blockchainService.generateCertificateHash(certificate);
+
+      if (recomputedHash !== certificate.blockchainHash) {
+        return {
+          isValid: false,
+          method: 'HASH_RECOMPUTATION',
+          message: 'Certificate data does not match its blockchain hash - certificate may be tampered'
+        };
+      }
+
+      if (certificate.anchorStatus === 'QUEUED' || !certificate.merkleProof) {
+        return {
+          isValid: true,
+          pending: true,
+          method: 'QUEUED',
+          message: 'Certificate hash is queued for blockchain anchoring'
+        };
+      }
+
+      const { root, siblings } = certificate.merkleProof;
+      if (!verifyMerkleProof(recomputedHash, siblings, root)) {
+        return {
+          isValid: false,
+          method: 'MERKLE_PROOF',
+          message: 'Merkle inclusion proof does not match the anchored root'
+        };
+      }
+
+      const rootResult = await blockchainService.validateMerkleRoot(root);
+      return {
+        ...rootResult,
+        method: 'MERKLE_PROOF',
+        blockchainHash: certificate.blockchainHash,
+        message: rootResult.isValid ?
+          'Merkle proof verified against anchored root' :
+          'Merkle root not found on ledger - certificate may be tampered'
+      };
+    }
+
+    const result = await blockchainService.validateCertificate(certificate.blockchainHash);
+    return {
+      ...result,
+      method: 'DIRECT',
+      message: result.isValid ?
+        'Blockchain validation successful' :
+        'Blockchain validation failed - certificate may be tampered'
+    };
+  }
+
+  /**
+   * Queue and batch counts for status endpoints
+   */
+  async getStats() {
+    const prisma = getPrismaClient();
+
+    const [queued, anchored, failedBatches, lastBatch] = await Promise.all([
+      prisma.certificate.count({ where: { anchorStatus: 'QUEUED' } }),
+      prisma.certificate.count({ where: { anchorStatus: 'ANCHORED' } }),
+      prisma.anchorBatch.count({ where: { status: 'FAILED' } }),
+      prisma.anchorBatch.findFirst({
+        where: { status: 'ANCHORED' },
+        orderBy: { anchoredAt: 'desc' }
+      })
+    ]);
+
+    return {
+      queuedCertificates: queued,
+      batchAnchoredCertificates: anchored,
+      failedBatches,
+      lastAnchoredBatch: lastBatch,
+      batchIntervalMs: this.intervalMs,
+      maxBatchSize: this.maxBatchSize
+    };
+  }
+}
+
+module.exports = new AnchoringService();
@@ -1,4 +1,5 @@
 const { getPrismaClient } = require('../config/database');
+const nameSearchService = require('./nameSearchService');
 const { logger } = require('../utils/logger');
 const crypto = require('crypto');
 
@@ -26,23 +27,23 @@ class AnomalyDetectionService {
     try {
       // Grade tampering detection
       const gradeAnomalies = await this.detectGradeTampering(certificate);
-      anomalies.push(...gradeAnomalies);
+      anomalies.push(...this.tagDetector('gradeTampering', gradeAnomalies));
 
       // Seal and signature analysis
       const sealAnomalies = await this.detectForgedSeals(certificate, ocrResult);
-      anomalies.push(...sealAnomalies);
+      anomalies.push(...this.tagDetector('forgedSeals', sealAnomalies));
 
       // Pattern analysis
       const patternAnomalies = this.detectSuspiciousPatterns(certificate);
-      anomalies.push(...patternAnomalies);
+      anomalies.push(...this.tagDetector('suspiciousPatterns', patternAnomalies));
 
       // Statistical analysis
       const statAnomalies = await this.performStatisticalAnalysis(certificate);
-      anomalies.push(...statAnomalies);
+      anomalies.push(...this.tagDetector('statisticalAnalysis', statAnomalies));
 
       // Cross-reference checks
       const crossRefAnomalies = await this.crossReferenceValidation(certificate);
-      anomalies.push(...crossRefAnomalies);
+      anomalies.push(...this.tagDetector('crossReference', crossRefAnomalies));
 
       return this.prioritizeAnomalies(anomalies);
     } catch (error) {
@@ -51,6 +52,13 @@ class AnomalyDetectionService {
     }
   }
 
+  /**
+   * Record which check raised each anomaly, for review precision statistics
+   */
+  tagDetector(detector, anomalies) {
+    return anomalies.map(anomaly => ({ ...anomaly, detector: `anomalyDetection.${detector}` }));
+  }
+
   async detectGradeTampering(certificate) {
     const anomalies = [];
 
@@ -238,25 +246,18 @@ class AnomalyDetectionService {
 
     try {
       // Check for duplicate certificates
-      const duplicates = await prisma.certificate.findMany({
-        where: {
-          AND: [
-            { id: { not: certificate.id } },
-            {
-              OR: [
-                { certificateNumber: certificate.certificateNumber },
-                {
-                  AND: [
-                    { studentName: certificate.studentName },
-                    { rollNumber: certificate.rollNumber },
-                    { passingYear: certificate.passingYear }
-                  ]
-                }
-              ]
-            }
-          ]
-        }
-      });
+      const [sameNumber, sameStudent] = await Promise.all([
+        prisma.certificate.findMany({
+          where: { id: { not: certificate.id }, certificateNumber: certificate.certificateNumber }
+        }),
+        nameSearchService.findCertificates({
+          id: { not: certificate.id },
+          certificateNumber: { not: certificate.certificateNumber },
+          rollNumber: certificate.rollNumber,
+          passingYear: certificate.passingYear
+        }, certificate.studentName, { narrow: !certificate.rollNumber })
+      ]);
+      const duplicates = [...sameNumber, ...sameStudent];
 
       if (duplicates.length > 0) {
         anomalies.push({
@@ -282,7 +283,9 @@ class AnomalyDetectionService {
               identifier: certificate.studentName,
               isActive: true
             }
-          ]
+          ],
+          // Expired entries no longer apply
+          AND: [{ OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }] }]
         }
       });
 
@@ -342,6 +345,7 @@ class AnomalyDetectionService {
             severity: anomaly.severity,
             description: anomaly.description,
             detectionMethod: anomaly.detectionMethod,
+            detector: anomaly.detector,
             confidence: anomaly.confidence / 100,
             metadata: {
               riskScore: anomaly.riskScore,
@@ -0,0 +1,221 @@
+const { getPrismaClient } = require('../config/database');
+const auditService = require('../utils/auditLogger');
+
+const STATUSES = ['NEW', 'UNDER_REVIEW', 'CONFIRMED_FRAUD', 'DISMISSED'];
+const OUTCOMES = ['CONFIRMED_FRAUD', 'DISMISSED'];
+
+// Certificate statuses that confirmed fraud overrides
+const REJECTABLE_STATUSES = ['PENDING', 'VERIFIED', 'FLAGGED'];
+
+const reviewerSummary = { id: true, email: true, firstName: true, lastName: true };
+
+/**
+ * Review of detected anomalies. An anomaly starts NEW, may be taken UNDER_REVIEW
+ * and ends CONFIRMED_FRAUD or DISMISSED. Outcomes feed back into the
+ * certificate status and into per-detector precision statistics.
+ */
+class AnomalyReviewService {
+  constructor() {
+    this.statuses = STATUSES;
+    this.outcomes = OUTCOMES;
+  }
+
+  /**
+   * Anomaly with its certificate, or null
+   */
+  async find(anomalyId) {
+    return getPrismaClient().anomaly.findUnique({
+      where: { id: anomalyId },
+      include: { certificate: true }
+    });
+  }
+
+  /**
+   * Take an anomaly under review.
+   * Resolves to { anomaly } or { error, status }.
+   */
+  async startReview(reviewer, anomaly, { notes = null, ipAddress = null } = {}) {
+    if (anomaly.status !== 'NEW') {
+      return { error: `Only NEW anomalies can be taken under review; this one is ${anomaly.status}`, status: 400 };
+    }
+
+    const prisma = getPrismaClient();
+    const { count } = await prisma.anomaly.updateMany({
+      where: { id: anomaly.id, status: 'NEW' },
+      data: {
+        status: 'UNDER_REVIEW',
+        reviewStartedAt: new Date(),
+        reviewedById: reviewer.id,
+        ...(notes && { reviewNotes: notes })
+      }
+    });
+    if (count === 0) {
+      return { error: 'The anomaly was changed by someone else. Reload and try again.', status: 409 };
+    }
+
+    await auditService.logAdminAction(reviewer.id, 'ANOMALY_REVIEW_STARTED', null, `Anomaly:${anomaly.id}`, {
+      certificateId: anomaly.certificateId,
+      notes
+    }, ipAddress);
+
+    return { anomaly: await this.findForResponse(anomaly.id) };
+  }
+
+  /**
+   * Record the outcome of a review and apply it to the certificate:
+   * confirmed fraud rejects it, and dismissing the last open high-risk
+   * anomaly of a flagged certificate returns it to PENDING.
+   * Resolves to { anomaly, certificateStatus } or { error, status }.
+   */
+  async resolve(reviewer, anomaly, { outcome, notes, ipAddress = null }) {
+    if (!['NEW', 'UNDER_REVIEW'].includes(anomaly.status)) {
+      return { error: `Anomaly has already been resolved as ${anomaly.status}`, status: 400 };
+    }
+
+    const prisma = getPrismaClient();
+    const { count } = await prisma.anomaly.updateMany({
+      where: { id: anomaly.id, status: anomaly.status },
+      data: {
+        status: outcome,
+        reviewNotes: notes,
+        resolvedAt: new Date(),
+        reviewedById: reviewer.id
+      }
+    });
+    if (count === 0) {
+      return { error: 'The anomaly was changed by someone else. Reload and try again.', status: 409 };
+    }
+
+    const certificateStatus = await this.applyToCertificate(reviewer, anomaly, outcome);
+
+    await auditService.logAdminAction(reviewer.id, 'ANOMALY_RESOLVED', null, `Anomaly:${anomaly.id}`, {
+      certificateId: anomaly.certificateId,
+      detector: anomaly.detector,
+      type: anomaly.type,
+      fromStatus: anomaly.status,
+      outcome,
+      notes,
+      certificateStatus
+    }, ipAddress);
+
+    return { anomaly: await this.findForResponse(anomaly.id), certificateStatus };
+  }
+
+  /**
+   * Certificate status implied by a review outcome, applied with a change
+   * record. Resolves to the certificate's (possibly unchanged) status.
+   */
+  async applyToCertificate(reviewer, anomaly, outcome) {
+    const prisma = getPrismaClient();
+    const certificate = anomaly.certificate;
+    let nextStatus = null;
+
+    if (outcome === 'CONFIRMED_FRAUD' && REJECTABLE_STATUSES.includes(certificate.status)) {
+      nextStatus = 'REJECTED';
+    } else if (outcome === 'DISMISSED' && certificate.status === 'FLAGGED') {
+      const remaining = await prisma.anomaly.count({
+        where: {
+          certificateId: certificate.id,
+          OR: [
+            { status: 'CONFIRMED_FRAUD' },
+            { status: { in: ['NEW', 'UNDER_REVIEW'] }, severity: { in: ['HIGH', 'CRITICAL'] } }
+          ]
+        }
+      });
+      if (remaining === 0) {
+        nextStatus = 'PENDING';
+      }
+    }
+
+    if (!nextStatus) {
+      return certificate.status;
+    }
+
+    await prisma.$transaction([
+      prisma.certificate.update({
+        where: { id: certificate.id },
+        data: { status: nextStatus }
+      }),
+      prisma.certificateChange.create({
+        data: {
+          certificateId: certificate.id,
+          field: 'status',
+          oldValue: certificate.status,
+          newValue: nextStatus,
+          source: 'ANOMALY_REVIEW',
+          changedById: reviewer.id
+        }
+      })
+    ]);
+
+    return nextStatus;
+  }
+
+  async findForResponse(anomalyId) {
+    return getPrismaClient().anomaly.findUnique({
+      where: { id: anomalyId },
+      include: {
+        reviewedBy: { select: reviewerSummary },
+        certificate: { select: { id: true, certificateNumber: true, studentName: true, status: true } }
+      }
+    });
+  }
+
+  /**
+   * Review outcomes per detector. Precision is the share of resolved
+   * anomalies confirmed as fraud; anomalies recorded before detectors were
+   * tracked are grouped by type.
+   */
+  async getDetectorStats({ institutionFilter, since } = {}) {
+    const where = {};
+    if (institutionFilter) {
+      where.certificate = { institutionId: institutionFilter };
+    }
+    if (since) {
+      where.createdAt = { gte: since };
+    }
+
+    const groups = await getPrismaClient().anomaly.groupBy({
+      by: ['detector', 'type', 'status'],
+      where,
+      _count: { id: true }
+    });
+
+    const byDetector = new Map();
+    for (const group of groups) {
+      const detector = group.detector || `type:${group.type}`;
+      if (!byDetector.has(detector)) {
+        byDetector.set(detector, {
+          detector,
+          total: 0,
+          NEW: 0,
+          UNDER_REVIEW: 0,
+          CONFIRMED_FRAUD: 0,
+          DISMISSED: 0,
+          types: new Set()
+        });
+      }
+      const stats = byDetector.get(detector);
+      stats.total += group._count.id;
+      stats[group.status] = (stats[group.status] || 0) + group._count.id;
+      stats.types.add(group.type);
+    }
+
+    return [...byDetector.values()]
+      .map(({ types, ...stats }) => {
+        const resolved = stats.CONFIRMED_FRAUD + stats.DISMISSED;
+        return {
+          detector: stats.detector,
+          types: [...types],
+          total: stats.total,
+          pending: stats.NEW + stats.UNDER_REVIEW,
+          confirmed: stats.CONFIRMED_FRAUD,
+          dismissed: stats.DISMISSED,
+          precision: resolved > 0 ? Math.round((stats.CONFIRMED_FRAUD / resolved) * 1000) / 1000 : null
+        };
+      })
+      .sort((a, b) => b.dismissed - a.dismissed);
+  }
+}
+
+module.exports = new AnomalyReviewService();
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const { getPrismaClient } = require('../config/database');
+const { logger } = require('../utils/logger');
+
+const KEY_PREFIX = 'ddk_';
+const SCOPES = ['issue', 'verify', 'read'];
+
+// Fields safe to return to clients (never the hash)
+const PUBLIC_FIELDS = {
+  id: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  lastUsedIp: true,
+  revokedAt: true,
+  createdAt: true,
+  institutionId: true
+};
+
+/**
+ * Institution API keys for server-to-server clients.
+ * Keys are random 256-bit secrets shown once at creation; only their SHA-256
+ * hash is stored, so a database leak does not expose usable keys.
+ */
+class ApiKeyService {
+  constructor() {
+    this.scopes = SCOPES;
+    // Avoid a write on every request; last-use is tracked to this granularity
+    this.touchIntervalMs = 60 * 1000;
+  }
+
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Create a key. Resolves to { apiKey, key } where key is the plaintext,
+   * returned only this once.
+   */
+  async createKey(institutionId, { name, scopes = SCOPES, expiresInDays = null, createdById = null }) {
+    const key = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+
+    const apiKey = await getPrismaClient().apiKey.create({
+      data: {
+        name,
+        prefix: key.slice(0, KEY_PREFIX.length + 8),
+        keyHash: this.hashKey(key),
+        scopes,
+        expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null,
+        institutionId,
+        createdById
+      },
+      select: PUBLIC_FIELDS
+    });
+
+    logger.info(`API key ${apiKey.prefix}… created for institution ${institutionId}`);
+
+    return { apiKey, key };
+  }
+
+  async listKeys(institutionId) {
+    return getPrismaClient().apiKey.findMany({
+      where: { institutionId },
+      select: PUBLIC_FIELDS,
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  /**
+   * Revoke one key. Resolves to false if the key does not exist or is
+   * already revoked.
+   */
+  async revokeKey(institutionId, keyId) {
+    const { count } = await getPrismaClient().apiKey.updateMany({
+      where: { id: keyId, institutionId, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+    return count > 0;
+  }
+
+  async revokeAll(institutionId) {
+    const { count } = await getPrismaClient().apiKey.updateMany({
+      where: { institutionId, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+    return count;
+  }
+
+  /**
+   * Look up a presented key. Resolves to the key with its institution, or
+   * { error } when it is unknown, revoked, expired or its institution is
+   * inactive.
+   */
+  async authenticate(key) {
+    if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) {
+      return { error: 'Invalid API key.' };
+    }
+
+    const apiKey = await getPrismaClient().apiKey.findUnique({
+      where: { keyHash: this.hashKey(key) },
+      include: { institution: true }
+    });
+
+    if (!apiKey || apiKey.revokedAt) {
+      return { error: 'Invalid API key.' };
+    }
+    if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+      return { error: 'API key has expired.' };
+    }
+    if (!apiKey.institution.isActive) {
+      return { error: 'Institution is not active.' };
+    }
+
+    return { apiKey };
+  }
+
+  /**
+   * Record key use without holding up the request
+   */
+  touch(apiKey, ip) {
+    if (apiKey.lastUsedAt && Date.now() - apiKey.lastUsedAt.getTime() < this.touchIntervalMs) {
+      return;
+    }
+
+    getPrismaClient().apiKey.update({
+      where: { id: apiKey.id },
+      data: { lastUsedAt: new Date(), lastUsedIp: ip }
+    }).catch(error => logger.warn(`Failed to record use of API key ${apiKey.id}:`, error));
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,191 @@
+const net = require('net');
+const { getPrismaClient } = require('../config/database');
+
+const ENTITY_TYPES = ['INSTITUTION', 'CERTIFICATE', 'USER', 'IP'];
+
+/**
+ * Cached view of the active BlacklistedEntity entries, so every request
+ * can be checked without a query.
+ *
+ * IP entries are single addresses or CIDR ranges (IPv4 or IPv6). Other
+ * entries name the entity by id or by its natural key: the email of a
+ * user, the number of a certificate, the code of an institution. Entries
+ * with an expiresAt stop applying once it passes. Admin changes call
+ * invalidate().
+ */
+class BlacklistService {
+  constructor() {
+    this.types = ENTITY_TYPES;
+    this.cacheMs = 60 * 1000;
+    this.cache = null;
+  }
+
+  /**
+   * Plain IPv4 form of IPv4-mapped IPv6 addresses (::ffff:1.2.3.4)
+   */
+  normalizeIp(ip) {
+    if (!ip) {
+      return ip;
+    }
+    return ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+  }
+
+  /**
+   * Parse an IP entry: an address or a CIDR range. Returns
+   * { address, prefix, family } (prefix null for a single address) or null.
+   */
+  parseIpRule(identifier) {
+    const [rawAddress, rawPrefix, ...rest] = String(identifier).trim().split('/');
+    const address = this.normalizeIp(rawAddress);
+    const version = net.isIP(address);
+    if (!version || rest.length > 0) {
+      return null;
+    }
+
+    const family = version === 4 ? 'ipv4' : 'ipv6';
+    if (rawPrefix === undefined) {
+      return { address, prefix: null, family };
+    }
+
+    const prefix = Number(rawPrefix);
+    if (!/^\d+$/.test(rawPrefix) || prefix > (version === 4 ? 32 : 128)) {
+      return null;
+    }
+    return { address, prefix, family };
+  }
+
+  /**
+   * Canonical identifier for a new entry. Resolves to { identifier } or
+   * { error }.
+   */
+  normalizeIdentifier(type, identifier) {
+    const value = String(identifier || '').trim();
+    if (!value) {
+      return { error: 'Identifier is required' };
+    }
+
+    if (type === 'IP') {
+      const rule = this.parseIpRule(value);
+      if (!rule) {
+        return { error: 'IP entries must be an IPv4/IPv6 address or CIDR range' };
+      }
+      return { identifier: rule.prefix === null ? rule.address : `${rule.address}/${rule.prefix}` };
+    }
+
+    return { identifier: type === 'USER' ? value.toLowerCase() : value };
+  }
+
+  isCurrent(entry, now = new Date()) {
+    return !entry.expiresAt || entry.expiresAt > now;
+  }
+
+  async load() {
+    if (this.cache && Date.now() < this.cache.expiresAt) {
+      return this.cache;
+    }
+
+    const now = new Date();
+    const entries = await getPrismaClient().blacklistedEntity.findMany({
+      where: {
+        isActive: true,
+        OR: [{ expiresAt: null }, { expiresAt: { gt: now } }]
+      }
+    });
+
+    const ips = new net.BlockList();
+    const byKey = new Map();
+    // Reload when the cache is due, or sooner if an entry expires first
+    let expiresAt = now.getTime() + this.cacheMs;
+
+    for (const entry of entries) {
+      if (entry.expiresAt) {
+        expiresAt = Math.min(expiresAt, entry.expiresAt.getTime());
+      }
+
+      if (entry.type === 'IP') {
+        const rule = this.parseIpRule(entry.identifier);
+        if (!rule) {
+          continue;
+        }
+        if (rule.prefix === null) {
+          ips.addAddress(rule.address, rule.family);
+        } else {
+          ips.addSubnet(rule.address, rule.prefix, rule.family);
+        }
+      } else {
+        byKey.set(`${entry.type}:${entry.identifier.trim().toLowerCase()}`, entry);
+      }
+    }
+
+    this.cache = { ips, byKey, expiresAt };
+    return this.cache;
+  }
+
+  invalidate() {
+    this.cache = null;
+  }
+
+  async isIpBlacklisted(ip) {
+    const address = this.normalizeIp(ip);
+    const version = net.isIP(address || '');
+    if (!version) {
+      return false;
+    }
+
+    const { ips } = await this.load();
+    return ips.check(address, version === 4 ? 'ipv4' : 'ipv6');
+  }
+
+  /**
+   * Current entry of a type matching any of the identifiers, or null
+   */
+  async findEntry(type, ...identifiers) {
+    const { byKey } = await this.load();
+
+    for (const identifier of identifiers) {
+      if (!identifier) {
+        continue;
+      }
+      const entry = byKey.get(`${type}:${String(identifier).trim().toLowerCase()}`);
+      if (entry && this.isCurrent(entry)) {
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  async findForUser(user) {
+    return this.findEntry('USER', user.id, user.email);
+  }
+
+  /**
+   * Entry blacklisting a certificate, either itself or its issuing
+   * institution, or null
+   */
+  async findForCertificate(certificate) {
+    return await this.findEntry('CERTIFICATE', certificate.id, certificate.certificateNumber) ||
+      this.findEntry('INSTITUTION', certificate.institutionId, certificate.institution?.code);
+  }
+
+  /**
+   * Message shown when a verification is refused because of an entry
+   */
+  explain(entry) {
+    const subject = entry.type === 'INSTITUTION' ? 'The issuing institution' : 'Certificate';
+    return `${subject} has been blacklisted: ${entry.reason}`;
+  }
+
+  /**
+   * Public description of an entry for verification results
+   */
+  describe(entry) {
+    return {
+      type: entry.type,
+      reason: entry.reason,
+      since: entry.createdAt,
+      expiresAt: entry.expiresAt
+    };
+  }
+}
+
+module.exports = new BlacklistService();
@@ -1,62 +1,39 @@
-const { ethers } = require('ethers');
 const crypto = require('crypto');
 const QRCode = require('qrcode');
+const { createLedgerAdapter } = require('./ledger');
+const keyManagementService = require('./keyManagementService');
+const qrPayloadService = require('./qrPayloadService');
 const { logger } = require('../utils/logger');
 
 class BlockchainService {
   constructor() {
-    this.provider = null;
-    this.wallet = null;
-    this.contract = null;
-    this.contractABI = [
-      "function storeCertificate(string memory certificateHash, string memory studentName, string memory course, uint256 passingYear) public returns (uint256)",
-      "function verifyCertificate(string memory certificateHash) public view returns (bool, string memory, string memory, uint256, uint256)",
-      "function getCertificateCount() public view returns (uint256)",
-      "event CertificateStored(uint256 indexed id, string certificateHash, address indexed issuer)"
-    ];
-    
-    this.initializeBlockchain();
+    this.ledger = createLedgerAdapter();
+    this.ready = this.initializeBlockchain();
   }
 
   /**
-   * Initialize blockchain connection
+   * Initialize the configured ledger.
+   * A ledger that cannot be reached is reported as disconnected instead of
+   * taking down every route that depends on this service.
    */
   async initializeBlockchain() {
     try {
-      // Use provided Infura endpoint as mandatory blockchain connection
-      const infuraUrl = process.env.ETHEREUM_RPC_URL || 'https://mainnet.infura.io/v3/9f56a1bd26f7412dada9bb741714ddf2';
-      
-      this.provider = new ethers.JsonRpcProvider(infuraUrl);
-      
-      // Test connection to ensure blockchain is accessible
-      const network = await this.provider.getNetwork();
-      logger.info(`✅ Connected to blockchain network: ${network.name} (Chain ID: ${network.chainId})`);
-      
-      // Initialize wallet if private key is provided
-      if (process.env.PRIVATE_KEY) {
-        this.wallet = new ethers.Wallet(process.env.PRIVATE_KEY, this.provider);
-        logger.info(`✅ Wallet initialized: ${this.wallet.address}`);
-      } else {
-        logger.warn('⚠️ No private key provided - read-only blockchain access');
-      }
-      
-      // Initialize contract if address is provided
-      if (process.env.CONTRACT_ADDRESS) {
-        this.contract = new ethers.Contract(
-          process.env.CONTRACT_ADDRESS,
-          this.contractABI,
-          this.wallet || this.provider
-        );
-        logger.info(`✅ Smart contract initialized: ${process.env.CONTRACT_ADDRESS}`);
-      } else {
-        logger.warn('⚠️ No contract address provided - using hash-based validation');
-      }
-
-      logger.info('✅ Blockchain service initialized successfully');
+      await this.ledger.initialize();
+      logger.info(`✅ Blockchain service initialized (${this.ledger.name} ledger)`);
     } catch (error) {
-      logger.error('❌ Blockchain initialization failed:', error);
-      throw new Error('Blockchain connection is mandatory but failed to initialize');
+      logger.error(`❌ Blockchain initialization failed (${this.ledger.name} ledger):`, error);
+    }
+  }
+
+  /**
+   * Wait for ledger initialization and fail if it did not succeed
+   */
+  async getLedger() {
+    await this.ready;
+    if (!this.ledger.isReady) {
+      throw new Error(`${this.ledger.name} ledger is not available`);
     }
+    return this.ledger;
   }
 
   /**
@@ -80,29 +57,24 @@ class BlockchainService {
    */
   async storeCertificateOnBlockchain(certificateData) {
     try {
-      if (!this.contract) {
-        throw new Error('Blockchain contract not initialized');
-      }
-
+      const ledger = await this.getLedger();
       const certificateHash = this.generateCertificateHash(certificateData);
-      
-      // Store on blockchain
-      const tx = await this.contract.storeCertificate(
+
+      const receipt = await ledger.anchor({
         certificateHash,
-        certificateData.studentName,
-        certificateData.course,
-        certificateData.passingYear
-      );
+        studentName: certificateData.studentName,
+        course: certificateData.course,
+        passingYear: certificateData.passingYear
+      });
+
+      logger.info(`Certificate stored on ${ledger.name} ledger. TX: ${receipt.transactionHash}`);
 
-      const receipt = await tx.wait();
-      
-      logger.info(`Certificate stored on blockchain. TX: ${receipt.hash}`);
-      
       return {
         blockchainHash: certificateHash,
-        transactionHash: receipt.hash,
+        transactionHash: receipt.transactionHash,
         blockNumber: receipt.blockNumber,
-        gasUsed: receipt.gasUsed.toString()
+        gasUsed: receipt.gasUsed,
+        ledger: ledger.name
       };
     } catch (error) {
       logger.error('Blockchain storage error:', error);
@@ -115,27 +87,23 @@ class BlockchainService {
    */
   async validateCertificate(certificateHash) {
     try {
-      if (!this.contract) {
-        logger.warn('Blockchain contract not available for validation');
-        return false;
-      }
+      const ledger = await this.getLedger();
+      const record = await ledger.lookup(certificateHash);
 
-      const [exists, studentName, course, passingYear, timestamp] = 
-        await this.contract.verifyCertificate(certificateHash);
-
-      if (exists) {
-        logger.info(`Certificate validated on blockchain: ${certificateHash}`);
+      if (record.exists) {
+        logger.info(`Certificate validated on ${ledger.name} ledger: ${certificateHash}`);
         return {
           isValid: true,
-          studentName,
-          course,
-          passingYear: passingYear.toString(),
-          timestamp: new Date(Number(timestamp) * 1000),
-          blockchainHash: certificateHash
+          studentName: record.studentName,
+          course: record.course,
+          passingYear: record.passingYear,
+          timestamp: record.timestamp,
+          blockchainHash: certificateHash,
+          ledger: ledger.name
         };
       }
 
-      return { isValid: false };
+      return { isValid: false, ledger: ledger.name };
     } catch (error) {
       logger.error('Blockchain validation error:', error);
       return { isValid: false, error: error.message };
@@ -143,20 +111,74 @@ class BlockchainService {
   }
 
   /**
-   * Generate QR code for certificate
+   * Anchor the Merkle root of a certificate batch
    */
-  async generateQRCode(certificateData) {
+  async anchorMerkleRoot(merkleRoot, metadata) {
+    const ledger = await this.getLedger();
+    const receipt = await ledger.anchorRoot(merkleRoot, metadata);
+
+    logger.info(`Merkle root anchored on ${ledger.name} ledger. TX: ${receipt.transactionHash}`);
+
+    return { ...receipt, ledger: ledger.name };
+  }
+
+  /**
+   * Check that a Merkle root has been anchored
+   */
+  async validateMerkleRoot(merkleRoot) {
     try {
-      const qrData = {
-        type: 'CERTIFICATE_VERIFICATION',
-        certificateId: certificateData.id,
-        certificateNumber: certificateData.certificateNumber,
-        blockchainHash: certificateData.blockchainHash,
-        verificationUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify/${certificateData.id}`,
-        timestamp: new Date().toISOString()
+      const ledger = await this.getLedger();
+      const record = await ledger.lookupRoot(merkleRoot);
+
+      return {
+        isValid: record.exists,
+        merkleRoot,
+        timestamp: record.timestamp,
+        ledger: ledger.name
       };
+    } catch (error) {
+      logger.error('Merkle root validation error:', error);
+      return { isValid: false, error: error.message };
+    }
+  }
+
+  /**
+   * Propagate a certificate revocation to the ledger
+   */
+  async revokeCertificateOnBlockchain(certificateHash, metadata) {
+    const ledger = await this.getLedger();
+    const receipt = await ledger.revoke(certificateHash, metadata);
+
+    logger.info(`Certificate revoked on ${ledger.name} ledger. TX: ${receipt.transactionHash}`);
+
+    return { ...receipt, ledger: ledger.name };
+  }
+
+  /**
+   * Check whether a certificate hash has been revoked on the ledger
+   */
+  async checkRevocation(certificateHash) {
+    try {
+      const ledger = await this.getLedger();
+      const record = await ledger.lookupRevocation(certificateHash);
 
-      const qrCodeDataURL = await QRCode.toDataURL(JSON.stringify(qrData), {
+      return { ...record, ledger: ledger.name };
+    } catch (error) {
+      logger.error('Revocation lookup error:', error);
+      return { revoked: false, error: error.message };
+    }
+  }
+
+  /**
+   * Generate QR code for certificate.
+   * The code holds a payload signed by the issuing institution so it can be
+   * checked offline (see qrPayloadService).
+   */
+  async generateQRCode(certificateData) {
+    try {
+      const qrData = await qrPayloadService.createSignedPayload(certificateData);
+
+      const qrCodeDataURL = await QRCode.toDataURL(qrData, {
         errorCorrectionLevel: 'M',
         type: 'image/png',
         quality: 0.92,
@@ -175,24 +197,28 @@ class BlockchainService {
   }
 
   /**
-   * Create digital signature for certificate
+   * Fields covered by a certificate's digital signature
    */
-  createDigitalSignature(certificateData) {
-    try {
-      const dataToSign = JSON.stringify({
-        certificateNumber: certificateData.certificateNumber,
-        studentName: certificateData.studentName,
-        course: certificateData.course,
-        passingYear: certificateData.passingYear,
-        institutionId: certificateData.institutionId
-      });
-
-      const signature = crypto
-        .createSign('RSA-SHA256')
-        .update(dataToSign)
-        .sign(process.env.PRIVATE_SIGNING_KEY || 'default-key', 'hex');
+  getSignaturePayload(certificateData) {
+    return JSON.stringify({
+      certificateNumber: certificateData.certificateNumber,
+      studentName: certificateData.studentName,
+      course: certificateData.course,
+      passingYear: certificateData.passingYear,
+      institutionId: certificateData.institutionId
+    });
+  }
 
-      return signature;
+  /**
+   * Create digital signature for certificate with the issuing institution's
+   * current key. Resolves to { signature, keyId }
+   */
+  async createDigitalSignature(certificateData) {
+    try {
+      return await keyManagementService.sign(
+        certificateData.institutionId,
+        this.getSignaturePayload(certificateData)
+      );
     } catch (error) {
       logger.error('Digital signature creation error:', error);
       throw new Error('Failed to create digital signature');
@@ -200,24 +226,14 @@ class BlockchainService {
   }
 
   /**
-   * Verify digital signature
+   * Verify digital signature against the key it was made with
    */
-  verifyDigitalSignature(certificateData, signature) {
+  async verifyDigitalSignature(certificateData, signature, keyId = certificateData.signatureKeyId) {
     try {
-      const dataToVerify = JSON.stringify({
-        certificateNumber: certificateData.certificateNumber,
-        studentName: certificateData.studentName,
-        course: certificateData.course,
-        passingYear: certificateData.passingYear,
-        institutionId: certificateData.institutionId
-      });
+      const result = await keyManagementService.verify(this.getSignaturePayload(certificateData), signature, keyId);
 
-      const isValid = crypto
-        .createVerify('RSA-SHA256')
-        .update(dataToVerify)
-        .verify(process.env.PUBLIC_SIGNING_KEY || 'default-key', signature, 'hex');
-
-      return isValid;
+      // A valid signature from another institution's key does not count
+      return result.isValid && result.institutionId === certificateData.institutionId;
     } catch (error) {
       logger.error('Digital signature verification error:', error);
       return false;
@@ -265,27 +281,13 @@ class BlockchainService {
    */
   async getNetworkStatus() {
     try {
-      if (!this.provider) {
-        return { connected: false, message: 'Provider not initialized' };
-      }
-
-      const network = await this.provider.getNetwork();
-      const blockNumber = await this.provider.getBlockNumber();
-      const balance = this.wallet ? await this.provider.getBalance(this.wallet.address) : '0';
+      const ledger = await this.getLedger();
+      const status = await ledger.getStatus();
 
-      return {
-        connected: true,
-        network: {
-          name: network.name,
-          chainId: network.chainId.toString()
-        },
-        blockNumber,
-        walletBalance: ethers.formatEther(balance),
-        contractAddress: process.env.CONTRACT_ADDRESS || 'Not configured'
-      };
+      return { ...status, ledger: ledger.name };
     } catch (error) {
       logger.error('Network status check error:', error);
-      return { connected: false, error: error.message };
+      return { connected: false, ledger: this.ledger.name, error: error.message };
     }
   }
 
@@ -294,33 +296,29 @@ class BlockchainService {
    */
   async estimateStorageCost(certificateData) {
     try {
-      if (!this.contract) {
-        return { error: 'Contract not initialized' };
-      }
-
-      const certificateHash = this.generateCertificateHash(certificateData);
-      const gasEstimate = await this.contract.storeCertificate.estimateGas(
-        certificateHash,
-        certificateData.studentName,
-        certificateData.course,
-        certificateData.passingYear
-      );
-
-      const gasPrice = await this.provider.getGasPrice();
-      const costInWei = gasEstimate * gasPrice;
-      const costInEth = ethers.formatEther(costInWei);
+      const ledger = await this.getLedger();
 
-      return {
-        gasEstimate: gasEstimate.toString(),
-        gasPrice: ethers.formatUnits(gasPrice, 'gwei'),
-        costInEth,
-        costInWei: costInWei.toString()
-      };
+      return await ledger.estimateCost({
+        certificateHash: this.generateCertificateHash(certificateData),
+        studentName: certificateData.studentName,
+        course: certificateData.course,
+        passingYear: certificateData.passingYear
+      });
     } catch (error) {
       logger.error('Gas estimation error:', error);
       return { error: error.message };
     }
   }
+
+  /**
+   * Audit the ledger history where the adapter supports it
+   */
+  async verifyLedgerIntegrity() {
+    const ledger = await this.getLedger();
+    const result = await ledger.verifyIntegrity();
+
+    return { ...result, ledger: ledger.name };
+  }
 }
 
 module.exports = new BlockchainService();
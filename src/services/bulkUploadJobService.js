@@ -0,0 +1,555 @@
+const crypto = require('crypto');
+const os = require('os');
+const { Prisma } = require('@prisma/client');
+const { getPrismaClient } = require('../config/database');
+const bulkUploadService = require('./bulkUploadService');
+const revocationService = require('./revocationService');
+const { logger } = require('../utils/logger');
+
+const ACTIVE_STATUSES = ['PREVIEW', 'QUEUED', 'PROCESSING'];
+const JOB_MODES = ['CREATE', 'UPDATE', 'UPSERT', 'REVOKE'];
+const SUCCESS_STATUSES = ['CREATED', 'UPDATED', 'UNCHANGED', 'REVOKED'];
+
+/**
+ * Runs bulk uploads as persistent background jobs.
+ * Each processed row is saved together with the job's progress, so a job
+ * interrupted by a restart picks up after the last saved row.
+ *
+ * A worker holds a lease on the job it runs and keeps renewing it. Only a
+ * job whose lease has run out is handed to another worker, so a job still
+ * running on another instance is never processed twice.
+ */
+class BulkUploadJobService {
+  constructor() {
+    this.pollIntervalMs = parseInt(process.env.BULK_JOB_POLL_INTERVAL_MS) || 5000;
+    // Rows between checks for a cancellation request
+    this.cancelCheckInterval = parseInt(process.env.BULK_JOB_CANCEL_CHECK_ROWS) || 10;
+    this.previewTtlMs = parseInt(process.env.BULK_PREVIEW_TTL_MS) || 24 * 60 * 60 * 1000; // 24 hours
+    this.revokeBatchSize = parseInt(process.env.BULK_REVOKE_BATCH_SIZE) || 100;
+    this.leaseMs = parseInt(process.env.BULK_JOB_LEASE_MS) || 2 * 60 * 1000;
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.modes = JOB_MODES;
+    this.timer = null;
+    this.running = null;
+  }
+
+  /**
+   * Resume interrupted jobs and start polling for queued ones
+   */
+  async start() {
+    if (this.timer) return;
+
+    await this.requeueExpiredJobs();
+
+    this.timer = setInterval(() => this.poll(), this.pollIntervalMs);
+    this.timer.unref();
+    this.poll();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Parse an uploaded file and queue it as a job.
+   * mode is CREATE (new certificates only), UPDATE or UPSERT (keyed on
+   * certificateNumber) or REVOKE (certificateNumber, reason, effectiveDate).
+   */
+  async enqueue(filePath, fileName, institutionId, userId, { profile = null, mode = 'CREATE', apiKeyId = null } = {}) {
+    const records = await bulkUploadService.parseFile(filePath, fileName, profile);
+
+    const job = await getPrismaClient().bulkUploadJob.create({
+      data: {
+        fileName,
+        records,
+        totalRecords: records.length,
+        mode,
+        mappingProfileId: profile ? profile.id : null,
+        institutionId,
+        createdById: userId,
+        apiKeyId
+      }
+    });
+
+    logger.info(`Bulk upload job ${job.id} queued with ${records.length} records`);
+    this.poll();
+
+    return job;
+  }
+
+  /**
+   * Dry-run an uploaded file. The parsed rows and report are kept as a
+   * PREVIEW job so confirm() commits exactly what was previewed.
+   */
+  async preview(filePath, fileName, institutionId, userId, { profile = null, apiKeyId = null } = {}) {
+    const records = await bulkUploadService.parseFile(filePath, fileName, profile);
+    const report = await bulkUploadService.previewRecords(records, institutionId);
+
+    const job = await getPrismaClient().bulkUploadJob.create({
+      data: {
+        fileName,
+        status: 'PREVIEW',
+        records,
+        previewReport: report,
+        totalRecords: records.length,
+        mappingProfileId: profile ? profile.id : null,
+        institutionId,
+        createdById: userId,
+        apiKeyId
+      }
+    });
+
+    return { job, report };
+  }
+
+  /**
+   * Queue the rows a preview would create. Rejected and duplicate rows are
+   * left out; rows that became duplicates since the preview are still caught.
+   * Resolves to the queued job, or { error } when it cannot be confirmed.
+   */
+  async confirm(jobId) {
+    const prisma = getPrismaClient();
+    const job = await prisma.bulkUploadJob.findUnique({ where: { id: jobId } });
+
+    if (!job || job.status !== 'PREVIEW') {
+      return { error: 'Only previewed uploads can be confirmed' };
+    }
+
+    if (Date.now() - job.createdAt.getTime() > this.previewTtlMs) {
+      await prisma.bulkUploadJob.update({
+        where: { id: jobId },
+        data: { status: 'CANCELLED', cancelledAt: new Date() }
+      });
+      return { error: 'Preview has expired, please upload the file again' };
+    }
+
+    const selectedRows = job.previewReport.create.map(entry => entry.row);
+
+    // Guard against two confirms of the same preview
+    const { count } = await prisma.bulkUploadJob.updateMany({
+      where: { id: jobId, status: 'PREVIEW' },
+      data: { status: 'QUEUED', selectedRows }
+    });
+    if (count === 0) {
+      return { error: 'Only previewed uploads can be confirmed' };
+    }
+
+    logger.info(`Bulk upload preview ${jobId} confirmed with ${selectedRows.length} rows`);
+    this.poll();
+
+    return { job: { ...job, status: 'QUEUED', selectedRows } };
+  }
+
+  /**
+   * Queue again the PROCESSING jobs whose worker stopped renewing its
+   * lease, i.e. crashed or was shut down mid-job
+   */
+  async requeueExpiredJobs() {
+    const { count } = await getPrismaClient().bulkUploadJob.updateMany({
+      where: {
+        status: 'PROCESSING',
+        OR: [{ lockedUntil: null }, { lockedUntil: { lt: new Date() } }]
+      },
+      data: { status: 'QUEUED', lockedBy: null, lockedUntil: null }
+    });
+    if (count > 0) {
+      logger.info(`Resuming ${count} interrupted bulk upload job(s)`);
+    }
+    return count;
+  }
+
+  /**
+   * Extend this worker's lease on a job. Resolves to false when the lease
+   * was lost: the job was cancelled or handed to another worker.
+   */
+  async renewLease(jobId) {
+    const { count } = await getPrismaClient().bulkUploadJob.updateMany({
+      where: { id: jobId, status: 'PROCESSING', lockedBy: this.workerId },
+      data: { lockedUntil: new Date(Date.now() + this.leaseMs) }
+    });
+    return count > 0;
+  }
+
+  /**
+   * Work through queued jobs one at a time
+   */
+  poll() {
+    if (!this.running) {
+      this.running = this.runQueuedJobs()
+        .catch(error => logger.error('Bulk upload worker failed:', error))
+        .finally(() => {
+          this.running = null;
+        });
+    }
+    return this.running;
+  }
+
+  async runQueuedJobs() {
+    const prisma = getPrismaClient();
+
+    await this.requeueExpiredJobs();
+
+    while (true) {
+      const next = await prisma.bulkUploadJob.findFirst({
+        where: { status: 'QUEUED' },
+        orderBy: { createdAt: 'asc' },
+        select: { id: true }
+      });
+      if (!next) return;
+
+      // Claim the job; another instance may have taken it first
+      const { count } = await prisma.bulkUploadJob.updateMany({
+        where: { id: next.id, status: 'QUEUED' },
+        data: {
+          status: 'PROCESSING',
+          lockedBy: this.workerId,
+          lockedUntil: new Date(Date.now() + this.leaseMs)
+        }
+      });
+      if (count === 0) continue;
+
+      await this.runJob(next.id);
+    }
+  }
+
+  async runJob(jobId) {
+    const prisma = getPrismaClient();
+    const job = await prisma.bulkUploadJob.findUnique({ where: { id: jobId } });
+    const records = Array.isArray(job.records) ? job.records : [];
+    const selectedRows = Array.isArray(job.selectedRows) ? new Set(job.selectedRows) : null;
+
+    if (!job.startedAt) {
+      await prisma.bulkUploadJob.update({ where: { id: jobId }, data: { startedAt: new Date() } });
+    }
+
+    // Renew the lease in the background; a lost lease stops the job at the
+    // next check between rows
+    const heartbeat = setInterval(() => {
+      this.renewLease(jobId).catch(error => logger.error(`Bulk upload job ${jobId} lease renewal failed:`, error));
+    }, Math.max(Math.floor(this.leaseMs / 3), 1000));
+    heartbeat.unref();
+
+    try {
+      const finished = job.mode === 'REVOKE' ?
+        await this.runRevocations(job, records) :
+        await this.runRows(job, records, selectedRows);
+      if (!finished) return;
+
+      // A cancellation that arrived during the last rows still wins
+      const { count } = await prisma.bulkUploadJob.updateMany({
+        where: { id: jobId, status: 'PROCESSING', lockedBy: this.workerId },
+        data: { status: 'COMPLETED', processedRecords: records.length, completedAt: new Date(), lockedBy: null, lockedUntil: null }
+      });
+      if (count > 0) {
+        logger.info(`Bulk upload job ${jobId} completed (${records.length} records)`);
+      }
+    } catch (error) {
+      logger.error(`Bulk upload job ${jobId} failed:`, error);
+      await prisma.bulkUploadJob.updateMany({
+        where: { id: jobId, status: 'PROCESSING', lockedBy: this.workerId },
+        data: { status: 'FAILED', error: error.message, completedAt: new Date(), lockedBy: null, lockedUntil: null }
+      });
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Create or update certificates row by row, saving each row with the
+   * job's progress. Resolves to false if the job was cancelled or its lease
+   * lost.
+   */
+  async runRows(job, records, selectedRows) {
+    const prisma = getPrismaClient();
+
+    for (let i = job.processedRecords; i < records.length; i++) {
+      if ((i - job.processedRecords) % this.cancelCheckInterval === 0 && await this.shouldStop(job.id)) {
+        logger.info(`Bulk upload job ${job.id} stopped after ${i}/${records.length} records`);
+        return false;
+      }
+
+      const rowNumber = i + 2; // Account for header row
+      if (selectedRows && !selectedRows.has(rowNumber)) {
+        continue;
+      }
+
+      const rowResult = job.mode === 'UPDATE' || job.mode === 'UPSERT' ?
+        await bulkUploadService.processUpdateRow(records[i], rowNumber, job.institutionId, {
+          upsert: job.mode === 'UPSERT',
+          changedById: job.createdById,
+          jobId: job.id
+        }) :
+        await bulkUploadService.processRow(records[i], rowNumber, job.institutionId);
+
+      await prisma.$transaction(this.buildProgressOperations(job.id, [{ rowNumber, record: records[i], rowResult }], i + 1));
+
+      if ((i + 1) % 100 === 0) {
+        logger.info(`Bulk upload job ${job.id}: processed ${i + 1}/${records.length} records`);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Apply a revoke sheet in batches. Each batch's revocations, row results
+   * and progress commit in one transaction, so a batch is never half applied.
+   * Resolves to false if the job was cancelled or its lease lost.
+   */
+  async runRevocations(job, records) {
+    const prisma = getPrismaClient();
+    const seenNumbers = new Map();
+
+    for (let start = job.processedRecords; start < records.length; start += this.revokeBatchSize) {
+      if (await this.shouldStop(job.id)) {
+        logger.info(`Bulk upload job ${job.id} stopped after ${start}/${records.length} records`);
+        return false;
+      }
+
+      const end = Math.min(start + this.revokeBatchSize, records.length);
+      const processed = [];
+      const entries = [];
+
+      for (let i = start; i < end; i++) {
+        const rowNumber = i + 2; // Account for header row
+        const { rowResult, entry } = await bulkUploadService.prepareRevocation(records[i], job.institutionId, seenNumbers);
+
+        if (records[i].certificateNumber && !seenNumbers.has(records[i].certificateNumber)) {
+          seenNumbers.set(records[i].certificateNumber, rowNumber);
+        }
+        processed.push({ rowNumber, record: records[i], rowResult });
+        if (entry) entries.push(entry);
+      }
+
+      let results;
+      try {
+        results = await revocationService.revokeCertificates(
+          entries,
+          job.createdById,
+          this.buildProgressOperations(job.id, processed, end)
+        );
+      } catch (error) {
+        // The transaction rolled back, so nothing in this batch was revoked
+        logger.error(`Bulk revoke batch at row ${start + 2} failed:`, error);
+        for (const { rowResult } of processed) {
+          if (rowResult.status === 'REVOKED') {
+            Object.assign(rowResult, { status: 'ERROR', errors: [`Batch failed: ${error.message}`] });
+          }
+        }
+        await prisma.$transaction(this.buildProgressOperations(job.id, processed, end));
+        continue;
+      }
+
+      // Ledger propagation happens after the commit and can be retried per certificate
+      const ledgerFailures = results.filter(result => result.ledgerError);
+      if (ledgerFailures.length > 0) {
+        const warning = { message: 'Certificate revoked but ledger propagation failed; retry from the certificate' };
+        await prisma.$transaction([
+          ...ledgerFailures.map(result => prisma.bulkUploadRow.updateMany({
+            where: { jobId: job.id, certificateId: result.certificate.id, status: 'REVOKED' },
+            data: { warnings: [{ ...warning, certificateId: result.certificate.id }] }
+          })),
+          prisma.bulkUploadJob.update({
+            where: { id: job.id },
+            data: { warningCount: { increment: ledgerFailures.length } }
+          })
+        ]);
+      }
+
+      logger.info(`Bulk upload job ${job.id}: revoked ${entries.length} certificates in rows ${start + 2}-${end + 1}`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Row records plus the job's progress update for a set of processed rows
+   */
+  buildProgressOperations(jobId, processed, processedRecords) {
+    const prisma = getPrismaClient();
+    const count = (predicate) => processed.filter(({ rowResult }) => predicate(rowResult)).length;
+
+    return [
+      ...processed.map(({ rowNumber, record, rowResult }) => prisma.bulkUploadRow.upsert({
+        where: { jobId_rowNumber: { jobId, rowNumber } },
+        create: this.buildRow(jobId, rowNumber, record, rowResult),
+        update: this.buildRow(jobId, rowNumber, record, rowResult)
+      })),
+      prisma.bulkUploadJob.update({
+        where: { id: jobId },
+        data: {
+          processedRecords,
+          successfulUploads: { increment: count(result => SUCCESS_STATUSES.includes(result.status)) },
+          failedUploads: { increment: count(result => !SUCCESS_STATUSES.includes(result.status)) },
+          duplicateCount: { increment: count(result => result.status === 'DUPLICATE') },
+          warningCount: { increment: processed.reduce((sum, { rowResult }) => sum + rowResult.warnings.length, 0) }
+        }
+      })
+    ];
+  }
+
+  buildRow(jobId, rowNumber, record, rowResult) {
+    return {
+      jobId,
+      rowNumber,
+      certificateNumber: record.certificateNumber || null,
+      status: rowResult.status,
+      certificateId: rowResult.certificateId,
+      errors: rowResult.errors.length > 0 ? rowResult.errors : Prisma.DbNull,
+      warnings: rowResult.warnings.length > 0 ? rowResult.warnings : Prisma.DbNull,
+      data: rowResult.status === 'ERROR' ? record : (rowResult.changes ? { changes: rowResult.changes } : Prisma.DbNull)
+    };
+  }
+
+  /**
+   * Whether this worker should stop running a job: it was cancelled, or
+   * its lease ran out and the job went back to the queue
+   */
+  async shouldStop(jobId) {
+    const job = await getPrismaClient().bulkUploadJob.findUnique({
+      where: { id: jobId },
+      select: { status: true, lockedBy: true }
+    });
+    return !job || job.status !== 'PROCESSING' || job.lockedBy !== this.workerId;
+  }
+
+  /**
+   * Stop a queued or running job. Rows already processed are kept.
+   * Returns false when the job had already finished.
+   */
+  async cancel(jobId) {
+    const { count } = await getPrismaClient().bulkUploadJob.updateMany({
+      where: { id: jobId, status: { in: ACTIVE_STATUSES } },
+      data: { status: 'CANCELLED', cancelledAt: new Date(), lockedBy: null, lockedUntil: null }
+    });
+    return count > 0;
+  }
+
+  /**
+   * Job progress with row-level errors, duplicates and warnings
+   */
+  async getJob(jobId) {
+    const prisma = getPrismaClient();
+    const job = await prisma.bulkUploadJob.findUnique({
+      where: { id: jobId },
+      select: {
+        id: true,
+        fileName: true,
+        status: true,
+        mode: true,
+        totalRecords: true,
+        processedRecords: true,
+        successfulUploads: true,
+        failedUploads: true,
+        duplicateCount: true,
+        warningCount: true,
+        error: true,
+        startedAt: true,
+        completedAt: true,
+        cancelledAt: true,
+        createdAt: true,
+        previewReport: true,
+        mappingProfileId: true,
+        institutionId: true,
+        createdById: true,
+        apiKeyId: true
+      }
+    });
+    if (!job) return null;
+
+    const rows = await prisma.bulkUploadRow.findMany({
+      where: {
+        jobId,
+        OR: [{ status: { not: 'CREATED' } }, { warnings: { not: Prisma.DbNull } }]
+      },
+      orderBy: { rowNumber: 'asc' }
+    });
+
+    const statusCounts = await prisma.bulkUploadRow.groupBy({
+      by: ['status'],
+      where: { jobId },
+      _count: { _all: true }
+    });
+
+    return {
+      ...job,
+      rowCounts: Object.fromEntries(statusCounts.map(entry => [entry.status, entry._count._all])),
+      progress: job.totalRecords > 0 ? Math.round((job.processedRecords / job.totalRecords) * 100) : 100,
+      errors: rows.filter(row => row.status === 'ERROR')
+        .map(row => ({ row: row.rowNumber, errors: row.errors, data: row.data })),
+      duplicates: rows.filter(row => row.status === 'DUPLICATE')
+        .map(row => ({ row: row.rowNumber, certificateNumber: row.certificateNumber, existingId: row.certificateId })),
+      warnings: rows.filter(row => Array.isArray(row.warnings))
+        .flatMap(row => row.warnings.map(warning => ({ row: row.rowNumber, ...warning })))
+    };
+  }
+
+  async listJobs(where, { skip = 0, take = 20 } = {}) {
+    const prisma = getPrismaClient();
+    const [jobs, total] = await Promise.all([
+      prisma.bulkUploadJob.findMany({
+        where,
+        skip,
+        take,
+        select: {
+          id: true,
+          fileName: true,
+          status: true,
+          mode: true,
+          totalRecords: true,
+          processedRecords: true,
+          successfulUploads: true,
+          failedUploads: true,
+          duplicateCount: true,
+          warningCount: true,
+          createdAt: true,
+          completedAt: true,
+          institutionId: true
+        },
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.bulkUploadJob.count({ where })
+    ]);
+
+    return { jobs, total };
+  }
+
+  /**
+   * Per-row result report as CSV
+   */
+  async buildReport(jobId) {
+    const rows = await getPrismaClient().bulkUploadRow.findMany({
+      where: { jobId },
+      orderBy: { rowNumber: 'asc' }
+    });
+
+    // Uploaded values go into the cells as they are; a leading quote keeps
+    // spreadsheets from running any that look like formulas
+    const escape = (value) => {
+      let text = value === null || value === undefined ? '' : String(value);
+      if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+      }
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [['row', 'certificateNumber', 'status', 'certificateId', 'messages'].join(',')];
+    for (const row of rows) {
+      const messages = [
+        ...(Array.isArray(row.errors) ? row.errors : []),
+        ...(Array.isArray(row.warnings) ? row.warnings.map(warning => warning.message) : []),
+        ...(row.status === 'DUPLICATE' ? ['Certificate already exists'] : []),
+        ...(row.status === 'UPDATED' && row.data?.changes ?
+          [`Changed: ${row.data.changes.map(change => change.field).join(', ')}`] : [])
+      ];
+      lines.push([row.rowNumber, row.certificateNumber, row.status, row.certificateId, messages.join('; ')].map(escape).join(','));
+    }
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+module.exports = new BulkUploadJobService();
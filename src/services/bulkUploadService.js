@@ -4,10 +4,15 @@ const csv = require('csv-parser');
 const XLSX = require('xlsx');
 const { getPrismaClient } = require('../config/database');
 const blockchainService = require('./blockchainService');
+const anchoringService = require('./anchoringService');
 const anomalyDetectionService = require('./anomalyDetectionService');
+const columnMappingService = require('./columnMappingService');
+const nameSearchService = require('./nameSearchService');
 const { logger } = require('../utils/logger');
 const { createReadStream } = require('fs');
 
+const NUMBER_CONFLICT = 'Certificate number is already used by another institution';
+
 class BulkUploadService {
   constructor() {
     this.requiredFields = [
@@ -22,7 +27,29 @@ class BulkUploadService {
       'motherName',
       'rollNumber',
       'registrationNumber',
+      'studentEmail',
+      'studentPhone',
+      'branch',
+      'grade',
+      'cgpa',
+      'percentage',
+      'dateOfIssue',
+      'dateOfCompletion',
+      'type'
+    ];
+
+    // Fields a bulk update may correct; certificateNumber is the match key
+    this.updatableFields = [
+      'studentName',
+      'fatherName',
+      'motherName',
+      'rollNumber',
+      'registrationNumber',
+      'studentEmail',
+      'studentPhone',
+      'course',
       'branch',
+      'passingYear',
       'grade',
       'cgpa',
       'percentage',
@@ -36,17 +63,7 @@ class BulkUploadService {
     try {
       logger.info(`Starting bulk upload processing: ${fileName}`);
       
-      // Parse file based on extension
-      const fileExt = path.extname(fileName).toLowerCase();
-      let records = [];
-      
-      if (fileExt === '.csv') {
-        records = await this.parseCSV(filePath);
-      } else if (fileExt === '.xlsx' || fileExt === '.xls') {
-        records = await this.parseExcel(filePath);
-      } else {
-        throw new Error('Unsupported file format');
-      }
+      const records = await this.parseFile(filePath, fileName);
 
       // Validate and process records
       const result = await this.processRecords(records, institutionId, userId);
@@ -60,7 +77,23 @@ class BulkUploadService {
     }
   }
 
-  async parseCSV(filePath) {
+  /**
+   * Parse a CSV/Excel upload into records keyed by certificate field,
+   * optionally through an institution's column mapping profile
+   */
+  async parseFile(filePath, fileName, profile = null) {
+    const fileExt = path.extname(fileName).toLowerCase();
+
+    if (fileExt === '.csv') {
+      return this.parseCSV(filePath, profile);
+    } else if (fileExt === '.xlsx' || fileExt === '.xls') {
+      return this.parseExcel(filePath, profile);
+    }
+
+    throw new Error('Unsupported file format');
+  }
+
+  async parseCSV(filePath, profile = null) {
     return new Promise((resolve, reject) => {
       const records = [];
       
@@ -70,10 +103,9 @@ class BulkUploadService {
           // Clean and normalize field names
           const cleanedRow = {};
           for (const [key, value] of Object.entries(row)) {
-            const cleanKey = key.trim().toLowerCase().replace(/\s+/g, '');
-            cleanedRow[this.mapFieldName(cleanKey)] = value?.trim();
+            cleanedRow[this.mapHeader(key, profile)] = value?.trim();
           }
-          records.push(cleanedRow);
+          records.push(columnMappingService.applyProfile(cleanedRow, profile));
         })
         .on('end', () => {
           logger.info(`Parsed ${records.length} records from CSV`);
@@ -86,7 +118,7 @@ class BulkUploadService {
     });
   }
 
-  async parseExcel(filePath) {
+  async parseExcel(filePath, profile = null) {
     try {
       const workbook = XLSX.readFile(filePath);
       const sheetName = workbook.SheetNames[0];
@@ -98,9 +130,7 @@ class BulkUploadService {
         throw new Error('Excel file must contain at least a header row and one data row');
       }
 
-      const headers = jsonData[0].map(header => 
-        this.mapFieldName(header.toString().trim().toLowerCase().replace(/\s+/g, ''))
-      );
+      const headers = jsonData[0].map(header => this.mapHeader(header.toString(), profile));
       
       const records = [];
       for (let i = 1; i < jsonData.length; i++) {
@@ -115,7 +145,7 @@ class BulkUploadService {
         
         // Skip empty rows
         if (Object.keys(record).length > 0) {
-          records.push(record);
+          records.push(columnMappingService.applyProfile(record, profile));
         }
       }
 
@@ -127,6 +157,15 @@ class BulkUploadService {
     }
   }
 
+  /**
+   * Certificate field for a source header: the profile's rename when it has
+   * one, otherwise the built-in dictionary
+   */
+  mapHeader(header, profile = null) {
+    return columnMappingService.resolveHeader(header, profile) ||
+      this.mapFieldName(header.trim().toLowerCase().replace(/\s+/g, ''));
+  }
+
   mapFieldName(fieldName) {
     const fieldMapping = {
       'certificatenumber': 'certificateNumber',
@@ -145,6 +184,13 @@ class BulkUploadService {
       'registrationnumber': 'registrationNumber',
       'regno': 'registrationNumber',
       'regnum': 'registrationNumber',
+      'studentemail': 'studentEmail',
+      'email': 'studentEmail',
+      'emailid': 'studentEmail',
+      'studentphone': 'studentPhone',
+      'phone': 'studentPhone',
+      'mobile': 'studentPhone',
+      'mobileno': 'studentPhone',
       'course': 'course',
       'degree': 'course',
       'program': 'course',
@@ -166,14 +212,17 @@ class BulkUploadService {
       'dateofcompletion': 'dateOfCompletion',
       'completiondate': 'dateOfCompletion',
       'type': 'type',
-      'certificatetype': 'type'
+      'certificatetype': 'type',
+      'reason': 'reason',
+      'revocationreason': 'reason',
+      'effectivedate': 'effectiveDate',
+      'revocationdate': 'effectiveDate'
     };
 
     return fieldMapping[fieldName] || fieldName;
   }
 
   async processRecords(records, institutionId, userId) {
-    const prisma = getPrismaClient();
     const result = {
       totalRecords: records.length,
       successfulUploads: 0,
@@ -184,141 +233,484 @@ class BulkUploadService {
     };
 
     for (let i = 0; i < records.length; i++) {
-      try {
-        const record = records[i];
-        const rowNumber = i + 2; // Account for header row
+      const rowNumber = i + 2; // Account for header row
+      const rowResult = await this.processRow(records[i], rowNumber, institutionId);
 
-        // Validate required fields
-        const validationErrors = this.validateRecord(record);
-        if (validationErrors.length > 0) {
-          result.errors.push({
-            row: rowNumber,
-            errors: validationErrors,
-            data: record
-          });
-          result.failedUploads++;
-          continue;
-        }
+      if (rowResult.status === 'CREATED') {
+        result.successfulUploads++;
+      } else {
+        result.failedUploads++;
+      }
 
-        // Check for duplicates
-        const existingCertificate = await prisma.certificate.findFirst({
-          where: {
-            OR: [
-              { certificateNumber: record.certificateNumber },
-              {
-                AND: [
-                  { studentName: record.studentName },
-                  { rollNumber: record.rollNumber },
-                  { institutionId }
-                ]
-              }
-            ]
-          }
+      if (rowResult.status === 'ERROR') {
+        result.errors.push({ row: rowNumber, errors: rowResult.errors, data: records[i] });
+      } else if (rowResult.status === 'DUPLICATE') {
+        result.duplicates.push({
+          row: rowNumber,
+          certificateNumber: records[i].certificateNumber,
+          studentName: records[i].studentName,
+          existingId: rowResult.certificateId
         });
+      }
+      result.warnings.push(...rowResult.warnings.map(warning => ({ row: rowNumber, ...warning })));
 
-        if (existingCertificate) {
-          result.duplicates.push({
-            row: rowNumber,
-            certificateNumber: record.certificateNumber,
-            studentName: record.studentName,
-            existingId: existingCertificate.id
+      // Log progress every 100 records
+      if ((i + 1) % 100 === 0) {
+        logger.info(`Processed ${i + 1}/${records.length} records`);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Validate and store a single record.
+   * Resolves to { status: CREATED | DUPLICATE | ERROR, certificateId, errors, warnings }
+   */
+  async processRow(record, rowNumber, institutionId) {
+    const prisma = getPrismaClient();
+    const rowResult = { status: 'ERROR', certificateId: null, errors: [], warnings: [] };
+
+    try {
+      // Validate required fields
+      const validationErrors = this.validateRecord(record);
+      if (validationErrors.length > 0) {
+        rowResult.errors = validationErrors;
+        return rowResult;
+      }
+
+      // Check for duplicates
+      const existingCertificate = await this.findExistingCertificate(record, institutionId);
+
+      if (existingCertificate) {
+        rowResult.status = 'DUPLICATE';
+        rowResult.certificateId = existingCertificate.id;
+        return rowResult;
+      }
+
+      if (await this.isCertificateNumberTaken(record.certificateNumber)) {
+        rowResult.errors = [NUMBER_CONFLICT];
+        return rowResult;
+      }
+
+      // Process and clean data
+      const processedRecord = this.processRecord(record, institutionId);
+
+      // Create certificate
+      const certificate = await prisma.certificate.create({
+        data: processedRecord,
+        include: { institution: true }
+      });
+
+      rowResult.status = 'CREATED';
+      rowResult.certificateId = certificate.id;
+
+      // Queue new certificates for the next Merkle anchoring batch
+      if (!processedRecord.isLegacy) {
+        try {
+          const anchoring = anchoringService.queueCertificate(certificate);
+          const qrCode = await blockchainService.generateQRCode({
+            ...certificate,
+            blockchainHash: anchoring.blockchainHash
           });
-          result.failedUploads++;
-          continue;
-        }
 
-        // Process and clean data
-        const processedRecord = this.processRecord(record, institutionId);
+          const { signature, keyId } = await blockchainService.createDigitalSignature(certificate);
 
-        // Create certificate
-        const certificate = await prisma.certificate.create({
-          data: processedRecord,
-          include: { institution: true }
-        });
+          await prisma.certificate.update({
+            where: { id: certificate.id },
+            data: {
+              ...anchoring,
+              qrCode,
+              digitalSignature: signature,
+              signatureKeyId: keyId
+            }
+          });
+        } catch (blockchainError) {
+          logger.warn(`Blockchain storage failed for certificate ${certificate.id}:`, blockchainError);
+          rowResult.warnings.push({
+            message: 'Certificate created but blockchain storage failed',
+            certificateId: certificate.id
+          });
+        }
+      }
 
-        // Generate blockchain hash for new certificates
-        if (!processedRecord.isLegacy) {
-          try {
-            const blockchainResult = await blockchainService.storeCertificateOnBlockchain(certificate);
-            const qrCode = await blockchainService.generateQRCode({
-              ...certificate,
-              blockchainHash: blockchainResult.blockchainHash
-            });
+      // Run anomaly detection
+      try {
+        const anomalies = await anomalyDetectionService.detectAllAnomalies(certificate, {
+          text: `${certificate.studentName} ${certificate.course} ${certificate.certificateNumber}`,
+          confidence: 95
+        });
 
+        if (anomalies.length > 0) {
+          await anomalyDetectionService.storeAnomalies(certificate.id, anomalies);
+          
+          // Flag certificate if high-risk anomalies found
+          const highRiskAnomalies = anomalies.filter(a => a.severity === 'CRITICAL' || a.severity === 'HIGH');
+          if (highRiskAnomalies.length > 0) {
             await prisma.certificate.update({
               where: { id: certificate.id },
-              data: {
-                blockchainHash: blockchainResult.blockchainHash,
-                qrCode,
-                digitalSignature: blockchainService.createDigitalSignature(certificate)
-              }
+              data: { status: 'FLAGGED' }
             });
-          } catch (blockchainError) {
-            logger.warn(`Blockchain storage failed for certificate ${certificate.id}:`, blockchainError);
-            result.warnings.push({
-              row: rowNumber,
-              message: 'Certificate created but blockchain storage failed',
-              certificateId: certificate.id
+            
+            rowResult.warnings.push({
+              message: `Certificate flagged due to ${highRiskAnomalies.length} high-risk anomalies`,
+              certificateId: certificate.id,
+              anomalies: highRiskAnomalies.map(a => a.type)
             });
           }
         }
+      } catch (anomalyError) {
+        logger.warn(`Anomaly detection failed for certificate ${certificate.id}:`, anomalyError);
+      }
 
-        // Run anomaly detection
-        try {
-          const anomalies = await anomalyDetectionService.detectAllAnomalies(certificate, {
-            text: `${certificate.studentName} ${certificate.course} ${certificate.certificateNumber}`,
-            confidence: 95
+      return rowResult;
+    } catch (error) {
+      logger.error(`Error processing record ${rowNumber}:`, error);
+      rowResult.errors = [error.message];
+      return rowResult;
+    }
+  }
+
+  /**
+   * Correct an existing certificate from a sheet row keyed on
+   * certificateNumber. Blank cells leave fields unchanged. With upsert,
+   * unknown certificate numbers are created as in processRow.
+   * Resolves to { status: UPDATED | UNCHANGED | CREATED | ERROR, ... }
+   */
+  async processUpdateRow(record, rowNumber, institutionId, { upsert = false, changedById = null, jobId = null } = {}) {
+    const prisma = getPrismaClient();
+    const rowResult = { status: 'ERROR', certificateId: null, errors: [], warnings: [] };
+
+    try {
+      const validationErrors = this.validateRecord(record, ['certificateNumber']);
+      if (validationErrors.length > 0) {
+        rowResult.errors = validationErrors;
+        return rowResult;
+      }
+
+      const existing = await prisma.certificate.findUnique({
+        where: { certificateNumber: record.certificateNumber },
+        include: { institution: true }
+      });
+
+      if (!existing) {
+        if (upsert) {
+          return this.processRow(record, rowNumber, institutionId);
+        }
+        rowResult.errors = ['Certificate not found'];
+        return rowResult;
+      }
+
+      rowResult.certificateId = existing.id;
+
+      if (existing.institutionId !== institutionId) {
+        rowResult.certificateId = null;
+        rowResult.errors = ['Certificate belongs to another institution'];
+        return rowResult;
+      }
+
+      if (existing.status === 'REVOKED') {
+        rowResult.errors = ['Revoked certificates cannot be changed'];
+        return rowResult;
+      }
+
+      const changes = {};
+      for (const field of this.updatableFields) {
+        const raw = record[field];
+        if (raw === undefined || raw === null || raw.toString().trim() === '') continue;
+
+        const value = this.coerceField(field, raw);
+        if (value instanceof Date && isNaN(value.getTime())) {
+          rowResult.errors.push(`Invalid ${field}: ${raw}`);
+          continue;
+        }
+        if (this.formatValue(value) !== this.formatValue(existing[field])) {
+          changes[field] = value;
+        }
+      }
+
+      if (rowResult.errors.length > 0) {
+        return rowResult;
+      }
+
+      if (Object.keys(changes).length === 0) {
+        rowResult.status = 'UNCHANGED';
+        return rowResult;
+      }
+
+      const updated = { ...existing, ...changes };
+      const data = { ...changes };
+      const changeRecords = Object.keys(changes).map(field => ({
+        certificateId: existing.id,
+        field,
+        oldValue: this.formatValue(existing[field]),
+        newValue: this.formatValue(changes[field]),
+        bulkUploadJobId: jobId,
+        changedById
+      }));
+
+      // Re-anchor when the change touches the hashed fields; the QR code and
+      // signature carry the same fields and are reissued with it
+      if (existing.blockchainHash) {
+        const anchoring = anchoringService.queueCertificate(updated);
+        if (anchoring.blockchainHash !== existing.blockchainHash) {
+          const { signature, keyId } = await blockchainService.createDigitalSignature(updated);
+
+          Object.assign(data, anchoring, {
+            qrCode: await blockchainService.generateQRCode({ ...updated, blockchainHash: anchoring.blockchainHash }),
+            digitalSignature: signature,
+            signatureKeyId: keyId
+          });
+          changeRecords.push({
+            certificateId: existing.id,
+            field: 'blockchainHash',
+            oldValue: existing.blockchainHash,
+            newValue: anchoring.blockchainHash,
+            bulkUploadJobId: jobId,
+            changedById
           });
+        }
+      }
 
-          if (anomalies.length > 0) {
-            await anomalyDetectionService.storeAnomalies(certificate.id, anomalies);
-            
-            // Flag certificate if high-risk anomalies found
-            const highRiskAnomalies = anomalies.filter(a => a.severity === 'CRITICAL' || a.severity === 'HIGH');
-            if (highRiskAnomalies.length > 0) {
-              await prisma.certificate.update({
-                where: { id: certificate.id },
-                data: { status: 'FLAGGED' }
-              });
-              
-              result.warnings.push({
-                row: rowNumber,
-                message: `Certificate flagged due to ${highRiskAnomalies.length} high-risk anomalies`,
-                certificateId: certificate.id,
-                anomalies: highRiskAnomalies.map(a => a.type)
-              });
-            }
-          }
-        } catch (anomalyError) {
-          logger.warn(`Anomaly detection failed for certificate ${certificate.id}:`, anomalyError);
+      await prisma.$transaction([
+        prisma.certificate.update({ where: { id: existing.id }, data }),
+        prisma.certificateChange.createMany({ data: changeRecords })
+      ]);
+
+      rowResult.status = 'UPDATED';
+      rowResult.changes = changeRecords.map(({ field, oldValue, newValue }) => ({ field, oldValue, newValue }));
+      return rowResult;
+    } catch (error) {
+      logger.error(`Error updating record ${rowNumber}:`, error);
+      rowResult.errors = [error.message];
+      return rowResult;
+    }
+  }
+
+  /**
+   * Check a bulk-revoke row (certificateNumber, reason, effectiveDate).
+   * Resolves to { rowResult, entry } where entry is passed to
+   * revocationService.revokeCertificates for valid rows.
+   */
+  async prepareRevocation(record, institutionId, seenNumbers) {
+    const rowResult = { status: 'ERROR', certificateId: null, errors: [], warnings: [] };
+    const errors = this.validateRecord(record, ['certificateNumber', 'reason']);
+
+    const reason = record.reason ? record.reason.toString().trim() : '';
+    if (reason && (reason.length < 5 || reason.length > 500)) {
+      errors.push('Revocation reason must be between 5 and 500 characters');
+    }
+
+    let effectiveAt = null;
+    if (record.effectiveDate) {
+      effectiveAt = new Date(record.effectiveDate);
+      if (isNaN(effectiveAt.getTime())) {
+        errors.push(`Invalid effective date: ${record.effectiveDate}`);
+      } else if (effectiveAt > new Date()) {
+        errors.push('Effective date cannot be in the future');
+      }
+    }
+
+    if (record.certificateNumber && seenNumbers.has(record.certificateNumber)) {
+      errors.push(`Certificate already listed in row ${seenNumbers.get(record.certificateNumber)}`);
+    }
+
+    if (errors.length > 0) {
+      rowResult.errors = errors;
+      return { rowResult, entry: null };
+    }
+
+    const certificate = await getPrismaClient().certificate.findUnique({
+      where: { certificateNumber: record.certificateNumber },
+      include: { institution: true }
+    });
+
+    if (!certificate || certificate.institutionId !== institutionId) {
+      rowResult.errors = ['Certificate not found'];
+      return { rowResult, entry: null };
+    }
+
+    rowResult.certificateId = certificate.id;
+    if (certificate.status === 'REVOKED') {
+      rowResult.errors = ['Certificate is already revoked'];
+      return { rowResult, entry: null };
+    }
+
+    rowResult.status = 'REVOKED';
+    return { rowResult, entry: { certificate, reason, effectiveAt } };
+  }
+
+  /**
+   * Convert a sheet value to the certificate column's type
+   */
+  coerceField(field, value) {
+    const text = value.toString().trim();
+
+    switch (field) {
+      case 'passingYear':
+        return parseInt(text);
+      case 'cgpa':
+      case 'percentage':
+        return parseFloat(text);
+      case 'dateOfIssue':
+      case 'dateOfCompletion':
+        return new Date(text);
+      default:
+        return text;
+    }
+  }
+
+  /**
+   * String form of a field value for comparison and change records
+   */
+  formatValue(value) {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) return value.toISOString();
+    return String(value);
+  }
+
+  /**
+   * Existing certificate of the institution with the same number, or the
+   * same student and roll number
+   */
+  async findExistingCertificate(record, institutionId) {
+    const select = { id: true, certificateNumber: true, studentName: true, rollNumber: true, status: true };
+
+    const sameNumber = await getPrismaClient().certificate.findFirst({
+      where: { certificateNumber: record.certificateNumber, institutionId },
+      select
+    });
+    if (sameNumber) {
+      return sameNumber;
+    }
+
+    // Without a roll number only the normalized name identifies the
+    // student, so spelling variants are not treated as duplicates
+    return nameSearchService.findCertificate(
+      { rollNumber: record.rollNumber, institutionId },
+      record.studentName,
+      { narrow: !record.rollNumber, ...(!record.rollNumber && { threshold: 1 }), select }
+    );
+  }
+
+  /**
+   * Whether a certificate number is in use at all. Certificate numbers are
+   * unique across institutions; one taken by another institution is only
+   * reported as a conflict, never with that certificate's details.
+   */
+  async isCertificateNumberTaken(certificateNumber) {
+    const count = await getPrismaClient().certificate.count({
+      where: { certificateNumber }
+    });
+    return count > 0;
+  }
+
+  /**
+   * Dry run of processRecords: validation, duplicate and anomaly checks
+   * without writing anything. Rows are sorted into those that would be
+   * created, those rejected, those matching existing certificates of the
+   * institution and those whose number another institution uses.
+   */
+  async previewRecords(records, institutionId) {
+    const report = {
+      summary: {
+        totalRecords: records.length,
+        toCreate: 0,
+        rejected: 0,
+        duplicates: 0,
+        conflicts: 0,
+        flagged: 0
+      },
+      create: [],
+      rejected: [],
+      duplicates: [],
+      conflicts: []
+    };
+    const seenNumbers = new Map();
+
+    for (let i = 0; i < records.length; i++) {
+      const record = records[i];
+      const rowNumber = i + 2; // Account for header row
+
+      try {
+        const validationErrors = this.validateRecord(record);
+        if (validationErrors.length > 0) {
+          report.rejected.push({ row: rowNumber, errors: validationErrors, data: record });
+          continue;
         }
 
-        result.successfulUploads++;
-        
-        // Log progress every 100 records
-        if ((i + 1) % 100 === 0) {
-          logger.info(`Processed ${i + 1}/${records.length} records`);
+        // Repeated within the file itself
+        if (seenNumbers.has(record.certificateNumber)) {
+          report.duplicates.push({
+            row: rowNumber,
+            certificateNumber: record.certificateNumber,
+            studentName: record.studentName,
+            matchedRow: seenNumbers.get(record.certificateNumber),
+            existing: null
+          });
+          continue;
         }
+        seenNumbers.set(record.certificateNumber, rowNumber);
 
-      } catch (error) {
-        logger.error(`Error processing record ${i + 2}:`, error);
-        result.errors.push({
-          row: i + 2,
-          errors: [error.message],
-          data: records[i]
+        const existingCertificate = await this.findExistingCertificate(record, institutionId);
+        if (existingCertificate) {
+          report.duplicates.push({
+            row: rowNumber,
+            certificateNumber: record.certificateNumber,
+            studentName: record.studentName,
+            matchedRow: null,
+            existing: existingCertificate
+          });
+          continue;
+        }
+
+        if (await this.isCertificateNumberTaken(record.certificateNumber)) {
+          report.conflicts.push({
+            row: rowNumber,
+            certificateNumber: record.certificateNumber,
+            error: NUMBER_CONFLICT
+          });
+          continue;
+        }
+
+        const processedRecord = this.processRecord(record, institutionId);
+        const anomalies = await anomalyDetectionService.detectAllAnomalies(processedRecord, {
+          text: `${processedRecord.studentName} ${processedRecord.course} ${processedRecord.certificateNumber}`,
+          confidence: 95
         });
-        result.failedUploads++;
+        const highRiskAnomalies = anomalies.filter(a => a.severity === 'CRITICAL' || a.severity === 'HIGH');
+
+        report.create.push({
+          row: rowNumber,
+          certificateNumber: processedRecord.certificateNumber,
+          studentName: processedRecord.studentName,
+          course: processedRecord.course,
+          passingYear: processedRecord.passingYear,
+          wouldBeFlagged: highRiskAnomalies.length > 0,
+          anomalies: anomalies.map(a => ({ type: a.type, severity: a.severity, description: a.description }))
+        });
+        if (highRiskAnomalies.length > 0) {
+          report.summary.flagged++;
+        }
+      } catch (error) {
+        logger.error(`Error previewing record ${rowNumber}:`, error);
+        report.rejected.push({ row: rowNumber, errors: [error.message], data: record });
       }
     }
 
-    return result;
+    report.summary.toCreate = report.create.length;
+    report.summary.rejected = report.rejected.length;
+    report.summary.duplicates = report.duplicates.length;
+    report.summary.conflicts = report.conflicts.length;
+
+    return report;
   }
 
-  validateRecord(record) {
+  validateRecord(record, requiredFields = this.requiredFields) {
     const errors = [];
 
     // Check required fields
-    for (const field of this.requiredFields) {
+    for (const field of requiredFields) {
       if (!record[field] || record[field].toString().trim() === '') {
         errors.push(`Missing required field: ${field}`);
       }
@@ -363,6 +755,8 @@ class BulkUploadService {
       motherName: record.motherName || null,
       rollNumber: record.rollNumber || null,
       registrationNumber: record.registrationNumber || null,
+      studentEmail: record.studentEmail || null,
+      studentPhone: record.studentPhone || null,
       course: record.course,
       branch: record.branch || null,
       passingYear: parseInt(record.passingYear),
@@ -389,6 +783,8 @@ class BulkUploadService {
         motherName: 'Jane Doe',
         rollNumber: 'ROLL001',
         registrationNumber: 'REG001',
+        studentEmail: 'john.doe@example.com',
+        studentPhone: '+919876543210',
         course: 'Bachelor of Technology',
         branch: 'Computer Science',
         passingYear: 2023,
@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const { getPrismaClient } = require('../config/database');
+const auditService = require('../utils/auditLogger');
+const accountTokenService = require('./accountTokenService');
+const notificationService = require('./notificationService');
+
+// Claim codes avoid characters that are easily misread (0/O, 1/I/L)
+const CLAIM_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CLAIM_CODE_LENGTH = 12;
+const CLAIM_CODE_TTL_DAYS = parseInt(process.env.CLAIM_CODE_TTL_DAYS) || 90;
+
+const INVALID_CLAIM_CODE = 'Invalid or expired claim code for this roll number';
+
+/**
+ * Students claiming their certificates.
+ *
+ * A STUDENT user claims the certificates of a roll number either with a
+ * one-time code sent to the email and phone recorded on them, or with a
+ * claim code the institution hands out for a single certificate. Claimed
+ * certificates can then be shared through share links.
+ */
+class CertificateClaimService {
+  hashClaimCode(code) {
+    const normalized = String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  generateClaimCode() {
+    let code = '';
+    for (let i = 0; i < CLAIM_CODE_LENGTH; i++) {
+      code += CLAIM_CODE_ALPHABET[crypto.randomInt(CLAIM_CODE_ALPHABET.length)];
+    }
+    return code.match(/.{4}/g).join('-');
+  }
+
+  /**
+   * Contact shown to the student without giving it away
+   */
+  maskContact(contact) {
+    if (contact.includes('@')) {
+      const [local, domain] = contact.split('@');
+      return `${local[0]}***@${domain}`;
+    }
+    return `${'*'.repeat(Math.max(contact.length - 4, 0))}${contact.slice(-4)}`;
+  }
+
+  // One-time codes are issued for an institution and roll number together
+  claimTarget(institution, rollNumber) {
+    return `${institution.id}:${String(rollNumber).trim().toUpperCase()}`;
+  }
+
+  /**
+   * Unclaimed verified certificates of a roll number at an institution
+   * that carry a student email or phone. Resolves to
+   * { institution, certificates } or { error, status }.
+   */
+  async findClaimable(institutionCode, rollNumber) {
+    const prisma = getPrismaClient();
+
+    const institution = await prisma.institution.findUnique({
+      where: { code: institutionCode }
+    });
+    if (!institution || !institution.isActive) {
+      return { error: 'Institution not found', status: 404 };
+    }
+
+    const certificates = await prisma.certificate.findMany({
+      where: {
+        institutionId: institution.id,
+        rollNumber: { equals: String(rollNumber).trim(), mode: 'insensitive' },
+        status: 'VERIFIED',
+        claimedById: null,
+        OR: [
+          { studentEmail: { not: null } },
+          { studentPhone: { not: null } }
+        ]
+      }
+    });
+    if (certificates.length === 0) {
+      return {
+        error: 'No unclaimed certificate with student contact details was found for this roll number. Ask your institution for a claim code.',
+        status: 404
+      };
+    }
+
+    return { institution, certificates };
+  }
+
+  /**
+   * Send a one-time code to the contacts recorded on the certificates of a
+   * roll number. Resolves to { sentTo, expiresInMinutes } or { error, status }.
+   */
+  async requestCode(user, { institutionCode, rollNumber }) {
+    const { institution, certificates, error, status } = await this.findClaimable(institutionCode, rollNumber);
+    if (error) {
+      return { error, status };
+    }
+
+    const { code, expiresInMinutes } = await accountTokenService.issueCode(
+      user, 'CERTIFICATE_CLAIM', this.claimTarget(institution, rollNumber)
+    );
+    const channels = await notificationService.sendCertificateClaimCode(certificates, code, expiresInMinutes);
+    if (channels.length === 0) {
+      return { error: 'The claim code could not be sent. Please try again later.', status: 503 };
+    }
+
+    const contacts = certificates.flatMap(certificate => [
+      channels.includes('EMAIL') && certificate.studentEmail,
+      channels.includes('SMS') && certificate.studentPhone
+    ]).filter(Boolean);
+
+    return {
+      sentTo: [...new Set(contacts)].map(contact => this.maskContact(contact)),
+      expiresInMinutes
+    };
+  }
+
+  /**
+   * Claim the certificates of a roll number with the one-time code sent to
+   * their contacts. Resolves to { certificates } or { error, status }.
+   */
+  async claimWithCode(user, { institutionCode, rollNumber, code }, { ipAddress = null, userAgent = null } = {}) {
+    const { institution, certificates, error, status } = await this.findClaimable(institutionCode, rollNumber);
+    if (error) {
+      return { error, status };
+    }
+
+    const verified = await accountTokenService.verifyCode(
+      user, 'CERTIFICATE_CLAIM', this.claimTarget(institution, rollNumber), code
+    );
+    if (verified.error) {
+      return { error: verified.error, status: 400 };
+    }
+
+    return this.assign(user, certificates, 'ONE_TIME_CODE', ipAddress, userAgent);
+  }
+
+  /**
+   * Claim a certificate with a claim code issued by its institution.
+   * Resolves to { certificates } or { error, status }.
+   */
+  async claimWithClaimCode(user, { rollNumber, claimCode }, { ipAddress = null, userAgent = null } = {}) {
+    const certificate = await getPrismaClient().certificate.findUnique({
+      where: { claimCodeHash: this.hashClaimCode(claimCode) }
+    });
+
+    if (!certificate || !certificate.claimCodeExpiresAt || certificate.claimCodeExpiresAt <= new Date() ||
+      String(certificate.rollNumber || '').toUpperCase() !== String(rollNumber).trim().toUpperCase()) {
+      return { error: INVALID_CLAIM_CODE, status: 400 };
+    }
+
+    return this.assign(user, [certificate], 'CLAIM_CODE', ipAddress, userAgent);
+  }
+
+  /**
+   * Record the user as owner of certificates nobody has claimed meanwhile.
+   * A claim code is used up by the claim.
+   */
+  async assign(user, certificates, method, ipAddress, userAgent) {
+    const prisma = getPrismaClient();
+    const ids = certificates.map(certificate => certificate.id);
+
+    const { count } = await prisma.certificate.updateMany({
+      where: { id: { in: ids }, claimedById: null },
+      data: {
+        claimedById: user.id,
+        claimedAt: new Date(),
+        claimCodeHash: null,
+        claimCodeExpiresAt: null
+      }
+    });
+    if (count === 0) {
+      return { error: 'This certificate has already been claimed. Please contact your institution.', status: 409 };
+    }
+
+    const claimed = await prisma.certificate.findMany({
+      where: { id: { in: ids }, claimedById: user.id },
+      include: { institution: true }
+    });
+
+    for (const certificate of claimed) {
+      await auditService.logCertificateOperation(user.id, certificate.id, 'CERTIFICATE_CLAIMED', {
+        method,
+        certificateNumber: certificate.certificateNumber
+      }, ipAddress, userAgent);
+    }
+
+    return { certificates: claimed };
+  }
+
+  /**
+   * Issue a claim code for a certificate, replacing any earlier one. The
+   * code is only returned here. Resolves to { code, expiresAt } or
+   * { error, status }.
+   */
+  async issueClaimCode(certificate, issuedBy, { ipAddress = null, userAgent = null } = {}) {
+    if (certificate.claimedById) {
+      return { error: 'Certificate has already been claimed', status: 409 };
+    }
+    if (!certificate.rollNumber) {
+      return { error: 'Certificate has no roll number to claim it by', status: 400 };
+    }
+
+    const code = this.generateClaimCode();
+    const expiresAt = new Date(Date.now() + CLAIM_CODE_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    const { count } = await getPrismaClient().certificate.updateMany({
+      where: { id: certificate.id, claimedById: null },
+      data: {
+        claimCodeHash: this.hashClaimCode(code),
+        claimCodeExpiresAt: expiresAt
+      }
+    });
+    if (count === 0) {
+      return { error: 'Certificate has already been claimed', status: 409 };
+    }
+
+    await auditService.logCertificateOperation(issuedBy.id, certificate.id, 'CLAIM_CODE_ISSUED', {
+      certificateNumber: certificate.certificateNumber,
+      expiresAt
+    }, ipAddress, userAgent);
+
+    return { code, expiresAt };
+  }
+
+  /**
+   * Certificates the user has claimed, newest first
+   */
+  async listClaimed(user) {
+    return getPrismaClient().certificate.findMany({
+      where: { claimedById: user.id },
+      include: {
+        institution: { select: { id: true, name: true, code: true } },
+        _count: { select: { shares: true } }
+      },
+      orderBy: { claimedAt: 'desc' }
+    });
+  }
+}
+
+module.exports = new CertificateClaimService();
@@ -0,0 +1,369 @@
+const crypto = require('crypto');
+const path = require('path');
+const XLSX = require('xlsx');
+const { getPrismaClient } = require('../config/database');
+const { levenshteinSimilarity } = require('../utils/similarity');
+
+const CERTIFICATE_FIELDS = [
+  'certificateNumber',
+  'studentName',
+  'fatherName',
+  'motherName',
+  'rollNumber',
+  'registrationNumber',
+  'studentEmail',
+  'studentPhone',
+  'course',
+  'branch',
+  'passingYear',
+  'grade',
+  'cgpa',
+  'percentage',
+  'dateOfIssue',
+  'dateOfCompletion',
+  'type',
+  'isLegacy',
+  // Bulk revoke sheets
+  'reason',
+  'effectiveDate'
+];
+
+const TRANSFORM_TYPES = ['date', 'map', 'scale', 'uppercase', 'lowercase'];
+
+// Header synonyms beyond the built-in English dictionary in bulkUploadService
+const HEADER_SYNONYMS = {
+  certificateNumber: ['certificateno', 'certificateid', 'serialno', 'प्रमाणपत्रसंख्या', 'प्रमाणपत्रक्रमांक', 'क्रमांक'],
+  studentName: ['studentsname', 'nameofstudent', 'nameofcandidate', 'छात्रकानाम', 'विद्यार्थीकानाम', 'नाम'],
+  fatherName: ['fathersname', 'पिताकानाम'],
+  motherName: ['mothersname', 'माताकानाम'],
+  rollNumber: ['rollnum', 'अनुक्रमांक', 'रोलनंबर'],
+  registrationNumber: ['enrollmentno', 'enrolmentno', 'enrollmentnumber', 'पंजीकरणसंख्या', 'नामांकनसंख्या'],
+  studentEmail: ['emailaddress', 'ईमेल'],
+  studentPhone: ['mobilenumber', 'contactnumber', 'phoneno', 'मोबाइल', 'मोबाइलनंबर'],
+  course: ['coursename', 'programme', 'पाठ्यक्रम', 'उपाधि'],
+  branch: ['discipline', 'subject', 'शाखा', 'विषय'],
+  passingYear: ['yearofpassing', 'passoutyear', 'उत्तीर्णवर्ष', 'वर्ष'],
+  grade: ['result', 'श्रेणी', 'ग्रेड', 'परिणाम'],
+  cgpa: ['sgpa', 'cpi'],
+  percentage: ['marks%', 'percent', 'प्रतिशत', 'अंकप्रतिशत'],
+  dateOfIssue: ['issuedon', 'dateissued', 'जारीकरनेकीतिथि', 'जारीतिथि'],
+  dateOfCompletion: ['completedon', 'पूर्णताकीतिथि'],
+  type: ['documenttype', 'प्रकार']
+};
+
+const normalizeHeader = (header) => String(header)
+  .replace(/^\uFEFF/, '')
+  .trim()
+  .toLowerCase()
+  .replace(/[\s_\-.:/()]+/g, '');
+
+/**
+ * Named column-mapping profiles for bulk uploads, stored per institution in
+ * integrationConfig.columnMappings.
+ *
+ * A profile renames source headers to certificate fields, transforms values
+ * (date formats, grade scales) and fills defaults for missing fields.
+ */
+class ColumnMappingService {
+  /**
+   * Check a profile definition. Returns a list of error messages.
+   */
+  validateProfile(profile) {
+    const errors = [];
+    const { headers = {}, transforms = {}, defaults = {} } = profile;
+
+    for (const [header, field] of Object.entries(headers)) {
+      if (!CERTIFICATE_FIELDS.includes(field)) {
+        errors.push(`Header "${header}" maps to unknown field: ${field}`);
+      }
+    }
+
+    for (const [field, transform] of Object.entries(transforms)) {
+      if (!CERTIFICATE_FIELDS.includes(field)) {
+        errors.push(`Transform for unknown field: ${field}`);
+        continue;
+      }
+      if (!transform || !TRANSFORM_TYPES.includes(transform.type)) {
+        errors.push(`Transform for ${field} must have a type of ${TRANSFORM_TYPES.join(', ')}`);
+        continue;
+      }
+      if (transform.type === 'date' && !/^(?=.*DD)(?=.*MM)(?=.*YY)[DMY\/\-. ]+$/.test(transform.format || '')) {
+        errors.push(`Date transform for ${field} needs a format such as DD/MM/YYYY`);
+      }
+      if (transform.type === 'map' && (!transform.values || typeof transform.values !== 'object')) {
+        errors.push(`Map transform for ${field} needs a values object`);
+      }
+      if (transform.type === 'scale' && !(transform.from > 0 && transform.to > 0)) {
+        errors.push(`Scale transform for ${field} needs positive from and to values`);
+      }
+    }
+
+    for (const field of Object.keys(defaults)) {
+      if (!CERTIFICATE_FIELDS.includes(field)) {
+        errors.push(`Default for unknown field: ${field}`);
+      }
+    }
+
+    return errors;
+  }
+
+  async listProfiles(institutionId) {
+    const institution = await getPrismaClient().institution.findUnique({
+      where: { id: institutionId },
+      select: { integrationConfig: true }
+    });
+
+    return institution?.integrationConfig?.columnMappings || [];
+  }
+
+  async getProfile(institutionId, profileId) {
+    const profiles = await this.listProfiles(institutionId);
+    return profiles.find(profile => profile.id === profileId) || null;
+  }
+
+  /**
+   * Create a profile, or replace one when profileId is given.
+   * Resolves to the saved profile, or null when profileId does not exist.
+   */
+  async saveProfile(institutionId, { name, headers = {}, transforms = {}, defaults = {} }, profileId = null) {
+    const prisma = getPrismaClient();
+    const institution = await prisma.institution.findUnique({
+      where: { id: institutionId },
+      select: { integrationConfig: true }
+    });
+    const config = institution.integrationConfig || {};
+    const profiles = config.columnMappings || [];
+    const now = new Date().toISOString();
+
+    let profile;
+    if (profileId) {
+      const index = profiles.findIndex(existing => existing.id === profileId);
+      if (index === -1) return null;
+
+      profile = { ...profiles[index], name, headers, transforms, defaults, updatedAt: now };
+      profiles[index] = profile;
+    } else {
+      profile = { id: crypto.randomUUID(), name, headers, transforms, defaults, createdAt: now, updatedAt: now };
+      profiles.push(profile);
+    }
+
+    await prisma.institution.update({
+      where: { id: institutionId },
+      data: { integrationConfig: { ...config, columnMappings: profiles } }
+    });
+
+    return profile;
+  }
+
+  /**
+   * Resolves to false when the profile does not exist
+   */
+  async deleteProfile(institutionId, profileId) {
+    const prisma = getPrismaClient();
+    const institution = await prisma.institution.findUnique({
+      where: { id: institutionId },
+      select: { integrationConfig: true }
+    });
+    const config = institution.integrationConfig || {};
+    const profiles = config.columnMappings || [];
+    const remaining = profiles.filter(profile => profile.id !== profileId);
+
+    if (remaining.length === profiles.length) return false;
+
+    await prisma.institution.update({
+      where: { id: institutionId },
+      data: { integrationConfig: { ...config, columnMappings: remaining } }
+    });
+
+    return true;
+  }
+
+  /**
+   * Field for a source header under a profile, or null to fall back to the
+   * built-in dictionary
+   */
+  resolveHeader(header, profile) {
+    if (!profile) return null;
+
+    const normalized = normalizeHeader(header);
+    const match = Object.entries(profile.headers || {})
+      .find(([source]) => normalizeHeader(source) === normalized);
+
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Apply a profile's value transforms and defaults to a mapped record
+   */
+  applyProfile(record, profile) {
+    if (!profile) return record;
+
+    const result = { ...record };
+
+    for (const [field, transform] of Object.entries(profile.transforms || {})) {
+      if (result[field] !== undefined && result[field] !== '') {
+        result[field] = this.transformValue(result[field], transform);
+      }
+    }
+
+    for (const [field, value] of Object.entries(profile.defaults || {})) {
+      if (result[field] === undefined || result[field] === '') {
+        result[field] = String(value);
+      }
+    }
+
+    return result;
+  }
+
+  transformValue(value, transform) {
+    const text = String(value).trim();
+
+    switch (transform.type) {
+      case 'date':
+        return this.parseDate(text, transform.format) || text;
+      case 'map': {
+        const match = Object.entries(transform.values)
+          .find(([source]) => source.trim().toLowerCase() === text.toLowerCase());
+        return match ? String(match[1]) : text;
+      }
+      case 'scale': {
+        const number = parseFloat(text);
+        return isNaN(number) ? text : String(Math.round((number / transform.from) * transform.to * 100) / 100);
+      }
+      case 'uppercase':
+        return text.toUpperCase();
+      case 'lowercase':
+        return text.toLowerCase();
+      default:
+        return text;
+    }
+  }
+
+  /**
+   * Parse a date in a DD/MM/YYYY-style format (or an Excel serial number)
+   * into YYYY-MM-DD. Returns null when it does not match.
+   */
+  parseDate(text, format) {
+    // Excel stores dates as days since 1899-12-30
+    if (/^\d{5}$/.test(text)) {
+      const date = new Date(Date.UTC(1899, 11, 30) + parseInt(text) * 24 * 60 * 60 * 1000);
+      return date.toISOString().slice(0, 10);
+    }
+
+    const tokens = format.match(/YYYY|YY|MM|DD/g) || [];
+    const pattern = new RegExp('^' + format
+      .replace(/[.]/g, '\\.')
+      .replace(/YYYY/, '(\\d{4})')
+      .replace(/YY/, '(\\d{2})')
+      .replace(/MM/, '(\\d{1,2})')
+      .replace(/DD/, '(\\d{1,2})') + '$');
+    const match = text.match(pattern);
+    if (!match) return null;
+
+    const parts = {};
+    tokens.forEach((token, index) => {
+      parts[token] = parseInt(match[index + 1]);
+    });
+
+    let year = parts.YYYY;
+    if (year === undefined) {
+      year = parts.YY + (parts.YY > new Date().getFullYear() % 100 ? 1900 : 2000);
+    }
+
+    const date = new Date(Date.UTC(year, parts.MM - 1, parts.DD));
+    if (date.getUTCMonth() !== parts.MM - 1 || date.getUTCDate() !== parts.DD) return null;
+
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Header row of an uploaded CSV/Excel file
+   */
+  readHeaders(buffer, fileName) {
+    const workbook = path.extname(fileName).toLowerCase() === '.csv' ?
+      XLSX.read(buffer.toString('utf8').replace(/^\uFEFF/, ''), { type: 'string' }) :
+      XLSX.read(buffer, { type: 'buffer' });
+    const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+    const [headers = []] = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+
+    return headers.map(header => String(header ?? '').trim()).filter(Boolean);
+  }
+
+  /**
+   * Suggest a field for each header, using the institution's saved profiles,
+   * the built-in dictionary, English/Hindi synonyms and spelling similarity.
+   */
+  async suggestMapping(headers, institutionId) {
+    // Required here; bulkUploadService depends on this service
+    const bulkUploadService = require('./bulkUploadService');
+    const profiles = institutionId ? await this.listProfiles(institutionId) : [];
+    const learned = new Map();
+    for (const profile of profiles) {
+      for (const [source, field] of Object.entries(profile.headers || {})) {
+        learned.set(normalizeHeader(source), field);
+      }
+    }
+
+    const suggestions = headers.map(header => {
+      const normalized = normalizeHeader(header);
+
+      if (learned.has(normalized)) {
+        return { header, field: learned.get(normalized), confidence: 1, matchedBy: 'profile' };
+      }
+
+      const builtIn = bulkUploadService.mapFieldName(normalized);
+      if (CERTIFICATE_FIELDS.includes(builtIn)) {
+        return { header, field: builtIn, confidence: 1, matchedBy: 'dictionary' };
+      }
+
+      let best = { header, field: null, confidence: 0, matchedBy: null };
+      for (const field of CERTIFICATE_FIELDS) {
+        const candidates = [field.toLowerCase(), ...(HEADER_SYNONYMS[field] || [])];
+        for (const candidate of candidates) {
+          if (candidate === normalized) {
+            return { header, field, confidence: 1, matchedBy: 'synonym' };
+          }
+
+          let score = levenshteinSimilarity(normalized, candidate);
+          if (score < 0.6 && candidate.length >= 4 && normalized.includes(candidate)) {
+            score = 0.6;
+          }
+          if (score > best.confidence) {
+            best = { header, field, confidence: Math.round(score * 100) / 100, matchedBy: 'similarity' };
+          }
+        }
+      }
+
+      return best.confidence >= 0.6 ? best : { header, field: null, confidence: 0, matchedBy: null };
+    });
+
+    // A field can only come from one column; keep the strongest match
+    const claimed = new Map();
+    for (const suggestion of suggestions) {
+      if (!suggestion.field) continue;
+      const current = claimed.get(suggestion.field);
+      if (!current || suggestion.confidence > current.confidence) {
+        claimed.set(suggestion.field, suggestion);
+      }
+    }
+    for (const suggestion of suggestions) {
+      if (suggestion.field && claimed.get(suggestion.field) !== suggestion) {
+        Object.assign(suggestion, { field: null, confidence: 0, matchedBy: null });
+      }
+    }
+
+    const mappedFields = new Set(suggestions.map(suggestion => suggestion.field).filter(Boolean));
+
+    return {
+      suggestions,
+      headers: Object.fromEntries(suggestions
+        .filter(suggestion => suggestion.field)
+        .map(suggestion => [suggestion.header, suggestion.field])),
+      unmapped: suggestions.filter(suggestion => !suggestion.field).map(suggestion => suggestion.header),
+      missingRequired: bulkUploadService.requiredFields
+        .filter(field => !mappedFields.has(field))
+    };
+  }
+}
+
+module.exports = new ColumnMappingService();
@@ -0,0 +1,388 @@
+const crypto = require('crypto');
+const { getPrismaClient } = require('../config/database');
+const auditService = require('../utils/auditLogger');
+const notificationService = require('./notificationService');
+const verificationService = require('./verificationService');
+
+const STATUSES = ['PENDING', 'APPROVED', 'DENIED', 'REVOKED', 'EXPIRED'];
+
+const INVALID_TOKEN = 'Invalid or expired consent link';
+
+// Unanswered requests a certificate may have at once, overall and from one
+// IP address, so a student cannot be flooded by changing requestorEmail
+const MAX_PENDING_PER_CERTIFICATE = parseInt(process.env.CONSENT_MAX_PENDING_PER_CERTIFICATE) || 5;
+const MAX_PENDING_PER_IP = parseInt(process.env.CONSENT_MAX_PENDING_PER_IP) || 2;
+
+/**
+ * Student consent before certificate details are disclosed.
+ *
+ * Institutions with consentRequired set have every lookup - by certificate
+ * number, QR code, uploaded file or presented credential - held as an
+ * AWAITING_CONSENT verification while the student is asked, by email and
+ * SMS, to approve or deny. An approval runs the verification and
+ * releases the details until it expires or the student revokes it; a
+ * request without an answer expires. Every step is written to the audit
+ * log against the verification.
+ */
+class ConsentService {
+  constructor() {
+    this.statuses = STATUSES;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  isRequired(certificate) {
+    return Boolean(certificate.institution?.consentRequired);
+  }
+
+  /**
+   * Public view of a consent
+   */
+  describe(consent) {
+    return {
+      status: consent.status,
+      respondBy: consent.respondBy,
+      respondedAt: consent.respondedAt,
+      expiresAt: consent.expiresAt,
+      revokedAt: consent.revokedAt
+    };
+  }
+
+  /**
+   * Response to a lookup held for the student's consent. Without a
+   * verification - a repeat of a request already pending - only the
+   * consent status is given, the code staying with whoever asked first.
+   */
+  describeRequest(verification, consent) {
+    if (!verification) {
+      return {
+        status: 'AWAITING_CONSENT',
+        consent: this.describe(consent)
+      };
+    }
+
+    return {
+      verificationCode: verification.verificationCode,
+      status: verification.status,
+      consent: this.describe(consent)
+    };
+  }
+
+  /**
+   * Response to a verification code lookup whose details are withheld;
+   * consent is the public view from checkRelease
+   */
+  describeWithheld(verification, consent) {
+    let message = 'Certificate details are released only with the student\'s consent';
+    if (consent) {
+      message = consent.status === 'PENDING' ?
+        'Waiting for the student to consent to sharing certificate details' :
+        `Certificate details are not available: consent ${consent.status.toLowerCase()}`;
+    }
+
+    return {
+      verificationCode: verification.verificationCode,
+      status: verification.status,
+      consent,
+      message,
+      requestedBy: verification.requestedBy
+    };
+  }
+
+  async audit(consent, action, details = {}, ipAddress = null, userAgent = null) {
+    await auditService.logVerification(null, consent.verificationId, consent.certificateId, action, {
+      consentId: consent.id,
+      ...details
+    }, ipAddress, userAgent);
+  }
+
+  /**
+   * Hold a verification until the student answers. A repeat of a pending
+   * request from the same requestorEmail does not ask the student again
+   * and resolves to { verification: null, consent }: the email is no
+   * secret, so the pending verification code is never handed to a new
+   * caller. No new request is made while the certificate has too many
+   * unanswered ones. Resolves to { verification, consent } or
+   * { error, status }.
+   */
+  async request(certificate, verificationRequest) {
+    if (!verificationRequest.requestedBy || !verificationRequest.requestorEmail) {
+      return {
+        error: 'The issuing institution releases certificate details only with the student\'s consent. Provide requestedBy and requestorEmail to ask the student.',
+        status: 400
+      };
+    }
+    if (!certificate.studentEmail && !certificate.studentPhone) {
+      return {
+        error: 'The issuing institution releases certificate details only with the student\'s consent, and the student cannot be contacted. Please contact the institution.',
+        status: 409
+      };
+    }
+
+    const prisma = getPrismaClient();
+    const now = new Date();
+
+    const pending = await prisma.verificationConsent.findFirst({
+      where: {
+        certificateId: certificate.id,
+        status: 'PENDING',
+        respondBy: { gt: now },
+        verification: { requestorEmail: verificationRequest.requestorEmail }
+      }
+    });
+    if (pending) {
+      await this.audit(pending, 'CONSENT_REQUEST_REPEATED', {
+        requestorEmail: verificationRequest.requestorEmail
+      }, verificationRequest.ipAddress, verificationRequest.userAgent);
+      return { verification: null, consent: pending };
+    }
+
+    const unanswered = { certificateId: certificate.id, status: 'PENDING', respondBy: { gt: now } };
+    const [pendingForCertificate, pendingFromIp] = await Promise.all([
+      prisma.verificationConsent.count({ where: unanswered }),
+      verificationRequest.ipAddress ?
+        prisma.verificationConsent.count({
+          where: { ...unanswered, verification: { ipAddress: verificationRequest.ipAddress } }
+        }) :
+        0
+    ]);
+    if (pendingForCertificate >= MAX_PENDING_PER_CERTIFICATE || pendingFromIp >= MAX_PENDING_PER_IP) {
+      await auditService.logCertificateOperation(null, certificate.id, 'CONSENT_REQUEST_LIMITED', {
+        requestorEmail: verificationRequest.requestorEmail,
+        pendingForCertificate,
+        pendingFromIp
+      }, verificationRequest.ipAddress, verificationRequest.userAgent);
+      return {
+        error: 'The student already has unanswered requests to share this certificate. Please try again once they have responded.',
+        status: 429
+      };
+    }
+
+    const respondBy = new Date(now.getTime() + certificate.institution.consentResponseHours * 60 * 60 * 1000);
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    const verification = await prisma.verification.create({
+      data: {
+        requestedBy: verificationRequest.requestedBy,
+        requestorEmail: verificationRequest.requestorEmail,
+        requestorPhone: verificationRequest.requestorPhone,
+        purpose: verificationRequest.purpose,
+        ipAddress: verificationRequest.ipAddress,
+        userAgent: verificationRequest.userAgent,
+        certificateId: certificate.id,
+        institutionId: certificate.institutionId,
+        status: 'AWAITING_CONSENT',
+        expiresAt: respondBy,
+        consent: {
+          create: {
+            tokenHash: this.hashToken(token),
+            respondBy,
+            certificateId: certificate.id
+          }
+        }
+      },
+      include: { consent: true }
+    });
+    const { consent: created, ...pendingVerification } = verification;
+
+    const notifiedVia = await notificationService.sendConsentRequest(certificate, pendingVerification, token, respondBy);
+
+    if (notifiedVia.length === 0) {
+      await prisma.$transaction([
+        prisma.verificationConsent.update({
+          where: { id: created.id },
+          data: { status: 'EXPIRED' }
+        }),
+        prisma.verification.update({
+          where: { id: verification.id },
+          data: {
+            status: 'FAILED',
+            verificationNotes: 'The student could not be notified of the consent request',
+            flaggedReasons: ['CONSENT_UNDELIVERABLE']
+          }
+        })
+      ]);
+      await this.audit(created, 'CONSENT_UNDELIVERABLE', {}, verificationRequest.ipAddress, verificationRequest.userAgent);
+      return { error: 'The student could not be asked for consent. Please try again later.', status: 503 };
+    }
+
+    const consent = await prisma.verificationConsent.update({
+      where: { id: created.id },
+      data: { notifiedVia }
+    });
+
+    await this.audit(consent, 'CONSENT_REQUESTED', {
+      requestedBy: verification.requestedBy,
+      requestorEmail: verification.requestorEmail,
+      purpose: verification.purpose,
+      notifiedVia
+    }, verificationRequest.ipAddress, verificationRequest.userAgent);
+
+    return { verification: pendingVerification, consent };
+  }
+
+  /**
+   * Mark a consent EXPIRED once its response window or its access has
+   * passed. Resolves to the consent as it now stands.
+   */
+  async refresh(consent, now = new Date()) {
+    const lapsed = (consent.status === 'PENDING' && consent.respondBy <= now) ||
+      (consent.status === 'APPROVED' && consent.expiresAt <= now);
+    if (!lapsed) {
+      return consent;
+    }
+
+    const prisma = getPrismaClient();
+    const { count } = await prisma.verificationConsent.updateMany({
+      where: { id: consent.id, status: consent.status },
+      data: { status: 'EXPIRED' }
+    });
+    if (count > 0) {
+      if (consent.status === 'PENDING') {
+        await prisma.verification.update({
+          where: { id: consent.verificationId },
+          data: {
+            status: 'FAILED',
+            verificationNotes: 'The student did not respond to the consent request',
+            flaggedReasons: ['CONSENT_EXPIRED']
+          }
+        });
+      }
+      await this.audit(consent, 'CONSENT_EXPIRED', { fromStatus: consent.status });
+    }
+
+    return prisma.verificationConsent.findUnique({ where: { id: consent.id } });
+  }
+
+  /**
+   * Consent a student's link token stands for, with its verification and
+   * certificate. Resolves to { consent } or { error }.
+   */
+  async findByToken(token) {
+    if (typeof token !== 'string' || !token) {
+      return { error: INVALID_TOKEN };
+    }
+
+    const consent = await getPrismaClient().verificationConsent.findUnique({
+      where: { tokenHash: this.hashToken(token) },
+      include: {
+        verification: true,
+        certificate: { include: { institution: true } }
+      }
+    });
+    if (!consent) {
+      return { error: INVALID_TOKEN };
+    }
+
+    const { status, expiresAt } = await this.refresh(consent);
+    return { consent: { ...consent, status, expiresAt } };
+  }
+
+  /**
+   * Record the student's answer. Approving runs the verification and
+   * releases the details for the institution's validity period.
+   * Resolves to { consent } or { error, status }.
+   */
+  async respond(token, decision, { ipAddress = null, userAgent = null } = {}) {
+    const { consent, error } = await this.findByToken(token);
+    if (!consent) {
+      return { error, status: 400 };
+    }
+    if (consent.status !== 'PENDING') {
+      return { error: `This request is already ${consent.status.toLowerCase()}`, status: 400 };
+    }
+
+    const prisma = getPrismaClient();
+    const now = new Date();
+    const approved = decision === 'APPROVE';
+    const expiresAt = approved
+      ? new Date(now.getTime() + consent.certificate.institution.consentValidityDays * 24 * 60 * 60 * 1000)
+      : null;
+
+    // Only apply the answer if the request is still pending
+    const { count } = await prisma.verificationConsent.updateMany({
+      where: { id: consent.id, status: 'PENDING' },
+      data: {
+        status: approved ? 'APPROVED' : 'DENIED',
+        respondedAt: now,
+        expiresAt,
+        responseIp: ipAddress
+      }
+    });
+    if (count === 0) {
+      return { error: 'This request has already been answered', status: 409 };
+    }
+
+    if (approved) {
+      await verificationService.completeVerification(consent.certificate, consent.verification, { expiresAt });
+    } else {
+      await prisma.verification.update({
+        where: { id: consent.verificationId },
+        data: {
+          status: 'FAILED',
+          verificationNotes: 'The student declined to share certificate details',
+          flaggedReasons: ['CONSENT_DENIED'],
+          verifiedAt: now
+        }
+      });
+    }
+
+    await this.audit(consent, approved ? 'CONSENT_APPROVED' : 'CONSENT_DENIED', {
+      requestorEmail: consent.verification.requestorEmail,
+      expiresAt
+    }, ipAddress, userAgent);
+
+    return { consent: await prisma.verificationConsent.findUnique({ where: { id: consent.id } }) };
+  }
+
+  /**
+   * Withdraw an approval, hiding the details again.
+   * Resolves to { consent } or { error, status }.
+   */
+  async revoke(token, { ipAddress = null, userAgent = null } = {}) {
+    const { consent, error } = await this.findByToken(token);
+    if (!consent) {
+      return { error, status: 400 };
+    }
+    if (consent.status !== 'APPROVED') {
+      return { error: `Only an approved request can be revoked; this one is ${consent.status.toLowerCase()}`, status: 400 };
+    }
+
+    const prisma = getPrismaClient();
+    const { count } = await prisma.verificationConsent.updateMany({
+      where: { id: consent.id, status: 'APPROVED' },
+      data: { status: 'REVOKED', revokedAt: new Date() }
+    });
+    if (count === 0) {
+      return { error: 'The consent was changed meanwhile. Reload and try again.', status: 409 };
+    }
+
+    await this.audit(consent, 'CONSENT_REVOKED', {
+      requestorEmail: consent.verification.requestorEmail
+    }, ipAddress, userAgent);
+
+    return { consent: await prisma.verificationConsent.findUnique({ where: { id: consent.id } }) };
+  }
+
+  /**
+   * Whether a verification's certificate details may be shown: only under
+   * a current approval, or without a consent when the certificate's
+   * institution does not ask for one. Resolves to { release, consent } with
+   * consent the public view, or null.
+   */
+  async checkRelease(verification, certificate = verification.certificate) {
+    const stored = await getPrismaClient().verificationConsent.findUnique({
+      where: { verificationId: verification.id }
+    });
+    if (!stored) {
+      return { release: !this.isRequired(certificate), consent: null };
+    }
+
+    const consent = await this.refresh(stored);
+    return { release: consent.status === 'APPROVED', consent: this.describe(consent) };
+  }
+}
+
+module.exports = new ConsentService();
@@ -0,0 +1,153 @@
+const { getPrismaClient } = require('../config/database');
+const blockchainService = require('./blockchainService');
+const keyManagementService = require('./keyManagementService');
+const { signJws, decodeJws, verifyJws } = require('../utils/jws');
+
+const VC_CONTEXT = 'https://www.w3.org/2018/credentials/v1';
+
+// Allowance for clocks of issuer and verifier disagreeing
+const CLOCK_SKEW_SECONDS = 60;
+
+/**
+ * Issues certificates as W3C Verifiable Credentials in VC-JWT form and
+ * checks credentials presented back to us.
+ */
+class CredentialService {
+  /**
+   * did:web identifier for an issuing institution
+   */
+  getIssuerDid(institution) {
+    const domain = process.env.CREDENTIAL_ISSUER_DOMAIN ||
+      new URL(process.env.FRONTEND_URL || 'http://localhost:3000').host;
+
+    return `did:web:${encodeURIComponent(domain)}:institutions:${institution.code}`;
+  }
+
+  /**
+   * Build the unsigned credential from the fields covered by the
+   * certificate's blockchain hash
+   */
+  buildCredential(certificate) {
+    return {
+      '@context': [VC_CONTEXT],
+      id: `urn:certificate:${certificate.id}`,
+      type: ['VerifiableCredential', 'EducationalCertificateCredential'],
+      issuer: {
+        id: this.getIssuerDid(certificate.institution),
+        name: certificate.institution.name
+      },
+      issuanceDate: new Date(certificate.dateOfIssue).toISOString(),
+      credentialSubject: {
+        studentName: certificate.studentName,
+        certificateNumber: certificate.certificateNumber,
+        course: certificate.course,
+        passingYear: certificate.passingYear,
+        institutionId: certificate.institutionId,
+        dateOfIssue: certificate.dateOfIssue,
+        certificateHash: certificate.blockchainHash || blockchainService.generateCertificateHash(certificate)
+      }
+    };
+  }
+
+  /**
+   * Sign a certificate (with its institution) as a VC-JWT using the
+   * institution's current signing key
+   */
+  async issueCredential(certificate) {
+    const key = await keyManagementService.getSigningKey(certificate.institutionId);
+
+    const vc = this.buildCredential(certificate);
+    const jwt = signJws({
+      iss: vc.issuer.id,
+      sub: vc.id,
+      jti: vc.id,
+      nbf: Math.floor(new Date(vc.issuanceDate).getTime() / 1000),
+      iat: Math.floor(Date.now() / 1000),
+      vc
+    }, key.privateKey, { typ: 'JWT', kid: key.kid });
+
+    return { jwt, credential: vc };
+  }
+
+  /**
+   * Check a presented VC-JWT: signature, issuer and the certificate it
+   * describes. Returns the matched certificate when the credential is genuine.
+   */
+  async verifyCredential(jwt) {
+    let decoded;
+    try {
+      decoded = decodeJws(jwt);
+    } catch (error) {
+      return { isValid: false, errors: ['Credential is not a valid VC-JWT'] };
+    }
+
+    const errors = [];
+    const { header, payload } = decoded;
+    const vc = payload.vc;
+
+    if (!vc || !Array.isArray(vc.type) || !vc.type.includes('VerifiableCredential') || !vc.credentialSubject) {
+      return { isValid: false, errors: ['Credential payload is not a verifiable credential'] };
+    }
+
+    // exp/nbf are the JWT form of expirationDate/issuanceDate
+    const now = Math.floor(Date.now() / 1000);
+    const expiry = payload.exp ?? (vc.expirationDate ? Math.floor(new Date(vc.expirationDate).getTime() / 1000) : null);
+    const expired = expiry !== null && !(Number(expiry) + CLOCK_SKEW_SECONDS > now);
+    if (expired) {
+      errors.push('Credential has expired');
+    }
+    if (payload.nbf !== undefined && !(Number(payload.nbf) - CLOCK_SKEW_SECONDS <= now)) {
+      errors.push('Credential is not valid yet');
+    }
+
+    // The key must not be revoked and must have been valid when the
+    // credential was issued
+    const signedAt = typeof payload.iat === 'number' ? new Date(payload.iat * 1000) : null;
+    const key = await keyManagementService.getVerificationKey(header.kid, signedAt);
+    const signatureValid = Boolean(key) && verifyJws(decoded, key.publicKey);
+    if (!signatureValid) {
+      errors.push('Credential signature is invalid');
+    }
+
+    const certificateId = typeof payload.sub === 'string' ? payload.sub.replace(/^urn:certificate:/, '') : null;
+    const prisma = getPrismaClient();
+    const certificate = certificateId ? await prisma.certificate.findUnique({
+      where: { id: certificateId },
+      include: { institution: true }
+    }) : null;
+
+    if (!certificate) {
+      errors.push('Certificate referenced by the credential was not found');
+      return { isValid: false, signatureValid, expired, errors, credential: vc };
+    }
+
+    // Issuer must be the certificate's institution, signing with its own key,
+    // and still in good standing
+    const issuerValid = payload.iss === this.getIssuerDid(certificate.institution) &&
+      Boolean(key) && key.institutionId === certificate.institutionId &&
+      certificate.institution.isActive && certificate.institution.isVerified;
+    if (!issuerValid) {
+      errors.push('Credential issuer does not match an active, verified institution');
+    }
+
+    // Claims must still match the certificate on record
+    const claimsMatch = vc.credentialSubject.certificateHash === blockchainService.generateCertificateHash(certificate) &&
+      vc.credentialSubject.certificateHash === blockchainService.generateCertificateHash(vc.credentialSubject);
+    if (!claimsMatch) {
+      errors.push('Credential claims do not match the certificate record');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      signatureValid,
+      expired,
+      issuerValid,
+      claimsMatch,
+      errors,
+      credential: vc,
+      certificate
+    };
+  }
+}
+
+module.exports = new CredentialService();
@@ -0,0 +1,145 @@
+const ocrService = require('./ocrService');
+const { levenshteinSimilarity } = require('../utils/similarity');
+const { NAME_MATCH_THRESHOLD, nameSimilarity } = require('../utils/nameMatching');
+
+// Fields compared between an uploaded document and the registry record.
+// matchAt is the similarity from which two values count as the same.
+const FIELDS = [
+  { field: 'studentName', label: 'Student name', type: 'name', matchAt: NAME_MATCH_THRESHOLD },
+  { field: 'fatherName', label: "Father's name", type: 'name', matchAt: NAME_MATCH_THRESHOLD },
+  { field: 'rollNumber', label: 'Roll number', type: 'identifier', matchAt: 1 },
+  { field: 'course', label: 'Course', type: 'text', matchAt: 0.85 },
+  { field: 'grade', label: 'Grade', type: 'grade', matchAt: 1 },
+  { field: 'cgpa', label: 'CGPA', type: 'number', tolerance: 0.01 },
+  { field: 'percentage', label: 'Percentage', type: 'number', tolerance: 0.5 },
+  { field: 'passingYear', label: 'Passing year', type: 'number', tolerance: 0 },
+  { field: 'dateOfIssue', label: 'Date of issue', type: 'date' }
+];
+
+/**
+ * Field-by-field comparison of the data read from an uploaded certificate
+ * with the registry record it was matched to.
+ *
+ * Each field is MATCH, MISMATCH or MISSING (absent from the document or
+ * from the record, see missingFrom), with a similarity from 0 to 1 and the
+ * OCR confidence of the extracted value. Registry values are not included,
+ * so public uploads cannot be used to read the record. For the same reason
+ * numbers and dates only report whether they match (similarity 1 or 0): a
+ * graded similarity would give away how far off the upload is, and so the
+ * recorded value.
+ */
+class FieldComparisonService {
+  constructor() {
+    this.fields = FIELDS;
+  }
+
+  normalize(value, type) {
+    const text = String(value).toUpperCase();
+    if (type === 'identifier') {
+      return text.replace(/[^A-Z0-9]/g, '');
+    }
+    if (type === 'grade') {
+      return text.replace(/[^A-Z0-9+\-]/g, '');
+    }
+    return text.replace(/[^A-Z0-9 ]/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Calendar day of a date, ignoring the time zone it was parsed in
+   */
+  dayOf(value, utc) {
+    const date = new Date(value);
+    return utc
+      ? Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+      : Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+  }
+
+  /**
+   * Similarity of an extracted value to the recorded one and whether they
+   * count as the same
+   */
+  compareValues(spec, extracted, recorded) {
+    switch (spec.type) {
+      case 'number': {
+        const difference = Math.abs(Number(extracted) - Number(recorded));
+        const matched = difference <= spec.tolerance;
+        return { similarity: matched ? 1 : 0, matched };
+      }
+      case 'date': {
+        // OCR dates are parsed as local dates, stored dates are UTC
+        const matched = this.dayOf(extracted, false) === this.dayOf(recorded, true);
+        return { similarity: matched ? 1 : 0, matched };
+      }
+      case 'name': {
+        const similarity = nameSimilarity(extracted, recorded);
+        return { similarity, matched: similarity >= spec.matchAt };
+      }
+      case 'text': {
+        const a = this.normalize(extracted, spec.type);
+        const b = this.normalize(recorded, spec.type);
+        // OCR often reads a course with surrounding words ("B.Tech in ...")
+        if (a && b && (a.includes(b) || b.includes(a))) {
+          return { similarity: 1, matched: true };
+        }
+        const similarity = levenshteinSimilarity(a, b);
+        return { similarity, matched: similarity >= spec.matchAt };
+      }
+      default: {
+        const similarity = levenshteinSimilarity(this.normalize(extracted, spec.type), this.normalize(recorded, spec.type));
+        return { similarity, matched: similarity >= spec.matchAt };
+      }
+    }
+  }
+
+  /**
+   * Compare extracted data (ocrService.extractCertificateData) with a
+   * certificate record. ocrResult supplies per-word OCR confidences.
+   */
+  compare(extractedData, certificate, ocrResult = {}) {
+    const isPresent = value => value !== null && value !== undefined && value !== '';
+
+    const fields = FIELDS.map(spec => {
+      const extracted = extractedData[spec.field];
+      const recorded = certificate[spec.field];
+      const entry = {
+        field: spec.field,
+        label: spec.label,
+        extracted: isPresent(extracted) ? extracted : null,
+        ocrConfidence: isPresent(extracted)
+          ? ocrService.getFieldConfidence(ocrResult, spec.type === 'date' ? '' : extracted)
+          : null
+      };
+
+      if (!isPresent(extracted) || !isPresent(recorded)) {
+        return {
+          ...entry,
+          status: 'MISSING',
+          missingFrom: isPresent(extracted) ? 'record' : 'document',
+          similarity: null
+        };
+      }
+
+      const { similarity, matched } = this.compareValues(spec, extracted, recorded);
+      return {
+        ...entry,
+        status: matched ? 'MATCH' : 'MISMATCH',
+        similarity: Math.round(similarity * 100) / 100
+      };
+    });
+
+    const count = status => fields.filter(field => field.status === status).length;
+    const mismatched = fields.filter(field => field.status === 'MISMATCH');
+
+    return {
+      summary: {
+        matched: count('MATCH'),
+        mismatched: mismatched.length,
+        missing: count('MISSING'),
+        mismatchedFields: mismatched.map(field => field.field)
+      },
+      fields
+    };
+  }
+}
+
+module.exports = new FieldComparisonService();
@@ -0,0 +1,396 @@
+const { getPrismaClient } = require('../config/database');
+const auditService = require('../utils/auditLogger');
+const permissionService = require('./permissionService');
+
+const STATUSES = ['OPEN', 'INVESTIGATING', 'RESOLVED', 'FALSE_POSITIVE'];
+const SEVERITIES = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+// Allowed status changes. Closing statuses are final.
+const TRANSITIONS = {
+  OPEN: ['INVESTIGATING'],
+  INVESTIGATING: ['RESOLVED', 'FALSE_POSITIVE'],
+  RESOLVED: [],
+  FALSE_POSITIVE: []
+};
+
+const CLOSED_STATUSES = ['RESOLVED', 'FALSE_POSITIVE'];
+
+// Hours allowed to start investigating (respond) and to close (resolve)
+// an incident, by severity
+const SLA_HOURS = {
+  CRITICAL: { respond: 1, resolve: 24 },
+  HIGH: { respond: 4, resolve: 72 },
+  MEDIUM: { respond: 24, resolve: 168 },
+  LOW: { respond: 72, resolve: 720 }
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const userSummary = { id: true, email: true, firstName: true, lastName: true, role: true };
+
+/**
+ * Triage of the SecurityIncident rows raised by auditService.logSecurityEvent:
+ * listing, assignment to an administrator, status changes and comments.
+ * Every change is kept as a SecurityIncidentActivity and audited.
+ */
+class IncidentService {
+  constructor() {
+    this.statuses = STATUSES;
+    this.severities = SEVERITIES;
+    this.transitions = TRANSITIONS;
+    this.slaHours = SLA_HOURS;
+  }
+
+  /**
+   * Response and resolution deadlines of an incident and whether they were
+   * (or are being) missed
+   */
+  getSla(incident, now = new Date()) {
+    const hours = SLA_HOURS[incident.severity] || SLA_HOURS.LOW;
+    const respondBy = new Date(incident.createdAt.getTime() + hours.respond * HOUR_MS);
+    const resolveBy = new Date(incident.createdAt.getTime() + hours.resolve * HOUR_MS);
+    const respondedAt = incident.acknowledgedAt || incident.closedAt || null;
+
+    return {
+      respondBy,
+      resolveBy,
+      respondedAt,
+      resolvedAt: incident.closedAt || null,
+      responseBreached: (respondedAt || now) > respondBy,
+      resolutionBreached: (incident.closedAt || now) > resolveBy
+    };
+  }
+
+  /**
+   * Prisma filter for open incidents past one of their deadlines
+   */
+  overdueFilter(now = new Date()) {
+    return {
+      OR: Object.entries(SLA_HOURS).flatMap(([severity, hours]) => [
+        { severity, status: 'OPEN', createdAt: { lt: new Date(now.getTime() - hours.respond * HOUR_MS) } },
+        { severity, status: { in: ['OPEN', 'INVESTIGATING'] }, createdAt: { lt: new Date(now.getTime() - hours.resolve * HOUR_MS) } }
+      ])
+    };
+  }
+
+  /**
+   * Prisma filter from list query parameters. `assignedTo` takes a user id,
+   * 'me' or 'unassigned'; status and severity take comma-separated lists.
+   */
+  buildFilter(query, currentUserId) {
+    const { status, severity, type, assignedTo, userId, certificateId, ipAddress, from, to, overdue, search } = query;
+    const conditions = [];
+
+    if (status) {
+      conditions.push({ status: { in: status.split(',') } });
+    }
+    if (severity) {
+      conditions.push({ severity: { in: severity.split(',') } });
+    }
+    if (type) {
+      conditions.push({ type });
+    }
+    if (assignedTo === 'unassigned') {
+      conditions.push({ assignedToId: null });
+    } else if (assignedTo) {
+      conditions.push({ assignedToId: assignedTo === 'me' ? currentUserId : assignedTo });
+    }
+    if (userId) {
+      conditions.push({ userId });
+    }
+    if (certificateId) {
+      conditions.push({ certificateId });
+    }
+    if (ipAddress) {
+      conditions.push({ ipAddress });
+    }
+    if (from || to) {
+      conditions.push({
+        createdAt: {
+          ...(from && { gte: new Date(from) }),
+          ...(to && { lte: new Date(to) })
+        }
+      });
+    }
+    if (overdue === 'true') {
+      conditions.push(this.overdueFilter());
+    }
+    if (search) {
+      conditions.push({ description: { contains: search, mode: 'insensitive' } });
+    }
+
+    return { AND: conditions };
+  }
+
+  /**
+   * Details were stored as JSON text by older code paths
+   */
+  parseDetails(details) {
+    if (typeof details !== 'string') {
+      return details;
+    }
+    try {
+      return JSON.parse(details);
+    } catch (error) {
+      return details;
+    }
+  }
+
+  present(incident) {
+    return {
+      ...incident,
+      details: this.parseDetails(incident.details),
+      sla: this.getSla(incident)
+    };
+  }
+
+  async list(query, currentUserId) {
+    const prisma = getPrismaClient();
+    const page = parseInt(query.page) || 1;
+    const limit = parseInt(query.limit) || 10;
+    const where = this.buildFilter(query, currentUserId);
+
+    const [incidents, total] = await Promise.all([
+      prisma.securityIncident.findMany({
+        where,
+        include: { assignedTo: { select: userSummary } },
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.securityIncident.count({ where })
+    ]);
+
+    return {
+      incidents: incidents.map(incident => this.present(incident)),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * Incident counts by status and severity, and how many are overdue
+   */
+  async getSummary() {
+    const prisma = getPrismaClient();
+
+    const [byStatus, openBySeverity, overdue] = await Promise.all([
+      prisma.securityIncident.groupBy({ by: ['status'], _count: { id: true } }),
+      prisma.securityIncident.groupBy({
+        by: ['severity'],
+        where: { status: { in: ['OPEN', 'INVESTIGATING'] } },
+        _count: { id: true }
+      }),
+      prisma.securityIncident.count({ where: this.overdueFilter() })
+    ]);
+
+    return {
+      byStatus: Object.fromEntries(byStatus.map(group => [group.status, group._count.id])),
+      openBySeverity: Object.fromEntries(openBySeverity.map(group => [group.severity, group._count.id])),
+      overdue
+    };
+  }
+
+  /**
+   * An incident with its activity and the user and certificate it concerns,
+   * or null
+   */
+  async get(incidentId) {
+    const prisma = getPrismaClient();
+
+    const incident = await prisma.securityIncident.findUnique({
+      where: { id: incidentId },
+      include: {
+        assignedTo: { select: userSummary },
+        activities: {
+          include: { actor: { select: userSummary } },
+          orderBy: { createdAt: 'asc' }
+        }
+      }
+    });
+    if (!incident) {
+      return null;
+    }
+
+    const [user, certificate] = await Promise.all([
+      incident.userId
+        ? prisma.user.findUnique({ where: { id: incident.userId }, select: { ...userSummary, isActive: true } })
+        : null,
+      incident.certificateId
+        ? prisma.certificate.findUnique({
+          where: { id: incident.certificateId },
+          select: {
+            id: true,
+            certificateNumber: true,
+            studentName: true,
+            status: true,
+            institution: { select: { id: true, name: true, code: true } }
+          }
+        })
+        : null
+    ]);
+
+    return {
+      ...this.present(incident),
+      related: { user, certificate }
+    };
+  }
+
+  async audit(actor, action, incident, details, ipAddress) {
+    await auditService.logAdminAction(
+      actor.id,
+      action,
+      incident.userId,
+      `SecurityIncident:${incident.id}`,
+      details,
+      ipAddress
+    );
+  }
+
+  /**
+   * Assign an incident to an administrator who can manage incidents, or
+   * unassign it with a null assigneeId.
+   * Resolves to { incident } or { error, status }.
+   */
+  async assign(actor, incidentId, assigneeId, { comment = null, ipAddress = null } = {}) {
+    const prisma = getPrismaClient();
+
+    const incident = await prisma.securityIncident.findUnique({ where: { id: incidentId } });
+    if (!incident) {
+      return { error: 'Incident not found', status: 404 };
+    }
+    if (CLOSED_STATUSES.includes(incident.status)) {
+      return { error: 'Closed incidents cannot be reassigned', status: 400 };
+    }
+
+    if (assigneeId) {
+      const assignee = await prisma.user.findUnique({ where: { id: assigneeId } });
+      if (!assignee || !assignee.isActive) {
+        return { error: 'Assignee not found', status: 404 };
+      }
+      const permissions = await permissionService.getPermissions(assignee);
+      if (!permissions.hasGlobal('incident:manage')) {
+        return { error: 'Incidents can only be assigned to administrators who manage incidents', status: 400 };
+      }
+    }
+
+    const [updated] = await prisma.$transaction([
+      prisma.securityIncident.update({
+        where: { id: incidentId },
+        data: { assignedToId: assigneeId || null, assignedAt: assigneeId ? new Date() : null },
+        include: { assignedTo: { select: userSummary } }
+      }),
+      prisma.securityIncidentActivity.create({
+        data: {
+          incidentId,
+          actorId: actor.id,
+          action: assigneeId ? 'ASSIGNED' : 'UNASSIGNED',
+          assigneeId: assigneeId || null,
+          comment
+        }
+      })
+    ]);
+
+    await this.audit(actor, assigneeId ? 'INCIDENT_ASSIGNED' : 'INCIDENT_UNASSIGNED', incident, {
+      previousAssigneeId: incident.assignedToId,
+      assigneeId: assigneeId || null
+    }, ipAddress);
+
+    return { incident: this.present(updated) };
+  }
+
+  /**
+   * Move an incident to a new status. Closing it requires a note, kept as
+   * its resolution.
+   * Resolves to { incident } or { error, status }.
+   */
+  async changeStatus(actor, incidentId, toStatus, { comment = null, ipAddress = null } = {}) {
+    const prisma = getPrismaClient();
+
+    const incident = await prisma.securityIncident.findUnique({ where: { id: incidentId } });
+    if (!incident) {
+      return { error: 'Incident not found', status: 404 };
+    }
+
+    const allowed = TRANSITIONS[incident.status] || [];
+    if (!allowed.includes(toStatus)) {
+      return {
+        error: `Cannot move an incident from ${incident.status} to ${toStatus}` +
+          (allowed.length ? `; allowed: ${allowed.join(', ')}` : ''),
+        status: 400
+      };
+    }
+
+    const closing = CLOSED_STATUSES.includes(toStatus);
+    if (closing && !comment) {
+      return { error: 'A note is required to close an incident', status: 400 };
+    }
+
+    const now = new Date();
+    const data = { status: toStatus };
+    if (toStatus === 'INVESTIGATING') {
+      data.acknowledgedAt = now;
+      // Whoever starts investigating an unassigned incident takes it
+      if (!incident.assignedToId) {
+        data.assignedToId = actor.id;
+        data.assignedAt = now;
+      }
+    }
+    if (closing) {
+      data.closedAt = now;
+      data.resolution = comment;
+    }
+
+    // Only apply the change if nobody changed the status meanwhile
+    const { count } = await prisma.securityIncident.updateMany({
+      where: { id: incidentId, status: incident.status },
+      data
+    });
+    if (count === 0) {
+      return { error: 'The incident was changed by someone else. Reload and try again.', status: 409 };
+    }
+
+    await prisma.securityIncidentActivity.create({
+      data: {
+        incidentId,
+        actorId: actor.id,
+        action: 'STATUS_CHANGED',
+        fromStatus: incident.status,
+        toStatus,
+        comment
+      }
+    });
+
+    await this.audit(actor, 'INCIDENT_STATUS_CHANGED', incident, {
+      fromStatus: incident.status,
+      toStatus,
+      comment
+    }, ipAddress);
+
+    const updated = await prisma.securityIncident.findUnique({
+      where: { id: incidentId },
+      include: { assignedTo: { select: userSummary } }
+    });
+    return { incident: this.present(updated) };
+  }
+
+  /**
+   * Resolves to { activity } or { error, status }
+   */
+  async addComment(actor, incidentId, comment) {
+    const prisma = getPrismaClient();
+
+    const incident = await prisma.securityIncident.findUnique({ where: { id: incidentId } });
+    if (!incident) {
+      return { error: 'Incident not found', status: 404 };
+    }
+
+    const activity = await prisma.securityIncidentActivity.create({
+      data: { incidentId, actorId: actor.id, action: 'COMMENT', comment },
+      include: { actor: { select: userSummary } }
+    });
+
+    return { activity };
+  }
+}
+
+module.exports = new IncidentService();
@@ -0,0 +1,256 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { getPrismaClient } = require('../config/database');
+const notificationService = require('./notificationService');
+const permissionService = require('./permissionService');
+
+// Roles that can only be obtained through an invitation
+const INVITABLE_ROLES = ['SUPER_ADMIN', 'UNIVERSITY_ADMIN', 'VERIFIER'];
+
+// Fields safe to return to clients (never the token hash)
+const PUBLIC_FIELDS = {
+  id: true,
+  email: true,
+  role: true,
+  expiresAt: true,
+  acceptedAt: true,
+  revokedAt: true,
+  createdAt: true,
+  institutionId: true,
+  institution: { select: { id: true, name: true, code: true } },
+  invitedBy: { select: { id: true, firstName: true, lastName: true, email: true } },
+  acceptedById: true
+};
+
+const INVALID_INVITATION = 'Invalid or expired invitation';
+
+/**
+ * Invitations for privileged roles. Public registration only creates PUBLIC
+ * and STUDENT accounts; every other role is granted by accepting a
+ * single-use, expiring invitation issued for a specific institution.
+ */
+class InvitationService {
+  constructor() {
+    this.invitableRoles = INVITABLE_ROLES;
+    this.ttlMs = (parseInt(process.env.INVITATION_TTL_DAYS) || 7) * 24 * 60 * 60 * 1000;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Whether the holder of `permissions` may invite someone to a role at an
+   * institution: they need invitation:manage there and every permission
+   * the role brings. Resolves to null when allowed, otherwise the reason.
+   */
+  async checkInviter(permissions, role, institutionId) {
+    if (!INVITABLE_ROLES.includes(role)) {
+      return `Role ${role} cannot be granted by invitation`;
+    }
+    if (role === 'SUPER_ADMIN' ? institutionId : !institutionId) {
+      return role === 'SUPER_ADMIN'
+        ? 'SUPER_ADMIN invitations are not tied to an institution'
+        : 'Invitations for this role must name an institution';
+    }
+    if (!permissions.can('invitation:manage', institutionId)) {
+      return 'You cannot invite users to this institution';
+    }
+
+    const bundles = await permissionService.getSystemBundles();
+    if (!permissionService.canGrant(permissions, bundles[role], institutionId)) {
+      return `You cannot invite a ${role}: the role has permissions you do not hold`;
+    }
+    return null;
+  }
+
+  /**
+   * Create an invitation, replacing any pending one for the same email and
+   * institution. Resolves to { invitation, token } where token is shown
+   * only in the invitation email.
+   */
+  async createInvitation({ email, role, institutionId = null, invitedById }) {
+    const prisma = getPrismaClient();
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    const [, invitation] = await prisma.$transaction([
+      prisma.invitation.updateMany({
+        where: { email, institutionId, acceptedAt: null, revokedAt: null },
+        data: { revokedAt: new Date() }
+      }),
+      prisma.invitation.create({
+        data: {
+          email,
+          role,
+          tokenHash: this.hashToken(token),
+          expiresAt: new Date(Date.now() + this.ttlMs),
+          institutionId,
+          invitedById
+        },
+        select: PUBLIC_FIELDS
+      })
+    ]);
+
+    return { invitation, token };
+  }
+
+  /**
+   * Check, create and email an invitation on behalf of `inviter`, whose
+   * permission set is `permissions`.
+   * Resolves to { invitation, emailSent } or { error, status }.
+   */
+  async invite(inviter, permissions, { email, role, institutionId = null }) {
+    const reason = await this.checkInviter(permissions, role, institutionId);
+    if (reason) {
+      return { error: reason, status: 403 };
+    }
+
+    const prisma = getPrismaClient();
+
+    if (institutionId) {
+      const institution = await prisma.institution.findUnique({ where: { id: institutionId } });
+      if (!institution || !institution.isActive) {
+        return { error: 'Institution not found or not active', status: 404 };
+      }
+    }
+
+    const existingUser = await prisma.user.findUnique({ where: { email } });
+    if (existingUser && existingUser.role === role && existingUser.institutionId === institutionId) {
+      return { error: `${email} already has this role`, status: 400 };
+    }
+
+    const { invitation, token } = await this.createInvitation({
+      email,
+      role,
+      institutionId,
+      invitedById: inviter.id
+    });
+    const emailSent = await notificationService.sendInvitation(invitation, token, inviter);
+
+    return { invitation, emailSent };
+  }
+
+  async listInvitations(where = {}) {
+    return getPrismaClient().invitation.findMany({
+      where,
+      select: PUBLIC_FIELDS,
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  /**
+   * Revoke a pending invitation. Pass institutionId to restrict to that
+   * institution. Resolves to false if no pending invitation matched.
+   */
+  async revokeInvitation(invitationId, institutionId = undefined) {
+    const where = { id: invitationId, acceptedAt: null, revokedAt: null };
+    if (institutionId !== undefined) {
+      where.institutionId = institutionId;
+    }
+
+    const { count } = await getPrismaClient().invitation.updateMany({
+      where,
+      data: { revokedAt: new Date() }
+    });
+    return count > 0;
+  }
+
+  /**
+   * Look up a pending invitation by its token. Resolves to { invitation }
+   * or { error }.
+   */
+  async findPending(token) {
+    if (typeof token !== 'string' || !token) {
+      return { error: INVALID_INVITATION };
+    }
+
+    const invitation = await getPrismaClient().invitation.findUnique({
+      where: { tokenHash: this.hashToken(token) },
+      include: { institution: true }
+    });
+
+    if (!invitation || invitation.acceptedAt || invitation.revokedAt || invitation.expiresAt <= new Date()) {
+      return { error: INVALID_INVITATION };
+    }
+    if (invitation.institution && !invitation.institution.isActive) {
+      return { error: 'The inviting institution is no longer active' };
+    }
+
+    return { invitation };
+  }
+
+  /**
+   * Accept an invitation. An existing account (which must be the caller)
+   * takes on the invited role; otherwise a new account is created from
+   * `profile`. Resolves to { user, invitation, created } or { error, status }.
+   */
+  async accept(token, { currentUser = null, profile = {} } = {}) {
+    const { invitation, error } = await this.findPending(token);
+    if (!invitation) {
+      return { error, status: 400 };
+    }
+
+    const prisma = getPrismaClient();
+    const existingUser = await prisma.user.findUnique({ where: { email: invitation.email } });
+
+    if (existingUser && (!currentUser || currentUser.id !== existingUser.id)) {
+      return { error: 'An account already exists for this email. Log in as that user to accept the invitation.', status: 401 };
+    }
+    if (!existingUser && currentUser) {
+      return { error: 'This invitation was sent to a different email address', status: 403 };
+    }
+    if (!existingUser && !profile.password) {
+      return { error: 'Password is required to create your account', status: 400 };
+    }
+
+    const roleData = {
+      role: invitation.role,
+      institutionId: invitation.institutionId,
+      // The invitation was delivered to this address
+      emailVerified: true
+    };
+
+    let createData = null;
+    if (!existingUser) {
+      const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+      createData = {
+        email: invitation.email,
+        password: await bcrypt.hash(profile.password, saltRounds),
+        firstName: profile.firstName,
+        lastName: profile.lastName,
+        phone: profile.phone,
+        ...roleData
+      };
+    }
+
+    const user = await prisma.$transaction(async (tx) => {
+      // Claim the invitation first so it can only be used once
+      const { count } = await tx.invitation.updateMany({
+        where: { id: invitation.id, acceptedAt: null, revokedAt: null },
+        data: { acceptedAt: new Date() }
+      });
+      if (count === 0) {
+        return null;
+      }
+
+      const accepted = existingUser
+        ? await tx.user.update({ where: { id: existingUser.id }, data: roleData, include: { institution: true } })
+        : await tx.user.create({ data: createData, include: { institution: true } });
+
+      await tx.invitation.update({
+        where: { id: invitation.id },
+        data: { acceptedById: accepted.id }
+      });
+
+      return accepted;
+    });
+
+    if (!user) {
+      return { error: INVALID_INVITATION, status: 400 };
+    }
+
+    return { user, invitation, created: !existingUser };
+  }
+}
+
+module.exports = new InvitationService();
@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const { getPrismaClient } = require('../config/database');
+const { encryptSecret, decryptSecret } = require('../utils/encryption');
+const { logger } = require('../utils/logger');
+
+const ALGORITHMS = {
+  ed25519: { alg: 'EdDSA', generate: () => crypto.generateKeyPairSync('ed25519') },
+  rsa: { alg: 'RS256', generate: () => crypto.generateKeyPairSync('rsa', { modulusLength: 3072 }) }
+};
+
+// Allowance for clocks of signer and verifier disagreeing
+const CLOCK_SKEW_MS = 60 * 1000;
+
+/**
+ * Per-institution signing keys.
+ * Private keys are stored encrypted; each key signs only inside its
+ * validity window and keeps verifying signatures made in that window after
+ * it has been rotated out. A revoked key verifies nothing.
+ */
+class KeyManagementService {
+  constructor() {
+    this.defaultAlgorithm = (process.env.SIGNING_KEY_ALGORITHM || 'ed25519').toLowerCase();
+    this.validityDays = parseInt(process.env.SIGNING_KEY_VALIDITY_DAYS) || 365;
+
+    // Decrypted private keys, by kid
+    this.privateKeyCache = new Map();
+  }
+
+  /**
+   * RFC 7638 thumbprint of a public key, used as its kid
+   */
+  computeKeyId(publicKey) {
+    const jwk = publicKey.export({ format: 'jwk' });
+    const members = jwk.kty === 'RSA' ?
+      { e: jwk.e, kty: jwk.kty, n: jwk.n } :
+      { crv: jwk.crv, kty: jwk.kty, x: jwk.x };
+
+    return crypto.createHash('sha256').update(JSON.stringify(members)).digest('base64url');
+  }
+
+  /**
+   * Generate and store a new active key for an institution, retiring the
+   * current one
+   */
+  async rotateKey(institutionId, { algorithm = this.defaultAlgorithm, validityDays = this.validityDays } = {}) {
+    const spec = ALGORITHMS[algorithm];
+    if (!spec) {
+      throw new Error(`Unsupported signing key algorithm: ${algorithm}`);
+    }
+
+    const { publicKey, privateKey } = spec.generate();
+    const now = new Date();
+    const prisma = getPrismaClient();
+
+    const [, key] = await prisma.$transaction([
+      prisma.signingKey.updateMany({
+        where: { institutionId, status: 'ACTIVE' },
+        data: { status: 'RETIRED', retiredAt: now }
+      }),
+      prisma.signingKey.create({
+        data: {
+          kid: this.computeKeyId(publicKey),
+          algorithm: spec.alg,
+          publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+          encryptedPrivateKey: encryptSecret(privateKey.export({ type: 'pkcs8', format: 'pem' })),
+          validFrom: now,
+          validUntil: new Date(now.getTime() + validityDays * 24 * 60 * 60 * 1000),
+          institutionId
+        }
+      })
+    ]);
+
+    this.privateKeyCache.set(key.kid, privateKey);
+    logger.info(`Signing key ${key.kid} (${spec.alg}) activated for institution ${institutionId}`);
+
+    return key;
+  }
+
+  /**
+   * Current signing key for an institution.
+   * A key is created on first use and replaced once its window has passed.
+   */
+  async getSigningKey(institutionId) {
+    const prisma = getPrismaClient();
+    const now = new Date();
+
+    let key = await prisma.signingKey.findFirst({
+      where: {
+        institutionId,
+        status: 'ACTIVE',
+        validFrom: { lte: now },
+        validUntil: { gt: now }
+      },
+      orderBy: { validFrom: 'desc' }
+    });
+
+    if (!key) {
+      key = await this.rotateKey(institutionId);
+    }
+
+    let privateKey = this.privateKeyCache.get(key.kid);
+    if (!privateKey) {
+      privateKey = crypto.createPrivateKey(decryptSecret(key.encryptedPrivateKey));
+      this.privateKeyCache.set(key.kid, privateKey);
+    }
+
+    return { kid: key.kid, algorithm: key.algorithm, institutionId, privateKey };
+  }
+
+  /**
+   * Whether a signature made at signedAt falls in the key's window: from
+   * validFrom until the key was retired or, failing that, expired
+   */
+  isWithinWindow(key, signedAt) {
+    const time = new Date(signedAt).getTime();
+    const end = (key.retiredAt || key.validUntil).getTime();
+
+    return Number.isFinite(time) &&
+      time >= key.validFrom.getTime() - CLOCK_SKEW_MS &&
+      time < end + CLOCK_SKEW_MS;
+  }
+
+  /**
+   * Look up a key (active or retired) by kid for verification. Revoked keys
+   * are refused. With signedAt, the signature's time (the token's iat), the
+   * key must also have been valid then; pass null when the token carries no
+   * time to refuse it.
+   */
+  async getVerificationKey(kid, signedAt) {
+    if (!kid) {
+      return null;
+    }
+
+    const key = await getPrismaClient().signingKey.findUnique({ where: { kid } });
+    if (!key || key.status === 'REVOKED') {
+      return null;
+    }
+    if (signedAt !== undefined && (signedAt === null || !this.isWithinWindow(key, signedAt))) {
+      return null;
+    }
+
+    return { ...key, publicKey: crypto.createPublicKey(key.publicKey) };
+  }
+
+  /**
+   * Revoke a key of an institution, for instance after its private key
+   * was exposed. Signatures it made stop verifying and, if it was the
+   * active key, a new one is created on next use. Resolves to the revoked
+   * key, or null when the institution has no such unrevoked key.
+   */
+  async revokeKey(institutionId, kid, reason = null) {
+    const prisma = getPrismaClient();
+
+    const { count } = await prisma.signingKey.updateMany({
+      where: { kid, institutionId, status: { not: 'REVOKED' } },
+      data: { status: 'REVOKED', revokedAt: new Date(), revocationReason: reason }
+    });
+    if (count === 0) {
+      return null;
+    }
+
+    this.privateKeyCache.delete(kid);
+    logger.warn(`Signing key ${kid} of institution ${institutionId} revoked`);
+
+    return prisma.signingKey.findUnique({ where: { kid } });
+  }
+
+  /**
+   * Sign arbitrary data with an institution's current key
+   */
+  async sign(institutionId, data) {
+    const key = await this.getSigningKey(institutionId);
+    const signature = crypto.sign(key.algorithm === 'EdDSA' ? null : 'sha256', Buffer.from(data), key.privateKey);
+
+    return { signature: signature.toString('hex'), keyId: key.kid };
+  }
+
+  /**
+   * Check a signature made by sign()
+   */
+  async verify(data, signature, kid) {
+    const key = await this.getVerificationKey(kid);
+    if (!key) {
+      return { isValid: false, error: 'Unknown or revoked signing key' };
+    }
+
+    try {
+      const isValid = crypto.verify(
+        key.algorithm === 'EdDSA' ? null : 'sha256',
+        Buffer.from(data),
+        key.publicKey,
+        Buffer.from(signature, 'hex')
+      );
+      return { isValid, keyId: kid, institutionId: key.institutionId };
+    } catch (error) {
+      return { isValid: false, error: error.message };
+    }
+  }
+
+  /**
+   * Public keys as a JWK Set, optionally for one institution
+   */
+  async getJwks(institutionId = null) {
+    const where = { status: { not: 'REVOKED' } };
+    if (institutionId) where.institutionId = institutionId;
+
+    const keys = await getPrismaClient().signingKey.findMany({
+      where,
+      include: { institution: { select: { code: true } } },
+      orderBy: { validFrom: 'desc' }
+    });
+
+    return {
+      keys: keys.map(key => ({
+        ...crypto.createPublicKey(key.publicKey).export({ format: 'jwk' }),
+        kid: key.kid,
+        alg: key.algorithm,
+        use: 'sig',
+        institution: key.institution.code,
+        status: key.status,
+        nbf: Math.floor(key.validFrom.getTime() / 1000),
+        exp: Math.floor((key.retiredAt || key.validUntil).getTime() / 1000)
+      }))
+    };
+  }
+
+  /**
+   * Key metadata for admin listings (never includes private material)
+   */
+  async listKeys(institutionId) {
+    return getPrismaClient().signingKey.findMany({
+      where: { institutionId },
+      select: {
+        kid: true,
+        algorithm: true,
+        status: true,
+        validFrom: true,
+        validUntil: true,
+        retiredAt: true,
+        revokedAt: true,
+        revocationReason: true,
+        createdAt: true
+      },
+      orderBy: { validFrom: 'desc' }
+    });
+  }
+}
+
+module.exports = new KeyManagementService();
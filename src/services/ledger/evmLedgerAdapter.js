@@ -0,0 +1,241 @@
+const { ethers } = require('ethers');
+const LedgerAdapter = require('./ledgerAdapter');
+const { logger } = require('../../utils/logger');
+
+/**
+ * Ledger backed by the CertificateRegistry contract on an EVM chain
+ */
+class EvmLedgerAdapter extends LedgerAdapter {
+  constructor(options = {}) {
+    super('evm');
+    this.rpcUrl = options.rpcUrl || process.env.ETHEREUM_RPC_URL || 'https://mainnet.infura.io/v3/9f56a1bd26f7412dada9bb741714ddf2';
+    this.privateKey = options.privateKey || process.env.PRIVATE_KEY;
+    this.contractAddress = options.contractAddress || process.env.CONTRACT_ADDRESS;
+
+    this.provider = null;
+    this.wallet = null;
+    this.contract = null;
+    this.contractABI = [
+      "function storeCertificate(string memory certificateHash, string memory studentName, string memory course, uint256 passingYear) public returns (uint256)",
+      "function verifyCertificate(string memory certificateHash) public view returns (bool, string memory, string memory, uint256, uint256)",
+      "function getCertificateCount() public view returns (uint256)",
+      "function getCertificate(string memory certificateHash) external view returns (tuple(string certificateHash, string studentName, string course, uint256 passingYear, address issuer, uint256 timestamp, bool isActive))",
+      "function revokeCertificate(string memory certificateHash) external",
+      "event CertificateStored(uint256 indexed id, string certificateHash, address indexed issuer)",
+      "event CertificateRevoked(string indexed certificateHash)"
+    ];
+  }
+
+  /**
+   * Connect to the RPC endpoint, wallet and contract
+   */
+  async initialize() {
+    this.provider = new ethers.JsonRpcProvider(this.rpcUrl);
+
+    // Test connection to ensure blockchain is accessible
+    let network;
+    try {
+      network = await this.provider.getNetwork();
+    } catch (error) {
+      // Stop the provider from retrying network detection in the background
+      this.provider.destroy();
+      this.provider = null;
+      throw error;
+    }
+    logger.info(`✅ Connected to blockchain network: ${network.name} (Chain ID: ${network.chainId})`);
+
+    if (this.privateKey) {
+      this.wallet = new ethers.Wallet(this.privateKey, this.provider);
+      logger.info(`✅ Wallet initialized: ${this.wallet.address}`);
+    } else {
+      logger.warn('⚠️ No private key provided - read-only blockchain access');
+    }
+
+    if (this.contractAddress) {
+      this.contract = new ethers.Contract(
+        this.contractAddress,
+        this.contractABI,
+        this.wallet || this.provider
+      );
+      logger.info(`✅ Smart contract initialized: ${this.contractAddress}`);
+    } else {
+      logger.warn('⚠️ No contract address provided - using hash-based validation');
+    }
+
+    this.isReady = true;
+  }
+
+  /**
+   * Store a certificate hash on the contract
+   */
+  async anchor(record) {
+    if (!this.contract) {
+      throw new Error('Blockchain contract not initialized');
+    }
+
+    const tx = await this.contract.storeCertificate(
+      record.certificateHash,
+      record.studentName,
+      record.course,
+      record.passingYear
+    );
+    const receipt = await tx.wait();
+
+    return {
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString()
+    };
+  }
+
+  /**
+   * Look up a certificate hash on the contract
+   */
+  async lookup(recordHash) {
+    if (!this.contract) {
+      throw new Error('Blockchain contract not initialized');
+    }
+
+    const [exists, studentName, course, passingYear, timestamp] =
+      await this.contract.verifyCertificate(recordHash);
+
+    if (!exists) {
+      return { exists: false };
+    }
+
+    return {
+      exists: true,
+      studentName,
+      course,
+      passingYear: passingYear.toString(),
+      timestamp: new Date(Number(timestamp) * 1000)
+    };
+  }
+
+  /**
+   * Store a batch Merkle root on the contract.
+   * CertificateRegistry has no dedicated root entry, so the root is stored
+   * as a certificate hash with a descriptive summary.
+   */
+  async anchorRoot(root, metadata) {
+    return this.anchor({
+      certificateHash: root,
+      studentName: 'MERKLE_ROOT',
+      course: `Batch ${metadata.batchId} (${metadata.leafCount} certificates)`,
+      passingYear: new Date().getFullYear()
+    });
+  }
+
+  async lookupRoot(root) {
+    const record = await this.lookup(root);
+    return { exists: record.exists, timestamp: record.timestamp };
+  }
+
+  /**
+   * Revoke a certificate hash on the contract.
+   * Hashes that were only anchored inside a Merkle batch are unknown to
+   * revokeCertificate, so their revocation is stored as a marker record.
+   */
+  async revoke(recordHash, metadata) {
+    if (!this.contract) {
+      throw new Error('Blockchain contract not initialized');
+    }
+
+    const stored = await this.contract.getCertificate(recordHash);
+    if (!stored.certificateHash) {
+      return this.anchor({
+        certificateHash: revocationMarker(recordHash),
+        studentName: 'REVOCATION',
+        course: metadata.reason.slice(0, 200),
+        passingYear: new Date(metadata.effectiveAt).getFullYear()
+      });
+    }
+
+    const tx = await this.contract.revokeCertificate(recordHash);
+    const receipt = await tx.wait();
+
+    return {
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString()
+    };
+  }
+
+  async lookupRevocation(recordHash) {
+    if (!this.contract) {
+      throw new Error('Blockchain contract not initialized');
+    }
+
+    const stored = await this.contract.getCertificate(recordHash);
+    if (stored.certificateHash && !stored.isActive) {
+      // The contract keeps no revocation time or reason
+      return { revoked: true };
+    }
+
+    const marker = await this.lookup(revocationMarker(recordHash));
+    if (!marker.exists) {
+      return { revoked: false };
+    }
+
+    return {
+      revoked: true,
+      timestamp: marker.timestamp,
+      reason: marker.course
+    };
+  }
+
+  /**
+   * Get network, block and wallet details
+   */
+  async getStatus() {
+    const network = await this.provider.getNetwork();
+    const blockNumber = await this.provider.getBlockNumber();
+    const balance = this.wallet ? await this.provider.getBalance(this.wallet.address) : 0n;
+
+    return {
+      connected: true,
+      network: {
+        name: network.name,
+        chainId: network.chainId.toString()
+      },
+      blockNumber,
+      walletBalance: ethers.formatEther(balance),
+      contractAddress: this.contractAddress || 'Not configured'
+    };
+  }
+
+  /**
+   * Estimate gas cost for storing a certificate
+   */
+  async estimateCost(record) {
+    if (!this.contract) {
+      return { error: 'Contract not initialized' };
+    }
+
+    const gasEstimate = await this.contract.storeCertificate.estimateGas(
+      record.certificateHash,
+      record.studentName,
+      record.course,
+      record.passingYear
+    );
+
+    const { gasPrice } = await this.provider.getFeeData();
+    const costInWei = gasEstimate * gasPrice;
+
+    return {
+      gasEstimate: gasEstimate.toString(),
+      gasPrice: ethers.formatUnits(gasPrice, 'gwei'),
+      costInEth: ethers.formatEther(costInWei),
+      costInWei: costInWei.toString()
+    };
+  }
+}
+
+/**
+ * Contract key under which the revocation of a batch-anchored hash is stored
+ */
+function revocationMarker(recordHash) {
+  return `revoked:${recordHash}`;
+}
+
+module.exports = EvmLedgerAdapter;
@@ -0,0 +1,26 @@
+const LedgerAdapter = require('./ledgerAdapter');
+const EvmLedgerAdapter = require('./evmLedgerAdapter');
+const LocalLedgerAdapter = require('./localLedgerAdapter');
+
+const adapters = {
+  evm: EvmLedgerAdapter,
+  local: LocalLedgerAdapter
+};
+
+/**
+ * Create the ledger adapter selected by LEDGER_ADAPTER (default: evm)
+ */
+const createLedgerAdapter = (type = process.env.LEDGER_ADAPTER || 'evm', options = {}) => {
+  const Adapter = adapters[type];
+  if (!Adapter) {
+    throw new Error(`Unknown ledger adapter "${type}". Expected one of: ${Object.keys(adapters).join(', ')}`);
+  }
+  return new Adapter(options);
+};
+
+module.exports = {
+  createLedgerAdapter,
+  LedgerAdapter,
+  EvmLedgerAdapter,
+  LocalLedgerAdapter
+};
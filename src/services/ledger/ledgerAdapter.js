@@ -0,0 +1,94 @@
+/**
+ * Base class for certificate ledgers.
+ *
+ * blockchainService talks to exactly one adapter, chosen by LEDGER_ADAPTER.
+ * Adapters anchor certificate hashes and answer lookups for them; they never
+ * see the full certificate record.
+ */
+class LedgerAdapter {
+  constructor(name) {
+    this.name = name;
+    this.isReady = false;
+  }
+
+  /**
+   * Connect to the ledger backend
+   */
+  async initialize() {
+    throw new Error(`${this.name} ledger does not implement initialize()`);
+  }
+
+  /**
+   * Anchor a certificate hash with its public summary
+   * (certificateHash, studentName, course, passingYear).
+   * Resolves to { transactionHash, blockNumber, gasUsed }
+   */
+  async anchor(record) {
+    throw new Error(`${this.name} ledger does not implement anchor()`);
+  }
+
+  /**
+   * Look up an anchored hash.
+   * Resolves to { exists, studentName, course, passingYear, timestamp }
+   */
+  async lookup(recordHash) {
+    throw new Error(`${this.name} ledger does not implement lookup()`);
+  }
+
+  /**
+   * Anchor the Merkle root of a certificate batch ({ batchId, leafCount }).
+   * Resolves to { transactionHash, blockNumber, gasUsed }
+   */
+  async anchorRoot(root, metadata) {
+    throw new Error(`${this.name} ledger does not implement anchorRoot()`);
+  }
+
+  /**
+   * Look up an anchored Merkle root.
+   * Resolves to { exists, timestamp }
+   */
+  async lookupRoot(root) {
+    throw new Error(`${this.name} ledger does not implement lookupRoot()`);
+  }
+
+  /**
+   * Record that an anchored (or batch-anchored) certificate hash has been
+   * revoked ({ reason, effectiveAt }).
+   * Resolves to { transactionHash, blockNumber, gasUsed }
+   */
+  async revoke(recordHash, metadata) {
+    throw new Error(`${this.name} ledger does not implement revoke()`);
+  }
+
+  /**
+   * Look up the revocation of a certificate hash.
+   * Resolves to { revoked, timestamp, reason }
+   */
+  async lookupRevocation(recordHash) {
+    throw new Error(`${this.name} ledger does not implement lookupRevocation()`);
+  }
+
+  /**
+   * Describe the ledger connection for status endpoints
+   */
+  async getStatus() {
+    throw new Error(`${this.name} ledger does not implement getStatus()`);
+  }
+
+  /**
+   * Estimate what anchoring a record would cost
+   */
+  async estimateCost(record) {
+    throw new Error(`${this.name} ledger does not implement estimateCost()`);
+  }
+
+  /**
+   * Check that the ledger history has not been altered.
+   * Ledgers that cannot be audited locally report supported: false.
+   */
+  async verifyIntegrity() {
+    return { supported: false };
+  }
+}
+
+module.exports = LedgerAdapter;
@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const LedgerAdapter = require('./ledgerAdapter');
+const { DatabaseLedgerStore, FileLedgerStore } = require('./localLedgerStore');
+const { logger } = require('../../utils/logger');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * In-process, append-only ledger for air-gapped and test environments.
+ *
+ * Every entry carries the hash of the one before it, so rewriting any past
+ * entry breaks the chain from that point on (see verifyIntegrity).
+ */
+class LocalLedgerAdapter extends LedgerAdapter {
+  constructor(options = {}) {
+    super('local');
+    const storeType = options.store || process.env.LOCAL_LEDGER_STORE || 'database';
+
+    if (storeType === 'file') {
+      this.store = new FileLedgerStore(options.filePath);
+    } else if (storeType === 'database') {
+      this.store = new DatabaseLedgerStore();
+    } else {
+      throw new Error(`Unknown local ledger store: ${storeType}`);
+    }
+
+    // Appends are serialised so two writers never read the same tip
+    this.appendQueue = Promise.resolve();
+  }
+
+  async initialize() {
+    await this.store.load();
+    this.isReady = true;
+    logger.info(`✅ Local ledger initialized (${this.store.name} store)`);
+  }
+
+  /**
+   * Record a certificate hash on the local chain
+   */
+  async anchor(record) {
+    const entry = await this.append('CERTIFICATE_STORED', record.certificateHash, {
+      studentName: record.studentName,
+      course: record.course,
+      passingYear: Number(record.passingYear)
+    }, 'Certificate already exists');
+
+    return {
+      transactionHash: entry.entryHash,
+      blockNumber: entry.sequence,
+      gasUsed: '0'
+    };
+  }
+
+  async lookup(recordHash) {
+    const stored = await this.findEntry(recordHash, 'CERTIFICATE_STORED');
+    // Revoked certificates stop resolving, as on CertificateRegistry
+    if (!stored || await this.findEntry(recordHash, 'CERTIFICATE_REVOKED')) {
+      return { exists: false };
+    }
+
+    return {
+      exists: true,
+      studentName: stored.payload.studentName,
+      course: stored.payload.course,
+      passingYear: String(stored.payload.passingYear),
+      timestamp: new Date(stored.createdAt),
+      transactionHash: stored.entryHash,
+      blockNumber: stored.sequence
+    };
+  }
+
+  async anchorRoot(root, metadata) {
+    const entry = await this.append('MERKLE_ROOT_ANCHORED', root, {
+      batchId: metadata.batchId,
+      leafCount: metadata.leafCount
+    }, 'Merkle root already anchored');
+
+    return {
+      transactionHash: entry.entryHash,
+      blockNumber: entry.sequence,
+      gasUsed: '0'
+    };
+  }
+
+  async lookupRoot(root) {
+    const anchored = await this.findEntry(root, 'MERKLE_ROOT_ANCHORED');
+    if (!anchored) {
+      return { exists: false };
+    }
+
+    return {
+      exists: true,
+      timestamp: new Date(anchored.createdAt),
+      transactionHash: anchored.entryHash,
+      blockNumber: anchored.sequence
+    };
+  }
+
+  async revoke(recordHash, metadata) {
+    const entry = await this.append('CERTIFICATE_REVOKED', recordHash, {
+      reason: metadata.reason,
+      effectiveAt: new Date(metadata.effectiveAt).toISOString()
+    }, 'Certificate already revoked');
+
+    return {
+      transactionHash: entry.entryHash,
+      blockNumber: entry.sequence,
+      gasUsed: '0'
+    };
+  }
+
+  async lookupRevocation(recordHash) {
+    const revocation = await this.findEntry(recordHash, 'CERTIFICATE_REVOKED');
+    if (!revocation) {
+      return { revoked: false };
+    }
+
+    return {
+      revoked: true,
+      timestamp: new Date(revocation.createdAt),
+      reason: revocation.payload.reason,
+      effectiveAt: new Date(revocation.payload.effectiveAt),
+      transactionHash: revocation.entryHash
+    };
+  }
+
+  async getStatus() {
+    const tip = await this.store.getTip();
+
+    return {
+      connected: true,
+      network: {
+        name: 'local',
+        chainId: 'local'
+      },
+      blockNumber: tip ? tip.sequence : -1,
+      store: this.store.name,
+      tipHash: tip ? tip.entryHash : GENESIS_HASH
+    };
+  }
+
+  async estimateCost() {
+    return {
+      gasEstimate: '0',
+      gasPrice: '0',
+      costInEth: '0',
+      costInWei: '0'
+    };
+  }
+
+  /**
+   * Recompute every entry hash and check each link to its predecessor
+   */
+  async verifyIntegrity() {
+    let previousHash = GENESIS_HASH;
+    let expectedSequence = 0;
+
+    for await (const entry of this.store.entries()) {
+      if (
+        entry.sequence !== expectedSequence ||
+        entry.previousHash !== previousHash ||
+        entry.entryHash !== this.hashEntry(entry)
+      ) {
+        return { supported: true, valid: false, height: expectedSequence, brokenAt: entry.sequence };
+      }
+      previousHash = entry.entryHash;
+      expectedSequence++;
+    }
+
+    return { supported: true, valid: true, height: expectedSequence, tipHash: previousHash };
+  }
+
+  async findEntry(recordHash, entryType) {
+    const entries = await this.store.findByRecordHash(recordHash);
+    return entries.find(entry => entry.entryType === entryType) || null;
+  }
+
+  /**
+   * Append an entry, failing with duplicateMessage when the record already
+   * has one of this type. The check runs in the serialised append, so two
+   * concurrent calls for one record cannot both pass it.
+   */
+  append(entryType, recordHash, payload, duplicateMessage) {
+    const run = this.appendQueue.then(async () => {
+      if (await this.findEntry(recordHash, entryType)) {
+        throw new Error(duplicateMessage);
+      }
+      return this.writeEntry(entryType, recordHash, payload);
+    });
+    this.appendQueue = run.catch(() => {});
+    return run;
+  }
+
+  async writeEntry(entryType, recordHash, payload, attempt = 1) {
+    const tip = await this.store.getTip();
+    const entry = {
+      sequence: tip ? tip.sequence + 1 : 0,
+      entryType,
+      recordHash,
+      payload,
+      previousHash: tip ? tip.entryHash : GENESIS_HASH,
+      createdAt: new Date().toISOString()
+    };
+    entry.entryHash = this.hashEntry(entry);
+
+    try {
+      await this.store.append(entry);
+      return entry;
+    } catch (error) {
+      // Another process appended the same sequence number first
+      if (error.code === 'P2002' && attempt < 3) {
+        return this.writeEntry(entryType, recordHash, payload, attempt + 1);
+      }
+      throw error;
+    }
+  }
+
+  hashEntry(entry) {
+    const content = canonicalJSON({
+      sequence: entry.sequence,
+      entryType: entry.entryType,
+      recordHash: entry.recordHash,
+      payload: entry.payload,
+      previousHash: entry.previousHash,
+      createdAt: entry.createdAt
+    });
+
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+}
+
+/**
+ * JSON with sorted keys, so hashes survive a round trip through jsonb
+ */
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+module.exports = LocalLedgerAdapter;
@@ -0,0 +1,139 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { getPrismaClient } = require('../../config/database');
+
+/**
+ * Keeps local ledger entries in the ledger_entries table
+ */
+class DatabaseLedgerStore {
+  constructor() {
+    this.name = 'database';
+  }
+
+  async load() {
+    // Nothing to preload; the Prisma client is connected by connectDB()
+  }
+
+  async getTip() {
+    const entry = await getPrismaClient().ledgerEntry.findFirst({
+      orderBy: { sequence: 'desc' }
+    });
+    return entry ? this.toEntry(entry) : null;
+  }
+
+  async append(entry) {
+    await getPrismaClient().ledgerEntry.create({
+      data: { ...entry, createdAt: new Date(entry.createdAt) }
+    });
+  }
+
+  async findByRecordHash(recordHash) {
+    const entries = await getPrismaClient().ledgerEntry.findMany({
+      where: { recordHash },
+      orderBy: { sequence: 'asc' }
+    });
+    return entries.map(entry => this.toEntry(entry));
+  }
+
+  async count() {
+    return getPrismaClient().ledgerEntry.count();
+  }
+
+  /**
+   * Walk the whole chain in sequence order, a page at a time
+   */
+  async *entries(pageSize = 500) {
+    const prisma = getPrismaClient();
+    let sequence = -1;
+
+    while (true) {
+      const page = await prisma.ledgerEntry.findMany({
+        where: { sequence: { gt: sequence } },
+        orderBy: { sequence: 'asc' },
+        take: pageSize
+      });
+      if (page.length === 0) return;
+
+      for (const entry of page) {
+        yield this.toEntry(entry);
+      }
+      sequence = page[page.length - 1].sequence;
+    }
+  }
+
+  toEntry(row) {
+    return {
+      sequence: row.sequence,
+      entryType: row.entryType,
+      recordHash: row.recordHash,
+      payload: row.payload,
+      previousHash: row.previousHash,
+      entryHash: row.entryHash,
+      createdAt: row.createdAt.toISOString()
+    };
+  }
+}
+
+/**
+ * Keeps local ledger entries in an append-only JSON Lines file
+ */
+class FileLedgerStore {
+  constructor(filePath) {
+    this.name = 'file';
+    this.filePath = filePath || process.env.LOCAL_LEDGER_PATH || path.join(process.cwd(), 'storage', 'ledger.jsonl');
+    this.chain = [];
+    this.byRecordHash = new Map();
+  }
+
+  async load() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    let content = '';
+    try {
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    this.chain = [];
+    this.byRecordHash.clear();
+    for (const line of content.split('\n')) {
+      if (line.trim()) {
+        this.index(JSON.parse(line));
+      }
+    }
+  }
+
+  async getTip() {
+    return this.chain.length > 0 ? this.chain[this.chain.length - 1] : null;
+  }
+
+  async append(entry) {
+    await fs.appendFile(this.filePath, `${JSON.stringify(entry)}\n`, 'utf8');
+    this.index(entry);
+  }
+
+  async findByRecordHash(recordHash) {
+    return this.byRecordHash.get(recordHash) || [];
+  }
+
+  async count() {
+    return this.chain.length;
+  }
+
+  async *entries() {
+    yield* this.chain;
+  }
+
+  index(entry) {
+    this.chain.push(entry);
+    const existing = this.byRecordHash.get(entry.recordHash) || [];
+    existing.push(entry);
+    this.byRecordHash.set(entry.recordHash, existing);
+  }
+}
+
+module.exports = {
+  DatabaseLedgerStore,
+  FileLedgerStore
+};
@@ -0,0 +1,286 @@
+const { getPrismaClient } = require('../config/database');
+const auditService = require('../utils/auditLogger');
+const { logger } = require('../utils/logger');
+
+// Failed attempts allowed before each further attempt has to wait, and the
+// longest wait between attempts
+const FREE_ATTEMPTS = 3;
+const MAX_DELAY_SECONDS = 60;
+
+// One address failing against this many accounts, or one account failing
+// from this many addresses, within the window is reported as an attack
+const STUFFING_ACCOUNT_THRESHOLD = 5;
+const DISTRIBUTED_IP_THRESHOLD = 5;
+
+/**
+ * Brute-force and credential-stuffing protection for password logins.
+ *
+ * Every attempt is stored as a LoginAttempt. Failures are counted per email
+ * address (known or not, so responses do not reveal which accounts exist)
+ * and per IP address within a sliding window. Past a few failures an
+ * account must wait progressively longer between attempts; past the limit
+ * it is locked out for a while, as is an address that fails too often.
+ * A success, a password reset or an admin unlock starts the count afresh.
+ */
+class LoginProtectionService {
+  constructor() {
+    this.windowMs = (parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15) * 60 * 1000;
+    this.lockoutMs = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+    this.maxAccountFailures = parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES) || 10;
+    this.maxIpFailures = parseInt(process.env.LOGIN_MAX_IP_FAILURES) || 50;
+  }
+
+  normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+  }
+
+  /**
+   * Most recent lockout of an account or address that is still running and
+   * has not been lifted by a later reset
+   */
+  async findActiveLock(where, reason) {
+    const prisma = getPrismaClient();
+
+    const lock = await prisma.loginAttempt.findFirst({
+      where: { ...where, outcome: 'LOCKED', reason, createdAt: { gt: new Date(Date.now() - this.lockoutMs) } },
+      orderBy: { createdAt: 'desc' }
+    });
+    if (!lock) {
+      return null;
+    }
+
+    if (where.email) {
+      const reset = await prisma.loginAttempt.findFirst({
+        where: { email: where.email, outcome: { in: ['SUCCESS', 'RESET'] }, createdAt: { gt: lock.createdAt } }
+      });
+      if (reset) {
+        return null;
+      }
+    }
+
+    return { until: new Date(lock.createdAt.getTime() + this.lockoutMs) };
+  }
+
+  /**
+   * Failures within the window since the count last started afresh.
+   * Resolves to { count, last }.
+   */
+  async countFailures(where, resetOutcomes) {
+    const prisma = getPrismaClient();
+    let since = new Date(Date.now() - this.windowMs);
+
+    const marker = await prisma.loginAttempt.findFirst({
+      where: {
+        ...where,
+        createdAt: { gt: since },
+        OR: [
+          { outcome: { in: resetOutcomes } },
+          // A lockout used up the failures that caused it
+          { outcome: 'LOCKED', reason: where.email ? 'ACCOUNT_LOCKED' : 'IP_LOCKED' }
+        ]
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+    if (marker) {
+      since = marker.createdAt;
+    }
+
+    const [count, last] = await Promise.all([
+      prisma.loginAttempt.count({ where: { ...where, outcome: 'FAILED', createdAt: { gt: since } } }),
+      prisma.loginAttempt.findFirst({
+        where: { ...where, outcome: 'FAILED', createdAt: { gt: since } },
+        orderBy: { createdAt: 'desc' }
+      })
+    ]);
+
+    return { count, last: last ? last.createdAt : null };
+  }
+
+  /**
+   * Whether a login for `email` from `ipAddress` may proceed. Resolves to
+   * null when it may, otherwise { reason, retryAfter, message } with
+   * retryAfter in seconds. Refused attempts are recorded.
+   */
+  async check({ email, ipAddress, userAgent = null, userId = null }) {
+    email = this.normalizeEmail(email);
+
+    let refusal = null;
+
+    const ipLock = ipAddress ? await this.findActiveLock({ ipAddress }, 'IP_LOCKED') : null;
+    const accountLock = ipLock ? null : await this.findActiveLock({ email }, 'ACCOUNT_LOCKED');
+
+    if (ipLock || accountLock) {
+      const until = (ipLock || accountLock).until;
+      refusal = {
+        reason: ipLock ? 'IP_LOCKED' : 'ACCOUNT_LOCKED',
+        retryAfter: Math.ceil((until.getTime() - Date.now()) / 1000),
+        message: `Too many failed login attempts. Try again in ${Math.ceil((until.getTime() - Date.now()) / 60000)} minute(s).`
+      };
+    } else {
+      const { count, last } = await this.countFailures({ email }, ['SUCCESS', 'RESET']);
+      if (count >= FREE_ATTEMPTS) {
+        const delaySeconds = Math.min(2 ** (count - FREE_ATTEMPTS), MAX_DELAY_SECONDS);
+        const waitMs = last.getTime() + delaySeconds * 1000 - Date.now();
+        if (waitMs > 0) {
+          refusal = {
+            reason: 'THROTTLED',
+            retryAfter: Math.ceil(waitMs / 1000),
+            message: `Too many failed login attempts. Wait ${Math.ceil(waitMs / 1000)} second(s) before trying again.`
+          };
+        }
+      }
+    }
+
+    if (refusal) {
+      await this.record({ email, ipAddress, userAgent, userId, outcome: 'BLOCKED', reason: refusal.reason });
+    }
+    return refusal;
+  }
+
+  async record({ email, ipAddress = null, userAgent = null, userId = null, outcome, reason = null }) {
+    return getPrismaClient().loginAttempt.create({
+      data: {
+        email: this.normalizeEmail(email),
+        ipAddress,
+        userAgent,
+        outcome,
+        reason,
+        userId
+      }
+    });
+  }
+
+  async recordSuccess({ email, ipAddress, userAgent, userId }) {
+    await this.record({ email, ipAddress, userAgent, userId, outcome: 'SUCCESS' });
+  }
+
+  /**
+   * Start the failure count afresh and lift any lockout of an account,
+   * e.g. after a password reset or when an admin unlocks it
+   */
+  async reset({ email, userId = null, reason, ipAddress = null }) {
+    await this.record({ email, ipAddress, userId, outcome: 'RESET', reason });
+  }
+
+  /**
+   * Record a failed attempt, then lock the account or address if it has
+   * reached its limit and report attack patterns
+   */
+  async recordFailure({ email, ipAddress, userAgent = null, userId = null, reason }) {
+    email = this.normalizeEmail(email);
+    await this.record({ email, ipAddress, userAgent, userId, outcome: 'FAILED', reason });
+
+    try {
+      const account = await this.countFailures({ email }, ['SUCCESS', 'RESET']);
+      if (account.count >= this.maxAccountFailures) {
+        await this.record({ email, ipAddress, userAgent, userId, outcome: 'LOCKED', reason: 'ACCOUNT_LOCKED' });
+        await auditService.logSecurityEvent(
+          'ACCOUNT_LOCKOUT',
+          'HIGH',
+          `Login for ${email} locked for ${this.lockoutMs / 60000} minutes after ${account.count} failed attempts`,
+          userId,
+          null,
+          ipAddress,
+          { email, failures: account.count }
+        );
+      }
+
+      if (ipAddress) {
+        const address = await this.countFailures({ ipAddress }, []);
+        if (address.count >= this.maxIpFailures) {
+          await this.record({ email, ipAddress, userAgent, outcome: 'LOCKED', reason: 'IP_LOCKED' });
+          await auditService.logSecurityEvent(
+            'IP_LOGIN_LOCKOUT',
+            'HIGH',
+            `Logins from ${ipAddress} locked for ${this.lockoutMs / 60000} minutes after ${address.count} failed attempts`,
+            null,
+            null,
+            ipAddress,
+            { failures: address.count }
+          );
+        }
+
+        await this.detectPatterns({ email, ipAddress, userId });
+      }
+    } catch (error) {
+      // The attempt itself is recorded; analysis can be missed
+      logger.error('Login failure analysis error:', error);
+    }
+  }
+
+  /**
+   * Report credential stuffing (one address, many accounts) and distributed
+   * guessing (one account, many addresses) once, when the pattern first
+   * reaches its threshold within the window
+   */
+  async detectPatterns({ email, ipAddress, userId }) {
+    const prisma = getPrismaClient();
+    const since = new Date(Date.now() - this.windowMs);
+
+    const [accountsFromIp, ipsForAccount] = await Promise.all([
+      prisma.loginAttempt.groupBy({
+        by: ['email'],
+        where: { ipAddress, outcome: 'FAILED', createdAt: { gt: since } },
+        _count: { id: true }
+      }),
+      prisma.loginAttempt.groupBy({
+        by: ['ipAddress'],
+        where: { email, outcome: 'FAILED', createdAt: { gt: since } },
+        _count: { id: true }
+      })
+    ]);
+
+    const isFirst = (groups, key, value) => groups.some(group => group[key] === value && group._count.id === 1);
+
+    if (accountsFromIp.length === STUFFING_ACCOUNT_THRESHOLD && isFirst(accountsFromIp, 'email', email)) {
+      await auditService.logSecurityEvent(
+        'CREDENTIAL_STUFFING',
+        'HIGH',
+        `Failed logins for ${accountsFromIp.length} different accounts from ${ipAddress}`,
+        null,
+        null,
+        ipAddress,
+        { emails: accountsFromIp.map(group => group.email), windowMinutes: this.windowMs / 60000 }
+      );
+    }
+
+    if (ipsForAccount.length === DISTRIBUTED_IP_THRESHOLD && isFirst(ipsForAccount, 'ipAddress', ipAddress)) {
+      await auditService.logSecurityEvent(
+        'DISTRIBUTED_LOGIN_ATTACK',
+        'HIGH',
+        `Failed logins for ${email} from ${ipsForAccount.length} different addresses`,
+        userId,
+        null,
+        ipAddress,
+        { email, ipAddresses: ipsForAccount.map(group => group.ipAddress), windowMinutes: this.windowMs / 60000 }
+      );
+    }
+  }
+
+  /**
+   * Lockout state and recent attempts for an account, for administrators
+   */
+  async getStatus(email) {
+    email = this.normalizeEmail(email);
+
+    const [lock, failures, recentAttempts] = await Promise.all([
+      this.findActiveLock({ email }, 'ACCOUNT_LOCKED'),
+      this.countFailures({ email }, ['SUCCESS', 'RESET']),
+      getPrismaClient().loginAttempt.findMany({
+        where: { email },
+        orderBy: { createdAt: 'desc' },
+        take: 20,
+        select: { id: true, ipAddress: true, userAgent: true, outcome: true, reason: true, createdAt: true }
+      })
+    ]);
+
+    return {
+      locked: Boolean(lock),
+      lockedUntil: lock ? lock.until : null,
+      recentFailures: failures.count,
+      recentAttempts
+    };
+  }
+}
+
+module.exports = new LoginProtectionService();
@@ -0,0 +1,53 @@
+const { getPrismaClient } = require('../config/database');
+const { NAME_MATCH_THRESHOLD, nameSimilarity, nameSearchFilter } = require('../utils/nameMatching');
+
+/**
+ * Certificate lookups by student name using the fuzzy name matching of
+ * utils/nameMatching instead of substring or exact comparison.
+ */
+class NameSearchService {
+  /**
+   * Certificates matching `where` whose student name is the same name as
+   * the given one, best match first.
+   *
+   * Candidates are first narrowed in the database to names sharing a token
+   * with it. Pass narrow: false when `where` is already selective (a roll
+   * number, say), so that records spelled differently or written in
+   * Devanagari are still found. Without a name only `where` applies.
+   */
+  async findCertificates(where, studentName, {
+    narrow = true,
+    threshold = NAME_MATCH_THRESHOLD,
+    take = 200,
+    include,
+    select
+  } = {}) {
+    const filterByName = Boolean(studentName && String(studentName).trim());
+    const candidates = await getPrismaClient().certificate.findMany({
+      where: narrow && filterByName ? { AND: [where, nameSearchFilter(studentName)] } : where,
+      take,
+      ...(include && { include }),
+      ...(select && { select })
+    });
+
+    if (!filterByName) {
+      return candidates;
+    }
+
+    return candidates
+      .map(certificate => ({ certificate, score: nameSimilarity(studentName, certificate.studentName) }))
+      .filter(({ score }) => score >= threshold)
+      .sort((a, b) => b.score - a.score)
+      .map(({ certificate }) => certificate);
+  }
+
+  /**
+   * Best match of findCertificates, or null
+   */
+  async findCertificate(where, studentName, options) {
+    const [certificate] = await this.findCertificates(where, studentName, options);
+    return certificate || null;
+  }
+}
+
+module.exports = new NameSearchService();
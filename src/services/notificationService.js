@@ -7,6 +7,9 @@ class NotificationService {
   constructor() {
     this.emailTransporter = null;
     this.twilioClient = null;
+    // Messages captured by the local transport
+    this.outbox = [];
+    this.useLocalTransport = process.env.NOTIFICATION_TRANSPORT === 'local';
     this.initializeServices();
   }
 
@@ -14,9 +17,17 @@ class NotificationService {
    * Initialize email and SMS services
    */
   initializeServices() {
+    // Local stand-in for development and tests: nothing leaves the process,
+    // messages are kept in the outbox instead
+    if (this.useLocalTransport) {
+      this.emailTransporter = nodemailer.createTransport({ jsonTransport: true });
+      logger.info('✅ Local notification transport initialized');
+      return;
+    }
+
     // Initialize email transporter
     if (process.env.SMTP_HOST && process.env.SMTP_USER && process.env.SMTP_PASS) {
-      this.emailTransporter = nodemailer.createTransporter({
+      this.emailTransporter = nodemailer.createTransport({
         host: process.env.SMTP_HOST,
         port: parseInt(process.env.SMTP_PORT) || 587,
         secure: false,
@@ -61,6 +72,9 @@ class NotificationService {
       };
 
       const result = await this.emailTransporter.sendMail(mailOptions);
+      if (this.useLocalTransport) {
+        this.recordLocalMessage('email', { ...mailOptions, messageId: result.messageId });
+      }
       logger.info(`Email sent successfully to ${to}`, { messageId: result.messageId });
       return true;
     } catch (error) {
@@ -73,6 +87,12 @@ class NotificationService {
    * Send SMS notification
    */
   async sendSMS(to, message) {
+    if (this.useLocalTransport) {
+      this.recordLocalMessage('sms', { to, body: message });
+      logger.info(`SMS captured by local transport for ${to}`);
+      return true;
+    }
+
     if (!this.twilioClient) {
       logger.warn('SMS service not available');
       return false;
@@ -93,6 +113,29 @@ class NotificationService {
     }
   }
 
+  /**
+   * Keep a message sent through the local transport
+   */
+  recordLocalMessage(channel, message) {
+    this.outbox.push({ channel, ...message, sentAt: new Date() });
+    // Bound memory in long-running dev servers
+    if (this.outbox.length > 100) {
+      this.outbox.shift();
+    }
+  }
+
+  /**
+   * Messages captured by the local transport, optionally only those to one
+   * recipient
+   */
+  getOutbox(to = null) {
+    return to ? this.outbox.filter(message => message.to === to) : [...this.outbox];
+  }
+
+  clearOutbox() {
+    this.outbox = [];
+  }
+
   /**
    * Create system notification
    */
@@ -270,6 +313,156 @@ class NotificationService {
     }
   }
 
+  /**
+   * Send an email address verification link
+   */
+  async sendEmailVerification(user, token, expiresInMinutes) {
+    const link = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify-email?token=${encodeURIComponent(token)}`;
+    const htmlContent = this.generateAccountActionTemplate({
+      title: 'Verify your email address',
+      greeting: user.firstName,
+      message: 'Please confirm that this is your email address by opening the link below.',
+      actionLabel: 'Verify email',
+      link,
+      expiry: `This link can be used once and expires in ${this.formatDuration(expiresInMinutes)}.`,
+    });
+
+    return this.sendEmail(user.email, 'Verify your email address', htmlContent);
+  }
+
+  /**
+   * Send a password reset link
+   */
+  async sendPasswordReset(user, token, expiresInMinutes) {
+    const link = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password?token=${encodeURIComponent(token)}`;
+    const htmlContent = this.generateAccountActionTemplate({
+      title: 'Reset your password',
+      greeting: user.firstName,
+      message: 'We received a request to reset your password. If this was not you, you can ignore this email.',
+      actionLabel: 'Reset password',
+      link,
+      expiry: `This link can be used once and expires in ${this.formatDuration(expiresInMinutes)}.`,
+    });
+
+    return this.sendEmail(user.email, 'Reset your password', htmlContent);
+  }
+
+  /**
+   * Send an invitation to join with a privileged role
+   */
+  async sendInvitation(invitation, token, invitedBy) {
+    const link = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/accept-invitation?token=${encodeURIComponent(token)}`;
+    const where = invitation.institution ? ` at ${invitation.institution.name}` : '';
+    const expiresInMinutes = Math.round((new Date(invitation.expiresAt).getTime() - Date.now()) / 60000);
+    const htmlContent = this.generateAccountActionTemplate({
+      title: 'You have been invited to Degree Defenders',
+      greeting: invitation.email,
+      message: `${invitedBy.firstName} ${invitedBy.lastName} has invited you to join as ${invitation.role.replace('_', ' ').toLowerCase()}${where}.`,
+      actionLabel: 'Accept invitation',
+      link,
+      expiry: `This invitation can be used once and expires in ${this.formatDuration(Math.round(expiresInMinutes / 60) * 60)}.`,
+    });
+
+    return this.sendEmail(invitation.email, 'You have been invited to Degree Defenders', htmlContent);
+  }
+
+  /**
+   * Send a phone verification code by SMS
+   */
+  async sendPhoneVerificationCode(phone, code, expiresInMinutes) {
+    return this.sendSMS(phone, `Your Degree Defenders verification code is ${code}. It expires in ${this.formatDuration(expiresInMinutes)}.`);
+  }
+
+  /**
+   * Ask a student to approve or deny the release of their certificate
+   * details to a verifier, by email and SMS where the certificate has
+   * contacts. Resolves to the channels the request went out on.
+   */
+  async sendConsentRequest(certificate, verification, token, respondBy) {
+    const link = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/consent?token=${encodeURIComponent(token)}`;
+    const expiresInMinutes = Math.round((new Date(respondBy).getTime() - Date.now()) / 60000);
+    const requester = `${verification.requestedBy} (${verification.requestorEmail})`;
+    const purpose = verification.purpose ? ` for: ${verification.purpose}` : '';
+    const channels = [];
+
+    if (certificate.studentEmail) {
+      const htmlContent = this.generateAccountActionTemplate({
+        title: 'A verifier wants to see your certificate',
+        greeting: this.escapeHtml(certificate.studentName),
+        message: `${this.escapeHtml(requester)} has asked to verify your certificate ${this.escapeHtml(certificate.certificateNumber)}${this.escapeHtml(purpose)}. ` +
+          'Your name, course, grade and institution will only be shared if you approve.',
+        actionLabel: 'Review request',
+        link,
+        expiry: `Please respond within ${this.formatDuration(Math.round(expiresInMinutes / 60) * 60)}. Without an answer the request is declined.`,
+      });
+      if (await this.sendEmail(certificate.studentEmail, 'Consent request for your certificate', htmlContent)) {
+        channels.push('EMAIL');
+      }
+    }
+
+    if (certificate.studentPhone) {
+      const message = `${verification.requestedBy} wants to verify your certificate ${certificate.certificateNumber}. Approve or deny: ${link}`;
+      if (await this.sendSMS(certificate.studentPhone, message)) {
+        channels.push('SMS');
+      }
+    }
+
+    return channels;
+  }
+
+  /**
+   * Send a code proving a student can be reached at the contacts recorded
+   * on their certificates. Resolves to the channels the code went out on.
+   */
+  async sendCertificateClaimCode(certificates, code, expiresInMinutes) {
+    const emails = [...new Set(certificates.map(certificate => certificate.studentEmail).filter(Boolean))];
+    const phones = [...new Set(certificates.map(certificate => certificate.studentPhone).filter(Boolean))];
+    const message = `Your Degree Defenders certificate claim code is ${code}. It expires in ${this.formatDuration(expiresInMinutes)}. ` +
+      'If you did not try to claim your certificate, ignore this message.';
+    const channels = new Set();
+
+    for (const email of emails) {
+      const htmlContent = `<p>${message}</p>`;
+      if (await this.sendEmail(email, 'Your certificate claim code', htmlContent)) {
+        channels.add('EMAIL');
+      }
+    }
+
+    for (const phone of phones) {
+      if (await this.sendSMS(phone, message)) {
+        channels.add('SMS');
+      }
+    }
+
+    return [...channels];
+  }
+
+  /**
+   * Escape text supplied by the public before putting it in an email
+   */
+  escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Human-readable duration for expiry notices
+   */
+  formatDuration(minutes) {
+    if (minutes >= 2 * 24 * 60 && minutes % (24 * 60) === 0) {
+      return `${minutes / (24 * 60)} days`;
+    }
+    if (minutes % 60 === 0) {
+      const hours = minutes / 60;
+      return `${hours} hour${hours === 1 ? '' : 's'}`;
+    }
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  }
+
   /**
    * Generate verification email template
    */
@@ -401,6 +594,33 @@ class NotificationService {
     `;
   }
 
+  /**
+   * Generate template for account emails with a single action link
+   */
+  generateAccountActionTemplate({ title, greeting, message, actionLabel, link, expiry }) {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>${title}</title>
+      </head>
+      <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+          <h2>${title}</h2>
+          <p>Hello ${greeting},</p>
+          <p>${message}</p>
+          <p style="margin: 30px 0;">
+            <a href="${link}" style="background: #2563eb; color: #fff; padding: 12px 24px; border-radius: 6px; text-decoration: none;">${actionLabel}</a>
+          </p>
+          <p>Or copy this link into your browser:<br>${link}</p>
+          <p style="color: #666; font-size: 14px;">${expiry}</p>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
   /**
    * Generate report template
    */
@@ -399,6 +399,30 @@ class OCRService {
     return validation;
   }
 
+  /**
+   * OCR confidence for one extracted value: the mean confidence of the
+   * recognised words it was read from, or the page confidence when word
+   * confidences are not available (e.g. PDF text)
+   */
+  getFieldConfidence(ocrResult, value) {
+    const normalize = text => String(text).toUpperCase().replace(/[^A-Z0-9]/g, '');
+    const tokens = String(value).split(/\s+/).map(normalize).filter(Boolean);
+    const words = ocrResult.words || [];
+
+    const confidences = [];
+    for (const token of tokens) {
+      const word = words.find(candidate => normalize(candidate.text).includes(token));
+      if (word) {
+        confidences.push(word.confidence);
+      }
+    }
+
+    if (confidences.length === 0) {
+      return Math.round(ocrResult.confidence || 0);
+    }
+    return Math.round(confidences.reduce((sum, confidence) => sum + confidence, 0) / confidences.length);
+  }
+
   /**
    * Detect potential tampering in certificate image
    */
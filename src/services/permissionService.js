@@ -0,0 +1,438 @@
+const { getPrismaClient } = require('../config/database');
+
+/**
+ * Named permissions. Institution-scoped permissions are granted for
+ * particular institutions; global ones concern shared data (the blacklist,
+ * the ledger, user accounts) and are either held or not.
+ */
+const PERMISSIONS = {
+  'certificate:read': { scope: 'institution', description: 'View certificates and their change history' },
+  'certificate:read-verified': { scope: 'global', description: 'View verified certificates of any institution' },
+  'certificate:create': { scope: 'institution', description: 'Upload certificates' },
+  'certificate:bulk-upload': { scope: 'institution', description: 'Run and monitor bulk upload jobs' },
+  'certificate:update-status': { scope: 'institution', description: 'Change certificate status' },
+  'certificate:revoke': { scope: 'institution', description: 'Revoke certificates, singly or in bulk' },
+  'certificate:delete': { scope: 'institution', description: 'Delete certificates' },
+  'certificate:issue-claim-code': { scope: 'institution', description: 'Issue codes students claim their certificates with' },
+  'certificate:share': { scope: 'global', description: 'Claim own certificates and share them through links' },
+  'anomaly:read': { scope: 'institution', description: 'View detected anomalies' },
+  'anomaly:resolve': { scope: 'institution', description: 'Review and resolve anomalies' },
+  'analytics:read': { scope: 'institution', description: 'View dashboards, forgery trends and analytics' },
+  'blacklist:read': { scope: 'global', description: 'View the blacklist' },
+  'blacklist:write': { scope: 'global', description: 'Add and remove blacklist entries' },
+  'blockchain:read': { scope: 'global', description: 'View ledger status and anchor batches, verify batches' },
+  'blockchain:manage': { scope: 'global', description: 'Flush anchor batches and check ledger integrity' },
+  'institution:read': { scope: 'global', description: 'View institutions' },
+  'institution:create': { scope: 'global', description: 'Register institutions' },
+  'institution:update': { scope: 'institution', description: 'Edit institution details' },
+  'institution:manage-api-keys': { scope: 'institution', description: 'Create and revoke institution API keys' },
+  'institution:manage-signing-keys': { scope: 'institution', description: 'View and rotate signing keys' },
+  'institution:manage-column-mappings': { scope: 'institution', description: 'Manage bulk upload column mappings' },
+  'invitation:manage': { scope: 'institution', description: 'Invite users to privileged roles' },
+  'role:manage': { scope: 'institution', description: 'Define roles and assign them to users' },
+  'user:read': { scope: 'global', description: 'View user accounts' },
+  'user:manage': { scope: 'global', description: 'Activate users, end their sessions and reset 2FA' },
+  'security:manage': { scope: 'global', description: 'Set security policy such as mandatory 2FA' },
+  'incident:read': { scope: 'global', description: 'View security incidents' },
+  'incident:manage': { scope: 'global', description: 'Assign, comment on and close security incidents' },
+  'verification:configure': { scope: 'global', description: 'Set verification check weights and thresholds' }
+};
+
+// Bundles for the built-in roles, used until an administrator edits the
+// matching system role in the database
+const DEFAULT_BUNDLES = {
+  SUPER_ADMIN: Object.keys(PERMISSIONS),
+  UNIVERSITY_ADMIN: [
+    'certificate:read',
+    'certificate:read-verified',
+    'certificate:create',
+    'certificate:bulk-upload',
+    'certificate:update-status',
+    'certificate:revoke',
+    'certificate:issue-claim-code',
+    'anomaly:read',
+    'anomaly:resolve',
+    'analytics:read',
+    'blacklist:read',
+    'blockchain:read',
+    'institution:read',
+    'institution:update',
+    'institution:manage-api-keys',
+    'institution:manage-signing-keys',
+    'institution:manage-column-mappings',
+    'invitation:manage',
+    'role:manage'
+  ],
+  VERIFIER: ['certificate:read-verified', 'institution:read'],
+  STUDENT: ['certificate:read-verified', 'certificate:share', 'institution:read'],
+  PUBLIC: ['certificate:read-verified', 'institution:read']
+};
+
+/**
+ * Permissions held by one principal, each either globally or for a set of
+ * institutions
+ */
+class PermissionSet {
+  constructor() {
+    this.grants = new Map();
+  }
+
+  /**
+   * Grant a permission for an institution, or globally when institutionId
+   * is null. Global permissions are always granted globally.
+   */
+  add(permission, institutionId) {
+    const definition = PERMISSIONS[permission];
+    if (!definition) {
+      return;
+    }
+
+    let grant = this.grants.get(permission);
+    if (!grant) {
+      grant = { global: false, institutionIds: new Set() };
+      this.grants.set(permission, grant);
+    }
+
+    if (institutionId === null || definition.scope === 'global') {
+      grant.global = true;
+    } else if (institutionId) {
+      grant.institutionIds.add(institutionId);
+    }
+  }
+
+  /**
+   * Whether the permission is held anywhere
+   */
+  has(permission) {
+    const grant = this.grants.get(permission);
+    return Boolean(grant) && (grant.global || grant.institutionIds.size > 0);
+  }
+
+  hasGlobal(permission) {
+    return Boolean(this.grants.get(permission)?.global);
+  }
+
+  /**
+   * Whether the permission is held for an institution. A null institution
+   * asks for the global grant.
+   */
+  can(permission, institutionId) {
+    const grant = this.grants.get(permission);
+    if (!grant) {
+      return false;
+    }
+    return grant.global || (Boolean(institutionId) && grant.institutionIds.has(institutionId));
+  }
+
+  /**
+   * Prisma filter on institutionId limiting a query to where the permission
+   * is held; undefined when it is held globally
+   */
+  institutionFilter(permission) {
+    const grant = this.grants.get(permission);
+    if (grant?.global) {
+      return undefined;
+    }
+    return { in: grant ? [...grant.institutionIds] : [] };
+  }
+
+  /**
+   * The one institution a permission is scoped to, if there is exactly one
+   */
+  soleInstitution(permission) {
+    const grant = this.grants.get(permission);
+    if (!grant || grant.global || grant.institutionIds.size !== 1) {
+      return null;
+    }
+    return [...grant.institutionIds][0];
+  }
+
+  toJSON() {
+    const result = {};
+    for (const [permission, grant] of this.grants) {
+      result[permission] = grant.global ? 'global' : [...grant.institutionIds];
+    }
+    return result;
+  }
+}
+
+/**
+ * Resolves what a user may do. A user's base role (the UserRole on their
+ * account) brings its bundle, scoped to their own institution except for
+ * SUPER_ADMIN; role assignments add further bundles, each for one
+ * institution or for all of them.
+ */
+class PermissionService {
+  constructor() {
+    this.permissions = PERMISSIONS;
+    this.defaultBundles = DEFAULT_BUNDLES;
+    this.bundleCacheMs = 60 * 1000;
+    this.bundleCache = null;
+  }
+
+  isKnownPermission(permission) {
+    return Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+  }
+
+  listPermissions() {
+    return Object.entries(PERMISSIONS).map(([name, { scope, description }]) => ({ name, scope, description }));
+  }
+
+  /**
+   * Permission bundles of the built-in roles, from the system roles in the
+   * database where they exist
+   */
+  async getSystemBundles() {
+    if (this.bundleCache && Date.now() - this.bundleCache.loadedAt < this.bundleCacheMs) {
+      return this.bundleCache.bundles;
+    }
+
+    const roles = await getPrismaClient().role.findMany({
+      where: { isSystem: true, institutionId: null }
+    });
+
+    const bundles = { ...DEFAULT_BUNDLES };
+    for (const role of roles) {
+      if (bundles[role.name]) {
+        bundles[role.name] = role.permissions;
+      }
+    }
+
+    this.bundleCache = { bundles, loadedAt: Date.now() };
+    return bundles;
+  }
+
+  /**
+   * Build the permission set of a user (or an API key principal, which has
+   * no id and no assignments)
+   */
+  async getPermissions(user) {
+    const permissions = new PermissionSet();
+    const bundles = await this.getSystemBundles();
+
+    // SUPER_ADMIN is not tied to an institution; other base roles apply to
+    // the user's own institution only
+    const baseScope = user.role === 'SUPER_ADMIN' ? null : (user.institutionId || undefined);
+    for (const permission of bundles[user.role] || []) {
+      permissions.add(permission, baseScope);
+    }
+
+    if (user.id) {
+      const assignments = await getPrismaClient().roleAssignment.findMany({
+        where: { userId: user.id },
+        include: { role: true }
+      });
+
+      for (const assignment of assignments) {
+        for (const permission of assignment.role.permissions) {
+          permissions.add(permission, assignment.institutionId);
+        }
+      }
+    }
+
+    return permissions;
+  }
+
+  /**
+   * Permission set for the request's user, computed once per request
+   */
+  async forRequest(req) {
+    if (!req.permissions) {
+      req.permissions = await this.getPermissions(req.user);
+    }
+    return req.permissions;
+  }
+
+  /**
+   * Whether `actor` may hand out all of `permissionNames` for an
+   * institution (or globally when institutionId is null): they must hold
+   * each permission there themselves.
+   */
+  canGrant(actor, permissionNames, institutionId) {
+    return permissionNames.every(permission => (
+      PERMISSIONS[permission].scope === 'global' || institutionId === null
+        ? actor.hasGlobal(permission)
+        : actor.can(permission, institutionId)
+    ));
+  }
+
+  /**
+   * Roles the actor can see: roles usable everywhere plus those of
+   * institutions where they manage roles
+   */
+  async listRoles(actor) {
+    const institutionFilter = actor.institutionFilter('role:manage');
+    const where = institutionFilter
+      ? { OR: [{ institutionId: null }, { institutionId: institutionFilter }] }
+      : {};
+
+    return getPrismaClient().role.findMany({
+      where,
+      include: { _count: { select: { assignments: true } } },
+      orderBy: [{ isSystem: 'desc' }, { name: 'asc' }]
+    });
+  }
+
+  /**
+   * Check a role definition. Resolves to null when valid, otherwise the
+   * reason.
+   */
+  checkRoleDefinition(actor, permissionNames, institutionId) {
+    const unknown = permissionNames.filter(permission => !this.isKnownPermission(permission));
+    if (unknown.length > 0) {
+      return `Unknown permissions: ${unknown.join(', ')}`;
+    }
+    if (!actor.can('role:manage', institutionId)) {
+      return institutionId ? 'You cannot manage roles for this institution' : 'Only global role managers can define roles for all institutions';
+    }
+    if (!this.canGrant(actor, permissionNames, institutionId)) {
+      return 'A role cannot include permissions you do not hold';
+    }
+    return null;
+  }
+
+  /**
+   * Resolves to { role } or { error, status }
+   */
+  async createRole(actor, { name, description = null, permissions, institutionId = null, createdById = null }) {
+    const reason = this.checkRoleDefinition(actor, permissions, institutionId);
+    if (reason) {
+      return { error: reason, status: 403 };
+    }
+
+    const prisma = getPrismaClient();
+    const existing = await prisma.role.findFirst({ where: { name, institutionId } });
+    if (existing || DEFAULT_BUNDLES[name]) {
+      return { error: `A role named ${name} already exists`, status: 400 };
+    }
+
+    const role = await prisma.role.create({
+      data: { name, description, permissions: [...new Set(permissions)], institutionId, createdById }
+    });
+    return { role };
+  }
+
+  /**
+   * Change a role's description or permissions. Editing a system role
+   * changes the bundle of every user with that base role.
+   * Resolves to { role } or { error, status }.
+   */
+  async updateRole(actor, roleId, { description, permissions }) {
+    const prisma = getPrismaClient();
+    const role = await prisma.role.findUnique({ where: { id: roleId } });
+    if (!role) {
+      return { error: 'Role not found', status: 404 };
+    }
+
+    const nextPermissions = permissions ? [...new Set(permissions)] : role.permissions;
+    const reason = this.checkRoleDefinition(actor, nextPermissions, role.institutionId);
+    if (reason) {
+      return { error: reason, status: 403 };
+    }
+
+    const updated = await prisma.role.update({
+      where: { id: roleId },
+      data: {
+        ...(description !== undefined && { description }),
+        permissions: nextPermissions
+      }
+    });
+
+    if (role.isSystem) {
+      this.bundleCache = null;
+    }
+    return { role: updated };
+  }
+
+  /**
+   * Resolves to { role } or { error, status }
+   */
+  async deleteRole(actor, roleId) {
+    const prisma = getPrismaClient();
+    const role = await prisma.role.findUnique({ where: { id: roleId } });
+    if (!role) {
+      return { error: 'Role not found', status: 404 };
+    }
+    if (role.isSystem) {
+      return { error: 'System roles cannot be deleted', status: 400 };
+    }
+    if (!actor.can('role:manage', role.institutionId)) {
+      return { error: 'You cannot manage roles for this institution', status: 403 };
+    }
+
+    await prisma.role.delete({ where: { id: roleId } });
+    return { role };
+  }
+
+  async listAssignments(userId) {
+    return getPrismaClient().roleAssignment.findMany({
+      where: { userId },
+      include: {
+        role: { select: { id: true, name: true, permissions: true, institutionId: true } },
+        institution: { select: { id: true, name: true, code: true } },
+        grantedBy: { select: { id: true, firstName: true, lastName: true, email: true } }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  /**
+   * Give a user a role, for one institution or (institutionId null) all of
+   * them. Resolves to { assignment } or { error, status }.
+   */
+  async assignRole(actor, { userId, roleId, institutionId = null, grantedById = null }) {
+    const prisma = getPrismaClient();
+
+    const [user, role] = await Promise.all([
+      prisma.user.findUnique({ where: { id: userId } }),
+      prisma.role.findUnique({ where: { id: roleId } })
+    ]);
+    if (!user) {
+      return { error: 'User not found', status: 404 };
+    }
+    if (!role) {
+      return { error: 'Role not found', status: 404 };
+    }
+    if (role.institutionId && role.institutionId !== institutionId) {
+      return { error: 'This role can only be assigned for its own institution', status: 400 };
+    }
+    if (!actor.can('role:manage', institutionId)) {
+      return { error: 'You cannot assign roles for this institution', status: 403 };
+    }
+    if (!this.canGrant(actor, role.permissions, institutionId)) {
+      return { error: 'You cannot assign a role with permissions you do not hold', status: 403 };
+    }
+
+    const existing = await prisma.roleAssignment.findFirst({ where: { userId, roleId, institutionId } });
+    if (existing) {
+      return { error: 'User already has this role', status: 400 };
+    }
+
+    const assignment = await prisma.roleAssignment.create({
+      data: { userId, roleId, institutionId, grantedById },
+      include: { role: { select: { id: true, name: true, permissions: true } } }
+    });
+    return { assignment };
+  }
+
+  /**
+   * Resolves to { assignment } or { error, status }
+   */
+  async revokeAssignment(actor, userId, assignmentId) {
+    const prisma = getPrismaClient();
+    const assignment = await prisma.roleAssignment.findFirst({
+      where: { id: assignmentId, userId }
+    });
+    if (!assignment) {
+      return { error: 'Role assignment not found', status: 404 };
+    }
+    if (!actor.can('role:manage', assignment.institutionId)) {
+      return { error: 'You cannot manage roles for this institution', status: 403 };
+    }
+
+    await prisma.roleAssignment.delete({ where: { id: assignmentId } });
+    return { assignment };
+  }
+}
+
+module.exports = new PermissionService();
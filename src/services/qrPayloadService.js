@@ -0,0 +1,178 @@
+const { getPrismaClient } = require('../config/database');
+const keyManagementService = require('./keyManagementService');
+const { signJws, decodeJws, verifyJws } = require('../utils/jws');
+
+const QR_TYPE = 'dd-qr+jws';
+const QR_VERSION = 1;
+
+/**
+ * Signed QR payloads.
+ *
+ * New QR codes carry a compact JWS signed with the issuing institution's key,
+ * so they can be checked offline against /api/public/jwks.json. Older QR codes
+ * hold plain JSON and are still accepted, flagged as legacy.
+ */
+class QrPayloadService {
+  /**
+   * Sign the key certificate fields into a compact JWS for a QR code
+   */
+  async createSignedPayload(certificate) {
+    const key = await keyManagementService.getSigningKey(certificate.institutionId);
+
+    return signJws({
+      v: QR_VERSION,
+      id: certificate.id,
+      no: certificate.certificateNumber,
+      n: certificate.studentName,
+      c: certificate.course,
+      y: certificate.passingYear,
+      d: new Date(certificate.dateOfIssue).toISOString().slice(0, 10),
+      i: certificate.institution?.code,
+      h: certificate.blockchainHash,
+      iat: Math.floor(Date.now() / 1000)
+    }, key.privateKey, { typ: QR_TYPE, kid: key.kid });
+  }
+
+  /**
+   * Parse scanned QR data in either format.
+   * Resolves to { format, claims, signatureValid, key } or throws on
+   * unreadable data.
+   */
+  async parse(qrData) {
+    if (typeof qrData !== 'string' || !qrData.trim()) {
+      throw new Error('QR code data is required');
+    }
+
+    const data = qrData.trim();
+
+    if (data.startsWith('{')) {
+      return this.parseLegacy(data);
+    }
+
+    let decoded;
+    try {
+      decoded = decodeJws(data);
+    } catch (error) {
+      throw new Error('Invalid QR code format');
+    }
+
+    if (decoded.header.typ !== QR_TYPE || decoded.payload.v !== QR_VERSION) {
+      throw new Error('This is not a valid certificate QR code');
+    }
+
+    const { payload } = decoded;
+    const signedAt = typeof payload.iat === 'number' ? new Date(payload.iat * 1000) : null;
+    const key = await keyManagementService.getVerificationKey(decoded.header.kid, signedAt);
+
+    return {
+      format: 'SIGNED',
+      signatureValid: Boolean(key) && verifyJws(decoded, key.publicKey),
+      keyId: decoded.header.kid,
+      signerInstitutionId: key ? key.institutionId : null,
+      claims: {
+        certificateId: payload.id,
+        certificateNumber: payload.no,
+        studentName: payload.n,
+        course: payload.c,
+        passingYear: payload.y,
+        dateOfIssue: payload.d,
+        institutionCode: payload.i,
+        blockchainHash: payload.h,
+        issuedAt: payload.iat ? new Date(payload.iat * 1000).toISOString() : null
+      }
+    };
+  }
+
+  /**
+   * Plain JSON QR codes issued before signed payloads
+   */
+  parseLegacy(data) {
+    let info;
+    try {
+      info = JSON.parse(data);
+    } catch (error) {
+      throw new Error('Invalid QR code format');
+    }
+
+    if (info.type && info.type !== 'CERTIFICATE_VERIFICATION') {
+      throw new Error('This is not a valid certificate QR code');
+    }
+
+    if (!info.certificateId && !info.certificateNumber && !info.blockchainHash) {
+      throw new Error('QR code missing required data');
+    }
+
+    return {
+      format: 'LEGACY',
+      signatureValid: false,
+      claims: {
+        certificateId: info.certificateId,
+        certificateNumber: info.certificateNumber,
+        // Early QR codes called the hash verificationHash
+        blockchainHash: info.blockchainHash || info.verificationHash,
+        issuedAt: info.timestamp || null
+      }
+    };
+  }
+
+  /**
+   * Find the certificate a parsed QR code refers to
+   */
+  async findCertificate(parsed) {
+    const prisma = getPrismaClient();
+    const { certificateId, blockchainHash, certificateNumber } = parsed.claims;
+
+    let where = null;
+    if (certificateId) {
+      where = { id: certificateId };
+    } else if (blockchainHash) {
+      where = { blockchainHash };
+    } else if (certificateNumber) {
+      where = { certificateNumber };
+    }
+
+    if (!where) {
+      return null;
+    }
+
+    return prisma.certificate.findUnique({
+      where,
+      include: { institution: true }
+    });
+  }
+
+  /**
+   * Compare a parsed QR code with the certificate on record.
+   * Resolves to { isValid, errors }
+   */
+  checkAgainstCertificate(parsed, certificate) {
+    const errors = [];
+    const { claims } = parsed;
+
+    if (parsed.format === 'SIGNED') {
+      if (!parsed.signatureValid) {
+        errors.push('QR code signature is invalid');
+      } else if (parsed.signerInstitutionId !== certificate.institutionId) {
+        errors.push('QR code was not signed by the issuing institution');
+      }
+
+      const fieldsMatch = claims.certificateNumber === certificate.certificateNumber &&
+        claims.studentName === certificate.studentName &&
+        claims.course === certificate.course &&
+        claims.passingYear === certificate.passingYear;
+      if (!fieldsMatch) {
+        errors.push('QR code details do not match the certificate record');
+      }
+    } else if (claims.certificateNumber && claims.certificateNumber !== certificate.certificateNumber) {
+      errors.push('QR code details do not match the certificate record');
+    }
+
+    if (claims.blockchainHash && claims.blockchainHash !== certificate.blockchainHash) {
+      errors.push('QR code hash does not match the certificate record');
+    }
+
+    return { isValid: errors.length === 0, errors };
+  }
+}
+
+module.exports = new QrPayloadService();
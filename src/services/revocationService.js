@@ -0,0 +1,121 @@
+const { getPrismaClient } = require('../config/database');
+const blockchainService = require('./blockchainService');
+const { logger } = require('../utils/logger');
+
+class RevocationService {
+  /**
+   * Revoke a certificate and propagate the revocation to the ledger.
+   * The database record is authoritative; a ledger failure is reported
+   * back and can be retried with propagateRevocation().
+   */
+  async revokeCertificate(certificate, options) {
+    const prisma = getPrismaClient();
+
+    const revoked = await prisma.certificate.update({
+      where: { id: certificate.id },
+      data: this.buildRevocationData(options),
+      include: { institution: true }
+    });
+
+    return this.propagateRevocation(revoked);
+  }
+
+  /**
+   * Revoke several certificates in a single transaction, then propagate
+   * each to the ledger. extraOperations (e.g. progress records) commit
+   * or roll back together with the revocations.
+   */
+  async revokeCertificates(entries, revokedById, extraOperations = []) {
+    const prisma = getPrismaClient();
+
+    const results = await prisma.$transaction([
+      ...entries.map(({ certificate, reason, effectiveAt }) => prisma.certificate.update({
+        where: { id: certificate.id },
+        data: this.buildRevocationData({ reason, effectiveAt, revokedById }),
+        include: { institution: true }
+      })),
+      ...extraOperations
+    ]);
+
+    const propagated = [];
+    for (const revoked of results.slice(0, entries.length)) {
+      propagated.push(await this.propagateRevocation(revoked));
+    }
+    return propagated;
+  }
+
+  /**
+   * Certificate fields that record a revocation
+   */
+  buildRevocationData({ reason, effectiveAt, revokedById }) {
+    const revokedAt = new Date();
+
+    return {
+      status: 'REVOKED',
+      revokedAt,
+      revocationEffectiveAt: effectiveAt ? new Date(effectiveAt) : revokedAt,
+      revocationReason: reason,
+      revokedById
+    };
+  }
+
+  /**
+   * Record an existing revocation on the ledger
+   */
+  async propagateRevocation(certificate) {
+    if (!certificate.blockchainHash || certificate.revocationTxHash) {
+      return { certificate, ledger: null };
+    }
+
+    try {
+      const receipt = await blockchainService.revokeCertificateOnBlockchain(certificate.blockchainHash, {
+        reason: certificate.revocationReason,
+        effectiveAt: certificate.revocationEffectiveAt
+      });
+
+      const updated = await getPrismaClient().certificate.update({
+        where: { id: certificate.id },
+        data: { revocationTxHash: receipt.transactionHash },
+        include: { institution: true }
+      });
+
+      return { certificate: updated, ledger: receipt };
+    } catch (error) {
+      logger.warn(`Ledger revocation failed for certificate ${certificate.id}:`, error);
+      return { certificate, ledger: null, ledgerError: error.message };
+    }
+  }
+
+  /**
+   * Public revocation summary, or null if the certificate is not revoked
+   */
+  getRevocationDetails(certificate) {
+    if (certificate.status !== 'REVOKED') {
+      return null;
+    }
+
+    return {
+      reason: certificate.revocationReason,
+      revokedAt: certificate.revokedAt,
+      effectiveAt: certificate.revocationEffectiveAt,
+      transactionHash: certificate.revocationTxHash
+    };
+  }
+
+  /**
+   * Outcome of a stored verification as it stands now. A certificate
+   * revoked since the verification ran is reported REVOKED, whatever the
+   * stored result.
+   */
+  getCurrentOutcome(verification, certificate) {
+    const revocation = this.getRevocationDetails(certificate);
+    if (revocation) {
+      return { verdict: 'REVOKED', isValid: false, revocation };
+    }
+
+    const verdict = verification.isValid === true ? 'VALID' : verification.isValid === false ? 'INVALID' : null;
+    return { verdict, isValid: verification.isValid, revocation: null };
+  }
+}
+
+module.exports = new RevocationService();
@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getPrismaClient } = require('../config/database');
+const { logger, auditLogger } = require('../utils/logger');
+
+// Fields safe to return to clients (never the token hashes)
+const PUBLIC_FIELDS = {
+  id: true,
+  deviceName: true,
+  userAgent: true,
+  ipAddress: true,
+  lastUsedAt: true,
+  expiresAt: true,
+  revokedAt: true,
+  revokedReason: true,
+  createdAt: true
+};
+
+/**
+ * Server-side login sessions.
+ *
+ * Each login creates a session holding the hash of an opaque refresh token.
+ * Access tokens are short-lived JWTs naming their session, so revoking the
+ * session cuts off the access token on its next request. Refresh tokens
+ * rotate on every use; presenting a rotated-out token revokes the session,
+ * since it means the token was copied.
+ */
+class SessionService {
+  constructor() {
+    this.accessTokenExpiresIn = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+    this.refreshTokenTtlMs = (parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30) * 24 * 60 * 60 * 1000;
+    // Avoid a write on every request; last-use is tracked to this granularity
+    this.touchIntervalMs = 60 * 1000;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  generateRefreshToken() {
+    return crypto.randomBytes(48).toString('base64url');
+  }
+
+  signAccessToken(user, session) {
+    return jwt.sign(
+      { userId: user.id, role: user.role, sessionId: session.id },
+      process.env.JWT_SECRET,
+      { expiresIn: this.accessTokenExpiresIn }
+    );
+  }
+
+  /**
+   * Device details recorded against a session
+   */
+  getClientInfo(req) {
+    const userAgent = req.get('User-Agent') || null;
+    return {
+      userAgent: userAgent ? userAgent.slice(0, 500) : null,
+      ipAddress: req.ip || null,
+      deviceName: typeof req.body?.deviceName === 'string' ? req.body.deviceName.slice(0, 100) : null
+    };
+  }
+
+  /**
+   * Start a session for a user who has just logged in.
+   * Resolves to { session, accessToken, refreshToken, expiresIn }
+   */
+  async createSession(user, req) {
+    const refreshToken = this.generateRefreshToken();
+
+    const session = await getPrismaClient().session.create({
+      data: {
+        ...this.getClientInfo(req),
+        refreshTokenHash: this.hashToken(refreshToken),
+        expiresAt: new Date(Date.now() + this.refreshTokenTtlMs),
+        userId: user.id
+      }
+    });
+
+    return {
+      session,
+      accessToken: this.signAccessToken(user, session),
+      refreshToken,
+      expiresIn: this.accessTokenExpiresIn
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new access/refresh token pair.
+   * Resolves to { user, session, accessToken, refreshToken, expiresIn } or
+   * { error }.
+   */
+  async refresh(refreshToken, req) {
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+      return { error: 'Refresh token is required' };
+    }
+
+    const prisma = getPrismaClient();
+    const tokenHash = this.hashToken(refreshToken);
+
+    const session = await prisma.session.findUnique({
+      where: { refreshTokenHash: tokenHash },
+      include: { user: true }
+    });
+
+    if (!session) {
+      const reused = await prisma.session.findUnique({ where: { previousTokenHash: tokenHash } });
+      if (reused && !reused.revokedAt) {
+        await this.revokeSession(reused.id, 'TOKEN_REUSE');
+        auditLogger.warn('Refresh token reuse detected; session revoked', {
+          sessionId: reused.id,
+          userId: reused.userId,
+          ip: req.ip
+        });
+      }
+      return { error: 'Invalid refresh token' };
+    }
+
+    if (session.revokedAt || session.expiresAt <= new Date()) {
+      return { error: 'Session has expired or been revoked' };
+    }
+    if (!session.user.isActive) {
+      await this.revokeSession(session.id, 'USER_DEACTIVATED');
+      return { error: 'Account is deactivated' };
+    }
+
+    const nextToken = this.generateRefreshToken();
+    const { userAgent, ipAddress } = this.getClientInfo(req);
+
+    // Match on the presented hash so two concurrent refreshes cannot both win
+    const { count } = await prisma.session.updateMany({
+      where: { id: session.id, refreshTokenHash: tokenHash, revokedAt: null },
+      data: {
+        refreshTokenHash: this.hashToken(nextToken),
+        previousTokenHash: tokenHash,
+        userAgent,
+        ipAddress,
+        lastUsedAt: new Date()
+      }
+    });
+
+    if (count === 0) {
+      return { error: 'Invalid refresh token' };
+    }
+
+    return {
+      user: session.user,
+      session,
+      accessToken: this.signAccessToken(session.user, session),
+      refreshToken: nextToken,
+      expiresIn: this.accessTokenExpiresIn
+    };
+  }
+
+  /**
+   * Session named by an access token, if it is still active
+   */
+  async getActiveSession(sessionId) {
+    if (!sessionId) {
+      return null;
+    }
+
+    const session = await getPrismaClient().session.findUnique({ where: { id: sessionId } });
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+      return null;
+    }
+
+    return session;
+  }
+
+  /**
+   * Record session use without holding up the request
+   */
+  touch(session) {
+    if (Date.now() - session.lastUsedAt.getTime() < this.touchIntervalMs) {
+      return;
+    }
+
+    getPrismaClient().session.update({
+      where: { id: session.id },
+      data: { lastUsedAt: new Date() }
+    }).catch(error => logger.warn(`Failed to record use of session ${session.id}:`, error));
+  }
+
+  async listSessions(userId, { includeRevoked = false } = {}) {
+    const where = { userId };
+    if (!includeRevoked) {
+      where.revokedAt = null;
+      where.expiresAt = { gt: new Date() };
+    }
+
+    return getPrismaClient().session.findMany({
+      where,
+      select: PUBLIC_FIELDS,
+      orderBy: { lastUsedAt: 'desc' }
+    });
+  }
+
+  /**
+   * Revoke one session. Pass userId to restrict to that user's sessions.
+   * Resolves to false if no active session matched.
+   */
+  async revokeSession(sessionId, reason, userId = null) {
+    const where = { id: sessionId, revokedAt: null };
+    if (userId) {
+      where.userId = userId;
+    }
+
+    const { count } = await getPrismaClient().session.updateMany({
+      where,
+      data: { revokedAt: new Date(), revokedReason: reason }
+    });
+    return count > 0;
+  }
+
+  /**
+   * Revoke every active session of a user, optionally keeping one
+   */
+  async revokeAllForUser(userId, reason, { exceptSessionId = null } = {}) {
+    const where = { userId, revokedAt: null };
+    if (exceptSessionId) {
+      where.id = { not: exceptSessionId };
+    }
+
+    const { count } = await getPrismaClient().session.updateMany({
+      where,
+      data: { revokedAt: new Date(), revokedReason: reason }
+    });
+    return count;
+  }
+}
+
+module.exports = new SessionService();
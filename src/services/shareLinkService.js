@@ -0,0 +1,291 @@
+const crypto = require('crypto');
+const { getPrismaClient } = require('../config/database');
+const auditService = require('../utils/auditLogger');
+const verificationService = require('./verificationService');
+const revocationService = require('./revocationService');
+
+// Fields a student can choose to disclose; the certificate number and the
+// issuing institution are always shown
+const SHAREABLE_FIELDS = [
+  'studentName', 'fatherName', 'motherName', 'rollNumber', 'registrationNumber',
+  'course', 'branch', 'type', 'passingYear', 'grade', 'cgpa', 'percentage',
+  'dateOfIssue', 'dateOfCompletion'
+];
+
+const INVALID_LINK = 'Invalid share link';
+const INACTIVE_LINK = 'This share link has expired or been revoked';
+
+/**
+ * Share links for claimed certificates.
+ *
+ * A student creates a link for a verifier, choosing which fields it
+ * discloses and when it expires, and can revoke it at any time. Opening the
+ * link runs a verification on behalf of the viewer; those verifications are
+ * the viewer log the student sees.
+ */
+class ShareLinkService {
+  constructor() {
+    this.shareableFields = SHAREABLE_FIELDS;
+    this.inactiveMessage = INACTIVE_LINK;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  buildLink(token) {
+    return `${process.env.FRONTEND_URL || 'http://localhost:3000'}/share?token=${encodeURIComponent(token)}`;
+  }
+
+  /**
+   * A share is live until it expires or is revoked, and while its student
+   * still holds the certificate
+   */
+  isActive(share, certificate, now = new Date()) {
+    return !share.revokedAt && share.expiresAt > now && certificate.claimedById === share.studentId;
+  }
+
+  /**
+   * View of a share for its student
+   */
+  describe(share, now = new Date()) {
+    return {
+      id: share.id,
+      certificateId: share.certificateId,
+      label: share.label,
+      fields: share.fields,
+      expiresAt: share.expiresAt,
+      revokedAt: share.revokedAt,
+      status: share.revokedAt ? 'REVOKED' : share.expiresAt <= now ? 'EXPIRED' : 'ACTIVE',
+      viewCount: share.viewCount,
+      lastViewedAt: share.lastViewedAt,
+      createdAt: share.createdAt
+    };
+  }
+
+  /**
+   * Certificate details a share discloses
+   */
+  disclose(certificate, fields) {
+    const details = {
+      certificateNumber: certificate.certificateNumber,
+      institution: certificate.institution.name
+    };
+    for (const field of fields) {
+      if (SHAREABLE_FIELDS.includes(field)) {
+        details[field] = certificate[field];
+      }
+    }
+    return details;
+  }
+
+  /**
+   * Certificate the user has claimed, or null
+   */
+  async findClaimedCertificate(user, certificateId) {
+    const certificate = await getPrismaClient().certificate.findUnique({
+      where: { id: certificateId }
+    });
+    return certificate && certificate.claimedById === user.id ? certificate : null;
+  }
+
+  /**
+   * Create a share link for a claimed certificate. The token is only
+   * returned here. Resolves to { share, token, link } or { error, status }.
+   */
+  async create(user, certificateId, { fields, expiresInDays, label }, { ipAddress = null, userAgent = null } = {}) {
+    const unknown = fields.filter(field => !SHAREABLE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      return { error: `Fields that cannot be shared: ${unknown.join(', ')}. Choose from ${SHAREABLE_FIELDS.join(', ')}`, status: 400 };
+    }
+
+    const certificate = await this.findClaimedCertificate(user, certificateId);
+    if (!certificate) {
+      return { error: 'Certificate not found', status: 404 };
+    }
+    if (certificate.status !== 'VERIFIED') {
+      return { error: `A ${certificate.status.toLowerCase()} certificate cannot be shared`, status: 400 };
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const share = await getPrismaClient().certificateShare.create({
+      data: {
+        tokenHash: this.hashToken(token),
+        label,
+        fields: [...new Set(fields)],
+        expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+        certificateId: certificate.id,
+        studentId: user.id
+      }
+    });
+
+    await auditService.logCertificateOperation(user.id, certificate.id, 'SHARE_LINK_CREATED', {
+      shareId: share.id,
+      fields: share.fields,
+      expiresAt: share.expiresAt
+    }, ipAddress, userAgent);
+
+    return { share, token, link: this.buildLink(token) };
+  }
+
+  /**
+   * Share links of a claimed certificate, newest first. Resolves to
+   * { shares } or { error, status }.
+   */
+  async list(user, certificateId) {
+    const certificate = await this.findClaimedCertificate(user, certificateId);
+    if (!certificate) {
+      return { error: 'Certificate not found', status: 404 };
+    }
+
+    const shares = await getPrismaClient().certificateShare.findMany({
+      where: { certificateId: certificate.id, studentId: user.id },
+      orderBy: { createdAt: 'desc' }
+    });
+    return { shares };
+  }
+
+  /**
+   * Share link of the user, or null
+   */
+  async findOwnShare(user, shareId) {
+    const share = await getPrismaClient().certificateShare.findUnique({
+      where: { id: shareId }
+    });
+    return share && share.studentId === user.id ? share : null;
+  }
+
+  /**
+   * Revoke a share link so it no longer opens. Resolves to { share } or
+   * { error, status }.
+   */
+  async revoke(user, shareId, { ipAddress = null, userAgent = null } = {}) {
+    const share = await this.findOwnShare(user, shareId);
+    if (!share) {
+      return { error: 'Share link not found', status: 404 };
+    }
+
+    const prisma = getPrismaClient();
+    const { count } = await prisma.certificateShare.updateMany({
+      where: { id: share.id, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+    if (count === 0) {
+      return { error: 'Share link is already revoked', status: 400 };
+    }
+
+    await auditService.logCertificateOperation(user.id, share.certificateId, 'SHARE_LINK_REVOKED', {
+      shareId: share.id
+    }, ipAddress, userAgent);
+
+    return { share: await prisma.certificateShare.findUnique({ where: { id: share.id } }) };
+  }
+
+  /**
+   * Who opened a share link, newest first. Resolves to
+   * { share, views, total } or { error, status }.
+   */
+  async listViews(user, shareId, { skip = 0, take = 20 } = {}) {
+    const share = await this.findOwnShare(user, shareId);
+    if (!share) {
+      return { error: 'Share link not found', status: 404 };
+    }
+
+    const prisma = getPrismaClient();
+    const where = { shareId: share.id };
+    const [views, total] = await Promise.all([
+      prisma.verification.findMany({
+        where,
+        select: {
+          verificationCode: true,
+          requestedBy: true,
+          requestorEmail: true,
+          purpose: true,
+          status: true,
+          createdAt: true
+        },
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take
+      }),
+      prisma.verification.count({ where })
+    ]);
+
+    return { share, views, total };
+  }
+
+  async recordView(share) {
+    await getPrismaClient().certificateShare.update({
+      where: { id: share.id },
+      data: {
+        viewCount: { increment: 1 },
+        lastViewedAt: new Date()
+      }
+    });
+  }
+
+  /**
+   * Open a share link for a verifier: verify the certificate, recording
+   * the verifier against the share. Certificates whose institution asks for
+   * consent are not held back, the link being the student's consent. A
+   * certificate revoked since it was shared is reported REVOKED without a
+   * verification. Resolves to { share, certificate, result },
+   * { share, certificate, verdict: 'REVOKED', revocation } or
+   * { error, status }.
+   */
+  async view(token, verificationRequest) {
+    if (typeof token !== 'string' || !token) {
+      return { error: INVALID_LINK, status: 404 };
+    }
+
+    const prisma = getPrismaClient();
+    const share = await prisma.certificateShare.findUnique({
+      where: { tokenHash: this.hashToken(token) },
+      include: { certificate: { include: { institution: true } } }
+    });
+    if (!share) {
+      return { error: INVALID_LINK, status: 404 };
+    }
+
+    const { certificate } = share;
+    if (!this.isActive(share, certificate)) {
+      await auditService.logCertificateOperation(null, certificate.id, 'SHARE_LINK_REFUSED', {
+        shareId: share.id,
+        requestorEmail: verificationRequest.requestorEmail
+      }, verificationRequest.ipAddress, verificationRequest.userAgent);
+      return { error: INACTIVE_LINK, status: 410 };
+    }
+
+    if (certificate.status === 'REVOKED') {
+      await this.recordView(share);
+      await auditService.logCertificateOperation(null, certificate.id, 'SHARE_LINK_VIEWED', {
+        shareId: share.id,
+        requestorEmail: verificationRequest.requestorEmail,
+        verdict: 'REVOKED'
+      }, verificationRequest.ipAddress, verificationRequest.userAgent);
+
+      return { share, certificate, verdict: 'REVOKED', revocation: revocationService.getRevocationDetails(certificate) };
+    }
+    if (certificate.status !== 'VERIFIED') {
+      return { error: `This certificate is ${certificate.status.toLowerCase()} and cannot be verified at present`, status: 409 };
+    }
+
+    const result = await verificationService.verifyCertificate(certificate, {
+      ...verificationRequest,
+      institutionId: certificate.institutionId,
+      shareId: share.id
+    });
+
+    await this.recordView(share);
+
+    await auditService.logVerification(null, result.verificationId, certificate.id, 'SHARE_LINK_VIEWED', {
+      shareId: share.id,
+      requestorEmail: verificationRequest.requestorEmail,
+      isValid: result.isValid
+    }, verificationRequest.ipAddress, verificationRequest.userAgent);
+
+    return { share, certificate, result };
+  }
+}
+
+module.exports = new ShareLinkService();
@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { getPrismaClient } = require('../config/database');
+const { encryptSecret, decryptSecret } = require('../utils/encryption');
+const { generateSecret, verifyCode, buildOtpauthUrl, base32Encode } = require('../utils/totp');
+const { logger } = require('../utils/logger');
+
+// Roles that can enrol in two-factor authentication
+const TWO_FACTOR_ROLES = ['SUPER_ADMIN', 'UNIVERSITY_ADMIN', 'VERIFIER'];
+const POLICY_KEY = 'TWO_FACTOR_REQUIRED_ROLES';
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * TOTP two-factor authentication for administrative roles.
+ *
+ * Secrets are stored encrypted and only take effect once the user proves
+ * their authenticator works. Recovery codes are stored hashed and are
+ * single-use. Which roles must use 2FA is a SystemConfig policy.
+ */
+class TwoFactorService {
+  constructor() {
+    this.roles = TWO_FACTOR_ROLES;
+    this.issuer = process.env.TWO_FACTOR_ISSUER || 'Degree Defenders';
+    this.challengeExpiresIn = '5m';
+    this.policyCacheMs = 60 * 1000;
+    this.policyCache = null;
+  }
+
+  isAvailable(user) {
+    return TWO_FACTOR_ROLES.includes(user.role);
+  }
+
+  /**
+   * Roles for which 2FA is mandatory
+   */
+  async getRequiredRoles() {
+    if (this.policyCache && Date.now() - this.policyCache.loadedAt < this.policyCacheMs) {
+      return this.policyCache.roles;
+    }
+
+    const config = await getPrismaClient().systemConfig.findUnique({ where: { key: POLICY_KEY } });
+    const roles = config && config.isActive
+      ? config.value.split(',').map(role => role.trim()).filter(role => TWO_FACTOR_ROLES.includes(role))
+      : [];
+
+    this.policyCache = { roles, loadedAt: Date.now() };
+    return roles;
+  }
+
+  async setRequiredRoles(roles) {
+    await getPrismaClient().systemConfig.upsert({
+      where: { key: POLICY_KEY },
+      update: { value: roles.join(','), isActive: true },
+      create: {
+        key: POLICY_KEY,
+        value: roles.join(','),
+        description: 'Comma-separated roles that must use two-factor authentication'
+      }
+    });
+    this.policyCache = null;
+    return roles;
+  }
+
+  async isRequired(user) {
+    return (await this.getRequiredRoles()).includes(user.role);
+  }
+
+  hashRecoveryCode(code) {
+    const normalized = code.toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Fresh recovery codes. Resolves to { codes, hashes }; only hashes are stored.
+   */
+  generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = base32Encode(crypto.randomBytes(5));
+      return `${raw.slice(0, 4)}-${raw.slice(4, 8)}`;
+    });
+    return { codes, hashes: codes.map(code => this.hashRecoveryCode(code)) };
+  }
+
+  /**
+   * Start enrolment with a new secret. Resolves to the secret with an
+   * otpauth URL and a QR code image for authenticator apps.
+   */
+  async beginSetup(user) {
+    const secret = generateSecret();
+
+    await getPrismaClient().user.update({
+      where: { id: user.id },
+      data: { twoFactorSecret: encryptSecret(secret), twoFactorLastStep: null }
+    });
+
+    const otpauthUrl = buildOtpauthUrl(secret, user.email, this.issuer);
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    return { secret, otpauthUrl, qrCode };
+  }
+
+  /**
+   * Finish enrolment with a code from the authenticator. Resolves to
+   * { recoveryCodes } or { error }.
+   */
+  async enable(user, code) {
+    if (!user.twoFactorSecret) {
+      return { error: 'Start two-factor setup first' };
+    }
+
+    const step = verifyCode(decryptSecret(user.twoFactorSecret), code);
+    if (step === null) {
+      return { error: 'Invalid authentication code' };
+    }
+
+    const { codes, hashes } = this.generateRecoveryCodes();
+
+    await getPrismaClient().user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorEnabled: true,
+        twoFactorEnabledAt: new Date(),
+        twoFactorLastStep: step,
+        twoFactorRecoveryCodes: hashes
+      }
+    });
+
+    return { recoveryCodes: codes };
+  }
+
+  /**
+   * Check a TOTP code or a recovery code for a user with 2FA enabled.
+   * Resolves to { verified: true, usedRecoveryCode, remainingRecoveryCodes }
+   * or { error }.
+   */
+  async verify(user, { code, recoveryCode }) {
+    const prisma = getPrismaClient();
+
+    if (recoveryCode) {
+      const hash = this.hashRecoveryCode(String(recoveryCode));
+      if (!user.twoFactorRecoveryCodes.includes(hash)) {
+        return { error: 'Invalid recovery code' };
+      }
+
+      const remaining = user.twoFactorRecoveryCodes.filter(stored => stored !== hash);
+      const { count } = await prisma.user.updateMany({
+        where: { id: user.id, twoFactorRecoveryCodes: { has: hash } },
+        data: { twoFactorRecoveryCodes: remaining }
+      });
+      if (count === 0) {
+        return { error: 'Invalid recovery code' };
+      }
+
+      logger.warn(`Recovery code used by user ${user.id}; ${remaining.length} remaining`);
+      return { verified: true, usedRecoveryCode: true, remainingRecoveryCodes: remaining.length };
+    }
+
+    const step = verifyCode(decryptSecret(user.twoFactorSecret), String(code || ''));
+    if (step === null) {
+      return { error: 'Invalid authentication code' };
+    }
+
+    // A code is accepted once; the conditional update also stops two
+    // concurrent logins using the same code
+    const { count } = await prisma.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }]
+      },
+      data: { twoFactorLastStep: step }
+    });
+    if (count === 0) {
+      return { error: 'Authentication code has already been used' };
+    }
+
+    return { verified: true, usedRecoveryCode: false, remainingRecoveryCodes: user.twoFactorRecoveryCodes.length };
+  }
+
+  async regenerateRecoveryCodes(user) {
+    const { codes, hashes } = this.generateRecoveryCodes();
+
+    await getPrismaClient().user.update({
+      where: { id: user.id },
+      data: { twoFactorRecoveryCodes: hashes }
+    });
+
+    return codes;
+  }
+
+  async disable(userId) {
+    await getPrismaClient().user.update({
+      where: { id: userId },
+      data: {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorLastStep: null,
+        twoFactorRecoveryCodes: [],
+        twoFactorEnabledAt: null
+      }
+    });
+  }
+
+  /**
+   * Short-lived token carrying a user between the password step and the
+   * second login step. purpose is 'verify' (enter a code) or 'setup'
+   * (2FA is required but not yet enrolled).
+   */
+  createChallenge(user, purpose) {
+    return jwt.sign(
+      { sub: user.id },
+      process.env.JWT_SECRET,
+      { audience: `login:2fa-${purpose}`, expiresIn: this.challengeExpiresIn }
+    );
+  }
+
+  /**
+   * User id from a challenge token, or null if it is invalid or expired
+   */
+  readChallenge(token, purpose) {
+    try {
+      return jwt.verify(token, process.env.JWT_SECRET, { audience: `login:2fa-${purpose}` }).sub;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new TwoFactorService();
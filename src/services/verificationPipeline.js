@@ -0,0 +1,287 @@
+const crypto = require('crypto');
+const { getPrismaClient } = require('../config/database');
+const { logger } = require('../utils/logger');
+
+const CONFIG_KEY = 'VERIFICATION_PIPELINE';
+const DEFAULT_VALIDITY_THRESHOLD = 75;
+
+/**
+ * Verification checks run as registered plugins.
+ *
+ * A check is { id, version, weight, threshold?, run(certificate, context),
+ * summarize?(details) }. run resolves to { passed, confidence, message,
+ * details }; summarize picks what of the details is kept on the
+ * Verification record. Weights, thresholds, whether a check runs and the
+ * overall validity threshold come from SystemConfig: the global
+ * VERIFICATION_PIPELINE entry, then per certificate type
+ * (VERIFICATION_PIPELINE:CERTIFICATE_TYPE:<type>), then per institution
+ * (VERIFICATION_PIPELINE:INSTITUTION:<id>), each overriding the last.
+ *
+ * A check's threshold, when set, is the confidence it needs to pass;
+ * otherwise the check decides. The pipeline version is a hash of the check
+ * versions and settings used, stored with every verification so past
+ * verdicts remain explainable after the rules change.
+ */
+class VerificationPipeline {
+  constructor() {
+    this.checks = new Map();
+    this.configCacheMs = 60 * 1000;
+    this.configCache = new Map();
+  }
+
+  /**
+   * Add a check, or replace the one with the same id
+   */
+  register(check) {
+    if (!check.id || !check.version || typeof check.run !== 'function') {
+      throw new Error('Verification checks need an id, a version and a run() function');
+    }
+    this.checks.set(check.id, check);
+  }
+
+  listChecks() {
+    return [...this.checks.values()].map(({ id, version, weight, threshold = null, description = null }) => ({
+      id,
+      version,
+      description,
+      defaultWeight: weight,
+      defaultThreshold: threshold
+    }));
+  }
+
+  configKey(scope, target) {
+    if (scope === 'global') {
+      return CONFIG_KEY;
+    }
+    return `${CONFIG_KEY}:${scope === 'institution' ? 'INSTITUTION' : 'CERTIFICATE_TYPE'}:${target}`;
+  }
+
+  /**
+   * Stored settings under one key, or null
+   */
+  async readConfig(key) {
+    const cached = this.configCache.get(key);
+    if (cached && Date.now() - cached.loadedAt < this.configCacheMs) {
+      return cached.value;
+    }
+
+    const entry = await getPrismaClient().systemConfig.findUnique({ where: { key } });
+    let value = null;
+    if (entry && entry.isActive) {
+      try {
+        value = JSON.parse(entry.value);
+      } catch (error) {
+        logger.error(`Invalid verification pipeline config ${key}:`, error);
+      }
+    }
+
+    this.configCache.set(key, { value, loadedAt: Date.now() });
+    return value;
+  }
+
+  /**
+   * Check that settings name registered checks and sensible numbers.
+   * Returns null when valid, otherwise the reason.
+   */
+  validateConfig(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      return 'Config must be an object';
+    }
+
+    const { validityThreshold, checks = {} } = config;
+    if (validityThreshold !== undefined && !(validityThreshold >= 0 && validityThreshold <= 100)) {
+      return 'validityThreshold must be between 0 and 100';
+    }
+    if (typeof checks !== 'object' || Array.isArray(checks)) {
+      return 'checks must be an object keyed by check id';
+    }
+
+    for (const [id, settings] of Object.entries(checks)) {
+      if (!this.checks.has(id)) {
+        return `Unknown check ${id}. Registered checks: ${[...this.checks.keys()].join(', ')}`;
+      }
+      const { weight, threshold, enabled } = settings || {};
+      if (weight !== undefined && !(typeof weight === 'number' && weight >= 0)) {
+        return `Weight of ${id} must be a non-negative number`;
+      }
+      if (threshold !== undefined && threshold !== null && !(threshold >= 0 && threshold <= 100)) {
+        return `Threshold of ${id} must be between 0 and 100, or null`;
+      }
+      if (enabled !== undefined && typeof enabled !== 'boolean') {
+        return `enabled of ${id} must be true or false`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Store settings for a scope ('global', 'institution' or 'certificateType')
+   */
+  async saveConfig(scope, target, config) {
+    const key = this.configKey(scope, target);
+    await getPrismaClient().systemConfig.upsert({
+      where: { key },
+      update: { value: JSON.stringify(config), isActive: true },
+      create: {
+        key,
+        value: JSON.stringify(config),
+        description: 'Verification check weights and thresholds (JSON)'
+      }
+    });
+    this.configCache.delete(key);
+  }
+
+  async deleteConfig(scope, target) {
+    const key = this.configKey(scope, target);
+    const { count } = await getPrismaClient().systemConfig.deleteMany({ where: { key } });
+    this.configCache.delete(key);
+    return count > 0;
+  }
+
+  /**
+   * Settings in force for a certificate: check defaults overridden by the
+   * global, certificate type and institution settings in turn
+   */
+  async resolveSettings(certificate = {}) {
+    const layers = await Promise.all([
+      this.readConfig(CONFIG_KEY),
+      certificate.type ? this.readConfig(this.configKey('certificateType', certificate.type)) : null,
+      certificate.institutionId ? this.readConfig(this.configKey('institution', certificate.institutionId)) : null
+    ]);
+
+    const settings = {
+      validityThreshold: DEFAULT_VALIDITY_THRESHOLD,
+      checks: {}
+    };
+    for (const check of this.checks.values()) {
+      settings.checks[check.id] = {
+        version: check.version,
+        enabled: true,
+        weight: check.weight,
+        threshold: check.threshold === undefined ? null : check.threshold
+      };
+    }
+
+    for (const layer of layers.filter(Boolean)) {
+      if (layer.validityThreshold !== undefined) {
+        settings.validityThreshold = layer.validityThreshold;
+      }
+      for (const [id, overrides] of Object.entries(layer.checks || {})) {
+        if (settings.checks[id]) {
+          const { weight, threshold, enabled } = overrides || {};
+          Object.assign(settings.checks[id], {
+            ...(weight !== undefined && { weight }),
+            ...(threshold !== undefined && { threshold }),
+            ...(enabled !== undefined && { enabled })
+          });
+        }
+      }
+    }
+
+    return settings;
+  }
+
+  /**
+   * Identifier of the checks and settings used
+   */
+  versionOf(settings) {
+    const canonical = JSON.stringify({
+      validityThreshold: settings.validityThreshold,
+      checks: Object.keys(settings.checks).sort().map(id => [id, settings.checks[id]])
+    });
+    return crypto.createHash('sha256').update(canonical).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Run the enabled checks on a certificate. Resolves to
+   * { checks, confidenceScore, isValid, version, record } where checks maps
+   * check ids to their results and record is the explanation stored on the
+   * Verification.
+   */
+  async run(certificate, context = {}) {
+    const settings = await this.resolveSettings(certificate);
+    const version = this.versionOf(settings);
+    const checks = {};
+    const recordedChecks = [];
+
+    let totalScore = 0;
+    let totalWeight = 0;
+
+    for (const check of this.checks.values()) {
+      const checkSettings = settings.checks[check.id];
+      if (!checkSettings.enabled) {
+        continue;
+      }
+
+      const result = await check.run(certificate, context);
+      if (checkSettings.threshold !== null) {
+        result.passed = result.confidence >= checkSettings.threshold;
+      }
+      checks[check.id] = result;
+
+      totalScore += result.confidence * checkSettings.weight;
+      totalWeight += checkSettings.weight;
+
+      recordedChecks.push({
+        id: check.id,
+        version: check.version,
+        weight: checkSettings.weight,
+        threshold: checkSettings.threshold,
+        passed: result.passed,
+        confidence: result.confidence,
+        message: result.message,
+        details: check.summarize ? check.summarize(result.details) : null
+      });
+    }
+
+    const confidenceScore = totalWeight > 0 ? Math.round(totalScore / totalWeight) : 0;
+    const isValid = confidenceScore >= settings.validityThreshold;
+
+    return {
+      checks,
+      confidenceScore,
+      isValid,
+      version,
+      record: {
+        pipelineVersion: version,
+        validityThreshold: settings.validityThreshold,
+        confidenceScore,
+        isValid,
+        checks: recordedChecks
+      }
+    };
+  }
+
+  /**
+   * Record for a verification decided before the checks ran, such as a
+   * blacklisted or revoked certificate. Resolves to { version, record }
+   * like run(), with the deciding check as the only, failed, entry.
+   */
+  async recordShortCircuit(certificate, { id, version, message, details = null }) {
+    const settings = await this.resolveSettings(certificate);
+    const pipelineVersion = this.versionOf(settings);
+
+    return {
+      version: pipelineVersion,
+      record: {
+        pipelineVersion,
+        validityThreshold: settings.validityThreshold,
+        confidenceScore: 0,
+        isValid: false,
+        shortCircuitedBy: id,
+        checks: [{
+          id,
+          version,
+          weight: null,
+          threshold: null,
+          passed: false,
+          confidence: 0,
+          message,
+          details
+        }]
+      }
+    };
+  }
+}
+
+module.exports = new VerificationPipeline();
@@ -1,6 +1,13 @@
 const { getPrismaClient } = require('../config/database');
 const ocrService = require('./ocrService');
 const blockchainService = require('./blockchainService');
+const anchoringService = require('./anchoringService');
+const revocationService = require('./revocationService');
+const blacklistService = require('./blacklistService');
+const verificationPipeline = require('./verificationPipeline');
+const nameSearchService = require('./nameSearchService');
+const { levenshteinSimilarity } = require('../utils/similarity');
+const { nameSimilarity } = require('../utils/nameMatching');
 const { logger } = require('../utils/logger');
 const crypto = require('crypto');
 
@@ -11,6 +18,62 @@ class VerificationService {
       mediumConfidence: 75,
       highConfidence: 90
     };
+
+    this.registerBuiltInChecks();
+  }
+
+  /**
+   * Register the standard checks with the verification pipeline
+   */
+  registerBuiltInChecks() {
+    verificationPipeline.register({
+      id: 'databaseMatch',
+      version: '1.0.0',
+      description: 'Certificate found in the database with matching details',
+      weight: 0.4,
+      run: certificate => this.checkDatabaseMatch(certificate),
+      summarize: details => (details ? { certificateId: details.id } : null)
+    });
+    verificationPipeline.register({
+      id: 'blockchainValidation',
+      version: '1.0.0',
+      description: 'Certificate hash anchored on the ledger',
+      weight: 0.2,
+      run: certificate => this.checkBlockchainValidation(certificate),
+      summarize: details => (details ? {
+        isLegacy: details.isLegacy || false,
+        pending: details.pending || false,
+        revoked: details.revoked || false
+      } : null)
+    });
+    verificationPipeline.register({
+      id: 'anomalyDetection',
+      version: '1.0.0',
+      description: 'No grade, number, pattern or date anomalies',
+      weight: 0.2,
+      run: (certificate, { verificationId }) => this.detectAnomalies(certificate, verificationId),
+      summarize: details => (details || []).map(({ type, severity, detector }) => ({ type, severity, detector }))
+    });
+    verificationPipeline.register({
+      id: 'institutionValidation',
+      version: '1.0.0',
+      description: 'Issuing institution exists, is active and verified',
+      weight: 0.1,
+      run: certificate => this.validateInstitution(certificate),
+      summarize: details => (details ? {
+        institutionId: details.id,
+        isActive: details.isActive,
+        isVerified: details.isVerified
+      } : null)
+    });
+    verificationPipeline.register({
+      id: 'duplicateCheck',
+      version: '1.0.0',
+      description: 'No other certificate with the same number or student details',
+      weight: 0.1,
+      run: certificate => this.checkForDuplicates(certificate),
+      summarize: details => ({ duplicateIds: (details || []).map(duplicate => duplicate.id) })
+    });
   }
 
   /**
@@ -32,68 +95,161 @@ class VerificationService {
           certificateId: certificateData.id,
           institutionId: verificationRequest.institutionId,
           verifiedById: verificationRequest.verifiedById,
+          shareId: verificationRequest.shareId,
         }
       });
 
-      // Perform verification checks
-      const verificationResult = await this.performVerificationChecks(certificateData, verification.id);
-      
-      // Update verification record with results
-      await prisma.verification.update({
-        where: { id: verification.id },
-        data: {
-          status: verificationResult.isValid ? 'COMPLETED' : 'FAILED',
-          isValid: verificationResult.isValid,
-          confidenceScore: verificationResult.confidenceScore,
-          verificationNotes: verificationResult.notes,
-          flaggedReasons: verificationResult.flaggedReasons,
-          verifiedAt: new Date(),
-          expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days
-        }
-      });
-
-      // Update certificate verification count
-      await prisma.certificate.update({
-        where: { id: certificateData.id },
-        data: {
-          verificationCount: { increment: 1 },
-          lastVerified: new Date(),
-        }
-      });
-
-      return {
-        verificationId: verification.id,
-        verificationCode: verification.verificationCode,
-        ...verificationResult
-      };
+      return await this.completeVerification(certificateData, verification);
     } catch (error) {
       logger.error('Certificate verification error:', error);
       throw new Error('Verification failed');
     }
   }
 
+  /**
+   * Run the checks for a created verification and record the results.
+   * expiresAt overrides the default 30 days the result stays available.
+   */
+  async completeVerification(certificateData, verification, { expiresAt = null } = {}) {
+    const prisma = getPrismaClient();
+
+    // Perform verification checks
+    const verificationResult = await this.performVerificationChecks(certificateData, verification.id);
+    
+    // Update verification record with results
+    await prisma.verification.update({
+      where: { id: verification.id },
+      data: {
+        status: verificationResult.isValid ? 'COMPLETED' : 'FAILED',
+        isValid: verificationResult.isValid,
+        confidenceScore: verificationResult.confidenceScore,
+        verificationNotes: verificationResult.notes,
+        flaggedReasons: verificationResult.flaggedReasons,
+        pipelineVersion: verificationResult.pipelineVersion,
+        checkResults: verificationResult.checkResults,
+        verifiedAt: new Date(),
+        expiresAt: expiresAt || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days
+      }
+    });
+
+    // Update certificate verification count
+    await prisma.certificate.update({
+      where: { id: certificateData.id },
+      data: {
+        verificationCount: { increment: 1 },
+        lastVerified: new Date(),
+      }
+    });
+
+    return {
+      verificationId: verification.id,
+      verificationCode: verification.verificationCode,
+      ...verificationResult
+    };
+  }
+
   /**
    * Perform comprehensive verification checks
    */
   async performVerificationChecks(certificate, verificationId) {
-    const checks = {
-      databaseMatch: await this.checkDatabaseMatch(certificate),
-      blockchainValidation: await this.checkBlockchainValidation(certificate),
-      anomalyDetection: await this.detectAnomalies(certificate, verificationId),
-      institutionValidation: await this.validateInstitution(certificate),
-      duplicateCheck: await this.checkForDuplicates(certificate),
-    };
+    // Blacklisted certificates, or those of a blacklisted institution, are
+    // refused outright
+    const blacklisting = await blacklistService.findForCertificate(certificate);
+    if (blacklisting) {
+      const result = this.buildBlacklistedResult(blacklisting);
+      return this.recordShortCircuit(certificate, result, 'blacklist', {
+        blacklistId: blacklisting.id,
+        type: blacklisting.type
+      });
+    }
+
+    // Revoked certificates get their own verdict instead of a failed check
+    const revocation = revocationService.getRevocationDetails(certificate);
+    if (revocation) {
+      const result = this.buildRevokedResult(revocation);
+      return this.recordShortCircuit(certificate, result, 'revocation', {
+        revokedAt: revocation.revokedAt,
+        effectiveAt: revocation.effectiveAt
+      });
+    }
+
+    const { checks, confidenceScore, isValid, version, record } = await verificationPipeline.run(certificate, { verificationId });
+
+    // A revocation recorded on the ledger wins over the database status
+    if (checks.blockchainValidation?.details?.revoked) {
+      return {
+        ...this.buildRevokedResult(checks.blockchainValidation.details.revocation, checks),
+        pipelineVersion: version,
+        checkResults: record
+      };
+    }
 
-    const confidenceScore = this.calculateConfidenceScore(checks);
-    const isValid = confidenceScore >= this.anomalyThresholds.mediumConfidence;
     const flaggedReasons = this.getFlaggedReasons(checks);
     
     return {
+      verdict: isValid ? 'VALID' : 'INVALID',
+      revocation: null,
+      blacklisting: null,
       isValid,
       confidenceScore,
       checks,
       flaggedReasons,
       notes: this.generateVerificationNotes(checks),
+      pipelineVersion: version,
+      checkResults: record
+    };
+  }
+
+  /**
+   * Add the pipeline version and check results to a result decided
+   * before the pipeline ran, naming the check that decided it
+   */
+  async recordShortCircuit(certificate, result, checkId, details) {
+    const { version, record } = await verificationPipeline.recordShortCircuit(certificate, {
+      id: checkId,
+      version: '1.0.0',
+      message: result.notes,
+      details
+    });
+
+    return { ...result, pipelineVersion: version, checkResults: record };
+  }
+
+  /**
+   * Verification result for a revoked certificate
+   */
+  buildRevokedResult(revocation, checks = {}) {
+    const message = revocation.reason ?
+      `Certificate has been revoked: ${revocation.reason}` :
+      'Certificate has been revoked';
+
+    return {
+      verdict: 'REVOKED',
+      revocation,
+      blacklisting: null,
+      isValid: false,
+      confidenceScore: 0,
+      checks,
+      flaggedReasons: [`revocation: ${message}`],
+      notes: message
+    };
+  }
+
+  /**
+   * Verification result for a blacklisted certificate or institution
+   */
+  buildBlacklistedResult(entry) {
+    const message = blacklistService.explain(entry);
+
+    return {
+      verdict: 'BLACKLISTED',
+      revocation: null,
+      blacklisting: blacklistService.describe(entry),
+      isValid: false,
+      confidenceScore: 0,
+      checks: {},
+      flaggedReasons: [`blacklist: ${message}`],
+      notes: message
     };
   }
 
@@ -105,22 +261,15 @@ class VerificationService {
       const prisma = getPrismaClient();
       
       const dbCertificate = await prisma.certificate.findFirst({
-        where: {
-          OR: [
-            { certificateNumber: certificate.certificateNumber },
-            {
-              AND: [
-                { studentName: { contains: certificate.studentName, mode: 'insensitive' } },
-                { rollNumber: certificate.rollNumber },
-                { institutionId: certificate.institutionId }
-              ]
-            }
-          ]
-        },
+        where: { certificateNumber: certificate.certificateNumber },
         include: {
           institution: true
         }
-      });
+      }) || await nameSearchService.findCertificate(
+        { rollNumber: certificate.rollNumber, institutionId: certificate.institutionId },
+        certificate.studentName,
+        { narrow: !certificate.rollNumber, include: { institution: true } }
+      );
 
       if (!dbCertificate) {
         return {
@@ -177,21 +326,22 @@ class VerificationService {
         }
       }
 
-      // Validate blockchain hash
-      const blockchainResult = await blockchainService.validateCertificate(certificate.blockchainHash);
+      // Validate blockchain hash (directly anchored or via Merkle proof)
+      const blockchainResult = await anchoringService.verifyCertificateAnchor(certificate);
       
       if (blockchainResult.isValid) {
         return {
           passed: true,
-          confidence: 100,
-          message: 'Blockchain validation successful',
+          // Hash matches but the batch has not been anchored yet
+          confidence: blockchainResult.pending ? 60 : 100,
+          message: blockchainResult.message,
           details: blockchainResult
         };
       } else {
         return {
           passed: false,
           confidence: 0,
-          message: 'Blockchain validation failed - certificate may be tampered',
+          message: blockchainResult.message,
           details: blockchainResult
         };
       }
@@ -220,7 +370,8 @@ class VerificationService {
           type: 'LOW_OCR_CONFIDENCE',
           severity: 'MEDIUM',
           description: `OCR confidence is low: ${certificate.ocrConfidence}%`,
-          confidence: 70
+          confidence: 70,
+          detector: 'verification.ocrConfidence'
         });
         overallConfidence -= 20;
       }
@@ -228,26 +379,26 @@ class VerificationService {
       // Check for tampered grades
       const gradeAnomaly = await this.detectGradeTampering(certificate);
       if (gradeAnomaly) {
-        anomalies.push(gradeAnomaly);
+        anomalies.push({ ...gradeAnomaly, detector: 'verification.gradeTampering' });
         overallConfidence -= 30;
       }
 
       // Check for invalid certificate numbers
       const certNumberAnomaly = this.validateCertificateNumber(certificate);
       if (certNumberAnomaly) {
-        anomalies.push(certNumberAnomaly);
+        anomalies.push({ ...certNumberAnomaly, detector: 'verification.certificateNumber' });
         overallConfidence -= 25;
       }
 
       // Check for suspicious patterns
       const patternAnomalies = this.detectSuspiciousPatterns(certificate);
-      anomalies.push(...patternAnomalies);
+      anomalies.push(...patternAnomalies.map(anomaly => ({ ...anomaly, detector: 'verification.suspiciousPatterns' })));
       overallConfidence -= patternAnomalies.length * 15;
 
       // Check date consistency
       const dateAnomaly = this.validateDates(certificate);
       if (dateAnomaly) {
-        anomalies.push(dateAnomaly);
+        anomalies.push({ ...dateAnomaly, detector: 'verification.dates' });
         overallConfidence -= 20;
       }
 
@@ -326,26 +477,19 @@ class VerificationService {
     try {
       const prisma = getPrismaClient();
       
-      const duplicates = await prisma.certificate.findMany({
-        where: {
-          AND: [
-            { id: { not: certificate.id } },
-            {
-              OR: [
-                { certificateNumber: certificate.certificateNumber },
-                {
-                  AND: [
-                    { studentName: certificate.studentName },
-                    { rollNumber: certificate.rollNumber },
-                    { course: certificate.course },
-                    { passingYear: certificate.passingYear }
-                  ]
-                }
-              ]
-            }
-          ]
-        }
-      });
+      const [sameNumber, sameStudent] = await Promise.all([
+        prisma.certificate.findMany({
+          where: { id: { not: certificate.id }, certificateNumber: certificate.certificateNumber }
+        }),
+        nameSearchService.findCertificates({
+          id: { not: certificate.id },
+          certificateNumber: { not: certificate.certificateNumber },
+          rollNumber: certificate.rollNumber,
+          course: certificate.course,
+          passingYear: certificate.passingYear
+        }, certificate.studentName, { narrow: !certificate.rollNumber })
+      ]);
+      const duplicates = [...sameNumber, ...sameStudent];
 
       return {
         passed: duplicates.length === 0,
@@ -387,8 +531,10 @@ class VerificationService {
       totalChecks += check.weight;
       
       if (cert1[check.field] && cert2[check.field]) {
-        if (check.field === 'studentName' || check.field === 'course') {
-          // Fuzzy matching for names and courses
+        if (check.field === 'studentName') {
+          score += nameSimilarity(cert1.studentName, cert2.studentName) * check.weight;
+        } else if (check.field === 'course') {
+          // Fuzzy matching for courses
           const similarity = this.calculateStringSimilarity(
             cert1[check.field].toLowerCase(),
             cert2[check.field].toLowerCase()
@@ -417,24 +563,7 @@ class VerificationService {
    * Calculate string similarity using Levenshtein distance
    */
   calculateStringSimilarity(str1, str2) {
-    const matrix = Array(str2.length + 1).fill().map(() => Array(str1.length + 1).fill(0));
-    
-    for (let i = 0; i <= str1.length; i++) matrix[0][i] = i;
-    for (let j = 0; j <= str2.length; j++) matrix[j][0] = j;
-    
-    for (let j = 1; j <= str2.length; j++) {
-      for (let i = 1; i <= str1.length; i++) {
-        const cost = str1[i - 1] === str2[j - 1] ? 0 : 1;
-        matrix[j][i] = Math.min(
-          matrix[j][i - 1] + 1,
-          matrix[j - 1][i] + 1,
-          matrix[j - 1][i - 1] + cost
-        );
-      }
-    }
-    
-    const maxLength = Math.max(str1.length, str2.length);
-    return maxLength === 0 ? 1 : (maxLength - matrix[str2.length][str1.length]) / maxLength;
+    return levenshteinSimilarity(str1, str2);
   }
 
   /**
@@ -614,6 +743,7 @@ class VerificationService {
             severity: anomaly.severity,
             description: anomaly.description,
             detectionMethod: 'AI',
+            detector: anomaly.detector,
             confidence: anomaly.confidence / 100,
             metadata: anomaly.metadata || {}
           }
@@ -624,31 +754,6 @@ class VerificationService {
     }
   }
 
-  /**
-   * Calculate overall confidence score
-   */
-  calculateConfidenceScore(checks) {
-    const weights = {
-      databaseMatch: 0.4,
-      blockchainValidation: 0.2,
-      anomalyDetection: 0.2,
-      institutionValidation: 0.1,
-      duplicateCheck: 0.1
-    };
-
-    let totalScore = 0;
-    let totalWeight = 0;
-
-    for (const [checkName, check] of Object.entries(checks)) {
-      if (weights[checkName]) {
-        totalScore += check.confidence * weights[checkName];
-        totalWeight += weights[checkName];
-      }
-    }
-
-    return totalWeight > 0 ? Math.round(totalScore / totalWeight) : 0;
-  }
-
   /**
    * Get flagged reasons from checks
    */
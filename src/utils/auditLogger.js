@@ -262,6 +262,44 @@ class AuditService {
     }
   }
 
+  /**
+   * Log acceptance of a role invitation
+   */
+  async logInvitationAccepted(invitation, user, ipAddress = null, userAgent = null) {
+    const logData = {
+      category: 'AUTHENTICATION',
+      action: 'INVITATION_ACCEPTED',
+      userId: user.id,
+      email: user.email,
+      invitationId: invitation.id,
+      role: invitation.role,
+      institutionId: invitation.institutionId,
+      invitedById: invitation.invitedById,
+      ipAddress,
+      userAgent,
+      timestamp: new Date().toISOString()
+    };
+
+    this.logger.warn('Invitation accepted', logData); // Grants a privileged role
+
+    try {
+      const prisma = getPrismaClient();
+      await prisma.auditLog.create({
+        data: {
+          category: 'AUTHENTICATION',
+          action: 'INVITATION_ACCEPTED',
+          userId: user.id,
+          details: JSON.stringify(logData),
+          ipAddress,
+          userAgent,
+          success: true
+        }
+      });
+    } catch (error) {
+      this.logger.error('Failed to save invitation audit log to database', error);
+    }
+  }
+
   /**
    * Log blockchain operations
    */
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+
+/**
+ * AES-256-GCM encryption for secrets stored in the database
+ * (signing keys and similar). The key is derived from DATA_ENCRYPTION_KEY.
+ */
+
+const VERSION = 'v1';
+
+let derivedKey = null;
+
+const getKey = () => {
+  if (!derivedKey) {
+    const secret = process.env.DATA_ENCRYPTION_KEY;
+    if (!secret) {
+      throw new Error('DATA_ENCRYPTION_KEY is not configured');
+    }
+    derivedKey = crypto.scryptSync(secret, 'degree-defenders-data-encryption', 32);
+  }
+  return derivedKey;
+};
+
+/**
+ * Encrypt a UTF-8 string into `v1:<iv>:<tag>:<ciphertext>` (base64 parts)
+ */
+const encryptSecret = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return [VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+};
+
+/**
+ * Decrypt a value produced by encryptSecret
+ */
+const decryptSecret = (payload) => {
+  const [version, iv, tag, ciphertext] = payload.split(':');
+  if (version !== VERSION || !iv || !tag || !ciphertext) {
+    throw new Error('Unrecognised encrypted secret format');
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+};
+
+module.exports = {
+  encryptSecret,
+  decryptSecret
+};
@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+
+/**
+ * Compact JWS (RFC 7515) signing for Ed25519 and RSA keys.
+ * jsonwebtoken does not support EdDSA, so tokens are assembled here.
+ */
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+/**
+ * JWS algorithm for a Node KeyObject
+ */
+const algorithmForKey = (key) => {
+  switch (key.asymmetricKeyType) {
+    case 'ed25519':
+      return 'EdDSA';
+    case 'rsa':
+      return 'RS256';
+    default:
+      throw new Error(`Unsupported signing key type: ${key.asymmetricKeyType}`);
+  }
+};
+
+// Ed25519 hashes internally, so Node expects a null digest for it
+const digestFor = (alg) => (alg === 'EdDSA' ? null : 'sha256');
+
+/**
+ * Sign a JSON payload into a compact JWS
+ */
+const signJws = (payload, privateKey, header = {}) => {
+  const alg = algorithmForKey(privateKey);
+  const signingInput = `${base64url(JSON.stringify({ ...header, alg }))}.${base64url(JSON.stringify(payload))}`;
+  const signature = crypto.sign(digestFor(alg), Buffer.from(signingInput), privateKey);
+
+  return `${signingInput}.${signature.toString('base64url')}`;
+};
+
+/**
+ * Split a compact JWS without checking its signature
+ */
+const decodeJws = (token) => {
+  if (typeof token !== 'string') {
+    throw new Error('JWS must be a string');
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new Error('JWS must have three segments');
+  }
+
+  return {
+    header: decodeSegment(parts[0]),
+    payload: decodeSegment(parts[1]),
+    signingInput: `${parts[0]}.${parts[1]}`,
+    signature: Buffer.from(parts[2], 'base64url')
+  };
+};
+
+/**
+ * Check a decoded JWS against a public key
+ */
+const verifyJws = (decoded, publicKey) => {
+  try {
+    const alg = algorithmForKey(publicKey);
+    if (decoded.header.alg !== alg) {
+      return false;
+    }
+    return crypto.verify(digestFor(alg), Buffer.from(decoded.signingInput), publicKey, decoded.signature);
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = {
+  algorithmForKey,
+  signJws,
+  decodeJws,
+  verifyJws
+};
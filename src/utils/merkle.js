@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+
+// Domain separation keeps a leaf from ever being mistaken for an inner node
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+const sha256 = (...buffers) => crypto.createHash('sha256').update(Buffer.concat(buffers)).digest('hex');
+
+/**
+ * Hash a hex-encoded certificate hash into a Merkle leaf
+ */
+const hashLeaf = (value) => sha256(LEAF_PREFIX, Buffer.from(value, 'hex'));
+
+/**
+ * Hash two hex-encoded child nodes into their parent
+ */
+const hashNode = (left, right) => sha256(NODE_PREFIX, Buffer.from(left, 'hex'), Buffer.from(right, 'hex'));
+
+/**
+ * Build a Merkle tree over hex-encoded values.
+ * An odd node at the end of a level is promoted to the next level unchanged.
+ */
+const buildMerkleTree = (values) => {
+  if (values.length === 0) {
+    throw new Error('Cannot build a Merkle tree without leaves');
+  }
+
+  const levels = [values.map(hashLeaf)];
+  while (levels[levels.length - 1].length > 1) {
+    const current = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < current.length; i += 2) {
+      next.push(i + 1 < current.length ? hashNode(current[i], current[i + 1]) : current[i]);
+    }
+    levels.push(next);
+  }
+
+  return {
+    root: levels[levels.length - 1][0],
+    levels
+  };
+};
+
+/**
+ * Get the sibling path proving the leaf at `index` is part of the tree
+ */
+const getMerkleProof = (tree, index) => {
+  const siblings = [];
+  let position = index;
+
+  for (let level = 0; level < tree.levels.length - 1; level++) {
+    const nodes = tree.levels[level];
+    const siblingIndex = position % 2 === 0 ? position + 1 : position - 1;
+
+    if (siblingIndex < nodes.length) {
+      siblings.push({
+        position: position % 2 === 0 ? 'right' : 'left',
+        hash: nodes[siblingIndex]
+      });
+    }
+    position = Math.floor(position / 2);
+  }
+
+  return siblings;
+};
+
+/**
+ * Recompute the root from a value and its sibling path
+ */
+const computeMerkleRoot = (value, siblings) => siblings.reduce(
+  (node, sibling) => (sibling.position === 'left' ? hashNode(sibling.hash, node) : hashNode(node, sibling.hash)),
+  hashLeaf(value)
+);
+
+/**
+ * Check that a value belongs to the tree with the given root
+ */
+const verifyMerkleProof = (value, siblings, root) => {
+  try {
+    return computeMerkleRoot(value, siblings) === root;
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = {
+  buildMerkleTree,
+  getMerkleProof,
+  computeMerkleRoot,
+  verifyMerkleProof
+};
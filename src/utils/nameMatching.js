@@ -0,0 +1,274 @@
+const { levenshteinSimilarity } = require('./similarity');
+
+/**
+ * Fuzzy matching of Indian personal names.
+ *
+ * Names are brought to a common Latin form: Devanagari is transliterated,
+ * diacritics and punctuation dropped, honorifics and the suffixes Kumari
+ * and Devi removed and common abbreviations (Md, Mohd, Kr, Ku, Pd)
+ * expanded. Tokens are then aligned
+ * regardless of order, initials match any token with that first letter and
+ * spelling variants (Shrivastava/Srivastava, Laxmi/Lakshmi, Gourav/Gaurav)
+ * share a phonetic key. Latin and Devanagari spellings of a name therefore
+ * compare as the same name.
+ */
+
+const NAME_MATCH_THRESHOLD = 0.9;
+
+const CONSONANTS = {
+  'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n',
+  'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'n',
+  'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+  'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+  'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+  'य': 'y', 'र': 'r', 'ल': 'l', 'ळ': 'l', 'व': 'v',
+  'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h',
+  // Precomposed nukta forms
+  'क़': 'q', 'ख़': 'kh', 'ग़': 'g', 'ज़': 'z',
+  'ड़': 'r', 'ढ़': 'rh', 'फ़': 'f', 'य़': 'y'
+};
+
+const VOWELS = {
+  'अ': 'a', 'आ': 'aa', 'इ': 'i', 'ई': 'ee', 'उ': 'u', 'ऊ': 'oo',
+  'ऋ': 'ri', 'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au', 'ऑ': 'o'
+};
+
+const VOWEL_SIGNS = {
+  'ा': 'aa', 'ि': 'i', 'ी': 'ee', 'ु': 'u', 'ू': 'oo', 'ृ': 'ri',
+  'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au', 'ॉ': 'o'
+};
+
+// Consonant changed by a following nukta (ज़ = ज + ़)
+const NUKTA = { k: 'q', j: 'z', ph: 'f', d: 'r', dh: 'rh' };
+
+const VIRAMA = '्';
+const NUKTA_SIGN = '़';
+const NASALS = ['ं', 'ँ'];
+const VISARGA = 'ः';
+
+// Dropped from the start of a name
+const HONORIFICS = new Set([
+  'MR', 'MRS', 'MS', 'MISS', 'DR', 'PROF', 'SHRI', 'SRI', 'SHREE', 'SH',
+  'SMT', 'SUSHRI', 'KUMARI', 'KUM', 'KU', 'MASTER', 'LATE'
+]);
+
+// Dropped anywhere after the first token: they mark a woman's name rather
+// than identify her, and are written or left out at will (Anjali Kumari,
+// Kumari Anjali, Anjali)
+const NAME_SUFFIXES = new Set(['KUMARI', 'DEVI']);
+
+const ABBREVIATIONS = {
+  MD: 'MOHAMMAD',
+  MOHD: 'MOHAMMAD',
+  MOHAMMED: 'MOHAMMAD',
+  MOHAMED: 'MOHAMMAD',
+  MOHAMAD: 'MOHAMMAD',
+  MUHAMMAD: 'MOHAMMAD',
+  MUHAMMED: 'MOHAMMAD',
+  KR: 'KUMAR',
+  KU: 'KUMARI',
+  KUM: 'KUMARI',
+  PD: 'PRASAD'
+};
+
+// Spelling variants mapped to one form, applied in order
+const PHONETIC_RULES = [
+  [/KSH|X/g, 'KS'],
+  [/PH/g, 'F'],
+  [/Q/g, 'K'],
+  [/Z/g, 'J'],
+  [/W/g, 'V'],
+  [/CHH/g, 'CH'],
+  [/CK/g, 'K'],
+  [/C(?!H)/g, 'K'],
+  [/SH/g, 'S'],
+  [/([KGCJTDPB])H/g, '$1'],
+  [/AU|OU/g, 'O'],
+  [/EE|II|IE/g, 'I'],
+  [/OO|UU/g, 'U'],
+  [/AA/g, 'A'],
+  [/AY|EY/g, 'AI'],
+  [/Y$/g, 'I'],
+  [/M([BP])/g, 'N$1'],
+  [/(.)\1+/g, '$1']
+];
+
+/**
+ * Latin transliteration of the Devanagari in a string; other characters
+ * are kept. The inherent vowel is written except at the end of a word
+ * (राम → ram).
+ */
+const transliterate = text => {
+  let output = '';
+  let inherentVowel = false;
+
+  for (const char of String(text || '')) {
+    if (char === NUKTA_SIGN) {
+      for (const [plain, modified] of Object.entries(NUKTA)) {
+        if (output.endsWith(plain)) {
+          output = output.slice(0, -plain.length) + modified;
+          break;
+        }
+      }
+      continue;
+    }
+
+    if (VOWEL_SIGNS[char]) {
+      output += VOWEL_SIGNS[char];
+      inherentVowel = false;
+      continue;
+    }
+    if (char === VIRAMA) {
+      inherentVowel = false;
+      continue;
+    }
+
+    const endsWord = !CONSONANTS[char] && !VOWELS[char] && !NASALS.includes(char) && char !== VISARGA;
+    if (inherentVowel && !endsWord) {
+      output += 'a';
+    }
+    inherentVowel = false;
+
+    if (CONSONANTS[char]) {
+      output += CONSONANTS[char];
+      inherentVowel = true;
+    } else if (VOWELS[char]) {
+      output += VOWELS[char];
+    } else if (NASALS.includes(char)) {
+      output += 'n';
+    } else if (char === VISARGA) {
+      output += 'h';
+    } else {
+      output += char === '।' ? ' ' : char;
+    }
+  }
+
+  return output;
+};
+
+const hasVowel = token => /[AEIOUY]/.test(token);
+
+/**
+ * Name as upper-case Latin tokens without honorifics or suffixes, with
+ * abbreviations expanded and initials as single letters
+ * ("R.K. Singh" → R, K, SINGH)
+ */
+const tokenizeName = name => {
+  const latin = transliterate(name)
+    .normalize('NFKD')
+    .replace(/[̀-ͯ]/g, '')
+    .toUpperCase();
+
+  const tokens = latin.replace(/[^A-Z]+/g, ' ').trim().split(' ').filter(Boolean);
+
+  while (tokens.length > 1 && HONORIFICS.has(tokens[0])) {
+    tokens.shift();
+  }
+
+  return tokens
+    .flatMap(token => {
+      if (ABBREVIATIONS[token]) {
+        return [ABBREVIATIONS[token]];
+      }
+      // Run-together initials such as "RK"
+      return token.length <= 3 && !hasVowel(token) ? token.split('') : [token];
+    })
+    .filter((token, index) => index === 0 || !NAME_SUFFIXES.has(token));
+};
+
+const normalizeName = name => tokenizeName(name).join(' ');
+
+/**
+ * Key shared by spellings of a name token that sound alike
+ */
+const phoneticKey = token => {
+  let key = String(token).toUpperCase();
+  for (const [pattern, replacement] of PHONETIC_RULES) {
+    key = key.replace(pattern, replacement);
+  }
+  // The short a between consonants and at the end is often not written
+  // (Irafan/Irfan, Kamala/Kamla, Krishna/Krishn)
+  if (key.length > 3) {
+    key = key.replace(/(?<=[^AEIOU])A(?=[^AEIOU])/g, '').replace(/A$/, '');
+  }
+  return key;
+};
+
+const tokenSimilarity = (a, b) => {
+  if (a === b) {
+    return 1;
+  }
+  if (a.length === 1 || b.length === 1) {
+    return a[0] === b[0] ? 0.9 : 0;
+  }
+
+  const keyA = phoneticKey(a);
+  const keyB = phoneticKey(b);
+  if (keyA === keyB) {
+    return 0.95;
+  }
+  return Math.max(levenshteinSimilarity(a, b), levenshteinSimilarity(keyA, keyB)) * 0.95;
+};
+
+/**
+ * Similarity of two names from 0 to 1. Tokens are paired best-first
+ * whatever their order; unpaired tokens count as mismatches. Names written
+ * with different spacing (Ravikumar / Ravi Kumar) are also compared as a
+ * whole.
+ */
+const nameSimilarity = (name1, name2) => {
+  const tokens1 = tokenizeName(name1);
+  const tokens2 = tokenizeName(name2);
+  if (tokens1.length === 0 || tokens2.length === 0) {
+    return 0;
+  }
+
+  const pairs = [];
+  tokens1.forEach((a, i) => tokens2.forEach((b, j) => pairs.push({ i, j, score: tokenSimilarity(a, b) })));
+  pairs.sort((x, y) => y.score - x.score);
+
+  const used1 = new Set();
+  const used2 = new Set();
+  let total = 0;
+  for (const { i, j, score } of pairs) {
+    if (score > 0 && !used1.has(i) && !used2.has(j)) {
+      used1.add(i);
+      used2.add(j);
+      total += score;
+    }
+  }
+  const tokenScore = total / Math.max(tokens1.length, tokens2.length);
+
+  const compact = tokens => tokens.map(phoneticKey).join('');
+  const compactScore = tokens1.length !== tokens2.length
+    ? levenshteinSimilarity(compact(tokens1), compact(tokens2)) * 0.95
+    : 0;
+
+  return Math.round(Math.max(tokenScore, compactScore) * 1000) / 1000;
+};
+
+/**
+ * Prisma condition narrowing a search to records sharing a full name token
+ * with the name, for ranking with nameSimilarity. Records stored in another
+ * script are only found through other criteria.
+ */
+const nameSearchFilter = (name, field = 'studentName') => {
+  const raw = transliterate(name).toUpperCase().replace(/[^A-Z]+/g, ' ').trim().split(' ');
+  const terms = [...new Set([...raw, ...tokenizeName(name)])]
+    .filter(term => term.length >= 3 && !HONORIFICS.has(term) && !NAME_SUFFIXES.has(term));
+
+  if (terms.length === 0) {
+    return { [field]: { contains: String(name).trim(), mode: 'insensitive' } };
+  }
+  return { OR: terms.map(term => ({ [field]: { contains: term, mode: 'insensitive' } })) };
+};
+
+module.exports = {
+  NAME_MATCH_THRESHOLD,
+  transliterate,
+  tokenizeName,
+  normalizeName,
+  phoneticKey,
+  nameSimilarity,
+  nameSearchFilter
+};
@@ -0,0 +1,31 @@
+/**
+ * Edit distance between two strings (insertions, deletions, substitutions)
+ */
+const levenshteinDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(current[j - 1] + 1, previous[j] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Similarity from 0 (nothing in common) to 1 (identical), based on edit
+ * distance relative to the longer string
+ */
+const levenshteinSimilarity = (a, b) => {
+  const maxLength = Math.max(a.length, b.length);
+  return maxLength === 0 ? 1 : (maxLength - levenshteinDistance(a, b)) / maxLength;
+};
+
+module.exports = {
+  levenshteinDistance,
+  levenshteinSimilarity
+};
@@ -0,0 +1,163 @@
+jest.mock('../src/config/database', () => ({ getPrismaClient: jest.fn() }));
+jest.mock('../src/services/notificationService', () => ({
+  sendEmailVerification: jest.fn(async () => true),
+  sendPasswordReset: jest.fn(async () => true),
+  sendPhoneVerificationCode: jest.fn(async () => true)
+}));
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const bcrypt = require('bcryptjs');
+const request = require('supertest');
+const { getPrismaClient } = require('../src/config/database');
+const notificationService = require('../src/services/notificationService');
+const blacklistService = require('../src/services/blacklistService');
+const { createFakePrisma, RELATIONS } = require('./helpers/fakePrisma');
+const { buildApp } = require('./helpers/app');
+
+const authRoutes = require('../src/routes/auth');
+
+const NEW_PASSWORD = 'N3w-Passw0rd!';
+
+describe('account self-service', () => {
+  let prisma;
+  let tables;
+  let app;
+  let user;
+
+  beforeEach(async () => {
+    ({ client: prisma, tables } = createFakePrisma({
+      relations: RELATIONS,
+      defaults: {
+        session: { lastUsedAt: () => new Date(), revokedAt: null, previousTokenHash: null },
+        accountToken: { usedAt: null, attempts: 0 }
+      }
+    }));
+    getPrismaClient.mockReturnValue(prisma);
+    blacklistService.invalidate();
+    app = buildApp('/api/auth', authRoutes);
+    for (const send of Object.values(notificationService)) {
+      send.mockClear();
+    }
+
+    user = await prisma.user.create({
+      data: {
+        email: 'asha@example.test',
+        password: await bcrypt.hash('correct horse', 4),
+        firstName: 'Asha',
+        lastName: 'Kumari',
+        role: 'VERIFIER',
+        isActive: true,
+        emailVerified: false,
+        phone: null,
+        phoneVerified: false,
+        twoFactorEnabled: false
+      }
+    });
+  });
+
+  const login = async (password = 'correct horse') => request(app).post('/api/auth/login')
+    .send({ email: 'asha@example.test', password });
+  const as = async () => `Bearer ${(await login()).body.data.token}`;
+  const lastToken = send => send.mock.calls[send.mock.calls.length - 1][1];
+
+  test('the profile can be edited, and a changed email must be verified again', async () => {
+    await prisma.user.update({ where: { id: user.id }, data: { emailVerified: true } });
+    const authorization = await as();
+
+    const res = await request(app).put('/api/auth/profile').set('Authorization', authorization)
+      .send({ firstName: 'Asha Rani', email: 'asha.rani@example.test' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ firstName: 'Asha Rani', email: 'asha.rani@example.test', emailVerified: false });
+    expect(res.body.data.password).toBeUndefined();
+    expect(notificationService.sendEmailVerification).toHaveBeenCalledTimes(1);
+  });
+
+  test('the email cannot be changed to one already in use', async () => {
+    await prisma.user.create({ data: { email: 'taken@example.test', isActive: true } });
+
+    const res = await request(app).put('/api/auth/profile').set('Authorization', await as())
+      .send({ email: 'taken@example.test' });
+
+    expect(res.status).toBe(400);
+    expect(tables.user[0].email).toBe('asha@example.test');
+  });
+
+  test('an email verification link works once, and not after the address changes', async () => {
+    const authorization = await as();
+    expect((await request(app).post('/api/auth/verify-email/request').set('Authorization', authorization)).status).toBe(200);
+    const token = lastToken(notificationService.sendEmailVerification);
+
+    expect((await request(app).post('/api/auth/verify-email').send({ token })).status).toBe(200);
+    expect(tables.user[0].emailVerified).toBe(true);
+    expect((await request(app).post('/api/auth/verify-email').send({ token })).status).toBe(400);
+
+    await request(app).put('/api/auth/profile').set('Authorization', authorization).send({ email: 'asha.rani@example.test' });
+    const stale = lastToken(notificationService.sendEmailVerification);
+    await prisma.user.update({ where: { id: user.id }, data: { email: 'asha.k@example.test' } });
+    expect((await request(app).post('/api/auth/verify-email').send({ token: stale })).status).toBe(400);
+  });
+
+  test('a phone code verifies the number and is limited in attempts', async () => {
+    const authorization = await as();
+    await request(app).put('/api/auth/profile').set('Authorization', authorization).send({ phone: '9876543210' });
+
+    expect((await request(app).post('/api/auth/verify-phone/request').set('Authorization', authorization)).status).toBe(200);
+    const code = notificationService.sendPhoneVerificationCode.mock.calls[0][1];
+    const wrong = code === '000000' ? '111111' : '000000';
+
+    const attempt = presented => request(app).post('/api/auth/verify-phone').set('Authorization', authorization).send({ code: presented });
+    for (let n = 0; n < 5; n++) {
+      expect((await attempt(wrong)).body.message).toBe('Incorrect verification code');
+    }
+    expect((await attempt(code)).body.message).toBe('Too many incorrect attempts. Please request a new code.');
+
+    await request(app).post('/api/auth/verify-phone/request').set('Authorization', authorization);
+    const fresh = lastToken(notificationService.sendPhoneVerificationCode);
+    expect((await attempt(fresh)).status).toBe(200);
+    expect(tables.user[0].phoneVerified).toBe(true);
+  });
+
+  test('changing the password needs the current one and logs out other sessions', async () => {
+    const other = (await login()).body.data;
+    const current = (await login()).body.data;
+    const change = body => request(app).post('/api/auth/change-password')
+      .set('Authorization', `Bearer ${current.token}`)
+      .send(body);
+
+    expect((await change({ currentPassword: 'wrong', newPassword: NEW_PASSWORD })).status).toBe(400);
+
+    const res = await change({ currentPassword: 'correct horse', newPassword: NEW_PASSWORD });
+    expect(res.status).toBe(200);
+
+    expect((await request(app).get('/api/auth/me').set('Authorization', `Bearer ${current.token}`)).status).toBe(200);
+    expect((await request(app).get('/api/auth/me').set('Authorization', `Bearer ${other.token}`)).status).toBe(401);
+    expect((await login(NEW_PASSWORD)).status).toBe(200);
+  });
+
+  test('a password reset link sets a new password once and ends every session', async () => {
+    const { token: accessToken } = (await login()).body.data;
+
+    const unknown = await request(app).post('/api/auth/forgot-password').send({ email: 'nobody@example.test' });
+    const known = await request(app).post('/api/auth/forgot-password').send({ email: 'asha@example.test' });
+    expect(unknown.body).toEqual(known.body);
+    expect(notificationService.sendPasswordReset).toHaveBeenCalledTimes(1);
+
+    const token = lastToken(notificationService.sendPasswordReset);
+    expect((await request(app).post('/api/auth/reset-password').send({ token, newPassword: NEW_PASSWORD })).status).toBe(200);
+    expect((await request(app).post('/api/auth/reset-password').send({ token, newPassword: 'An0ther-Passw0rd!' })).status).toBe(400);
+
+    expect(tables.user[0].emailVerified).toBe(true);
+    expect((await request(app).get('/api/auth/me').set('Authorization', `Bearer ${accessToken}`)).status).toBe(401);
+    expect((await login(NEW_PASSWORD)).status).toBe(200);
+  });
+
+  test('a newer reset link cancels the older one', async () => {
+    await request(app).post('/api/auth/forgot-password').send({ email: 'asha@example.test' });
+    const older = lastToken(notificationService.sendPasswordReset);
+    await request(app).post('/api/auth/forgot-password').send({ email: 'asha@example.test' });
+
+    expect((await request(app).post('/api/auth/reset-password').send({ token: older, newPassword: NEW_PASSWORD })).status).toBe(400);
+  });
+});
@@ -0,0 +1,96 @@
+jest.mock('../src/config/database', () => ({ getPrismaClient: jest.fn() }));
+jest.mock('../src/services/blockchainService', () => ({
+  anchorMerkleRoot: jest.fn(),
+  generateCertificateHash: jest.fn()
+}));
+
+const { getPrismaClient } = require('../src/config/database');
+const blockchainService = require('../src/services/blockchainService');
+const anchoringService = require('../src/services/anchoringService');
+const { createFakePrisma } = require('./helpers/fakePrisma');
+
+const hash = n => n.toString(16).padStart(64, '0');
+
+describe('anchoringService', () => {
+  let prisma;
+  let tables;
+
+  beforeEach(() => {
+    ({ client: prisma, tables } = createFakePrisma({
+      defaults: { anchorBatch: { status: 'PENDING', leafCount: 0 } }
+    }));
+    getPrismaClient.mockReturnValue(prisma);
+    blockchainService.anchorMerkleRoot.mockReset().mockResolvedValue({
+      ledger: 'local',
+      transactionHash: '0xabc',
+      blockNumber: 1
+    });
+  });
+
+  const queue = async (count, extra = {}) => {
+    for (let i = 1; i <= count; i++) {
+      await prisma.certificate.create({
+        data: { blockchainHash: hash(i), anchorStatus: 'QUEUED', anchorBatchId: null, ...extra }
+      });
+    }
+  };
+
+  test('anchors queued certificates in one batch', async () => {
+    await queue(3);
+
+    const batches = await anchoringService.flush();
+
+    expect(batches).toHaveLength(1);
+    expect(batches[0].status).toBe('ANCHORED');
+    expect(tables.certificate.every(c => c.anchorStatus === 'ANCHORED' && c.merkleProof)).toBe(true);
+  });
+
+  test('recovers certificates claimed by a run that crashed before the ledger write', async () => {
+    // State left by a crash right after the claim
+    const abandoned = await prisma.anchorBatch.create({ data: {} });
+    await queue(2, { anchorBatchId: abandoned.id });
+    tables.anchorBatch[0].updatedAt = new Date(Date.now() - anchoringService.staleBatchMs - 1000);
+
+    const batches = await anchoringService.flush();
+
+    expect(tables.anchorBatch.find(b => b.id === abandoned.id).status).toBe('FAILED');
+    expect(batches).toHaveLength(1);
+    expect(batches[0].id).not.toBe(abandoned.id);
+    expect(tables.certificate.every(c => c.anchorStatus === 'ANCHORED' && c.anchorBatchId === batches[0].id)).toBe(true);
+  });
+
+  test('leaves a batch that is still being anchored alone', async () => {
+    const running = await prisma.anchorBatch.create({ data: {} });
+    await queue(2, { anchorBatchId: running.id });
+
+    expect(await anchoringService.recoverStaleBatches()).toBe(0);
+    expect(await anchoringService.flush()).toEqual([]);
+    expect(tables.anchorBatch[0].status).toBe('PENDING');
+    expect(tables.certificate.every(c => c.anchorBatchId === running.id)).toBe(true);
+  });
+
+  test('gives recording a large batch more than the default transaction timeout', async () => {
+    await queue(200);
+    const transaction = jest.fn((operations, options) => prisma.$transaction(operations, options));
+    getPrismaClient.mockReturnValue(new Proxy(prisma, {
+      get: (target, property) => (property === '$transaction' ? transaction : target[property])
+    }));
+
+    const [batch] = await anchoringService.flush();
+
+    expect(batch.status).toBe('ANCHORED');
+    const [, options] = transaction.mock.calls.find(([, opts]) => opts);
+    expect(options.timeout).toBeGreaterThanOrEqual(5000 + 200 * anchoringService.proofWriteMs);
+    expect(options.maxWait).toBeGreaterThan(0);
+  });
+
+  test('releases certificates when the ledger write fails', async () => {
+    await queue(2);
+    blockchainService.anchorMerkleRoot.mockRejectedValueOnce(new Error('ledger down'));
+
+    const [batch] = await anchoringService.flush();
+
+    expect(batch.status).toBe('FAILED');
+    expect(tables.certificate.every(c => c.anchorStatus === 'QUEUED' && c.anchorBatchId === null)).toBe(true);
+  });
+});
@@ -0,0 +1,119 @@
+jest.mock('../src/config/database', () => ({ getPrismaClient: jest.fn() }));
+jest.mock('../src/services/blockchainService', () => ({}));
+jest.mock('../src/services/ocrService', () => ({}));
+
+const request = require('supertest');
+const { getPrismaClient } = require('../src/config/database');
+const permissionService = require('../src/services/permissionService');
+const { createFakePrisma, RELATIONS } = require('./helpers/fakePrisma');
+const { buildApp } = require('./helpers/app');
+const { signIn } = require('./helpers/auth');
+
+const adminRoutes = require('../src/routes/admin');
+
+describe('anomaly review', () => {
+  let prisma;
+  let tables;
+  let app;
+  let institution;
+  let certificate;
+  let reviewer;
+
+  beforeEach(async () => {
+    ({ client: prisma, tables } = createFakePrisma({ relations: RELATIONS }));
+    getPrismaClient.mockReturnValue(prisma);
+    permissionService.bundleCache = null;
+    app = buildApp('/api/admin', adminRoutes);
+
+    institution = await prisma.institution.create({ data: { name: 'Ranchi University', code: 'RU' } });
+    certificate = await prisma.certificate.create({
+      data: { certificateNumber: 'RU/2020/1', studentName: 'Asha Kumari', status: 'FLAGGED', institutionId: institution.id }
+    });
+    reviewer = await signIn(prisma, { role: 'UNIVERSITY_ADMIN', institutionId: institution.id });
+  });
+
+  const raise = (fields = {}) => prisma.anomaly.create({
+    data: {
+      certificateId: certificate.id,
+      type: 'GRADE_TAMPERING',
+      detector: 'grade-consistency',
+      severity: 'HIGH',
+      status: 'NEW',
+      description: 'Grade does not match marks',
+      ...fields
+    }
+  });
+  const review = (anomaly, as = reviewer) => request(app)
+    .patch(`/api/admin/anomalies/${anomaly.id}/review`)
+    .set('Authorization', as.authorization)
+    .send({ notes: 'Checking with the exam cell' });
+  const resolve = (anomaly, outcome, notes = 'Checked the marks register', as = reviewer) => request(app)
+    .post(`/api/admin/anomalies/${anomaly.id}/resolve`)
+    .set('Authorization', as.authorization)
+    .send({ outcome, notes });
+
+  test('confirmed fraud rejects the certificate and records the change', async () => {
+    const anomaly = await raise();
+
+    const started = await review(anomaly);
+    expect(started.status).toBe(200);
+    expect(started.body.data.anomaly).toMatchObject({ status: 'UNDER_REVIEW', reviewedById: reviewer.user.id });
+    expect((await review(anomaly)).status).toBe(400);
+
+    const res = await resolve(anomaly, 'CONFIRMED_FRAUD');
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ anomaly: { status: 'CONFIRMED_FRAUD' }, certificateStatus: 'REJECTED' });
+    expect(tables.certificate[0].status).toBe('REJECTED');
+    expect(tables.certificateChange).toEqual([
+      expect.objectContaining({ field: 'status', oldValue: 'FLAGGED', newValue: 'REJECTED', source: 'ANOMALY_REVIEW' })
+    ]);
+
+    expect((await resolve(anomaly, 'DISMISSED')).status).toBe(400);
+  });
+
+  test('a flagged certificate returns to PENDING once its last serious anomaly is dismissed', async () => {
+    const first = await raise();
+    const second = await raise({ severity: 'CRITICAL' });
+    await raise({ severity: 'LOW' });
+
+    const partly = await resolve(first, 'DISMISSED');
+    expect(partly.body.data.certificateStatus).toBe('FLAGGED');
+
+    const cleared = await resolve(second, 'DISMISSED');
+    expect(cleared.body.data.certificateStatus).toBe('PENDING');
+    expect(tables.certificate[0].status).toBe('PENDING');
+  });
+
+  test('an outcome needs reviewer notes', async () => {
+    const anomaly = await raise();
+
+    expect((await resolve(anomaly, 'DISMISSED', '')).status).toBe(400);
+    expect((await resolve(anomaly, 'ESCALATED')).status).toBe(400);
+    expect(tables.anomaly[0].status).toBe('NEW');
+  });
+
+  test('reviewers only resolve anomalies of their own institution', async () => {
+    const other = await prisma.institution.create({ data: { name: 'Vinoba Bhave University', code: 'VBU' } });
+    const outsider = await signIn(prisma, { role: 'UNIVERSITY_ADMIN', institutionId: other.id });
+    const anomaly = await raise();
+
+    expect((await review(anomaly, outsider)).status).toBe(403);
+    expect((await resolve(anomaly, 'CONFIRMED_FRAUD', 'Fake', outsider)).status).toBe(403);
+    expect(tables.certificate[0].status).toBe('FLAGGED');
+  });
+
+  test('detector statistics report how often each detector was right', async () => {
+    await resolve(await raise(), 'CONFIRMED_FRAUD');
+    await resolve(await raise(), 'DISMISSED');
+    await resolve(await raise(), 'DISMISSED');
+    await raise({ detector: null, type: 'DUPLICATE_SUBMISSION' });
+
+    const res = await request(app).get('/api/admin/anomalies/detector-stats').set('Authorization', reviewer.authorization);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.detectors).toEqual([
+      { detector: 'grade-consistency', types: ['GRADE_TAMPERING'], total: 3, pending: 0, confirmed: 1, dismissed: 2, precision: 0.333 },
+      { detector: 'type:DUPLICATE_SUBMISSION', types: ['DUPLICATE_SUBMISSION'], total: 1, pending: 1, confirmed: 0, dismissed: 0, precision: null }
+    ]);
+  });
+});
@@ -0,0 +1,103 @@
+jest.mock('../src/config/database', () => ({ getPrismaClient: jest.fn() }));
+jest.mock('../src/services/blockchainService', () => ({}));
+jest.mock('../src/services/ocrService', () => ({}));
+
+const crypto = require('crypto');
+const request = require('supertest');
+const { getPrismaClient } = require('../src/config/database');
+const apiKeyService = require('../src/services/apiKeyService');
+const permissionService = require('../src/services/permissionService');
+const { createFakePrisma, RELATIONS } = require('./helpers/fakePrisma');
+const { buildApp } = require('./helpers/app');
+const { signIn } = require('./helpers/auth');
+
+const certificateRoutes = require('../src/routes/certificates');
+const institutionRoutes = require('../src/routes/institutions');
+
+describe('institution API keys', () => {
+  let prisma;
+  let tables;
+  let app;
+  let institution;
+  let own;
+  let foreign;
+
+  beforeEach(async () => {
+    ({ client: prisma, tables } = createFakePrisma({
+      relations: RELATIONS,
+      defaults: { apiKey: { revokedAt: null, lastUsedAt: null } }
+    }));
+    getPrismaClient.mockReturnValue(prisma);
+    permissionService.bundleCache = null;
+    app = buildApp('/api/certificates', certificateRoutes);
+    app.use('/api/institutions', institutionRoutes);
+
+    institution = await prisma.institution.create({ data: { id: crypto.randomUUID(), name: 'Ranchi University', isActive: true } });
+    const other = await prisma.institution.create({ data: { id: crypto.randomUUID(), name: 'Other University', isActive: true } });
+    own = await prisma.certificate.create({ data: { id: crypto.randomUUID(), status: 'PENDING', institutionId: institution.id } });
+    foreign = await prisma.certificate.create({ data: { id: crypto.randomUUID(), status: 'PENDING', institutionId: other.id } });
+  });
+
+  const getCertificate = (certificate, key) => request(app).get(`/api/certificates/${certificate.id}`).set('X-API-Key', key);
+
+  test('an admin creates a key that is shown once and stored only as a hash', async () => {
+    const admin = await signIn(prisma, { role: 'UNIVERSITY_ADMIN', institutionId: institution.id });
+
+    const res = await request(app).post(`/api/institutions/${institution.id}/api-keys`)
+      .set('Authorization', admin.authorization)
+      .send({ name: 'Exam cell', scopes: ['read'] });
+
+    expect(res.status).toBe(201);
+    const plaintext = res.body.data.apiKey;
+    expect(plaintext).toMatch(/^ddk_/);
+    expect(JSON.stringify(tables.apiKey)).not.toContain(plaintext);
+    expect(tables.apiKey[0].keyHash).toBe(apiKeyService.hashKey(plaintext));
+
+    const listed = await request(app).get(`/api/institutions/${institution.id}/api-keys`).set('Authorization', admin.authorization);
+    expect(JSON.stringify(listed.body)).not.toContain(plaintext);
+  });
+
+  test('an admin of another institution cannot create keys for it', async () => {
+    const admin = await signIn(prisma, { role: 'UNIVERSITY_ADMIN', institutionId: foreign.institutionId });
+
+    const res = await request(app).post(`/api/institutions/${institution.id}/api-keys`)
+      .set('Authorization', admin.authorization)
+      .send({ name: 'Exam cell' });
+
+    expect(res.status).toBe(403);
+    expect(tables.apiKey).toHaveLength(0);
+  });
+
+  test('a key reads its own institution\'s certificates only', async () => {
+    const { key } = await apiKeyService.createKey(institution.id, { name: 'Exam cell', scopes: ['read'] });
+
+    expect((await getCertificate(own, key)).status).toBe(200);
+    expect((await getCertificate(foreign, key)).status).toBe(403);
+    // Also accepted as "Authorization: ApiKey <key>"
+    expect((await request(app).get(`/api/certificates/${own.id}`).set('Authorization', `ApiKey ${key}`)).status).toBe(200);
+  });
+
+  test('a key without the required scope is refused', async () => {
+    const { key } = await apiKeyService.createKey(institution.id, { name: 'Issuer', scopes: ['issue'] });
+
+    const res = await getCertificate(own, key);
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('API key is missing required scope: read');
+  });
+
+  test('revoked and expired keys, and keys of inactive institutions, are refused', async () => {
+    const revoked = await apiKeyService.createKey(institution.id, { name: 'Revoked', scopes: ['read'] });
+    await apiKeyService.revokeKey(institution.id, revoked.apiKey.id);
+    const expired = await apiKeyService.createKey(institution.id, { name: 'Expired', scopes: ['read'] });
+    tables.apiKey.find(row => row.id === expired.apiKey.id).expiresAt = new Date(Date.now() - 1000);
+
+    expect((await getCertificate(own, revoked.key)).body.message).toBe('Invalid API key.');
+    expect((await getCertificate(own, expired.key)).body.message).toBe('API key has expired.');
+    expect((await getCertificate(own, 'ddk_made-up')).status).toBe(401);
+
+    const live = await apiKeyService.createKey(institution.id, { name: 'Live', scopes: ['read'] });
+    tables.institution[0].isActive = false;
+    expect((await getCertificate(own, live.key)).body.message).toBe('Institution is not active.');
+  });
+});
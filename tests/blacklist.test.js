@@ -0,0 +1,141 @@
+jest.mock('../src/config/database', () => ({ getPrismaClient: jest.fn() }));
+jest.mock('../src/services/blockchainService', () => ({}));
+jest.mock('../src/services/ocrService', () => ({}));
+jest.mock('../src/services/notificationService', () => ({}));
+
+const bcrypt = require('bcryptjs');
+const express = require('express');
+const request = require('supertest');
+const { getPrismaClient } = require('../src/config/database');
+const blacklistService = require('../src/services/blacklistService');
+const permissionService = require('../src/services/permissionService');
+const { rejectBlacklistedIps } = require('../src/middleware/blacklist');
+const { createFakePrisma, RELATIONS } = require('./helpers/fakePrisma');
+const { buildApp } = require('./helpers/app');
+const { signIn } = require('./helpers/auth');
+
+const adminRoutes = require('../src/routes/admin');
+const authRoutes = require('../src/routes/auth');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('blacklistService IP rules', () => {
+  test.each([
+    ['203.0.113.7', { address: '203.0.113.7', prefix: null, family: 'ipv4' }],
+    ['203.0.113.0/24', { address: '203.0.113.0', prefix: 24, family: 'ipv4' }],
+    ['2001:db8::/32', { address: '2001:db8::', prefix: 32, family: 'ipv6' }],
+    ['::ffff:203.0.113.7', { address: '203.0.113.7', prefix: null, family: 'ipv4' }]
+  ])('parses %s', (identifier, rule) => {
+    expect(blacklistService.parseIpRule(identifier)).toEqual(rule);
+  });
+
+  test.each(['203.0.113.0/33', '2001:db8::/129', '203.0.113.0/abc', '203.0.113.0/24/8', 'not-an-ip'])('rejects %s', (identifier) => {
+    expect(blacklistService.parseIpRule(identifier)).toBeNull();
+  });
+});
+
+describe('blacklistService lookups', () => {
+  let prisma;
+
+  beforeEach(() => {
+    ({ client: prisma } = createFakePrisma({ defaults: { blacklistedEntity: { isActive: true, expiresAt: null } } }));
+    getPrismaClient.mockReturnValue(prisma);
+    blacklistService.invalidate();
+  });
+
+  const add = data => prisma.blacklistedEntity.create({ data: { reason: 'Abuse', ...data } });
+
+  test('matches addresses inside IPv4 and IPv6 ranges, including IPv4-mapped addresses', async () => {
+    await add({ type: 'IP', identifier: '203.0.113.0/24' });
+    await add({ type: 'IP', identifier: '2001:db8::/32' });
+
+    expect(await blacklistService.isIpBlacklisted('203.0.113.200')).toBe(true);
+    expect(await blacklistService.isIpBlacklisted('::ffff:203.0.113.5')).toBe(true);
+    expect(await blacklistService.isIpBlacklisted('2001:db8:1::1')).toBe(true);
+    expect(await blacklistService.isIpBlacklisted('203.0.114.1')).toBe(false);
+    expect(await blacklistService.isIpBlacklisted('2001:db9::1')).toBe(false);
+    expect(await blacklistService.isIpBlacklisted(undefined)).toBe(false);
+  });
+
+  test('ignores expired and removed entries', async () => {
+    await add({ type: 'IP', identifier: '198.51.100.1', expiresAt: new Date(Date.now() - HOUR) });
+    await add({ type: 'IP', identifier: '198.51.100.2', isActive: false });
+    await add({ type: 'USER', identifier: 'mallory@example.test', expiresAt: new Date(Date.now() + HOUR) });
+
+    expect(await blacklistService.isIpBlacklisted('198.51.100.1')).toBe(false);
+    expect(await blacklistService.isIpBlacklisted('198.51.100.2')).toBe(false);
+    expect(await blacklistService.findForUser({ id: 'user-9', email: 'Mallory@example.test' })).toMatchObject({ type: 'USER' });
+  });
+
+  test('a certificate is blacklisted through its own entry or its institution\'s', async () => {
+    await add({ type: 'INSTITUTION', identifier: 'FAKE' });
+
+    expect(await blacklistService.findForCertificate({ id: 'c-1', certificateNumber: 'X/1', institution: { code: 'fake' } }))
+      .toMatchObject({ type: 'INSTITUTION' });
+    expect(await blacklistService.findForCertificate({ id: 'c-2', certificateNumber: 'X/2', institution: { code: 'RU' } })).toBeNull();
+  });
+});
+
+describe('blacklist enforcement', () => {
+  let prisma;
+  let tables;
+  let admin;
+
+  beforeEach(async () => {
+    ({ client: prisma, tables } = createFakePrisma({
+      relations: RELATIONS,
+      defaults: {
+        blacklistedEntity: { isActive: true, expiresAt: null },
+        session: { lastUsedAt: () => new Date(), revokedAt: null }
+      }
+    }));
+    getPrismaClient.mockReturnValue(prisma);
+    blacklistService.invalidate();
+    permissionService.bundleCache = null;
+    admin = await signIn(prisma, { role: 'SUPER_ADMIN' });
+  });
+
+  const blacklist = body => request(buildApp('/api/admin', adminRoutes))
+    .post('/api/admin/blacklist')
+    .set('Authorization', admin.authorization)
+    .send(body);
+
+  test('an admin blacklists a CIDR range, and requests from it are refused', async () => {
+    const res = await blacklist({ type: 'IP', identifier: '127.0.0.0/8', reason: 'Scraping' });
+    expect(res.status).toBe(201);
+    expect(res.body.data.identifier).toBe('127.0.0.0/8');
+
+    const app = express();
+    app.use(rejectBlacklistedIps);
+    app.get('/ping', (req, res) => res.json({ success: true }));
+
+    const refused = await request(app).get('/ping');
+    expect(refused.status).toBe(403);
+  });
+
+  test('invalid ranges, past expiries and duplicates are rejected', async () => {
+    expect((await blacklist({ type: 'IP', identifier: '10.0.0.0/40', reason: 'x' })).status).toBe(400);
+    expect((await blacklist({ type: 'IP', identifier: '10.0.0.1', reason: 'x', expiresAt: '2001-01-01' })).status).toBe(400);
+    expect((await blacklist({ type: 'IP', reason: 'x' })).status).toBe(400);
+
+    expect((await blacklist({ type: 'IP', identifier: '10.0.0.1', reason: 'x' })).status).toBe(201);
+    expect((await blacklist({ type: 'IP', identifier: '10.0.0.1', reason: 'x' })).status).toBe(409);
+  });
+
+  test('blacklisting a user ends their sessions and refuses their logins', async () => {
+    const mallory = await signIn(prisma, {
+      email: 'mallory@example.test',
+      password: await bcrypt.hash('correct horse', 4),
+      twoFactorEnabled: false
+    });
+
+    const res = await blacklist({ type: 'USER', identifier: 'Mallory@example.test', reason: 'Fraud' });
+    expect(res.status).toBe(201);
+    expect(tables.session.find(session => session.id === mallory.session.id).revokedReason).toBe('BLACKLISTED');
+
+    const login = await request(buildApp('/api/auth', authRoutes)).post('/api/auth/login')
+      .send({ email: 'mallory@example.test', password: 'correct horse' });
+    expect(login.status).toBe(403);
+    expect(login.body.message).toBe('Account is blocked');
+  });
+});
@@ -0,0 +1,217 @@
+jest.mock('../src/config/database', () => ({ getPrismaClient: jest.fn() }));
+jest.mock('../src/services/bulkUploadService', () => ({ processRow: jest.fn(), prepareRevocation: jest.fn() }));
+jest.mock('../src/services/revocationService', () => ({ revokeCertificates: jest.fn() }));
+
+const { getPrismaClient } = require('../src/config/database');
+const bulkUploadService = require('../src/services/bulkUploadService');
+const revocationService = require('../src/services/revocationService');
+const bulkUploadJobService = require('../src/services/bulkUploadJobService');
+const { createFakePrisma } = require('./helpers/fakePrisma');
+
+const MINUTE = 60 * 1000;
+
+describe('bulkUploadJobService leases', () => {
+  let prisma;
+
+  beforeEach(() => {
+    ({ client: prisma } = createFakePrisma({
+      defaults: {
+        bulkUploadJob: {
+          status: 'QUEUED',
+          mode: 'CREATE',
+          processedRecords: 0,
+          successfulUploads: 0,
+          failedUploads: 0,
+          duplicateCount: 0,
+          warningCount: 0,
+          startedAt: null,
+          lockedBy: null,
+          lockedUntil: null
+        }
+      }
+    }));
+    getPrismaClient.mockReturnValue(prisma);
+    bulkUploadService.processRow.mockReset().mockImplementation(async (record, rowNumber) => ({
+      status: 'CREATED',
+      certificateId: `certificate-${rowNumber}`,
+      errors: [],
+      warnings: []
+    }));
+  });
+
+  afterEach(() => {
+    bulkUploadJobService.stop();
+  });
+
+  const createJob = (data) => prisma.bulkUploadJob.create({
+    data: {
+      fileName: 'results.csv',
+      records: [{ certificateNumber: 'RU/1' }, { certificateNumber: 'RU/2' }],
+      totalRecords: 2,
+      institutionId: 'inst-1',
+      ...data
+    }
+  });
+
+  test('on start, resumes only PROCESSING jobs whose lease has expired', async () => {
+    const live = await createJob({
+      status: 'PROCESSING',
+      lockedBy: 'other-worker',
+      lockedUntil: new Date(Date.now() + MINUTE)
+    });
+    const expired = await createJob({
+      status: 'PROCESSING',
+      lockedBy: 'crashed-worker',
+      lockedUntil: new Date(Date.now() - MINUTE)
+    });
+
+    await bulkUploadJobService.start();
+    await bulkUploadJobService.poll();
+
+    const liveAfter = await prisma.bulkUploadJob.findUnique({ where: { id: live.id } });
+    expect(liveAfter).toMatchObject({ status: 'PROCESSING', lockedBy: 'other-worker', processedRecords: 0 });
+
+    const expiredAfter = await prisma.bulkUploadJob.findUnique({ where: { id: expired.id } });
+    expect(expiredAfter).toMatchObject({ status: 'COMPLETED', processedRecords: 2, lockedBy: null, lockedUntil: null });
+    expect(bulkUploadService.processRow).toHaveBeenCalledTimes(2);
+  });
+
+  test('holds a lease while running a job', async () => {
+    const job = await createJob();
+    let lease;
+    bulkUploadService.processRow.mockImplementationOnce(async () => {
+      lease = await prisma.bulkUploadJob.findUnique({ where: { id: job.id } });
+      return { status: 'CREATED', certificateId: 'certificate-2', errors: [], warnings: [] };
+    });
+
+    await bulkUploadJobService.poll();
+
+    expect(lease.status).toBe('PROCESSING');
+    expect(lease.lockedBy).toBe(bulkUploadJobService.workerId);
+    expect(lease.lockedUntil.getTime()).toBeGreaterThan(Date.now());
+    expect(await bulkUploadJobService.requeueExpiredJobs()).toBe(0);
+  });
+
+  test('stops a job once its lease went to another worker', async () => {
+    const job = await createJob();
+    const { cancelCheckInterval } = bulkUploadJobService;
+    bulkUploadJobService.cancelCheckInterval = 1;
+    bulkUploadService.processRow.mockImplementationOnce(async () => {
+      await prisma.bulkUploadJob.update({
+        where: { id: job.id },
+        data: { lockedBy: 'other-worker', lockedUntil: new Date(Date.now() + MINUTE) }
+      });
+      return { status: 'CREATED', certificateId: 'certificate-2', errors: [], warnings: [] };
+    });
+
+    try {
+      await bulkUploadJobService.poll();
+    } finally {
+      bulkUploadJobService.cancelCheckInterval = cancelCheckInterval;
+    }
+
+    expect(bulkUploadService.processRow).toHaveBeenCalledTimes(1);
+    expect(await bulkUploadJobService.renewLease(job.id)).toBe(false);
+    const after = await prisma.bulkUploadJob.findUnique({ where: { id: job.id } });
+    expect(after).toMatchObject({ status: 'PROCESSING', lockedBy: 'other-worker', processedRecords: 1 });
+  });
+});
+
+describe('bulkUploadJobService revoke jobs', () => {
+  let prisma;
+  let tables;
+
+  beforeEach(() => {
+    ({ client: prisma, tables } = createFakePrisma({
+      defaults: {
+        bulkUploadJob: {
+          status: 'QUEUED',
+          mode: 'REVOKE',
+          processedRecords: 0,
+          successfulUploads: 0,
+          failedUploads: 0,
+          duplicateCount: 0,
+          warningCount: 0,
+          startedAt: null,
+          lockedBy: null,
+          lockedUntil: null
+        }
+      }
+    }));
+    getPrismaClient.mockReturnValue(prisma);
+    bulkUploadService.prepareRevocation.mockReset().mockImplementation(async (record) => {
+      if (!record.reason) {
+        return { rowResult: { status: 'ERROR', certificateId: null, errors: ['Revocation reason is required'], warnings: [] }, entry: null };
+      }
+      const certificate = { id: `id-${record.certificateNumber}` };
+      return {
+        rowResult: { status: 'REVOKED', certificateId: certificate.id, errors: [], warnings: [] },
+        entry: { certificate, reason: record.reason }
+      };
+    });
+    revocationService.revokeCertificates.mockReset();
+  });
+
+  afterEach(() => {
+    bulkUploadJobService.stop();
+  });
+
+  const createJob = () => prisma.bulkUploadJob.create({
+    data: {
+      fileName: 'revocations.csv',
+      records: [
+        { certificateNumber: 'RU/1', reason: 'Issued in error' },
+        { certificateNumber: 'RU/2' },
+        { certificateNumber: 'RU/3', reason: 'Degree withdrawn' }
+      ],
+      totalRecords: 3,
+      institutionId: 'inst-1',
+      createdById: 'user-1'
+    }
+  });
+
+  test('revokes the valid rows of a batch together and reports the rest', async () => {
+    const job = await createJob();
+    revocationService.revokeCertificates.mockImplementation(async entries => entries.map(({ certificate }) => ({ certificate })));
+
+    await bulkUploadJobService.poll();
+
+    const [entries, revokedById] = revocationService.revokeCertificates.mock.calls[0];
+    expect(entries.map(entry => entry.certificate.id)).toEqual(['id-RU/1', 'id-RU/3']);
+    expect(revokedById).toBe('user-1');
+    expect(tables.bulkUploadRow.map(row => row.status)).toEqual(['REVOKED', 'ERROR', 'REVOKED']);
+    expect(await prisma.bulkUploadJob.findUnique({ where: { id: job.id } })).toMatchObject({ status: 'COMPLETED', processedRecords: 3 });
+  });
+
+  test('a failed batch reports its rows as not revoked', async () => {
+    await createJob();
+    revocationService.revokeCertificates.mockRejectedValue(new Error('deadlock detected'));
+
+    await bulkUploadJobService.poll();
+
+    expect(tables.bulkUploadRow.map(row => row.status)).toEqual(['ERROR', 'ERROR', 'ERROR']);
+    expect(tables.bulkUploadRow[0].errors).toEqual(['Batch failed: deadlock detected']);
+  });
+});
+
+describe('bulkUploadJobService report', () => {
+  test('neutralizes uploaded values that a spreadsheet would run as formulas', async () => {
+    const { client: prisma } = createFakePrisma();
+    getPrismaClient.mockReturnValue(prisma);
+    await prisma.bulkUploadRow.create({
+      data: { jobId: 'job-1', rowNumber: 1, certificateNumber: '=HYPERLINK("http://evil.test")', status: 'ERROR', errors: ['@SUM(A1)'] }
+    });
+    await prisma.bulkUploadRow.create({
+      data: { jobId: 'job-1', rowNumber: 2, certificateNumber: 'RU/2020/2', status: 'CREATED', certificateId: 'c-2', errors: [] }
+    });
+
+    const report = await bulkUploadJobService.buildReport('job-1');
+
+    expect(report.split('\n')).toEqual([
+      'row,certificateNumber,status,certificateId,messages',
+      '1,"\'=HYPERLINK(""http://evil.test"")",ERROR,,\'@SUM(A1)',
+      '2,RU/2020/2,CREATED,c-2,',
+      ''
+    ]);
+  });
+});
@@ -0,0 +1,191 @@
+jest.mock('../src/config/database', () => ({ getPrismaClient: jest.fn() }));
+jest.mock('../src/services/blockchainService', () => ({
+  generateQRCode: jest.fn(async () => 'qr-code'),
+  createDigitalSignature: jest.fn(async () => ({ signature: 'signature', keyId: 'kid-1' }))
+}));
+jest.mock('../src/services/anchoringService', () => ({
+  // The hash covers the student name, enough to tell re-anchoring apart
+  queueCertificate: jest.fn(certificate => ({ blockchainHash: `hash:${certificate.studentName}`, anchorStatus: 'QUEUED' }))
+}));
+jest.mock('../src/services/anomalyDetectionService', () => ({ detectAllAnomalies: jest.fn(async () => []) }));
+jest.mock('../src/services/nameSearchService', () => ({ findCertificate: jest.fn(async () => null) }));
+
+const { getPrismaClient } = require('../src/config/database');
+const bulkUploadService = require('../src/services/bulkUploadService');
+const { createFakePrisma, RELATIONS } = require('./helpers/fakePrisma');
+
+describe('bulkUploadService duplicate checks', () => {
+  let prisma;
+  let own;
+
+  beforeEach(async () => {
+    ({ client: prisma } = createFakePrisma());
+    getPrismaClient.mockReturnValue(prisma);
+
+    own = await prisma.certificate.create({
+      data: { certificateNumber: 'RU/1', studentName: 'Asha Kumari', rollNumber: '101', status: 'VERIFIED', institutionId: 'inst-1' }
+    });
+    await prisma.certificate.create({
+      data: { certificateNumber: 'XU/1', studentName: 'Ravi Oraon', rollNumber: '7', status: 'VERIFIED', institutionId: 'inst-2' }
+    });
+  });
+
+  const row = (certificateNumber, studentName) => ({
+    certificateNumber,
+    studentName,
+    course: 'B.Sc',
+    passingYear: '2020'
+  });
+
+  test('preview lists own certificates as duplicates and other institutions\' numbers only as conflicts', async () => {
+    const report = await bulkUploadService.previewRecords([
+      row('RU/1', 'Asha Kumari'),
+      row('XU/1', 'Someone Else'),
+      row('RU/2', 'Binod Munda')
+    ], 'inst-1');
+
+    expect(report.duplicates).toHaveLength(1);
+    expect(report.duplicates[0].existing).toMatchObject({ id: own.id, studentName: 'Asha Kumari' });
+
+    expect(report.conflicts).toEqual([{
+      row: 3,
+      certificateNumber: 'XU/1',
+      error: 'Certificate number is already used by another institution'
+    }]);
+    expect(JSON.stringify(report)).not.toContain('Ravi Oraon');
+
+    expect(report.create.map(entry => entry.certificateNumber)).toEqual(['RU/2']);
+    expect(report.summary).toMatchObject({ toCreate: 1, duplicates: 1, conflicts: 1, rejected: 0 });
+  });
+
+  test('processing rejects a number used by another institution without linking its certificate', async () => {
+    const result = await bulkUploadService.processRow(row('XU/1', 'Someone Else'), 2, 'inst-1');
+
+    expect(result).toMatchObject({
+      status: 'ERROR',
+      certificateId: null,
+      errors: ['Certificate number is already used by another institution']
+    });
+  });
+});
+
+describe('bulkUploadService updates', () => {
+  let prisma;
+  let tables;
+  let own;
+
+  beforeEach(async () => {
+    ({ client: prisma, tables } = createFakePrisma({ relations: RELATIONS }));
+    getPrismaClient.mockReturnValue(prisma);
+
+    own = await prisma.certificate.create({
+      data: {
+        certificateNumber: 'RU/1',
+        studentName: 'Asha Kumari',
+        course: 'B.Sc',
+        passingYear: 2020,
+        cgpa: 8.1,
+        status: 'VERIFIED',
+        blockchainHash: 'hash:Asha Kumari',
+        institutionId: 'inst-1'
+      }
+    });
+    await prisma.certificate.create({
+      data: { certificateNumber: 'XU/1', studentName: 'Ravi Oraon', status: 'VERIFIED', institutionId: 'inst-2' }
+    });
+  });
+
+  const update = (record, options = {}) => bulkUploadService.processUpdateRow(record, 2, 'inst-1', { changedById: 'user-1', jobId: 'job-1', ...options });
+
+  test('changes only the filled-in cells that differ and records each change', async () => {
+    const result = await update({ certificateNumber: 'RU/1', studentName: '', course: 'B.Sc', cgpa: '8.4' });
+
+    expect(result).toMatchObject({ status: 'UPDATED', certificateId: own.id, changes: [{ field: 'cgpa', oldValue: '8.1', newValue: '8.4' }] });
+    expect(tables.certificate[0]).toMatchObject({ studentName: 'Asha Kumari', cgpa: 8.4, blockchainHash: 'hash:Asha Kumari' });
+    expect(tables.certificateChange).toEqual([
+      expect.objectContaining({ certificateId: own.id, field: 'cgpa', bulkUploadJobId: 'job-1', changedById: 'user-1' })
+    ]);
+
+    expect((await update({ certificateNumber: 'RU/1', cgpa: '8.4' })).status).toBe('UNCHANGED');
+  });
+
+  test('a change to hashed fields re-anchors the certificate and reissues its QR code', async () => {
+    const result = await update({ certificateNumber: 'RU/1', studentName: 'Asha Kumari Oraon' });
+
+    expect(result.changes).toEqual([
+      { field: 'studentName', oldValue: 'Asha Kumari', newValue: 'Asha Kumari Oraon' },
+      { field: 'blockchainHash', oldValue: 'hash:Asha Kumari', newValue: 'hash:Asha Kumari Oraon' }
+    ]);
+    expect(tables.certificate[0]).toMatchObject({ blockchainHash: 'hash:Asha Kumari Oraon', qrCode: 'qr-code', signatureKeyId: 'kid-1' });
+  });
+
+  test.each([
+    [{ certificateNumber: 'RU/9', cgpa: '7' }, 'Certificate not found'],
+    [{ certificateNumber: 'XU/1', studentName: 'Someone Else' }, 'Certificate belongs to another institution'],
+    [{ certificateNumber: 'RU/1', dateOfIssue: 'someday' }, 'Invalid dateOfIssue: someday']
+  ])('refuses %j', async (record, error) => {
+    const result = await update(record);
+
+    expect(result).toMatchObject({ status: 'ERROR', errors: [error] });
+    expect(tables.certificateChange).toHaveLength(0);
+  });
+
+  test('revoked certificates are not changed', async () => {
+    tables.certificate[0].status = 'REVOKED';
+
+    expect(await update({ certificateNumber: 'RU/1', cgpa: '9' })).toMatchObject({ errors: ['Revoked certificates cannot be changed'] });
+  });
+
+  test('an upsert creates certificates it does not find', async () => {
+    const result = await update({ certificateNumber: 'RU/2', studentName: 'Binod Munda', course: 'B.A', passingYear: '2021' }, { upsert: true });
+
+    expect(result.status).toBe('CREATED');
+    expect(tables.certificate.find(certificate => certificate.id === result.certificateId))
+      .toMatchObject({ certificateNumber: 'RU/2', institutionId: 'inst-1' });
+  });
+});
+
+describe('bulkUploadService revocation rows', () => {
+  let tables;
+  let seen;
+
+  beforeEach(async () => {
+    let prisma;
+    ({ client: prisma, tables } = createFakePrisma({ relations: RELATIONS }));
+    getPrismaClient.mockReturnValue(prisma);
+    seen = new Map();
+
+    await prisma.certificate.create({ data: { certificateNumber: 'RU/1', status: 'VERIFIED', institutionId: 'inst-1' } });
+    await prisma.certificate.create({ data: { certificateNumber: 'RU/2', status: 'REVOKED', institutionId: 'inst-1' } });
+    await prisma.certificate.create({ data: { certificateNumber: 'XU/1', status: 'VERIFIED', institutionId: 'inst-2' } });
+  });
+
+  const prepare = record => bulkUploadService.prepareRevocation(record, 'inst-1', seen);
+
+  test('a valid row yields the certificate, reason and effective date', async () => {
+    const { rowResult, entry } = await prepare({ certificateNumber: 'RU/1', reason: 'Issued in error', effectiveDate: '2024-01-01' });
+
+    expect(rowResult).toMatchObject({ status: 'REVOKED', certificateId: tables.certificate[0].id });
+    expect(entry).toMatchObject({ certificate: { certificateNumber: 'RU/1' }, reason: 'Issued in error', effectiveAt: new Date('2024-01-01') });
+  });
+
+  test.each([
+    [{ certificateNumber: 'RU/1', reason: 'Bad' }, 'Revocation reason must be between 5 and 500 characters'],
+    [{ certificateNumber: 'RU/1', reason: 'Issued in error', effectiveDate: '2999-01-01' }, 'Effective date cannot be in the future'],
+    [{ certificateNumber: 'RU/1', reason: 'Issued in error', effectiveDate: 'soon' }, 'Invalid effective date: soon'],
+    [{ certificateNumber: 'RU/2', reason: 'Issued in error' }, 'Certificate is already revoked'],
+    [{ certificateNumber: 'XU/1', reason: 'Issued in error' }, 'Certificate not found']
+  ])('refuses %j', async (record, error) => {
+    const { rowResult, entry } = await prepare(record);
+
+    expect(rowResult).toMatchObject({ status: 'ERROR', errors: [error] });
+    expect(entry).toBeNull();
+  });
+
+  test('a certificate listed twice is refused the second time', async () => {
+    seen.set('RU/1', 2);
+
+    const { rowResult } = await prepare({ certificateNumber: 'RU/1', reason: 'Issued in error' });
+    expect(rowResult.errors).toEqual(['Certificate already listed in row 2']);
+  });
+});
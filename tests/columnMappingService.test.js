@@ -0,0 +1,67 @@
+jest.mock('../src/config/database', () => ({ getPrismaClient: jest.fn() }));
+jest.mock('../src/services/blockchainService', () => ({}));
+jest.mock('../src/services/anchoringService', () => ({}));
+
+const { getPrismaClient } = require('../src/config/database');
+const columnMappingService = require('../src/services/columnMappingService');
+const { createFakePrisma } = require('./helpers/fakePrisma');
+
+describe('columnMappingService', () => {
+  let prisma;
+  let institution;
+
+  beforeEach(async () => {
+    ({ client: prisma } = createFakePrisma());
+    getPrismaClient.mockReturnValue(prisma);
+    institution = await prisma.institution.create({ data: { name: 'Ranchi University', integrationConfig: null } });
+  });
+
+  test('suggests fields for misspelt headers by spelling similarity', async () => {
+    const { suggestions } = await columnMappingService.suggestMapping(['Studnt Nme', 'Cert No', 'Zzz'], institution.id);
+
+    expect(suggestions).toEqual([
+      expect.objectContaining({ header: 'Studnt Nme', field: 'studentName', matchedBy: 'similarity' }),
+      expect.objectContaining({ header: 'Cert No', field: 'certificateNumber', confidence: 1 }),
+      { header: 'Zzz', field: null, confidence: 0, matchedBy: null }
+    ]);
+  });
+
+  test('prefers headers learned from the institution\'s saved profiles', async () => {
+    await columnMappingService.saveProfile(institution.id, { name: 'Exam cell', headers: { 'Enrolment Id': 'rollNumber' } });
+
+    const { suggestions } = await columnMappingService.suggestMapping(['enrolment_id'], institution.id);
+
+    expect(suggestions[0]).toMatchObject({ field: 'rollNumber', confidence: 1, matchedBy: 'profile' });
+  });
+
+  test('a saved profile renames headers, transforms values and fills defaults', async () => {
+    const profile = await columnMappingService.saveProfile(institution.id, {
+      name: 'Exam cell',
+      headers: { 'Name of Candidate': 'studentName' },
+      transforms: {
+        dateOfIssue: { type: 'date', format: 'DD.MM.YYYY' },
+        grade: { type: 'map', values: { 'First Division': 'A' } },
+        cgpa: { type: 'scale', from: 4, to: 10 }
+      },
+      defaults: { course: 'B.Sc' }
+    });
+
+    expect(columnMappingService.resolveHeader('name_of_candidate', profile)).toBe('studentName');
+    expect(columnMappingService.applyProfile({ dateOfIssue: '01.06.2020', grade: 'first division', cgpa: '3.2' }, profile)).toEqual({
+      dateOfIssue: '2020-06-01',
+      grade: 'A',
+      cgpa: '8',
+      course: 'B.Sc'
+    });
+  });
+
+  test('rejects profiles naming unknown fields or incomplete transforms', () => {
+    expect(columnMappingService.validateProfile({
+      headers: { Foo: 'shoeSize' },
+      transforms: { dateOfIssue: { type: 'date', format: 'whenever' } }
+    })).toEqual([
+      'Header "Foo" maps to unknown field: shoeSize',
+      'Date transform for dateOfIssue needs a format such as DD/MM/YYYY'
+    ]);
+  });
+});
@@ -0,0 +1,184 @@
+jest.mock('../src/config/database', () => ({ getPrismaClient: jest.fn() }));
+jest.mock('../src/services/ocrService', () => ({
+  extractTextFromImage: jest.fn(async () => ({ text: 'RU/2020/1 Asha Kumari', words: [] })),
+  extractCertificateData: jest.fn(() => ({ certificateNumber: 'RU/2020/1', studentName: 'Asha Kumari', cgpa: '8.5' })),
+  detectImageTampering: jest.fn(async () => []),
+  getFieldConfidence: jest.fn(() => 90)
+}));
+jest.mock('../src/services/notificationService', () => ({ sendConsentRequest: jest.fn() }));
+jest.mock('../src/services/verificationService', () => ({
+  verifyCertificate: jest.fn(),
+  completeVerification: jest.fn()
+}));
+jest.mock('../src/services/credentialService', () => ({ verifyCredential: jest.fn() }));
+
+const request = require('supertest');
+const { getPrismaClient } = require('../src/config/database');
+const notificationService = require('../src/services/notificationService');
+const verificationService = require('../src/services/verificationService');
+const credentialService = require('../src/services/credentialService');
+const consentService = require('../src/services/consentService');
+const { createFakePrisma, RELATIONS } = require('./helpers/fakePrisma');
+const { buildApp } = require('./helpers/app');
+
+const verificationRoutes = require('../src/routes/verifications');
+const publicRoutes = require('../src/routes/public');
+
+const requestor = { requestedBy: 'Acme Corp', requestorEmail: 'hr@acme.test', purpose: 'Hiring' };
+
+describe('lookups of certificates whose institution requires consent', () => {
+  let prisma;
+  let app;
+  let certificate;
+  let token;
+  let codes = 0;
+
+  beforeEach(async () => {
+    ({ client: prisma } = createFakePrisma({
+      relations: RELATIONS,
+      defaults: {
+        verification: { verificationCode: () => `code-${++codes}` },
+        verificationConsent: { status: 'PENDING', notifiedVia: [] }
+      }
+    }));
+    getPrismaClient.mockReturnValue(prisma);
+    app = buildApp('/api/verifications', verificationRoutes);
+    app.use('/api/public', publicRoutes);
+
+    notificationService.sendConsentRequest.mockReset().mockImplementation(async (cert, verification, consentToken) => {
+      token = consentToken;
+      return ['EMAIL'];
+    });
+    verificationService.verifyCertificate.mockReset();
+    verificationService.completeVerification.mockReset().mockImplementation((cert, verification, { expiresAt }) => (
+      prisma.verification.update({
+        where: { id: verification.id },
+        data: { status: 'COMPLETED', isValid: true, confidenceScore: 100, verifiedAt: new Date(), expiresAt }
+      })
+    ));
+
+    const institution = await prisma.institution.create({
+      data: {
+        name: 'Ranchi University',
+        code: 'RU',
+        consentRequired: true,
+        consentResponseHours: 48,
+        consentValidityDays: 30
+      }
+    });
+    certificate = await prisma.certificate.create({
+      data: {
+        certificateNumber: 'RU/2020/1',
+        studentName: 'Asha Kumari',
+        studentEmail: 'asha@example.test',
+        course: 'B.Sc',
+        passingYear: 2020,
+        status: 'VERIFIED',
+        institutionId: institution.id
+      },
+      include: { institution: true }
+    });
+    credentialService.verifyCredential.mockReset().mockResolvedValue({
+      isValid: true,
+      certificate,
+      credential: { issuer: { id: 'did:web:ru' } },
+      errors: []
+    });
+  });
+
+  const legacyQr = JSON.stringify({ certificateNumber: 'RU/2020/1' });
+
+  const lookups = {
+    'POST /api/verifications/verify': () => request(app).post('/api/verifications/verify')
+      .send({ certificateNumber: 'RU/2020/1', ...requestor }),
+    'POST /api/verifications/qr-verify': () => request(app).post('/api/verifications/qr-verify')
+      .send({ qrData: legacyQr, ...requestor }),
+    'POST /api/public/verify': () => request(app).post('/api/public/verify')
+      .send({ certificateNumber: 'RU/2020/1', studentName: 'Asha Kumari', ...requestor }),
+    'POST /api/public/verify-qr': () => request(app).post('/api/public/verify-qr')
+      .send({ qrData: legacyQr, ...requestor }),
+    'POST /api/public/verify-file': () => request(app).post('/api/public/verify-file')
+      .field('requestedBy', requestor.requestedBy)
+      .field('requestorEmail', requestor.requestorEmail)
+      .attach('certificate', Buffer.from('not really a png'), 'certificate.png'),
+    'POST /api/public/verify-credential': () => request(app).post('/api/public/verify-credential')
+      .send({ credential: 'eyJ.presented.credential', ...requestor })
+  };
+
+  const expectWithheld = (body) => {
+    expect(JSON.stringify(body)).not.toContain('Asha Kumari');
+    expect(body.data?.certificate).toBeUndefined();
+  };
+
+  describe.each(Object.keys(lookups))('%s', (name) => {
+    test('withholds details until the student consents', async () => {
+      const res = await lookups[name]();
+
+      expect(res.status).toBe(202);
+      expectWithheld(res.body);
+      expect(res.body.data).toMatchObject({ status: 'AWAITING_CONSENT', consent: { status: 'PENDING' } });
+      expect(notificationService.sendConsentRequest).toHaveBeenCalledTimes(1);
+      expect(verificationService.verifyCertificate).not.toHaveBeenCalled();
+
+      const { verificationCode } = res.body.data;
+      for (const path of [`/api/verifications/${verificationCode}`, `/api/public/verification/${verificationCode}`]) {
+        const pending = await request(app).get(path);
+        expect(pending.status).toBe(200);
+        expectWithheld(pending.body);
+        expect(pending.body.data.consent.status).toBe('PENDING');
+      }
+
+      await consentService.respond(token, 'APPROVE');
+
+      for (const path of [`/api/verifications/${verificationCode}`, `/api/public/verification/${verificationCode}`]) {
+        const released = await request(app).get(path);
+        expect(released.status).toBe(200);
+        expect(released.body.data.certificate).toMatchObject({ certificateNumber: 'RU/2020/1', studentName: 'Asha Kumari' });
+        expect(released.body.data.consent.status).toBe('APPROVED');
+      }
+    });
+  });
+
+  test('a second caller with the same requestorEmail is not given the pending verification code', async () => {
+    const first = await lookups['POST /api/public/verify']();
+    const second = await request(app).post('/api/public/verify')
+      .send({ certificateNumber: 'RU/2020/1', studentName: 'Asha Kumari', ...requestor });
+
+    expect(second.status).toBe(202);
+    expect(second.body.data).toEqual({
+      status: 'AWAITING_CONSENT',
+      consent: expect.objectContaining({ status: 'PENDING' })
+    });
+    expect(JSON.stringify(second.body)).not.toContain(first.body.data.verificationCode);
+    expect(notificationService.sendConsentRequest).toHaveBeenCalledTimes(1);
+  });
+
+  test('a QR lookup without a requester is refused rather than answered', async () => {
+    const res = await request(app).post('/api/verifications/qr-verify').send({ qrData: legacyQr });
+
+    expect(res.status).toBe(400);
+    expectWithheld(res.body);
+    expect(notificationService.sendConsentRequest).not.toHaveBeenCalled();
+  });
+
+  test('a verification created without consent does not open the details', async () => {
+    await prisma.verification.create({
+      data: {
+        verificationCode: 'failed-credential',
+        status: 'FAILED',
+        isValid: false,
+        requestedBy: 'Acme Corp',
+        requestorEmail: 'hr@acme.test',
+        certificateId: certificate.id,
+        expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
+      }
+    });
+
+    for (const path of ['/api/verifications/failed-credential', '/api/public/verification/failed-credential']) {
+      const res = await request(app).get(path);
+      expect(res.status).toBe(200);
+      expectWithheld(res.body);
+      expect(res.body.data.consent).toBeNull();
+    }
+  });
+});
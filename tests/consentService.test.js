@@ -0,0 +1,87 @@
+jest.mock('../src/config/database', () => ({ getPrismaClient: jest.fn() }));
+jest.mock('../src/services/notificationService', () => ({ sendConsentRequest: jest.fn() }));
+jest.mock('../src/services/verificationService', () => ({ completeVerification: jest.fn() }));
+
+const { getPrismaClient } = require('../src/config/database');
+const notificationService = require('../src/services/notificationService');
+const consentService = require('../src/services/consentService');
+const { createFakePrisma, RELATIONS } = require('./helpers/fakePrisma');
+
+describe('consentService.request limits', () => {
+  let certificate;
+  let tokens;
+  let codes = 0;
+
+  beforeEach(async () => {
+    const { client: prisma } = createFakePrisma({
+      relations: RELATIONS,
+      defaults: {
+        verification: { verificationCode: () => `code-${++codes}` },
+        verificationConsent: { status: 'PENDING', notifiedVia: [] }
+      }
+    });
+    getPrismaClient.mockReturnValue(prisma);
+
+    tokens = [];
+    notificationService.sendConsentRequest.mockReset().mockImplementation(async (cert, verification, token) => {
+      tokens.push(token);
+      return ['EMAIL'];
+    });
+
+    const institution = await prisma.institution.create({
+      data: { name: 'Ranchi University', code: 'RU', consentRequired: true, consentResponseHours: 48, consentValidityDays: 30 }
+    });
+    certificate = await prisma.certificate.create({
+      data: { certificateNumber: 'RU/2020/1', studentEmail: 'asha@example.test', institutionId: institution.id },
+      include: { institution: true }
+    });
+  });
+
+  const ask = (n, ipAddress = `10.0.0.${n}`) => consentService.request(certificate, {
+    requestedBy: 'Verifier',
+    requestorEmail: `verifier${n}@example.test`,
+    ipAddress
+  });
+
+  test('a repeated request from the same verifier does not ask the student again', async () => {
+    const first = await ask(1);
+    const second = await ask(1);
+
+    expect(second.consent.id).toBe(first.consent.id);
+    expect(notificationService.sendConsentRequest).toHaveBeenCalledTimes(1);
+  });
+
+  test('a repeated request is not given the pending verification', async () => {
+    await ask(1);
+    const repeat = await ask(1, '10.0.0.99');
+
+    expect(repeat.verification).toBeNull();
+    expect(consentService.describeRequest(repeat.verification, repeat.consent)).toEqual({
+      status: 'AWAITING_CONSENT',
+      consent: expect.objectContaining({ status: 'PENDING' })
+    });
+  });
+
+  test('one IP address cannot flood the student by changing the email', async () => {
+    expect((await ask(1, '10.0.0.9')).error).toBeUndefined();
+    expect((await ask(2, '10.0.0.9')).error).toBeUndefined();
+
+    const third = await ask(3, '10.0.0.9');
+    expect(third.status).toBe(429);
+    expect(notificationService.sendConsentRequest).toHaveBeenCalledTimes(2);
+  });
+
+  test('a certificate has a bounded number of unanswered requests', async () => {
+    for (let n = 1; n <= 5; n++) {
+      expect((await ask(n)).error).toBeUndefined();
+    }
+
+    const sixth = await ask(6);
+    expect(sixth.status).toBe(429);
+    expect(notificationService.sendConsentRequest).toHaveBeenCalledTimes(5);
+
+    // An answered request frees a place
+    await consentService.respond(tokens[0], 'DENY');
+    expect((await ask(6)).error).toBeUndefined();
+  });
+});
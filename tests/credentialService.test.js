@@ -0,0 +1,82 @@
+jest.mock('../src/config/database', () => ({ getPrismaClient: jest.fn() }));
+jest.mock('../src/services/blockchainService', () => ({
+  generateCertificateHash: jest.fn(() => 'hash-1')
+}));
+jest.mock('../src/services/keyManagementService', () => ({
+  getVerificationKey: jest.fn()
+}));
+
+const crypto = require('crypto');
+const { getPrismaClient } = require('../src/config/database');
+const keyManagementService = require('../src/services/keyManagementService');
+const credentialService = require('../src/services/credentialService');
+const { signJws } = require('../src/utils/jws');
+const { createFakePrisma, RELATIONS } = require('./helpers/fakePrisma');
+
+describe('credentialService.verifyCredential', () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+  let certificate;
+
+  beforeEach(async () => {
+    const { client: prisma } = createFakePrisma({ relations: RELATIONS });
+    getPrismaClient.mockReturnValue(prisma);
+
+    const institution = await prisma.institution.create({
+      data: { name: 'Ranchi University', code: 'RU', isActive: true, isVerified: true }
+    });
+    certificate = await prisma.certificate.create({
+      data: {
+        certificateNumber: 'RU/2020/1',
+        studentName: 'Asha Kumari',
+        course: 'B.Sc',
+        passingYear: 2020,
+        dateOfIssue: new Date('2020-06-01T00:00:00Z'),
+        blockchainHash: 'hash-1',
+        institutionId: institution.id
+      },
+      include: { institution: true }
+    });
+    keyManagementService.getVerificationKey.mockResolvedValue({ kid: 'k1', institutionId: institution.id, publicKey });
+  });
+
+  const issue = (claims = {}) => {
+    const vc = credentialService.buildCredential(certificate);
+    return signJws({
+      iss: vc.issuer.id,
+      sub: vc.id,
+      nbf: Math.floor(new Date(vc.issuanceDate).getTime() / 1000),
+      iat: Math.floor(Date.now() / 1000),
+      vc,
+      ...claims
+    }, privateKey, { typ: 'JWT', kid: 'k1' });
+  };
+
+  test('accepts a genuine credential', async () => {
+    const result = await credentialService.verifyCredential(issue());
+
+    expect(result.errors).toEqual([]);
+    expect(result.isValid).toBe(true);
+    expect(result.expired).toBe(false);
+  });
+
+  test('accepts a credential before its exp', async () => {
+    const result = await credentialService.verifyCredential(issue({ exp: Math.floor(Date.now() / 1000) + 3600 }));
+
+    expect(result.isValid).toBe(true);
+  });
+
+  test('rejects a credential past its exp', async () => {
+    const result = await credentialService.verifyCredential(issue({ exp: Math.floor(Date.now() / 1000) - 3600 }));
+
+    expect(result.isValid).toBe(false);
+    expect(result.expired).toBe(true);
+    expect(result.errors).toContain('Credential has expired');
+  });
+
+  test('rejects a credential used before its nbf', async () => {
+    const result = await credentialService.verifyCredential(issue({ nbf: Math.floor(Date.now() / 1000) + 3600 }));
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toContain('Credential is not valid yet');
+  });
+});
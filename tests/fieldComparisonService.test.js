@@ -0,0 +1,39 @@
+jest.mock('../src/services/ocrService', () => ({ getFieldConfidence: jest.fn(() => 90) }));
+
+const fieldComparisonService = require('../src/services/fieldComparisonService');
+
+describe('fieldComparisonService', () => {
+  const certificate = {
+    studentName: 'Asha Kumari',
+    cgpa: 8.5,
+    percentage: 81.2,
+    passingYear: 2020,
+    dateOfIssue: new Date('2020-06-01T00:00:00Z')
+  };
+
+  const fieldOf = (comparison, name) => comparison.fields.find(field => field.field === name);
+
+  test('numbers and dates report only MATCH or MISMATCH, not how far off they are', () => {
+    const close = fieldComparisonService.compare({ cgpa: '8.4', percentage: '80', passingYear: '2019', dateOfIssue: '2020-06-02' }, certificate);
+    const far = fieldComparisonService.compare({ cgpa: '2.0', percentage: '10', passingYear: '1990', dateOfIssue: '2001-01-01' }, certificate);
+
+    for (const name of ['cgpa', 'percentage', 'passingYear', 'dateOfIssue']) {
+      expect(fieldOf(close, name)).toMatchObject({ status: 'MISMATCH', similarity: 0 });
+      expect(fieldOf(far, name)).toMatchObject({ status: 'MISMATCH', similarity: 0 });
+    }
+  });
+
+  test('numbers within tolerance and the same day match', () => {
+    const comparison = fieldComparisonService.compare({ cgpa: '8.50', percentage: '81', passingYear: '2020', dateOfIssue: '2020-06-01' }, certificate);
+
+    for (const name of ['cgpa', 'percentage', 'passingYear', 'dateOfIssue']) {
+      expect(fieldOf(comparison, name)).toMatchObject({ status: 'MATCH', similarity: 1 });
+    }
+  });
+
+  test('an unreadable number is a mismatch', () => {
+    const comparison = fieldComparisonService.compare({ cgpa: 'B+' }, certificate);
+
+    expect(fieldOf(comparison, 'cgpa')).toMatchObject({ status: 'MISMATCH', similarity: 0 });
+  });
+});
@@ -0,0 +1,13 @@
+const express = require('express');
+
+/**
+ * Express app serving one router, for route tests
+ */
+const buildApp = (path, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(path, router);
+  return app;
+};
+
+module.exports = { buildApp };
@@ -0,0 +1,35 @@
+const sessionService = require('../../src/services/sessionService');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+/**
+ * Create an active user with a live session in the fake database.
+ * Resolves to { user, session, authorization } where authorization is the
+ * Authorization header value for route tests.
+ */
+const signIn = async (prisma, fields = {}) => {
+  const user = await prisma.user.create({
+    data: {
+      email: `user${Math.random().toString(36).slice(2)}@example.test`,
+      firstName: 'Test',
+      lastName: 'User',
+      role: 'VERIFIER',
+      isActive: true,
+      institutionId: null,
+      ...fields
+    }
+  });
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      refreshTokenHash: sessionService.hashToken(`refresh-${user.id}`),
+      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+      lastUsedAt: new Date(),
+      revokedAt: null
+    }
+  });
+
+  return { user, session, authorization: `Bearer ${sessionService.signAccessToken(user, session)}` };
+};
+
+module.exports = { signIn };
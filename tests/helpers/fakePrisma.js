@@ -0,0 +1,259 @@
+/**
+ * In-memory stand-in for the Prisma client, enough for service tests.
+ *
+ * Models are created on first use. `defaults` gives column defaults per
+ * model: { model: { field: value } }, a function being called per row. `relations` describes what `include`
+ * can load: { model: { field: { model, foreignKey, many, reverse } } }
+ * where foreignKey is on this model, or on the other one with reverse.
+ */
+
+const matchesValue = (value, condition) => {
+  if (condition === null || condition instanceof Date || typeof condition !== 'object' || Array.isArray(condition)) {
+    if (condition instanceof Date) {
+      return value instanceof Date && value.getTime() === condition.getTime();
+    }
+    return value === condition || (condition === null && value === undefined);
+  }
+
+  const insensitive = condition.mode === 'insensitive';
+  const norm = v => (insensitive && typeof v === 'string' ? v.toLowerCase() : v);
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case 'equals': return norm(value) === norm(operand);
+      case 'not': return operand === null ? value !== null && value !== undefined : !matchesValue(value, operand);
+      case 'in': return operand.map(norm).includes(norm(value));
+      case 'notIn': return !operand.map(norm).includes(norm(value));
+      case 'lt': return value !== null && value !== undefined && value < operand;
+      case 'lte': return value !== null && value !== undefined && value <= operand;
+      case 'gt': return value !== null && value !== undefined && value > operand;
+      case 'gte': return value !== null && value !== undefined && value >= operand;
+      case 'contains': return typeof value === 'string' && norm(value).includes(norm(operand));
+      case 'startsWith': return typeof value === 'string' && norm(value).startsWith(norm(operand));
+      case 'has': return Array.isArray(value) && value.includes(operand);
+      case 'mode': return true;
+      default: throw new Error(`fakePrisma: unsupported operator ${operator}`);
+    }
+  });
+};
+
+const createFakePrisma = ({ relations = {}, defaults = {} } = {}) => {
+  const tables = {};
+  let sequence = 0;
+
+  const table = name => {
+    if (!tables[name]) tables[name] = [];
+    return tables[name];
+  };
+
+  const related = (row, relation) => {
+    const rows = table(relation.model);
+    if (relation.reverse) return rows.find(other => other[relation.foreignKey] === row.id);
+    return rows.find(other => other.id === row[relation.foreignKey]);
+  };
+
+  // A condition on a to-one relation ({ verification: { ipAddress } })
+  // matches against the related row
+  const matches = (row, where = {}, modelName = null) => Object.entries(where).every(([field, condition]) => {
+    if (field === 'AND') return [].concat(condition).every(part => matches(row, part, modelName));
+    if (field === 'OR') return condition.some(part => matches(row, part, modelName));
+    if (field === 'NOT') return ![].concat(condition).some(part => matches(row, part, modelName));
+    const relation = modelName && (relations[modelName] || {})[field];
+    if (relation && !relation.many) {
+      const other = related(row, relation);
+      return Boolean(other) && matches(other, condition, relation.model);
+    }
+    return matchesValue(row[field], condition);
+  });
+
+  const load = (modelName, row, include) => {
+    if (!row) return null;
+    const result = { ...row };
+    for (const [field, option] of Object.entries(include || {})) {
+      if (!option) continue;
+      const relation = (relations[modelName] || {})[field];
+      if (!relation) throw new Error(`fakePrisma: unknown relation ${modelName}.${field}`);
+      const nested = typeof option === 'object' ? option.include : undefined;
+      const rows = table(relation.model);
+      if (relation.many) {
+        result[field] = rows.filter(other => other[relation.foreignKey] === row.id).map(other => load(relation.model, other, nested));
+      } else {
+        result[field] = load(relation.model, related(row, relation), nested);
+      }
+    }
+    return result;
+  };
+
+  const applyData = (row, data) => {
+    for (const [field, value] of Object.entries(data)) {
+      if (value && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value)) {
+        if ('increment' in value) { row[field] = (row[field] || 0) + value.increment; continue; }
+        if ('decrement' in value) { row[field] = (row[field] || 0) - value.decrement; continue; }
+        if ('set' in value) { row[field] = value.set; continue; }
+      }
+      if (value !== undefined) row[field] = value;
+    }
+    row.updatedAt = new Date();
+    return row;
+  };
+
+  const sort = (rows, orderBy) => {
+    const orders = [].concat(orderBy || []);
+    return [...rows].sort((a, b) => {
+      for (const order of orders) {
+        const [[field, direction]] = Object.entries(order);
+        if (a[field] < b[field]) return direction === 'desc' ? 1 : -1;
+        if (a[field] > b[field]) return direction === 'desc' ? -1 : 1;
+      }
+      return 0;
+    });
+  };
+
+  const model = name => ({
+    async create({ data, include }) {
+      const row = { id: `${name}-${++sequence}`, createdAt: new Date(), updatedAt: new Date() };
+      for (const [field, value] of Object.entries(defaults[name] || {})) {
+        row[field] = typeof value === 'function' ? value() : value;
+      }
+      const nestedCreates = {};
+      for (const [field, value] of Object.entries(data)) {
+        if (value && typeof value === 'object' && value.create && (relations[name] || {})[field]) {
+          nestedCreates[field] = value.create;
+        } else if (value !== undefined) {
+          row[field] = value;
+        }
+      }
+      table(name).push(row);
+      for (const [field, nestedData] of Object.entries(nestedCreates)) {
+        const relation = relations[name][field];
+        await model(relation.model).create({ data: { ...nestedData, [relation.foreignKey]: row.id } });
+      }
+      return load(name, row, include);
+    },
+    async createMany({ data }) {
+      for (const rowData of data) await model(name).create({ data: rowData });
+      return { count: data.length };
+    },
+    async findUnique({ where, include }) {
+      return load(name, table(name).find(row => matches(row, where, name)), include);
+    },
+    async findFirst({ where, include, orderBy } = {}) {
+      return load(name, sort(table(name).filter(row => matches(row, where, name)), orderBy)[0], include);
+    },
+    async findMany({ where, include, orderBy, skip = 0, take } = {}) {
+      const rows = sort(table(name).filter(row => matches(row, where, name)), orderBy);
+      return rows.slice(skip, take === undefined ? undefined : skip + take).map(row => load(name, row, include));
+    },
+    async count({ where } = {}) {
+      return table(name).filter(row => matches(row, where, name)).length;
+    },
+    async groupBy({ by, where, _count: counted = {} }) {
+      const groups = new Map();
+      for (const row of table(name).filter(candidate => matches(candidate, where, name))) {
+        const key = JSON.stringify(by.map(field => row[field]));
+        if (!groups.has(key)) groups.set(key, { ...Object.fromEntries(by.map(field => [field, row[field]])), rows: [] });
+        groups.get(key).rows.push(row);
+      }
+      return [...groups.values()].map(({ rows, ...group }) => ({
+        ...group,
+        _count: Object.fromEntries(Object.keys(counted).map(field => [field, rows.filter(row => row[field] != null).length]))
+      }));
+    },
+    async update({ where, data, include }) {
+      const row = table(name).find(candidate => matches(candidate, where, name));
+      if (!row) throw new Error(`fakePrisma: ${name} to update not found`);
+      return load(name, applyData(row, data), include);
+    },
+    async upsert({ where, create, update, include }) {
+      // Compound unique keys ({ jobId_rowNumber: { jobId, rowNumber } }) match on their parts
+      const flat = Object.entries(where).reduce((fields, [field, value]) => (
+        field.includes('_') && value && typeof value === 'object' ? { ...fields, ...value } : { ...fields, [field]: value }
+      ), {});
+      const row = table(name).find(candidate => matches(candidate, flat, name));
+      return row ? load(name, applyData(row, update), include) : model(name).create({ data: create, include });
+    },
+    async updateMany({ where, data }) {
+      const rows = table(name).filter(row => matches(row, where, name));
+      rows.forEach(row => applyData(row, data));
+      return { count: rows.length };
+    },
+    async delete({ where }) {
+      const rows = table(name);
+      const index = rows.findIndex(row => matches(row, where, name));
+      return rows.splice(index, 1)[0];
+    },
+    async deleteMany({ where } = {}) {
+      const rows = table(name);
+      const kept = rows.filter(row => !matches(row, where, name));
+      const count = rows.length - kept.length;
+      tables[name] = kept;
+      return { count };
+    }
+  });
+
+  const client = new Proxy({}, {
+    get(target, property) {
+      if (property === '$transaction') {
+        return async operations => (typeof operations === 'function' ? operations(client) : Promise.all(operations));
+      }
+      if (property === 'then') return undefined;
+      if (typeof property !== 'string' || property.startsWith('$') || property.startsWith('_')) return undefined;
+      if (!target[property]) target[property] = model(property);
+      return target[property];
+    }
+  });
+
+  return { client, tables: new Proxy({}, { get: (target, name) => table(name) }) };
+};
+
+// Relations of the schema that route tests load through `include`
+const RELATIONS = {
+  certificate: {
+    institution: { model: 'institution', foreignKey: 'institutionId' },
+    verifications: { model: 'verification', foreignKey: 'certificateId', many: true },
+    anomalies: { model: 'anomaly', foreignKey: 'certificateId', many: true }
+  },
+  verification: {
+    certificate: { model: 'certificate', foreignKey: 'certificateId' },
+    share: { model: 'certificateShare', foreignKey: 'shareId' },
+    consent: { model: 'verificationConsent', foreignKey: 'verificationId', reverse: true }
+  },
+  verificationConsent: {
+    verification: { model: 'verification', foreignKey: 'verificationId' },
+    certificate: { model: 'certificate', foreignKey: 'certificateId' }
+  },
+  certificateShare: {
+    certificate: { model: 'certificate', foreignKey: 'certificateId' }
+  },
+  user: {
+    institution: { model: 'institution', foreignKey: 'institutionId' }
+  },
+  session: {
+    user: { model: 'user', foreignKey: 'userId' }
+  },
+  roleAssignment: {
+    role: { model: 'role', foreignKey: 'roleId' }
+  },
+  apiKey: {
+    institution: { model: 'institution', foreignKey: 'institutionId' }
+  },
+  invitation: {
+    institution: { model: 'institution', foreignKey: 'institutionId' }
+  },
+  signingKey: {
+    institution: { model: 'institution', foreignKey: 'institutionId' }
+  },
+  anomaly: {
+    certificate: { model: 'certificate', foreignKey: 'certificateId' },
+    reviewedBy: { model: 'user', foreignKey: 'reviewedById' }
+  },
+  securityIncident: {
+    assignedTo: { model: 'user', foreignKey: 'assignedToId' },
+    activities: { model: 'securityIncidentActivity', foreignKey: 'incidentId', many: true }
+  },
+  securityIncidentActivity: {
+    actor: { model: 'user', foreignKey: 'actorId' }
+  }
+};
+
+module.exports = { createFakePrisma, RELATIONS };
@@ -0,0 +1,171 @@
+jest.mock('../src/config/database', () => ({ getPrismaClient: jest.fn() }));
+jest.mock('../src/services/blockchainService', () => ({}));
+jest.mock('../src/services/ocrService', () => ({}));
+
+const request = require('supertest');
+const { getPrismaClient } = require('../src/config/database');
+const incidentService = require('../src/services/incidentService');
+const permissionService = require('../src/services/permissionService');
+const { createFakePrisma, RELATIONS } = require('./helpers/fakePrisma');
+const { buildApp } = require('./helpers/app');
+const { signIn } = require('./helpers/auth');
+
+const adminRoutes = require('../src/routes/admin');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('incidentService SLA timers', () => {
+  const createdAt = new Date('2026-03-02T09:00:00Z');
+
+  test('deadlines depend on severity', () => {
+    const sla = incidentService.getSla({ severity: 'CRITICAL', createdAt }, new Date(createdAt.getTime() + 30 * 60 * 1000));
+
+    expect(sla.respondBy).toEqual(new Date(createdAt.getTime() + HOUR));
+    expect(sla.resolveBy).toEqual(new Date(createdAt.getTime() + 24 * HOUR));
+    expect(sla).toMatchObject({ responseBreached: false, resolutionBreached: false });
+  });
+
+  test('a late acknowledgement stays a breach after the incident is closed', () => {
+    const sla = incidentService.getSla({
+      severity: 'HIGH',
+      createdAt,
+      acknowledgedAt: new Date(createdAt.getTime() + 5 * HOUR),
+      closedAt: new Date(createdAt.getTime() + 6 * HOUR)
+    }, new Date(createdAt.getTime() + 1000 * HOUR));
+
+    expect(sla).toMatchObject({ responseBreached: true, resolutionBreached: false });
+  });
+});
+
+describe('security incident triage', () => {
+  let prisma;
+  let tables;
+  let app;
+  let admin;
+  let incident;
+
+  beforeEach(async () => {
+    ({ client: prisma, tables } = createFakePrisma({ relations: RELATIONS }));
+    getPrismaClient.mockReturnValue(prisma);
+    permissionService.bundleCache = null;
+    app = buildApp('/api/admin', adminRoutes);
+
+    admin = await signIn(prisma, { role: 'SUPER_ADMIN' });
+    incident = await prisma.securityIncident.create({
+      data: {
+        type: 'ACCOUNT_LOCKOUT',
+        severity: 'HIGH',
+        status: 'OPEN',
+        description: 'Login for asha@example.test locked',
+        details: JSON.stringify({ email: 'asha@example.test' }),
+        assignedToId: null
+      }
+    });
+  });
+
+  const setStatus = (status, comment, as = admin) => request(app)
+    .patch(`/api/admin/incidents/${incident.id}/status`)
+    .set('Authorization', as.authorization)
+    .send({ status, comment });
+
+  test('an incident moves from OPEN through INVESTIGATING to RESOLVED', async () => {
+    const investigating = await setStatus('INVESTIGATING');
+    expect(investigating.status).toBe(200);
+    expect(investigating.body.data.incident).toMatchObject({
+      status: 'INVESTIGATING',
+      assignedToId: admin.user.id,
+      details: { email: 'asha@example.test' }
+    });
+    expect(investigating.body.data.incident.acknowledgedAt).toBeTruthy();
+
+    expect((await setStatus('RESOLVED')).status).toBe(400);
+
+    const resolved = await setStatus('RESOLVED', 'Password reset by the owner');
+    expect(resolved.status).toBe(200);
+    expect(resolved.body.data.incident).toMatchObject({ status: 'RESOLVED', resolution: 'Password reset by the owner' });
+
+    const reopened = await setStatus('INVESTIGATING');
+    expect(reopened.status).toBe(400);
+    expect(reopened.body.error).toBe('Cannot move an incident from RESOLVED to INVESTIGATING');
+
+    expect(tables.securityIncidentActivity.map(activity => [activity.fromStatus, activity.toStatus]))
+      .toEqual([['OPEN', 'INVESTIGATING'], ['INVESTIGATING', 'RESOLVED']]);
+  });
+
+  test('an incident cannot skip investigation', async () => {
+    const res = await setStatus('FALSE_POSITIVE', 'Test account');
+
+    expect(res.status).toBe(400);
+    expect(tables.securityIncident[0].status).toBe('OPEN');
+  });
+
+  test('a status change that lost a race is refused', async () => {
+    const { updateMany } = prisma.securityIncident;
+    prisma.securityIncident.updateMany = async () => ({ count: 0 });
+
+    try {
+      expect((await setStatus('INVESTIGATING')).status).toBe(409);
+      expect(tables.securityIncidentActivity).toHaveLength(0);
+    } finally {
+      prisma.securityIncident.updateMany = updateMany;
+    }
+  });
+
+  test('incidents are assigned only to administrators who manage them', async () => {
+    const verifier = await signIn(prisma, { role: 'VERIFIER' });
+    const colleague = await signIn(prisma, { role: 'SUPER_ADMIN' });
+    const assign = assigneeId => request(app)
+      .patch(`/api/admin/incidents/${incident.id}/assignment`)
+      .set('Authorization', admin.authorization)
+      .send({ assigneeId });
+
+    expect((await assign(verifier.user.id)).status).toBe(400);
+    expect((await assign('no-such-user')).status).toBe(404);
+
+    const assigned = await assign(colleague.user.id);
+    expect(assigned.status).toBe(200);
+    expect(assigned.body.data.incident.assignedTo.id).toBe(colleague.user.id);
+
+    const mine = await request(app).get('/api/admin/incidents?assignedTo=me').set('Authorization', colleague.authorization);
+    expect(mine.body.data.incidents.map(found => found.id)).toEqual([incident.id]);
+  });
+
+  test('only administrators with incident permissions can triage', async () => {
+    const verifier = await signIn(prisma, { role: 'VERIFIER' });
+
+    expect((await request(app).get('/api/admin/incidents').set('Authorization', verifier.authorization)).status).toBe(403);
+    expect((await setStatus('INVESTIGATING', null, verifier)).status).toBe(403);
+  });
+
+  test('the summary counts open incidents and those past their deadline', async () => {
+    await prisma.securityIncident.create({
+      data: { type: 'CREDENTIAL_STUFFING', severity: 'CRITICAL', status: 'OPEN', description: 'Stuffing', createdAt: new Date(Date.now() - 2 * HOUR) }
+    });
+    await prisma.securityIncident.create({
+      data: { type: 'IP_LOGIN_LOCKOUT', severity: 'LOW', status: 'RESOLVED', description: 'Locked' }
+    });
+
+    const res = await request(app).get('/api/admin/incidents/summary').set('Authorization', admin.authorization);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      byStatus: { OPEN: 2, RESOLVED: 1 },
+      openBySeverity: { HIGH: 1, CRITICAL: 1 },
+      overdue: 1
+    });
+  });
+
+  test('comments are kept on the incident\'s activity', async () => {
+    const comment = await request(app)
+      .post(`/api/admin/incidents/${incident.id}/comments`)
+      .set('Authorization', admin.authorization)
+      .send({ comment: 'Asked the owner to reset their password' });
+    expect(comment.status).toBe(201);
+
+    const res = await request(app).get(`/api/admin/incidents/${incident.id}`).set('Authorization', admin.authorization);
+    expect(res.status).toBe(200);
+    expect(res.body.data.incident.activities).toEqual([
+      expect.objectContaining({ action: 'COMMENT', comment: 'Asked the owner to reset their password' })
+    ]);
+  });
+});
@@ -0,0 +1,132 @@
+jest.mock('../src/config/database', () => ({ getPrismaClient: jest.fn() }));
+jest.mock('../src/services/blockchainService', () => ({}));
+jest.mock('../src/services/ocrService', () => ({}));
+jest.mock('../src/services/notificationService', () => ({
+  sendInvitation: jest.fn(async () => true),
+  sendEmailVerification: jest.fn(async () => true)
+}));
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const request = require('supertest');
+const { getPrismaClient } = require('../src/config/database');
+const notificationService = require('../src/services/notificationService');
+const blacklistService = require('../src/services/blacklistService');
+const permissionService = require('../src/services/permissionService');
+const { createFakePrisma, RELATIONS } = require('./helpers/fakePrisma');
+const { buildApp } = require('./helpers/app');
+const { signIn } = require('./helpers/auth');
+
+const authRoutes = require('../src/routes/auth');
+const institutionRoutes = require('../src/routes/institutions');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('invitation-based onboarding', () => {
+  let prisma;
+  let tables;
+  let app;
+  let institution;
+  let inviter;
+
+  beforeEach(async () => {
+    ({ client: prisma, tables } = createFakePrisma({
+      relations: RELATIONS,
+      defaults: {
+        session: { lastUsedAt: () => new Date(), revokedAt: null, previousTokenHash: null },
+        invitation: { acceptedAt: null, revokedAt: null }
+      }
+    }));
+    getPrismaClient.mockReturnValue(prisma);
+    blacklistService.invalidate();
+    permissionService.bundleCache = null;
+    notificationService.sendInvitation.mockClear();
+    app = buildApp('/api/auth', authRoutes);
+    app.use('/api/institutions', institutionRoutes);
+
+    institution = await prisma.institution.create({
+      data: { id: crypto.randomUUID(), name: 'Ranchi University', code: 'RU', isActive: true }
+    });
+    inviter = await signIn(prisma, { role: 'UNIVERSITY_ADMIN', institutionId: institution.id });
+  });
+
+  const invite = (body, institutionId = institution.id, as = inviter) => request(app)
+    .post(`/api/institutions/${institutionId}/invitations`)
+    .set('Authorization', as.authorization)
+    .send(body);
+  const sentToken = () => notificationService.sendInvitation.mock.calls[notificationService.sendInvitation.mock.calls.length - 1][1];
+  const accept = (body, authorization = null) => {
+    const req = request(app).post('/api/auth/invitations/accept');
+    return (authorization ? req.set('Authorization', authorization) : req).send(body);
+  };
+  const newAccount = { password: 'Str0ng-Passw0rd!', firstName: 'Binod', lastName: 'Munda' };
+
+  test('public registration cannot choose a privileged role', async () => {
+    const res = await request(app).post('/api/auth/register')
+      .send({ email: 'binod@example.test', ...newAccount, role: 'UNIVERSITY_ADMIN' });
+
+    expect(res.status).toBe(400);
+    expect(tables.user.filter(user => user.email === 'binod@example.test')).toHaveLength(0);
+  });
+
+  test('an invited verifier creates their account with the role and institution of the invitation', async () => {
+    expect((await invite({ email: 'binod@example.test', role: 'VERIFIER' })).status).toBe(201);
+    const token = sentToken();
+
+    const lookup = await request(app).post('/api/auth/invitations/lookup').send({ token });
+    expect(lookup.body.data).toMatchObject({ email: 'binod@example.test', role: 'VERIFIER', institution: { code: 'RU' }, accountExists: false });
+
+    const res = await accept({ token, ...newAccount });
+    expect(res.status).toBe(201);
+    expect(res.body.data.user).toMatchObject({ email: 'binod@example.test', role: 'VERIFIER', institutionId: institution.id, emailVerified: true });
+    expect(res.body.data.token).toBeTruthy();
+
+    expect((await accept({ token, ...newAccount })).status).toBe(400);
+  });
+
+  test('an existing account accepts only while logged in as the invited user', async () => {
+    const existing = await signIn(prisma, { email: 'binod@example.test', role: 'PUBLIC', password: await bcrypt.hash('x', 4) });
+    const stranger = await signIn(prisma, { email: 'ravi@example.test', role: 'PUBLIC' });
+    await invite({ email: 'binod@example.test', role: 'VERIFIER' });
+    const token = sentToken();
+
+    expect((await accept({ token, ...newAccount })).status).toBe(401);
+    expect((await accept({ token }, stranger.authorization)).status).toBe(401);
+
+    const res = await accept({ token }, existing.authorization);
+    expect(res.status).toBe(200);
+    expect(res.body.data.user).toMatchObject({ id: existing.user.id, role: 'VERIFIER', institutionId: institution.id });
+    expect(res.body.data.token).toBeUndefined();
+  });
+
+  test('inviters cannot grant more than they hold or invite to other institutions', async () => {
+    const other = await prisma.institution.create({
+      data: { id: crypto.randomUUID(), name: 'Vinoba Bhave University', code: 'VBU', isActive: true }
+    });
+
+    expect((await invite({ email: 'binod@example.test', role: 'VERIFIER' }, other.id)).status).toBe(403);
+    expect((await invite({ email: 'binod@example.test', role: 'SUPER_ADMIN' })).status).toBe(403);
+    expect(notificationService.sendInvitation).not.toHaveBeenCalled();
+  });
+
+  test('revoked, replaced and expired invitations cannot be accepted', async () => {
+    await invite({ email: 'binod@example.test', role: 'VERIFIER' });
+    const replaced = sentToken();
+    const created = await invite({ email: 'binod@example.test', role: 'UNIVERSITY_ADMIN' });
+    const revoked = sentToken();
+    await invite({ email: 'ravi@example.test', role: 'VERIFIER' });
+    const expired = sentToken();
+
+    const removal = await request(app)
+      .delete(`/api/institutions/${institution.id}/invitations/${created.body.data.invitation.id}`)
+      .set('Authorization', inviter.authorization);
+    expect(removal.status).toBe(200);
+    tables.invitation.find(invitation => invitation.email === 'ravi@example.test').expiresAt = new Date(Date.now() - DAY);
+
+    for (const token of [replaced, revoked, expired]) {
+      const res = await accept({ token, ...newAccount });
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Invalid or expired invitation');
+    }
+  });
+});
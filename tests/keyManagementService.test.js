@@ -0,0 +1,70 @@
+jest.mock('../src/config/database', () => ({ getPrismaClient: jest.fn() }));
+
+process.env.DATA_ENCRYPTION_KEY = 'test-data-encryption-key';
+
+const { getPrismaClient } = require('../src/config/database');
+const keyManagementService = require('../src/services/keyManagementService');
+const { createFakePrisma } = require('./helpers/fakePrisma');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('keyManagementService verification keys', () => {
+  let prisma;
+
+  beforeEach(() => {
+    ({ client: prisma } = createFakePrisma({
+      defaults: { signingKey: { status: 'ACTIVE', retiredAt: null, revokedAt: null } }
+    }));
+    getPrismaClient.mockReturnValue(prisma);
+    keyManagementService.privateKeyCache.clear();
+  });
+
+  test('verifies a signature made inside the key window', async () => {
+    const { signature, keyId } = await keyManagementService.sign('inst-1', 'payload');
+    const key = await prisma.signingKey.findUnique({ where: { kid: keyId } });
+
+    expect(await keyManagementService.verify('payload', signature, keyId)).toMatchObject({ isValid: true });
+    expect(await keyManagementService.getVerificationKey(keyId, new Date())).not.toBeNull();
+    expect(await keyManagementService.getVerificationKey(keyId, new Date(key.validFrom.getTime() - DAY))).toBeNull();
+    expect(await keyManagementService.getVerificationKey(keyId, new Date(key.validUntil.getTime() + DAY))).toBeNull();
+    expect(await keyManagementService.getVerificationKey(keyId, null)).toBeNull();
+  });
+
+  test('keeps verifying signatures made before a key was retired, but not after', async () => {
+    const { kid } = await keyManagementService.getSigningKey('inst-1');
+    await keyManagementService.rotateKey('inst-1');
+
+    const retired = await prisma.signingKey.findUnique({ where: { kid } });
+    expect(retired.status).toBe('RETIRED');
+
+    const before = new Date(retired.retiredAt.getTime() - 1000);
+    const after = new Date(retired.retiredAt.getTime() + 2 * 60 * 1000);
+    expect(await keyManagementService.getVerificationKey(kid, before)).not.toBeNull();
+    expect(await keyManagementService.getVerificationKey(kid, after)).toBeNull();
+  });
+
+  test('a revoked key verifies nothing and is replaced for signing', async () => {
+    const { signature, keyId } = await keyManagementService.sign('inst-1', 'payload');
+
+    const revoked = await keyManagementService.revokeKey('inst-1', keyId, 'Private key exposed');
+    expect(revoked).toMatchObject({ status: 'REVOKED', revocationReason: 'Private key exposed' });
+    expect(revoked.revokedAt).toBeInstanceOf(Date);
+
+    expect(await keyManagementService.getVerificationKey(keyId, new Date())).toBeNull();
+    expect(await keyManagementService.verify('payload', signature, keyId)).toMatchObject({ isValid: false });
+
+    const jwks = await keyManagementService.getJwks('inst-1');
+    expect(jwks.keys.map(key => key.kid)).not.toContain(keyId);
+
+    const next = await keyManagementService.getSigningKey('inst-1');
+    expect(next.kid).not.toBe(keyId);
+  });
+
+  test('refuses to revoke a key of another institution or one already revoked', async () => {
+    const { kid } = await keyManagementService.getSigningKey('inst-1');
+
+    expect(await keyManagementService.revokeKey('inst-2', kid, 'Wrong institution')).toBeNull();
+    expect(await keyManagementService.revokeKey('inst-1', kid, 'Private key exposed')).not.toBeNull();
+    expect(await keyManagementService.revokeKey('inst-1', kid, 'Private key exposed')).toBeNull();
+  });
+});
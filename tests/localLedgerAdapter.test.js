@@ -0,0 +1,64 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const LocalLedgerAdapter = require('../src/services/ledger/localLedgerAdapter');
+
+const hash = n => n.toString(16).padStart(64, '0');
+const record = n => ({ certificateHash: hash(n), studentName: 'Asha Kumari', course: 'B.Sc', passingYear: '2020' });
+
+describe('LocalLedgerAdapter', () => {
+  let dir;
+  let filePath;
+  let ledger;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ledger-'));
+    filePath = path.join(dir, 'ledger.jsonl');
+    ledger = new LocalLedgerAdapter({ store: 'file', filePath });
+    await ledger.initialize();
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('records a certificate once, even when anchored twice at the same time', async () => {
+    const results = await Promise.allSettled([ledger.anchor(record(1)), ledger.anchor(record(1))]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.message).toBe('Certificate already exists');
+    expect(await ledger.store.count()).toBe(1);
+  });
+
+  test('anchors a Merkle root and a revocation once each under concurrency', async () => {
+    await ledger.anchor(record(1));
+
+    const roots = await Promise.allSettled([
+      ledger.anchorRoot(hash(9), { batchId: 'batch-1', leafCount: 1 }),
+      ledger.anchorRoot(hash(9), { batchId: 'batch-1', leafCount: 1 })
+    ]);
+    const revocations = await Promise.allSettled([
+      ledger.revoke(hash(1), { reason: 'Issued in error', effectiveAt: '2026-01-01T00:00:00Z' }),
+      ledger.revoke(hash(1), { reason: 'Issued in error', effectiveAt: '2026-01-01T00:00:00Z' })
+    ]);
+
+    expect(roots.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(revocations.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(await ledger.store.count()).toBe(3);
+    expect(await ledger.lookup(hash(1))).toEqual({ exists: false });
+    expect(await ledger.lookupRevocation(hash(1))).toMatchObject({ revoked: true, reason: 'Issued in error' });
+  });
+
+  test('detects a rewritten entry when the chain is reloaded', async () => {
+    await ledger.anchor(record(1));
+    await ledger.anchor(record(2));
+    expect(await ledger.verifyIntegrity()).toMatchObject({ valid: true, height: 2 });
+
+    const content = await fs.readFile(filePath, 'utf8');
+    await fs.writeFile(filePath, content.replace('Asha Kumari', 'Someone Else'));
+    const reloaded = new LocalLedgerAdapter({ store: 'file', filePath });
+    await reloaded.initialize();
+
+    expect(await reloaded.verifyIntegrity()).toMatchObject({ valid: false, brokenAt: 0 });
+  });
+});
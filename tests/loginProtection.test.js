@@ -0,0 +1,209 @@
+jest.mock('../src/config/database', () => ({ getPrismaClient: jest.fn() }));
+jest.mock('../src/services/blockchainService', () => ({}));
+jest.mock('../src/services/ocrService', () => ({}));
+jest.mock('../src/services/notificationService', () => ({}));
+
+const bcrypt = require('bcryptjs');
+const request = require('supertest');
+const { getPrismaClient } = require('../src/config/database');
+const blacklistService = require('../src/services/blacklistService');
+const permissionService = require('../src/services/permissionService');
+const twoFactorService = require('../src/services/twoFactorService');
+const loginProtectionService = require('../src/services/loginProtectionService');
+const { createFakePrisma, RELATIONS } = require('./helpers/fakePrisma');
+const { buildApp } = require('./helpers/app');
+const { signIn } = require('./helpers/auth');
+
+const authRoutes = require('../src/routes/auth');
+const adminRoutes = require('../src/routes/admin');
+
+const MINUTE = 60 * 1000;
+
+// Only Date is faked, so attempts can be spaced out without waiting
+const fakeClock = () => jest.useFakeTimers({
+  now: new Date('2026-03-02T09:00:00Z'),
+  doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'queueMicrotask']
+});
+const later = ms => jest.setSystemTime(Date.now() + ms);
+
+describe('loginProtectionService', () => {
+  let tables;
+
+  beforeEach(() => {
+    fakeClock();
+    let client;
+    ({ client, tables } = createFakePrisma());
+    getPrismaClient.mockReturnValue(client);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const fail = async (email = 'asha@example.test', ipAddress = '10.0.0.1') => {
+    later(1);
+    await loginProtectionService.recordFailure({ email, ipAddress, reason: 'INVALID_PASSWORD' });
+  };
+  const check = (email = 'asha@example.test', ipAddress = '10.0.0.1') => loginProtectionService.check({ email, ipAddress });
+
+  test('a few failures are free, then each attempt waits twice as long as the last', async () => {
+    for (let n = 0; n < 2; n++) {
+      await fail();
+    }
+    expect(await check()).toBeNull();
+
+    await fail();
+    expect(await check()).toMatchObject({ reason: 'THROTTLED', retryAfter: 1 });
+    later(1000);
+    expect(await check()).toBeNull();
+
+    await fail();
+    expect(await check()).toMatchObject({ reason: 'THROTTLED', retryAfter: 2 });
+
+    await fail();
+    await fail();
+    expect(await check()).toMatchObject({ reason: 'THROTTLED', retryAfter: 8 });
+    expect(tables.loginAttempt.filter(attempt => attempt.outcome === 'BLOCKED')).toHaveLength(3);
+  });
+
+  test('emails are counted alike whatever their case', async () => {
+    for (let n = 0; n < 3; n++) {
+      await fail(n % 2 ? 'Asha@Example.test' : 'asha@example.test');
+    }
+
+    expect(await check('ASHA@example.test')).toMatchObject({ reason: 'THROTTLED' });
+  });
+
+  test('an account is locked after too many failures until the lockout runs out', async () => {
+    for (let n = 0; n < loginProtectionService.maxAccountFailures; n++) {
+      await fail();
+    }
+
+    expect(await check()).toMatchObject({ reason: 'ACCOUNT_LOCKED', retryAfter: 15 * 60 });
+    expect(await check('someone-else@example.test')).toBeNull();
+    expect(tables.securityIncident.map(incident => incident.type)).toEqual(['ACCOUNT_LOCKOUT']);
+    expect((await loginProtectionService.getStatus('asha@example.test')).locked).toBe(true);
+
+    later(15 * MINUTE);
+    expect(await check()).toBeNull();
+  });
+
+  test('a reset lifts the lockout and starts the count afresh', async () => {
+    for (let n = 0; n < loginProtectionService.maxAccountFailures; n++) {
+      await fail();
+    }
+
+    later(1);
+    await loginProtectionService.reset({ email: 'asha@example.test', reason: 'ADMIN_UNLOCK' });
+    later(1);
+
+    expect(await check()).toBeNull();
+    expect(await loginProtectionService.getStatus('asha@example.test')).toMatchObject({ locked: false, recentFailures: 0 });
+  });
+
+  test('an address failing too often is locked for every account', async () => {
+    const maxIpFailures = loginProtectionService.maxIpFailures;
+    loginProtectionService.maxIpFailures = 4;
+    try {
+      for (let n = 0; n < 4; n++) {
+        await fail(`user${n}@example.test`, '10.0.0.66');
+      }
+
+      expect(await check('new@example.test', '10.0.0.66')).toMatchObject({ reason: 'IP_LOCKED' });
+      expect(await check('new@example.test', '10.0.0.67')).toBeNull();
+    } finally {
+      loginProtectionService.maxIpFailures = maxIpFailures;
+    }
+  });
+
+  test('credential stuffing and distributed guessing are each reported once', async () => {
+    for (let n = 0; n < 6; n++) {
+      await fail(`user${n}@example.test`, '10.0.0.66');
+    }
+    for (let n = 0; n < 6; n++) {
+      await fail('asha@example.test', `10.0.1.${n}`);
+    }
+
+    expect(tables.securityIncident.map(incident => incident.type)).toEqual(['CREDENTIAL_STUFFING', 'DISTRIBUTED_LOGIN_ATTACK']);
+  });
+});
+
+describe('login throttling and unlocking', () => {
+  let prisma;
+  let user;
+  let app;
+
+  beforeEach(async () => {
+    fakeClock();
+    ({ client: prisma } = createFakePrisma({
+      relations: RELATIONS,
+      defaults: { session: { lastUsedAt: () => new Date(), revokedAt: null, previousTokenHash: null } }
+    }));
+    getPrismaClient.mockReturnValue(prisma);
+    blacklistService.invalidate();
+    permissionService.bundleCache = null;
+    twoFactorService.policyCache = null;
+    app = buildApp('/api/auth', authRoutes);
+    app.use('/api/admin', adminRoutes);
+
+    user = await prisma.user.create({
+      data: {
+        email: 'asha@example.test',
+        password: await bcrypt.hash('correct horse', 4),
+        role: 'VERIFIER',
+        isActive: true,
+        twoFactorEnabled: false
+      }
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const login = (email, password) => {
+    later(1);
+    return request(app).post('/api/auth/login').send({ email, password });
+  };
+
+  test('unknown accounts are throttled just like real ones', async () => {
+    for (const email of ['asha@example.test', 'nobody@example.test']) {
+      for (let n = 0; n < 3; n++) {
+        expect((await login(email, 'wrong')).status).toBe(401);
+      }
+
+      const throttled = await login(email, 'wrong');
+      expect(throttled.status).toBe(429);
+      expect(throttled.headers['retry-after']).toBe('1');
+    }
+  });
+
+  test('a throttled account is refused even with the right password', async () => {
+    for (let n = 0; n < 3; n++) {
+      await login('asha@example.test', 'wrong');
+    }
+
+    expect((await login('asha@example.test', 'correct horse')).status).toBe(429);
+    later(1000);
+    expect((await login('asha@example.test', 'correct horse')).status).toBe(200);
+  });
+
+  test('an administrator sees and lifts a lockout', async () => {
+    for (let n = 0; n < loginProtectionService.maxAccountFailures; n++) {
+      later(MINUTE);
+      await loginProtectionService.recordFailure({ email: 'asha@example.test', ipAddress: '10.0.0.1', reason: 'INVALID_PASSWORD' });
+    }
+    expect((await login('asha@example.test', 'correct horse')).status).toBe(429);
+
+    const admin = await signIn(prisma, { role: 'SUPER_ADMIN' });
+    const status = await request(app).get(`/api/admin/users/${user.id}/login-status`).set('Authorization', admin.authorization);
+    expect(status.status).toBe(200);
+    expect(status.body.data).toMatchObject({ locked: true, recentFailures: 0 });
+
+    later(1);
+    const unlock = await request(app).delete(`/api/admin/users/${user.id}/lockout`).set('Authorization', admin.authorization);
+    expect(unlock.status).toBe(200);
+
+    expect((await login('asha@example.test', 'correct horse')).status).toBe(200);
+  });
+});
@@ -0,0 +1,24 @@
+const { nameSimilarity, tokenizeName, NAME_MATCH_THRESHOLD } = require('../src/utils/nameMatching');
+
+describe('nameMatching', () => {
+  test.each([
+    ['Kumari Anjali', 'Anjali Kumari'],
+    ['Anjali Kumari', 'Anjali'],
+    ['Sita Devi', 'Sita'],
+    ['Smt. Sita Devi', 'Sita'],
+    ['Anjali Ku.', 'Anjali']
+  ])('%s matches %s', (a, b) => {
+    expect(nameSimilarity(a, b)).toBe(1);
+    expect(nameSimilarity(b, a)).toBe(1);
+  });
+
+  test('Kumari and Devi are dropped after the first token only', () => {
+    expect(tokenizeName('Anjali Kumari')).toEqual(['ANJALI']);
+    expect(tokenizeName('Devi Prasad')).toEqual(['DEVI', 'PRASAD']);
+    expect(nameSimilarity('Devi Prasad', 'Prasad')).toBeLessThan(NAME_MATCH_THRESHOLD);
+  });
+
+  test('different given names still differ', () => {
+    expect(nameSimilarity('Anjali Kumari', 'Anita Kumari')).toBeLessThan(NAME_MATCH_THRESHOLD);
+  });
+});
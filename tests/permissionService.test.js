@@ -0,0 +1,148 @@
+jest.mock('../src/config/database', () => ({ getPrismaClient: jest.fn() }));
+jest.mock('../src/services/blockchainService', () => ({}));
+jest.mock('../src/services/ocrService', () => ({}));
+
+const request = require('supertest');
+const { getPrismaClient } = require('../src/config/database');
+const permissionService = require('../src/services/permissionService');
+const { createFakePrisma, RELATIONS } = require('./helpers/fakePrisma');
+const { buildApp } = require('./helpers/app');
+const { signIn } = require('./helpers/auth');
+
+const adminRoutes = require('../src/routes/admin');
+
+describe('permissionService', () => {
+  let prisma;
+
+  beforeEach(() => {
+    ({ client: prisma } = createFakePrisma({ relations: RELATIONS }));
+    getPrismaClient.mockReturnValue(prisma);
+    permissionService.bundleCache = null;
+  });
+
+  test('a university admin holds their bundle for their own institution only', async () => {
+    const permissions = await permissionService.getPermissions({ role: 'UNIVERSITY_ADMIN', institutionId: 'inst-1' });
+
+    expect(permissions.can('certificate:revoke', 'inst-1')).toBe(true);
+    expect(permissions.can('certificate:revoke', 'inst-2')).toBe(false);
+    expect(permissions.institutionFilter('certificate:revoke')).toEqual({ in: ['inst-1'] });
+    // Global permissions in the bundle are held outright
+    expect(permissions.hasGlobal('blacklist:read')).toBe(true);
+    expect(permissions.has('blacklist:write')).toBe(false);
+  });
+
+  test('a super admin holds every permission everywhere', async () => {
+    const permissions = await permissionService.getPermissions({ role: 'SUPER_ADMIN', institutionId: null });
+
+    for (const { name } of permissionService.listPermissions()) {
+      expect(permissions.can(name, 'any-institution')).toBe(true);
+    }
+    expect(permissions.institutionFilter('certificate:read')).toBeUndefined();
+  });
+
+  test('an edited system role replaces the built-in bundle', async () => {
+    await prisma.role.create({
+      data: { name: 'VERIFIER', permissions: ['institution:read'], isSystem: true, institutionId: null }
+    });
+
+    const permissions = await permissionService.getPermissions({ role: 'VERIFIER' });
+
+    expect(permissions.has('institution:read')).toBe(true);
+    expect(permissions.has('certificate:read-verified')).toBe(false);
+  });
+
+  test('role assignments add their permissions for the assigned institution', async () => {
+    const role = await prisma.role.create({ data: { name: 'Auditor', permissions: ['anomaly:read'], isSystem: false } });
+    await prisma.roleAssignment.create({ data: { userId: 'user-1', roleId: role.id, institutionId: 'inst-2' } });
+
+    const permissions = await permissionService.getPermissions({ id: 'user-1', role: 'VERIFIER' });
+
+    expect(permissions.can('anomaly:read', 'inst-2')).toBe(true);
+    expect(permissions.can('anomaly:read', 'inst-1')).toBe(false);
+    expect(permissions.soleInstitution('anomaly:read')).toBe('inst-2');
+  });
+
+  describe('canGrant', () => {
+    let admin;
+
+    beforeEach(async () => {
+      admin = await permissionService.getPermissions({ role: 'UNIVERSITY_ADMIN', institutionId: 'inst-1' });
+    });
+
+    test('allows permissions the actor holds at that institution', () => {
+      expect(permissionService.canGrant(admin, ['certificate:create', 'anomaly:resolve'], 'inst-1')).toBe(true);
+    });
+
+    test('refuses the same permissions at another institution or for all institutions', () => {
+      expect(permissionService.canGrant(admin, ['certificate:create'], 'inst-2')).toBe(false);
+      expect(permissionService.canGrant(admin, ['certificate:create'], null)).toBe(false);
+    });
+
+    test('refuses global permissions the actor does not hold', () => {
+      expect(permissionService.canGrant(admin, ['blacklist:write'], 'inst-1')).toBe(false);
+      expect(permissionService.canGrant(admin, ['user:manage'], 'inst-1')).toBe(false);
+    });
+  });
+});
+
+describe('role management routes', () => {
+  let prisma;
+  let app;
+  let admin;
+  let verifier;
+
+  beforeEach(async () => {
+    ({ client: prisma } = createFakePrisma({ relations: RELATIONS }));
+    getPrismaClient.mockReturnValue(prisma);
+    permissionService.bundleCache = null;
+    app = buildApp('/api/admin', adminRoutes);
+
+    admin = await signIn(prisma, { role: 'UNIVERSITY_ADMIN', institutionId: 'inst-1' });
+    verifier = await signIn(prisma, { role: 'VERIFIER' });
+  });
+
+  test('a user without role:manage is refused', async () => {
+    const res = await request(app).post('/api/admin/roles')
+      .set('Authorization', verifier.authorization)
+      .send({ name: 'Clerk', permissions: ['certificate:read'], institutionId: 'inst-1' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Access denied. Missing permission: role:manage');
+  });
+
+  test('an institution admin cannot define a role with permissions they lack', async () => {
+    const res = await request(app).post('/api/admin/roles')
+      .set('Authorization', admin.authorization)
+      .send({ name: 'Blacklister', permissions: ['blacklist:write'], institutionId: 'inst-1' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('A role cannot include permissions you do not hold');
+  });
+
+  test('an institution admin can define and assign a role within their institution', async () => {
+    const created = await request(app).post('/api/admin/roles')
+      .set('Authorization', admin.authorization)
+      .send({ name: 'Clerk', permissions: ['certificate:read', 'certificate:create'], institutionId: 'inst-1' });
+    expect(created.status).toBe(201);
+
+    const assigned = await request(app).post(`/api/admin/users/${verifier.user.id}/role-assignments`)
+      .set('Authorization', admin.authorization)
+      .send({ roleId: created.body.data.role.id, institutionId: 'inst-1' });
+    expect(assigned.status).toBe(201);
+
+    const permissions = await permissionService.getPermissions(verifier.user);
+    expect(permissions.can('certificate:create', 'inst-1')).toBe(true);
+    expect(permissions.can('certificate:create', 'inst-2')).toBe(false);
+  });
+
+  test('an institution admin cannot assign a role for another institution', async () => {
+    const role = await prisma.role.create({ data: { name: 'Clerk', permissions: ['certificate:read'], isSystem: false, institutionId: null } });
+
+    const res = await request(app).post(`/api/admin/users/${verifier.user.id}/role-assignments`)
+      .set('Authorization', admin.authorization)
+      .send({ roleId: role.id, institutionId: 'inst-2' });
+
+    expect(res.status).toBe(403);
+    expect(await prisma.roleAssignment.count()).toBe(0);
+  });
+});
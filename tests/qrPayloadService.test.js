@@ -0,0 +1,122 @@
+jest.mock('../src/config/database', () => ({ getPrismaClient: jest.fn() }));
+jest.mock('../src/services/blockchainService', () => ({}));
+jest.mock('../src/services/ocrService', () => ({}));
+
+process.env.DATA_ENCRYPTION_KEY = 'test-data-encryption-key';
+
+const crypto = require('crypto');
+const request = require('supertest');
+const { getPrismaClient } = require('../src/config/database');
+const keyManagementService = require('../src/services/keyManagementService');
+const qrPayloadService = require('../src/services/qrPayloadService');
+const { decodeJws, verifyJws } = require('../src/utils/jws');
+const { createFakePrisma, RELATIONS } = require('./helpers/fakePrisma');
+const { buildApp } = require('./helpers/app');
+
+const publicRoutes = require('../src/routes/public');
+
+describe('signed QR payloads', () => {
+  let prisma;
+  let certificate;
+
+  beforeEach(async () => {
+    ({ client: prisma } = createFakePrisma({
+      relations: RELATIONS,
+      defaults: { signingKey: { status: 'ACTIVE', retiredAt: null, revokedAt: null } }
+    }));
+    getPrismaClient.mockReturnValue(prisma);
+    keyManagementService.privateKeyCache.clear();
+
+    const institution = await prisma.institution.create({ data: { name: 'Ranchi University', code: 'RU' } });
+    certificate = await prisma.certificate.create({
+      data: {
+        certificateNumber: 'RU/2020/1',
+        studentName: 'Asha Kumari',
+        course: 'B.Sc',
+        passingYear: 2020,
+        dateOfIssue: new Date('2020-07-01'),
+        blockchainHash: 'ab'.repeat(32),
+        institutionId: institution.id
+      },
+      include: { institution: true }
+    });
+  });
+
+  // Change a signed payload's claims, keeping the original signature
+  const tamper = (qrData, changes) => {
+    const [header, payload, signature] = qrData.split('.');
+    const claims = { ...JSON.parse(Buffer.from(payload, 'base64url').toString()), ...changes };
+    return `${header}.${Buffer.from(JSON.stringify(claims)).toString('base64url')}.${signature}`;
+  };
+
+  test('a signed payload can be checked offline with the published JWK Set', async () => {
+    const qrData = await qrPayloadService.createSignedPayload(certificate);
+
+    const res = await request(buildApp('/api/public', publicRoutes)).get('/api/public/jwks.json?institution=RU');
+    expect(res.status).toBe(200);
+
+    const decoded = decodeJws(qrData);
+    const jwk = res.body.keys.find(key => key.kid === decoded.header.kid);
+    expect(verifyJws(decoded, crypto.createPublicKey({ key: jwk, format: 'jwk' }))).toBe(true);
+    expect(decoded.payload).toMatchObject({ no: 'RU/2020/1', n: 'Asha Kumari', d: '2020-07-01', i: 'RU' });
+  });
+
+  test('a signed payload parses and matches its certificate', async () => {
+    const parsed = await qrPayloadService.parse(await qrPayloadService.createSignedPayload(certificate));
+
+    expect(parsed).toMatchObject({
+      format: 'SIGNED',
+      signatureValid: true,
+      signerInstitutionId: certificate.institutionId,
+      claims: { certificateId: certificate.id, certificateNumber: 'RU/2020/1', passingYear: 2020 }
+    });
+    expect((await qrPayloadService.findCertificate(parsed)).id).toBe(certificate.id);
+    expect(qrPayloadService.checkAgainstCertificate(parsed, certificate)).toEqual({ isValid: true, errors: [] });
+  });
+
+  test('an edited payload fails the signature check', async () => {
+    const qrData = tamper(await qrPayloadService.createSignedPayload(certificate), { n: 'Someone Else' });
+    const parsed = await qrPayloadService.parse(qrData);
+
+    expect(parsed.signatureValid).toBe(false);
+    expect(qrPayloadService.checkAgainstCertificate(parsed, certificate).errors).toEqual([
+      'QR code signature is invalid',
+      'QR code details do not match the certificate record'
+    ]);
+  });
+
+  test('a payload signed by another institution is refused', async () => {
+    const other = await prisma.institution.create({ data: { name: 'Vinoba Bhave University', code: 'VBU' } });
+    const parsed = await qrPayloadService.parse(await qrPayloadService.createSignedPayload({ ...certificate, institutionId: other.id }));
+
+    expect(parsed.signatureValid).toBe(true);
+    expect(qrPayloadService.checkAgainstCertificate(parsed, certificate).errors).toEqual(['QR code was not signed by the issuing institution']);
+  });
+
+  test('a payload signed with a revoked key is no longer valid', async () => {
+    const qrData = await qrPayloadService.createSignedPayload(certificate);
+    await keyManagementService.revokeKey(certificate.institutionId, decodeJws(qrData).header.kid, 'Private key exposed');
+
+    expect((await qrPayloadService.parse(qrData)).signatureValid).toBe(false);
+  });
+
+  test('legacy JSON codes are still read, flagged as unsigned', async () => {
+    const parsed = await qrPayloadService.parse(JSON.stringify({
+      type: 'CERTIFICATE_VERIFICATION',
+      certificateNumber: 'RU/2020/1',
+      verificationHash: certificate.blockchainHash
+    }));
+
+    expect(parsed).toMatchObject({ format: 'LEGACY', signatureValid: false, claims: { blockchainHash: certificate.blockchainHash } });
+    expect(qrPayloadService.checkAgainstCertificate(parsed, certificate).isValid).toBe(true);
+  });
+
+  test.each([
+    ['', 'QR code data is required'],
+    ['not a qr code', 'Invalid QR code format'],
+    ['{"type":"WIFI"}', 'This is not a valid certificate QR code'],
+    ['{"type":"CERTIFICATE_VERIFICATION"}', 'QR code missing required data']
+  ])('rejects %j', async (qrData, message) => {
+    await expect(qrPayloadService.parse(qrData)).rejects.toThrow(message);
+  });
+});
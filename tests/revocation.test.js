@@ -0,0 +1,107 @@
+jest.mock('../src/config/database', () => ({ getPrismaClient: jest.fn() }));
+jest.mock('../src/services/blockchainService', () => ({ revokeCertificateOnBlockchain: jest.fn() }));
+jest.mock('../src/services/ocrService', () => ({}));
+
+const crypto = require('crypto');
+const request = require('supertest');
+const { getPrismaClient } = require('../src/config/database');
+const blockchainService = require('../src/services/blockchainService');
+const permissionService = require('../src/services/permissionService');
+const { createFakePrisma, RELATIONS } = require('./helpers/fakePrisma');
+const { buildApp } = require('./helpers/app');
+const { signIn } = require('./helpers/auth');
+
+const certificateRoutes = require('../src/routes/certificates');
+
+describe('certificate revocation', () => {
+  let prisma;
+  let app;
+  let institution;
+  let certificate;
+  let admin;
+
+  beforeEach(async () => {
+    ({ client: prisma } = createFakePrisma({ relations: RELATIONS }));
+    getPrismaClient.mockReturnValue(prisma);
+    permissionService.bundleCache = null;
+    blockchainService.revokeCertificateOnBlockchain.mockReset();
+    app = buildApp('/api/certificates', certificateRoutes);
+
+    institution = await prisma.institution.create({ data: { id: crypto.randomUUID(), name: 'Ranchi University', isActive: true } });
+    certificate = await prisma.certificate.create({
+      data: { id: crypto.randomUUID(), status: 'VERIFIED', institutionId: institution.id, blockchainHash: '0xabc', revocationTxHash: null }
+    });
+    admin = await signIn(prisma, { role: 'UNIVERSITY_ADMIN', institutionId: institution.id });
+  });
+
+  const revoke = (id, body, authorization = admin.authorization) => request(app)
+    .post(`/api/certificates/${id}/revoke`)
+    .set('Authorization', authorization)
+    .send(body);
+
+  test('revoking records the revocation and its ledger receipt', async () => {
+    blockchainService.revokeCertificateOnBlockchain.mockResolvedValue({ transactionHash: '0xrevoked' });
+
+    const res = await revoke(certificate.id, { reason: 'Issued in error', effectiveDate: '2024-01-01T00:00:00.000Z' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.ledger).toEqual({ recorded: true });
+    expect(res.body.data.revocation).toMatchObject({
+      reason: 'Issued in error',
+      effectiveAt: '2024-01-01T00:00:00.000Z',
+      transactionHash: '0xrevoked'
+    });
+    expect(blockchainService.revokeCertificateOnBlockchain).toHaveBeenCalledWith('0xabc', expect.objectContaining({ reason: 'Issued in error' }));
+
+    const stored = await prisma.certificate.findUnique({ where: { id: certificate.id } });
+    expect(stored).toMatchObject({ status: 'REVOKED', revokedById: admin.user.id, revocationTxHash: '0xrevoked' });
+  });
+
+  test('a ledger failure is reported and a second request retries only the ledger', async () => {
+    blockchainService.revokeCertificateOnBlockchain.mockRejectedValueOnce(new Error('node unreachable'));
+
+    const failed = await revoke(certificate.id, { reason: 'Issued in error' });
+    expect(failed.status).toBe(200);
+    expect(failed.body.data.ledger).toEqual({ recorded: false, error: 'node unreachable' });
+    expect(failed.body.data.certificate.status).toBe('REVOKED');
+
+    blockchainService.revokeCertificateOnBlockchain.mockResolvedValueOnce({ transactionHash: '0xretried' });
+    const retried = await revoke(certificate.id, { reason: 'Another reason' });
+    expect(retried.status).toBe(200);
+    expect(retried.body.data.ledger).toEqual({ recorded: true });
+    expect(retried.body.data.revocation).toMatchObject({ reason: 'Issued in error', transactionHash: '0xretried' });
+
+    expect((await revoke(certificate.id, { reason: 'Issued in error' })).status).toBe(400);
+  });
+
+  test('a revoked certificate never anchored cannot be revoked again', async () => {
+    const local = await prisma.certificate.create({ data: { id: crypto.randomUUID(), status: 'VERIFIED', institutionId: institution.id } });
+
+    const first = await revoke(local.id, { reason: 'Issued in error' });
+    expect(first.body.data.ledger).toEqual({ recorded: false });
+    expect(blockchainService.revokeCertificateOnBlockchain).not.toHaveBeenCalled();
+
+    const again = await revoke(local.id, { reason: 'Issued in error' });
+    expect(again.status).toBe(400);
+    expect(again.body.error).toBe('Certificate is already revoked');
+  });
+
+  test('another institution\'s admin cannot revoke', async () => {
+    const other = await prisma.institution.create({ data: { id: crypto.randomUUID(), name: 'Other University', isActive: true } });
+    const outsider = await signIn(prisma, { role: 'UNIVERSITY_ADMIN', institutionId: other.id });
+
+    const res = await revoke(certificate.id, { reason: 'Issued in error' }, outsider.authorization);
+
+    expect(res.status).toBe(403);
+    expect((await prisma.certificate.findUnique({ where: { id: certificate.id } })).status).toBe('VERIFIED');
+  });
+
+  test('a reason is required and the effective date cannot be in the future', async () => {
+    expect((await revoke(certificate.id, {})).status).toBe(400);
+
+    const future = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    expect((await revoke(certificate.id, { reason: 'Issued in error', effectiveDate: future })).status).toBe(400);
+
+    expect((await revoke(crypto.randomUUID(), { reason: 'Issued in error' })).status).toBe(404);
+  });
+});
@@ -0,0 +1,106 @@
+jest.mock('../src/config/database', () => ({ getPrismaClient: jest.fn() }));
+jest.mock('../src/services/notificationService', () => ({}));
+
+const bcrypt = require('bcryptjs');
+const request = require('supertest');
+const { getPrismaClient } = require('../src/config/database');
+const blacklistService = require('../src/services/blacklistService');
+const { createFakePrisma, RELATIONS } = require('./helpers/fakePrisma');
+const { buildApp } = require('./helpers/app');
+const { signIn } = require('./helpers/auth');
+
+const authRoutes = require('../src/routes/auth');
+
+describe('sessions and refresh tokens', () => {
+  let prisma;
+  let tables;
+  let app;
+
+  beforeEach(async () => {
+    ({ client: prisma, tables } = createFakePrisma({
+      relations: RELATIONS,
+      defaults: { session: { lastUsedAt: () => new Date(), revokedAt: null, previousTokenHash: null } }
+    }));
+    getPrismaClient.mockReturnValue(prisma);
+    blacklistService.invalidate();
+    app = buildApp('/api/auth', authRoutes);
+
+    await prisma.user.create({
+      data: {
+        email: 'verifier@acme.test',
+        password: await bcrypt.hash('correct horse', 4),
+        role: 'VERIFIER',
+        isActive: true,
+        twoFactorEnabled: false
+      }
+    });
+  });
+
+  const login = async () => (await request(app).post('/api/auth/login')
+    .send({ email: 'verifier@acme.test', password: 'correct horse' })).body.data;
+  const refresh = refreshToken => request(app).post('/api/auth/refresh').send({ refreshToken });
+  const me = token => request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+
+  test('a refresh token rotates on every use', async () => {
+    const { refreshToken } = await login();
+
+    const first = await refresh(refreshToken);
+    expect(first.status).toBe(200);
+    expect(first.body.data.refreshToken).not.toBe(refreshToken);
+
+    const second = await refresh(first.body.data.refreshToken);
+    expect(second.status).toBe(200);
+    expect((await me(second.body.data.token)).status).toBe(200);
+  });
+
+  test('reusing a rotated-out refresh token ends the session', async () => {
+    const { refreshToken } = await login();
+    const rotated = (await refresh(refreshToken)).body.data;
+
+    const reuse = await refresh(refreshToken);
+    expect(reuse.status).toBe(401);
+    expect(tables.session[0]).toMatchObject({ revokedReason: 'TOKEN_REUSE' });
+
+    expect((await refresh(rotated.refreshToken)).status).toBe(401);
+    expect((await me(rotated.token)).status).toBe(401);
+  });
+
+  test('logout cuts off the access token and the refresh token', async () => {
+    const { token, refreshToken } = await login();
+
+    const res = await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${token}`);
+    expect(res.status).toBe(200);
+
+    expect((await me(token)).status).toBe(401);
+    expect((await refresh(refreshToken)).status).toBe(401);
+  });
+
+  test('logout-all ends every session of the user', async () => {
+    const laptop = await login();
+    const phone = await login();
+
+    await request(app).post('/api/auth/logout-all').set('Authorization', `Bearer ${laptop.token}`);
+
+    expect((await me(laptop.token)).status).toBe(401);
+    expect((await me(phone.token)).status).toBe(401);
+  });
+
+  test('a user can list and end their own sessions but not someone else\'s', async () => {
+    const laptop = await login();
+    const phone = await login();
+    const other = await signIn(prisma);
+
+    const listed = await request(app).get('/api/auth/sessions').set('Authorization', `Bearer ${laptop.token}`);
+    expect(listed.body.data.sessions).toHaveLength(2);
+    expect(listed.body.data.sessions.filter(session => session.current)).toHaveLength(1);
+
+    const phoneSession = listed.body.data.sessions.find(session => !session.current);
+    const ended = await request(app).delete(`/api/auth/sessions/${phoneSession.id}`).set('Authorization', `Bearer ${laptop.token}`);
+    expect(ended.status).toBe(200);
+    expect((await me(phone.token)).status).toBe(401);
+
+    const foreign = await request(app).delete(`/api/auth/sessions/${other.session.id}`).set('Authorization', `Bearer ${laptop.token}`);
+    expect(foreign.status).toBe(404);
+    expect((await me(other.authorization.slice('Bearer '.length))).status).toBe(200);
+  });
+});
@@ -0,0 +1,177 @@
+jest.mock('../src/config/database', () => ({ getPrismaClient: jest.fn() }));
+jest.mock('../src/services/ocrService', () => ({}));
+
+const request = require('supertest');
+const { getPrismaClient } = require('../src/config/database');
+const shareLinkService = require('../src/services/shareLinkService');
+const verificationService = require('../src/services/verificationService');
+const { createFakePrisma, RELATIONS } = require('./helpers/fakePrisma');
+const { buildApp } = require('./helpers/app');
+
+const verificationRoutes = require('../src/routes/verifications');
+const publicRoutes = require('../src/routes/public');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('verification codes from share link views', () => {
+  let prisma;
+  let app;
+  let student;
+  let share;
+
+  beforeEach(async () => {
+    ({ client: prisma } = createFakePrisma({ relations: RELATIONS }));
+    getPrismaClient.mockReturnValue(prisma);
+    app = buildApp('/api/verifications', verificationRoutes);
+    app.use('/api/public', publicRoutes);
+
+    student = { id: 'student-1' };
+    const institution = await prisma.institution.create({ data: { name: 'Ranchi University', code: 'RU' } });
+    const certificate = await prisma.certificate.create({
+      data: {
+        certificateNumber: 'RU/2020/1',
+        studentName: 'Asha Kumari',
+        course: 'B.Sc',
+        grade: 'A',
+        passingYear: 2020,
+        status: 'VERIFIED',
+        claimedById: student.id,
+        institutionId: institution.id
+      }
+    });
+    share = await prisma.certificateShare.create({
+      data: {
+        tokenHash: shareLinkService.hashToken('share-token'),
+        fields: ['course'],
+        expiresAt: new Date(Date.now() + DAY),
+        revokedAt: null,
+        certificateId: certificate.id,
+        studentId: student.id
+      }
+    });
+    await prisma.verification.create({
+      data: {
+        verificationCode: 'shared-1',
+        status: 'COMPLETED',
+        isValid: true,
+        requestedBy: 'Acme Corp',
+        requestorEmail: 'hr@acme.test',
+        certificateId: certificate.id,
+        shareId: share.id,
+        expiresAt: new Date(Date.now() + 30 * DAY)
+      }
+    });
+  });
+
+  const paths = ['/api/verifications/shared-1', '/api/public/verification/shared-1'];
+
+  test.each(paths)('%s shows only the shared fields while the link is live', async (path) => {
+    const res = await request(app).get(path);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.certificate).toEqual({
+      certificateNumber: 'RU/2020/1',
+      institution: 'Ranchi University',
+      course: 'B.Sc'
+    });
+    expect(JSON.stringify(res.body)).not.toContain('Asha Kumari');
+  });
+
+  test.each(paths)('%s returns nothing once the share is revoked', async (path) => {
+    await shareLinkService.revoke(student, share.id);
+
+    const res = await request(app).get(path);
+
+    expect(res.status).toBe(410);
+    expect(res.body).toEqual({ success: false, error: 'This share link has expired or been revoked' });
+  });
+
+  test.each(paths)('%s returns nothing once the share has expired', async (path) => {
+    await prisma.certificateShare.update({ where: { id: share.id }, data: { expiresAt: new Date(Date.now() - 1000) } });
+
+    const res = await request(app).get(path);
+
+    expect(res.status).toBe(410);
+    expect(res.body.data).toBeUndefined();
+  });
+});
+
+describe('opening a share link', () => {
+  let prisma;
+  let tables;
+  let app;
+
+  beforeEach(async () => {
+    ({ client: prisma, tables } = createFakePrisma({ relations: RELATIONS }));
+    getPrismaClient.mockReturnValue(prisma);
+    app = buildApp('/api/public', publicRoutes);
+
+    const institution = await prisma.institution.create({ data: { name: 'Ranchi University', code: 'RU' } });
+    const certificate = await prisma.certificate.create({
+      data: {
+        certificateNumber: 'RU/2020/1',
+        studentName: 'Asha Kumari',
+        course: 'B.Sc',
+        status: 'VERIFIED',
+        claimedById: 'student-1',
+        institutionId: institution.id
+      }
+    });
+    await prisma.certificateShare.create({
+      data: {
+        tokenHash: shareLinkService.hashToken('share-token'),
+        fields: ['studentName', 'course'],
+        expiresAt: new Date(Date.now() + DAY),
+        revokedAt: null,
+        viewCount: 0,
+        certificateId: certificate.id,
+        studentId: 'student-1'
+      }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reports a certificate revoked after it was shared as REVOKED, without verifying it', async () => {
+    Object.assign(tables.certificate[0], {
+      status: 'REVOKED',
+      revocationReason: 'Issued in error',
+      revokedAt: new Date('2026-01-02T00:00:00Z'),
+      revocationEffectiveAt: new Date('2026-01-01T00:00:00Z')
+    });
+    const verify = jest.spyOn(verificationService, 'verifyCertificate');
+
+    const res = await request(app).post('/api/public/shares/view').send({
+      token: 'share-token',
+      requestedBy: 'Acme Corp',
+      requestorEmail: 'hr@acme.test'
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      status: 'REVOKED',
+      verdict: 'REVOKED',
+      isValid: false,
+      revocation: { reason: 'Issued in error', effectiveAt: '2026-01-01T00:00:00.000Z' },
+      certificate: { certificateNumber: 'RU/2020/1', institution: 'Ranchi University' }
+    });
+    expect(JSON.stringify(res.body)).not.toContain('Asha Kumari');
+    expect(verify).not.toHaveBeenCalled();
+    expect(tables.certificateShare[0].viewCount).toBe(1);
+  });
+
+  test('refuses a certificate that is no longer verified for another reason', async () => {
+    tables.certificate[0].status = 'FLAGGED';
+
+    const res = await request(app).post('/api/public/shares/view').send({
+      token: 'share-token',
+      requestedBy: 'Acme Corp',
+      requestorEmail: 'hr@acme.test'
+    });
+
+    expect(res.status).toBe(409);
+    expect(res.body.data).toBeUndefined();
+  });
+});
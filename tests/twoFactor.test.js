@@ -0,0 +1,138 @@
+jest.mock('../src/config/database', () => ({ getPrismaClient: jest.fn() }));
+jest.mock('../src/services/notificationService', () => ({}));
+
+process.env.DATA_ENCRYPTION_KEY = process.env.DATA_ENCRYPTION_KEY || 'test-data-key';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const bcrypt = require('bcryptjs');
+const request = require('supertest');
+const { getPrismaClient } = require('../src/config/database');
+const twoFactorService = require('../src/services/twoFactorService');
+const blacklistService = require('../src/services/blacklistService');
+const { generateCode, verifyCode } = require('../src/utils/totp');
+const { decryptSecret } = require('../src/utils/encryption');
+const { createFakePrisma, RELATIONS } = require('./helpers/fakePrisma');
+const { buildApp } = require('./helpers/app');
+
+const authRoutes = require('../src/routes/auth');
+
+const STEP_MS = 30 * 1000;
+
+describe('totp', () => {
+  // RFC 6238 test secret "12345678901234567890"
+  const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+  test('matches the RFC 6238 reference codes', () => {
+    expect(generateCode(secret, Math.floor(59 / 30))).toBe('287082');
+    expect(generateCode(secret, Math.floor(1111111109 / 30))).toBe('081804');
+  });
+
+  test('accepts one step of clock drift either way and no more', () => {
+    const time = 1111111109 * 1000;
+    const code = generateCode(secret, Math.floor(1111111109 / 30));
+
+    expect(verifyCode(secret, code, { time })).toBe(Math.floor(1111111109 / 30));
+    expect(verifyCode(secret, code, { time: time + STEP_MS })).not.toBeNull();
+    expect(verifyCode(secret, code, { time: time + 2 * STEP_MS })).toBeNull();
+    expect(verifyCode(secret, '12345', { time })).toBeNull();
+  });
+});
+
+describe('two-factor login', () => {
+  let prisma;
+  let tables;
+  let app;
+  let user;
+
+  const currentCode = (row, offset = 0) => generateCode(
+    decryptSecret(row.twoFactorSecret),
+    Math.floor((Date.now() + offset) / STEP_MS)
+  );
+
+  beforeEach(async () => {
+    ({ client: prisma, tables } = createFakePrisma({
+      relations: RELATIONS,
+      defaults: { systemConfig: { isActive: true } }
+    }));
+    getPrismaClient.mockReturnValue(prisma);
+    blacklistService.invalidate();
+    twoFactorService.policyCache = null;
+    app = buildApp('/api/auth', authRoutes);
+
+    user = await prisma.user.create({
+      data: {
+        email: 'admin@ru.test',
+        password: await bcrypt.hash('correct horse', 4),
+        role: 'UNIVERSITY_ADMIN',
+        isActive: true,
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorLastStep: null,
+        twoFactorRecoveryCodes: []
+      }
+    });
+  });
+
+  const login = () => request(app).post('/api/auth/login').send({ email: 'admin@ru.test', password: 'correct horse' });
+
+  const enrol = async () => {
+    await twoFactorService.beginSetup(user);
+    const { recoveryCodes } = await twoFactorService.enable(tables.user[0], currentCode(tables.user[0], -STEP_MS));
+    return recoveryCodes;
+  };
+
+  test('a user with 2FA gets a challenge instead of tokens, then logs in with a code once', async () => {
+    await enrol();
+
+    const first = await login();
+    expect(first.body.data).toEqual({ twoFactorRequired: true, challengeToken: expect.any(String) });
+
+    const code = currentCode(tables.user[0]);
+    const second = await request(app).post('/api/auth/login/2fa').send({ challengeToken: first.body.data.challengeToken, code });
+    expect(second.status).toBe(200);
+    expect(second.body.data.token).toEqual(expect.any(String));
+    expect(second.body.data.user.twoFactorSecret).toBeUndefined();
+
+    const replay = await request(app).post('/api/auth/login/2fa').send({ challengeToken: first.body.data.challengeToken, code });
+    expect(replay.status).toBe(401);
+    expect(replay.body.message).toBe('Authentication code has already been used');
+  });
+
+  test('a recovery code works once', async () => {
+    const [recoveryCode] = await enrol();
+    const { body } = await login();
+
+    const used = await request(app).post('/api/auth/login/2fa').send({ challengeToken: body.data.challengeToken, recoveryCode });
+    expect(used.status).toBe(200);
+    expect(used.body.data.remainingRecoveryCodes).toBe(9);
+
+    const again = await request(app).post('/api/auth/login/2fa').send({ challengeToken: body.data.challengeToken, recoveryCode });
+    expect(again.status).toBe(401);
+  });
+
+  test('a setup challenge cannot stand in for a verify challenge', async () => {
+    await enrol();
+    const setupChallenge = twoFactorService.createChallenge(user, 'setup');
+
+    const res = await request(app).post('/api/auth/login/2fa').send({ challengeToken: setupChallenge, code: currentCode(tables.user[0]) });
+
+    expect(res.status).toBe(401);
+  });
+
+  test('a role that must use 2FA has to enrol before it gets tokens', async () => {
+    await twoFactorService.setRequiredRoles(['UNIVERSITY_ADMIN']);
+
+    const res = await login();
+    expect(res.body.data).toEqual({ twoFactorSetupRequired: true, challengeToken: expect.any(String) });
+
+    const { challengeToken } = res.body.data;
+    const setup = await request(app).post('/api/auth/2fa/setup').send({ challengeToken });
+    expect(setup.status).toBe(200);
+
+    const enabled = await request(app).post('/api/auth/2fa/enable').send({ challengeToken, code: currentCode(tables.user[0]) });
+    expect(enabled.status).toBe(200);
+    expect(enabled.body.data.token).toEqual(expect.any(String));
+    expect(enabled.body.data.recoveryCodes).toHaveLength(10);
+    expect(tables.user[0].twoFactorEnabled).toBe(true);
+  });
+});
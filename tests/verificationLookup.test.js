@@ -0,0 +1,76 @@
+jest.mock('../src/config/database', () => ({ getPrismaClient: jest.fn() }));
+jest.mock('../src/services/ocrService', () => ({}));
+
+const request = require('supertest');
+const { getPrismaClient } = require('../src/config/database');
+const { createFakePrisma, RELATIONS } = require('./helpers/fakePrisma');
+const { buildApp } = require('./helpers/app');
+
+const verificationRoutes = require('../src/routes/verifications');
+const publicRoutes = require('../src/routes/public');
+
+describe('lookup by verification code', () => {
+  let prisma;
+  let tables;
+  let app;
+
+  beforeEach(async () => {
+    ({ client: prisma, tables } = createFakePrisma({ relations: RELATIONS }));
+    getPrismaClient.mockReturnValue(prisma);
+    app = buildApp('/api/verifications', verificationRoutes);
+    app.use('/api/public', publicRoutes);
+
+    const institution = await prisma.institution.create({ data: { name: 'Ranchi University', code: 'RU' } });
+    const certificate = await prisma.certificate.create({
+      data: {
+        certificateNumber: 'RU/2020/1',
+        studentName: 'Asha Kumari',
+        course: 'B.Sc',
+        passingYear: 2020,
+        status: 'VERIFIED',
+        institutionId: institution.id
+      }
+    });
+    await prisma.verification.create({
+      data: {
+        verificationCode: 'code-1',
+        status: 'COMPLETED',
+        isValid: true,
+        requestedBy: 'Acme',
+        requestorEmail: 'hr@acme.test',
+        certificateId: certificate.id,
+        expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
+      }
+    });
+  });
+
+  const revoke = () => Object.assign(tables.certificate[0], {
+    status: 'REVOKED',
+    revocationReason: 'Issued in error',
+    revokedAt: new Date('2026-01-02T00:00:00Z'),
+    revocationEffectiveAt: new Date('2026-01-01T00:00:00Z')
+  });
+
+  test.each(['/api/verifications/code-1', '/api/public/verification/code-1'])('%s reports the stored result while the certificate stands', async (path) => {
+    const res = await request(app).get(path);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.verdict).toBe('VALID');
+    expect(res.body.data.isValid).toBe(true);
+    expect(res.body.data.revocation).toBeNull();
+  });
+
+  test.each(['/api/verifications/code-1', '/api/public/verification/code-1'])('%s reports a revocation made after the verification', async (path) => {
+    revoke();
+
+    const res = await request(app).get(path);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.verdict).toBe('REVOKED');
+    expect(res.body.data.isValid).toBe(false);
+    expect(res.body.data.revocation).toMatchObject({
+      reason: 'Issued in error',
+      effectiveAt: '2026-01-01T00:00:00.000Z'
+    });
+  });
+});
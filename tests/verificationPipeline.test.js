@@ -0,0 +1,168 @@
+jest.mock('../src/config/database', () => ({ getPrismaClient: jest.fn() }));
+jest.mock('../src/services/blockchainService', () => ({}));
+jest.mock('../src/services/ocrService', () => ({}));
+
+const request = require('supertest');
+const { getPrismaClient } = require('../src/config/database');
+const verificationPipeline = require('../src/services/verificationPipeline');
+const permissionService = require('../src/services/permissionService');
+const { createFakePrisma, RELATIONS } = require('./helpers/fakePrisma');
+const { buildApp } = require('./helpers/app');
+const { signIn } = require('./helpers/auth');
+
+const adminRoutes = require('../src/routes/admin');
+
+// Registers the built-in checks
+require('../src/services/verificationService');
+
+const result = (confidence, passed = confidence >= 50) => ({ passed, confidence, message: `${confidence}%`, details: { confidence } });
+
+describe('verificationPipeline', () => {
+  let prisma;
+  let builtInChecks;
+
+  beforeEach(() => {
+    ({ client: prisma } = createFakePrisma({ defaults: { systemConfig: { isActive: true } } }));
+    getPrismaClient.mockReturnValue(prisma);
+    verificationPipeline.configCache.clear();
+
+    builtInChecks = verificationPipeline.checks;
+    verificationPipeline.checks = new Map();
+    verificationPipeline.register({ id: 'records', version: '1.0.0', weight: 0.6, run: jest.fn(async () => result(100)) });
+    verificationPipeline.register({
+      id: 'ledger',
+      version: '2.1.0',
+      weight: 0.4,
+      threshold: 50,
+      run: jest.fn(async () => result(40, true)),
+      summarize: details => ({ seen: details.confidence })
+    });
+  });
+
+  afterEach(() => {
+    verificationPipeline.checks = builtInChecks;
+  });
+
+  test.each([
+    [{ checks: { unknown: {} } }, /^Unknown check unknown/],
+    [{ checks: { records: { weight: -1 } } }, 'Weight of records must be a non-negative number'],
+    [{ checks: { records: { threshold: 101 } } }, 'Threshold of records must be between 0 and 100, or null'],
+    [{ checks: { records: { enabled: 'no' } } }, 'enabled of records must be true or false'],
+    [{ validityThreshold: 150 }, 'validityThreshold must be between 0 and 100'],
+    [[], 'Config must be an object']
+  ])('rejects %j', (config, reason) => {
+    expect(verificationPipeline.validateConfig(config)).toMatch(reason);
+  });
+
+  test('accepts settings for registered checks', () => {
+    expect(verificationPipeline.validateConfig({ validityThreshold: 80, checks: { records: { weight: 1, threshold: null, enabled: true } } })).toBeNull();
+  });
+
+  test('scores are weighted and a check threshold overrides the check\'s own verdict', async () => {
+    const { confidenceScore, isValid, checks, record } = await verificationPipeline.run({ institutionId: 'inst-1' });
+
+    expect(confidenceScore).toBe(76);
+    expect(isValid).toBe(true);
+    expect(checks.ledger.passed).toBe(false);
+    expect(record.checks).toEqual([
+      { id: 'records', version: '1.0.0', weight: 0.6, threshold: null, passed: true, confidence: 100, message: '100%', details: null },
+      { id: 'ledger', version: '2.1.0', weight: 0.4, threshold: 50, passed: false, confidence: 40, message: '40%', details: { seen: 40 } }
+    ]);
+  });
+
+  test('institution settings override certificate type settings, which override global ones', async () => {
+    await verificationPipeline.saveConfig('global', null, { validityThreshold: 90, checks: { records: { weight: 1 } } });
+    await verificationPipeline.saveConfig('certificateType', 'DEGREE', { checks: { ledger: { threshold: 30, weight: 2 } } });
+    await verificationPipeline.saveConfig('institution', 'inst-1', { validityThreshold: 60, checks: { ledger: { enabled: false } } });
+
+    const degree = await verificationPipeline.resolveSettings({ type: 'DEGREE', institutionId: 'inst-2' });
+    expect(degree.validityThreshold).toBe(90);
+    expect(degree.checks.records.weight).toBe(1);
+    expect(degree.checks.ledger).toMatchObject({ enabled: true, threshold: 30, weight: 2 });
+
+    const { record, confidenceScore } = await verificationPipeline.run({ type: 'DEGREE', institutionId: 'inst-1' });
+    expect(record.validityThreshold).toBe(60);
+    expect(record.checks.map(check => check.id)).toEqual(['records']);
+    expect(confidenceScore).toBe(100);
+    expect(verificationPipeline.checks.get('ledger').run).not.toHaveBeenCalled();
+  });
+
+  test('the pipeline version changes with the settings and the check versions', async () => {
+    const before = verificationPipeline.versionOf(await verificationPipeline.resolveSettings({}));
+    expect(verificationPipeline.versionOf(await verificationPipeline.resolveSettings({}))).toBe(before);
+
+    await verificationPipeline.saveConfig('global', null, { checks: { records: { weight: 0.5 } } });
+    const reweighted = verificationPipeline.versionOf(await verificationPipeline.resolveSettings({}));
+    expect(reweighted).not.toBe(before);
+
+    verificationPipeline.register({ id: 'records', version: '1.1.0', weight: 0.6, run: async () => result(100) });
+    expect(verificationPipeline.versionOf(await verificationPipeline.resolveSettings({}))).not.toBe(reweighted);
+  });
+
+  test('an inactive or unreadable entry is ignored', async () => {
+    await prisma.systemConfig.create({ data: { key: 'VERIFICATION_PIPELINE', value: '{"validityThreshold": 10}', isActive: false } });
+    await prisma.systemConfig.create({ data: { key: 'VERIFICATION_PIPELINE:INSTITUTION:inst-1', value: 'not json' } });
+
+    expect((await verificationPipeline.resolveSettings({ institutionId: 'inst-1' })).validityThreshold).toBe(75);
+  });
+});
+
+describe('verification pipeline settings API', () => {
+  let prisma;
+  let app;
+  let admin;
+  let institution;
+
+  beforeEach(async () => {
+    ({ client: prisma } = createFakePrisma({ relations: RELATIONS, defaults: { systemConfig: { isActive: true } } }));
+    getPrismaClient.mockReturnValue(prisma);
+    verificationPipeline.configCache.clear();
+    permissionService.bundleCache = null;
+    app = buildApp('/api/admin', adminRoutes);
+
+    admin = await signIn(prisma, { role: 'SUPER_ADMIN' });
+    institution = await prisma.institution.create({ data: { name: 'Ranchi University', code: 'RU' } });
+  });
+
+  const put = (path, body, as = admin) => request(app).put(`/api/admin/verification-pipeline${path}`)
+    .set('Authorization', as.authorization)
+    .send(body);
+  const effective = query => request(app).get(`/api/admin/verification-pipeline/effective?${query}`)
+    .set('Authorization', admin.authorization);
+
+  test('an institution override changes the effective settings and the pipeline version', async () => {
+    const before = (await effective(`institutionId=${institution.id}`)).body.data;
+    expect(before.settings.checks.databaseMatch).toMatchObject({ version: '1.0.0', weight: 0.4, enabled: true });
+
+    const res = await put(`/institutions/${institution.id}`, { validityThreshold: 85, checks: { duplicateCheck: { enabled: false } } });
+    expect(res.status).toBe(200);
+
+    const after = (await effective(`institutionId=${institution.id}`)).body.data;
+    expect(after.settings.validityThreshold).toBe(85);
+    expect(after.settings.checks.duplicateCheck.enabled).toBe(false);
+    expect(after.pipelineVersion).not.toBe(before.pipelineVersion);
+
+    const listed = await request(app).get('/api/admin/verification-pipeline').set('Authorization', admin.authorization);
+    expect(listed.body.data.settings).toEqual([
+      expect.objectContaining({ key: `VERIFICATION_PIPELINE:INSTITUTION:${institution.id}`, config: { validityThreshold: 85, checks: { duplicateCheck: { enabled: false } } } })
+    ]);
+
+    const removed = await request(app).delete(`/api/admin/verification-pipeline/institutions/${institution.id}`)
+      .set('Authorization', admin.authorization);
+    expect(removed.status).toBe(200);
+    expect((await effective(`institutionId=${institution.id}`)).body.data.pipelineVersion).toBe(before.pipelineVersion);
+  });
+
+  test('invalid settings, unknown institutions and missing overrides are refused', async () => {
+    expect((await put('', { checks: { ocr: { weight: 1 } } })).status).toBe(400);
+    expect((await put('/institutions/no-such-institution', { checks: {} })).status).toBe(404);
+    expect((await request(app).delete(`/api/admin/verification-pipeline/institutions/${institution.id}`)
+      .set('Authorization', admin.authorization)).status).toBe(404);
+  });
+
+  test('only administrators who configure verification can change it', async () => {
+    const universityAdmin = await signIn(prisma, { role: 'UNIVERSITY_ADMIN', institutionId: institution.id });
+
+    expect((await put(`/institutions/${institution.id}`, { validityThreshold: 10 }, universityAdmin)).status).toBe(403);
+  });
+});
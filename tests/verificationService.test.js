@@ -0,0 +1,66 @@
+jest.mock('../src/config/database', () => ({ getPrismaClient: jest.fn() }));
+jest.mock('../src/services/ocrService', () => ({}));
+jest.mock('../src/services/blockchainService', () => ({}));
+
+const { getPrismaClient } = require('../src/config/database');
+const verificationService = require('../src/services/verificationService');
+const verificationPipeline = require('../src/services/verificationPipeline');
+const blacklistService = require('../src/services/blacklistService');
+const { createFakePrisma } = require('./helpers/fakePrisma');
+
+describe('verifications decided before the pipeline runs', () => {
+  let prisma;
+  let tables;
+  let certificate;
+
+  beforeEach(async () => {
+    ({ client: prisma, tables } = createFakePrisma());
+    getPrismaClient.mockReturnValue(prisma);
+    blacklistService.invalidate();
+    verificationPipeline.configCache.clear();
+
+    certificate = await prisma.certificate.create({
+      data: { certificateNumber: 'RU/2020/1', status: 'VERIFIED', verificationCount: 0, institutionId: 'inst-1' }
+    });
+  });
+
+  const verify = () => verificationService.verifyCertificate(certificate, { requestedBy: 'Acme Corp' });
+
+  test('a blacklisted certificate records the pipeline version and the blacklist check', async () => {
+    const entry = await prisma.blacklistedEntity.create({
+      data: { type: 'CERTIFICATE', identifier: 'RU/2020/1', reason: 'Forged', isActive: true, expiresAt: null }
+    });
+
+    const result = await verify();
+
+    expect(result.verdict).toBe('BLACKLISTED');
+    const [stored] = tables.verification;
+    expect(stored.pipelineVersion).toBe(verificationPipeline.versionOf(await verificationPipeline.resolveSettings(certificate)));
+    expect(stored.checkResults).toMatchObject({
+      pipelineVersion: stored.pipelineVersion,
+      isValid: false,
+      shortCircuitedBy: 'blacklist',
+      checks: [{ id: 'blacklist', passed: false, confidence: 0, details: { blacklistId: entry.id, type: 'CERTIFICATE' } }]
+    });
+  });
+
+  test('a revoked certificate records the pipeline version and the revocation check', async () => {
+    Object.assign(tables.certificate[0], {
+      status: 'REVOKED',
+      revocationReason: 'Issued in error',
+      revokedAt: new Date('2026-01-02T00:00:00Z'),
+      revocationEffectiveAt: new Date('2026-01-01T00:00:00Z')
+    });
+    certificate = tables.certificate[0];
+
+    const result = await verify();
+
+    expect(result.verdict).toBe('REVOKED');
+    const [stored] = tables.verification;
+    expect(stored.pipelineVersion).toEqual(expect.any(String));
+    expect(stored.checkResults).toMatchObject({
+      shortCircuitedBy: 'revocation',
+      checks: [{ id: 'revocation', passed: false, message: 'Certificate has been revoked: Issued in error' }]
+    });
+  });
+});